@@ -62,6 +62,33 @@ module.exports = {
       
       // Stop after completion (auto-batch should finish and exit)
       stop_exit_codes: [0] // Don't restart on successful completion
+    },
+    {
+      name: 'aws-arn-cleanup-partitioned',
+      script: 'src/cleanup.js',
+      args: '--partitioned --run-id YOUR_RUN_ID_HERE', // Every worker joins the same run
+      env: {
+        NODE_ENV: 'production'
+      },
+      // Workers lease id-range partitions from the partitions table, so several
+      // instances (or instances on other hosts) can share one run safely
+      instances: 4,
+      exec_mode: 'fork',
+      max_memory_restart: '2G',
+      
+      // Logging
+      log_file: './logs/pm2-partitioned-combined.log',
+      out_file: './logs/pm2-partitioned-out.log',
+      error_file: './logs/pm2-partitioned-error.log',
+      log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
+      merge_logs: true,
+      
+      // Auto-restart
+      autorestart: true,
+      watch: false,
+      max_restarts: 5,
+      min_uptime: '30s',
+      stop_exit_codes: [0] // Exit 0 once no partitions are left to claim
     }
   ]
 };
\ No newline at end of file
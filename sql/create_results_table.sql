@@ -1,36 +1,60 @@
 -- Create the results table for storing ARN status check results
 -- This table will store the results of checking each push notification ARN
+--
+-- The application creates and upgrades its tables through versioned migrations
+-- (src/migrations), so prefer:
+--   node src/cleanup.js migrate plan   -- print the SQL for the configured table names
+--   node src/cleanup.js migrate up     -- apply it and record it in the migrations history
+-- This script mirrors migrations 001 and 005 for the default table name, for DBAs who create
+-- the table by hand. Run `migrate up` afterwards so the history records it.
 
 IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='CDW_push_arn_cleanup_results' AND xtype='U')
 BEGIN
     CREATE TABLE CDW_push_arn_cleanup_results (
         id BIGINT IDENTITY(1,1) PRIMARY KEY,
-        original_id BIGINT NOT NULL,  -- Reference to the original record ID
-        arn NVARCHAR(500) NOT NULL,   -- The ARN that was checked
-        status NVARCHAR(50) NOT NULL, -- ENABLED, DISABLED, ERROR, NOT_FOUND
-        status_reason NVARCHAR(200),  -- Detailed reason for the status
-        error_message NVARCHAR(MAX),  -- Error details if status is ERROR
-        metadata NVARCHAR(MAX),       -- JSON metadata about the check
+        run_id NVARCHAR(50) NOT NULL,        -- Cleanup run that produced the row
+        batch_id INT NOT NULL,               -- Batch within the run
+        original_id BIGINT NOT NULL,         -- Reference to the original record ID (0 for ORPHANED)
+        arn NVARCHAR(500) NOT NULL,          -- The ARN that was checked
+        status NVARCHAR(50) NOT NULL,        -- ENABLED, DISABLED, ERROR, NOT_FOUND, INVALID, ORPHANED
+        status_reason NVARCHAR(200),         -- Detailed reason for the status
+        error_message NVARCHAR(MAX),         -- Error details if status is ERROR
+        metadata NVARCHAR(MAX),              -- JSON metadata about the check
         checked_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(), -- When the check was performed
-        
+        arn_partition NVARCHAR(20),          -- Parsed from the endpoint ARN
+        arn_region NVARCHAR(30),
+        arn_account NVARCHAR(20),
+        platform NVARCHAR(30),               -- e.g. APNS, GCM
+        application_name NVARCHAR(256),      -- Platform application name
+
         -- Indexes for better query performance
+        INDEX IX_CDW_push_arn_cleanup_results_run_id (run_id),
+        INDEX IX_CDW_push_arn_cleanup_results_batch_id (batch_id),
         INDEX IX_CDW_push_arn_cleanup_results_arn (arn),
         INDEX IX_CDW_push_arn_cleanup_results_status (status),
         INDEX IX_CDW_push_arn_cleanup_results_checked_at (checked_at),
-        INDEX IX_CDW_push_arn_cleanup_results_original_id (original_id)
+        INDEX IX_CDW_push_arn_cleanup_results_original_id (original_id),
+        INDEX IX_CDW_push_arn_cleanup_results_application (platform, application_name)
     );
-    
+
     PRINT 'Table CDW_push_arn_cleanup_results created successfully';
 END
 ELSE
 BEGIN
     PRINT 'Table CDW_push_arn_cleanup_results already exists';
 END
+GO
+
+-- One row per source record and run (ORPHANED rows use original_id 0 and are not keyed)
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE object_id = OBJECT_ID('CDW_push_arn_cleanup_results') AND name = 'UX_CDW_push_arn_cleanup_results_run_original')
+    CREATE UNIQUE INDEX UX_CDW_push_arn_cleanup_results_run_original ON CDW_push_arn_cleanup_results (run_id, original_id)
+    WHERE run_id IS NOT NULL AND original_id <> 0;
+GO
 
 -- Add a comment to document the table structure
 IF EXISTS (SELECT * FROM sys.tables WHERE name = 'CDW_push_arn_cleanup_results')
 BEGIN
-    EXEC sys.sp_addextendedproperty 
+    EXEC sys.sp_addextendedproperty
         @name = N'MS_Description',
         @value = N'Stores results of AWS SNS push notification ARN status checks. Used to track which ARNs are active, disabled, or invalid.',
         @level0type = N'SCHEMA', @level0name = N'dbo',
@@ -41,4 +65,6 @@ END
 -- ENABLED: The endpoint is active and receiving notifications
 -- DISABLED: The endpoint is disabled (user opted out or app uninstalled)
 -- ERROR: There was an error checking the endpoint status
--- NOT_FOUND: The endpoint was not found in AWS Pinpoint
\ No newline at end of file
+-- NOT_FOUND: The endpoint was not found in AWS Pinpoint
+-- INVALID: The value is not a well-formed SNS endpoint ARN
+-- ORPHANED: The endpoint exists in SNS but has no row in the source table (original_id = 0)
@@ -0,0 +1,98 @@
+/**
+ * SNS Endpoint ARN Parser
+ * ARN format: arn:PARTITION:sns:REGION:ACCOUNT:endpoint/PLATFORM/APP_NAME/ENDPOINT_ID
+ * Example: arn:aws-us-gov:sns:us-gov-west-1:171875617347:endpoint/APNS/prod-vamobile-apns/02e639f1-8c85-3401-bea8-5d8c2571a704
+ */
+
+const PARTITIONS = ['aws', 'aws-us-gov', 'aws-cn', 'aws-iso', 'aws-iso-b'];
+
+// SNS mobile push platforms (FCM endpoints use the GCM platform name)
+const PLATFORMS = ['APNS', 'APNS_SANDBOX', 'GCM', 'ADM', 'BAIDU', 'MPNS', 'WNS', 'MACOS', 'MACOS_SANDBOX'];
+
+const REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d+$/;
+const ACCOUNT_PATTERN = /^\d{12}$/;
+
+class ArnParseError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ArnParseError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Parse an SNS endpoint ARN into its parts.
+ * Throws ArnParseError with a `reason` code (e.g. NOT_AN_ENDPOINT, UNKNOWN_PLATFORM) when invalid.
+ */
+const parseEndpointArn = (arn) => {
+  if (arn === null || arn === undefined || arn === '') {
+    throw new ArnParseError('EMPTY', 'ARN is empty');
+  }
+  if (typeof arn !== 'string') {
+    throw new ArnParseError('NOT_A_STRING', `ARN must be a string, got ${typeof arn}`);
+  }
+
+  const value = arn.trim();
+  // Everything after the fifth colon is the resource
+  const parts = value.split(':');
+  if (parts[0] !== 'arn' || parts.length < 6) {
+    throw new ArnParseError('NOT_AN_ARN', 'Value is not an ARN (expected arn:partition:service:region:account:resource)');
+  }
+
+  const [, partition, service, region, accountId] = parts;
+  const resource = parts.slice(5).join(':');
+
+  if (!PARTITIONS.includes(partition)) {
+    throw new ArnParseError('UNKNOWN_PARTITION', `Unknown AWS partition '${partition}'`);
+  }
+  if (service !== 'sns') {
+    throw new ArnParseError('WRONG_SERVICE', `ARN is for service '${service}', not sns`);
+  }
+  if (!REGION_PATTERN.test(region)) {
+    throw new ArnParseError('INVALID_REGION', `Invalid region '${region}'`);
+  }
+  if (!ACCOUNT_PATTERN.test(accountId)) {
+    throw new ArnParseError('INVALID_ACCOUNT', `Invalid account id '${accountId}'`);
+  }
+  if (!resource.startsWith('endpoint/')) {
+    throw new ArnParseError('NOT_AN_ENDPOINT', 'ARN is not an SNS endpoint ARN');
+  }
+
+  const resourceParts = resource.split('/');
+  if (resourceParts.length !== 4 || resourceParts.slice(1).some(part => !part)) {
+    throw new ArnParseError('MALFORMED_RESOURCE', 'Endpoint resource must be endpoint/PLATFORM/APP_NAME/ENDPOINT_ID');
+  }
+
+  const [, platform, applicationName, endpointId] = resourceParts;
+  if (!PLATFORMS.includes(platform)) {
+    throw new ArnParseError('UNKNOWN_PLATFORM', `Unknown push platform '${platform}'`);
+  }
+
+  return {
+    partition,
+    service,
+    region,
+    accountId,
+    platform,
+    applicationName,
+    endpointId
+  };
+};
+
+/**
+ * Parse without throwing; returns null for invalid ARNs
+ */
+const tryParseEndpointArn = (arn) => {
+  try {
+    return parseEndpointArn(arn);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ArnParseError,
+  PLATFORMS,
+  parseEndpointArn,
+  tryParseEndpointArn
+};
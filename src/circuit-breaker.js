@@ -0,0 +1,82 @@
+const { logger } = require('./logger');
+
+class CircuitBreakerTrippedError extends Error {
+  constructor(reason) {
+    super(`Circuit breaker tripped: ${reason}`);
+    this.name = 'CircuitBreakerTrippedError';
+    this.reason = reason;
+    this.runId = null;
+  }
+}
+
+/**
+ * Circuit Breaker
+ * Watches check results and trips when errors pile up (broken credentials, SNS outage),
+ * so a run stops cleanly instead of writing thousands of ERROR rows.
+ * Trips on either a run of consecutive errors or an error rate over a sliding window.
+ * NOT_FOUND and INVALID are answers from SNS, not failures, so only ERROR counts.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.errorRateThreshold = options.errorRateThreshold || 0.5;
+    this.minSamples = options.minSamples || 50;
+    this.windowSize = Math.max(this.minSamples, options.windowSize || 200);
+    this.consecutiveErrorThreshold = options.consecutiveErrors || 25;
+    this.reset();
+  }
+
+  reset() {
+    this.window = [];
+    this.windowErrors = 0;
+    this.consecutiveErrors = 0;
+    this.tripReason = null;
+  }
+
+  get isTripped() {
+    return this.tripReason !== null;
+  }
+
+  /**
+   * Record one check result; returns true if the breaker is (now) tripped
+   */
+  record(result) {
+    const failed = result.status === 'ERROR';
+
+    this.window.push(failed);
+    if (failed) this.windowErrors++;
+    if (this.window.length > this.windowSize) {
+      if (this.window.shift()) this.windowErrors--;
+    }
+    this.consecutiveErrors = failed ? this.consecutiveErrors + 1 : 0;
+
+    if (!this.isTripped) {
+      const errorRate = this.windowErrors / this.window.length;
+      if (this.consecutiveErrors >= this.consecutiveErrorThreshold) {
+        this.trip(`${this.consecutiveErrors} consecutive errors (last: ${result.errorMessage || 'unknown error'})`);
+      } else if (this.window.length >= this.minSamples && errorRate >= this.errorRateThreshold) {
+        this.trip(`error rate ${(errorRate * 100).toFixed(1)}% over the last ${this.window.length} checks`);
+      }
+    }
+
+    return this.isTripped;
+  }
+
+  trip(reason) {
+    this.tripReason = reason;
+    logger.error(`Circuit breaker tripped: ${reason}`);
+  }
+
+  /**
+   * Throw if tripped, so callers can stop before saving the current batch
+   */
+  assertClosed() {
+    if (this.isTripped) {
+      throw new CircuitBreakerTrippedError(this.tripReason);
+    }
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakerTrippedError
+};
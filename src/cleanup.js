@@ -1,16 +1,51 @@
 #!/usr/bin/env node
 
+const path = require('path');
 const { config, validateConfig } = require('./config');
 const { logger, logProgress, logError } = require('./logger');
-const DatabaseService = require('./database');
+const { createStorage } = require('./storage');
 const SNSService = require('./pinpoint'); // File is still named pinpoint.js but now contains SNSService
+const { buildSourceFilter, describeFilter, serializeFilter } = require('./source-filter');
+const { buildDelta, runDelta, describeDelta } = require('./delta-scan');
+const ResultWriter = require('./result-writer');
+const PartitionCoordinator = require('./partition-coordinator');
+const Migrator = require('./migrator');
+const { CircuitBreakerTrippedError } = require('./circuit-breaker');
+const { parseTableName, validateIdentifier } = require('./sql-identifiers');
+const { RUN_STATES, isResumableState } = require('./run-states');
+const { ARCHIVE_TARGETS, DELETABLE_STATUSES, buildRetentionPolicy, describePolicy, ResultArchiver } = require('./retention');
+const { formatDuration } = require('./run-progress');
+const { buildScanCutoff } = require('./deletion-checks');
+const { loadSnapshotKey, decryptSnapshot, buildSnapshotRow } = require('./endpoint-snapshots');
+const {
+  PLAN_VERSION, planEntry, planEntryKey, summarizePlan, hashPlan, currentOperator, defaultPlanFile, writePlanFile, readPlanFile
+} = require('./deletion-plans');
+
+// CLI options worth keeping with a run in the registry
+const RECORDED_OPTIONS = [
+  'arnColumn', 'idColumn', 'limit', 'batchSize', 'chunkSize', 'concurrency', 'maxRequestsPerSecond',
+  'partitions', 'resumeFromId', 'application', 'statuses', 'deltaCheckedSince'
+];
+
+const pickRunOptions = (options) => RECORDED_OPTIONS.reduce((picked, key) => {
+  if (options[key] !== undefined && options[key] !== null) {
+    picked[key] = options[key];
+  }
+  return picked;
+}, {});
+
+// Result statuses that can be re-checked; ORPHANED rows have no source record to re-check
+const RECHECK_STATUSES = ['ENABLED', 'DISABLED', 'ERROR', 'NOT_FOUND', 'INVALID'];
 
 class ArnCleanupService {
   constructor() {
-    this.db = new DatabaseService();
+    this.db = createStorage();
     this.sns = new SNSService();
     this.runId = this.generateRunId();
     this.batchCounter = 0;
+    this.sourceFilter = undefined; // Resolved once per run by resolveSourceFilter()
+    this.delta = null; // Delta cut-off of the current run, also set by resolveSourceFilter()
+    this.activeRun = null; // { runId, coordinator } while this process is working on a run
   }
 
   generateRunId() {
@@ -28,8 +63,8 @@ class ArnCleanupService {
       // Connect to database
       await this.db.connect();
       
-      // Create results table if it doesn't exist
-      await this.db.createResultsTable();
+      // Apply pending schema migrations (or refuse to start with AUTO_MIGRATE=false)
+      await this.db.ensureSchema();
       
       // Initialize AWS clients (including role assumption if configured)
       await this.sns.initializeClients();
@@ -44,9 +79,171 @@ class ArnCleanupService {
     }
   }
 
+  /**
+   * Resolve the source filter and delta settings for the current run.
+   * A new run stores the filter given on the CLI; a resumed run reuses the stored filter
+   * and refuses a different one so the predicate cannot change mid-run. The same goes
+   * for --delta and its cut-off.
+   */
+  async resolveSourceFilter(options = {}) {
+    if (this.sourceFilter !== undefined) {
+      return this.sourceFilter;
+    }
+
+    const sourceTable = options.sourceTable || config.sourceTable.tableName;
+    const requestedFilter = await this.db.typeSourceFilter(sourceTable, options.filter || null);
+    const stored = await this.db.getRun(this.runId);
+
+    if (stored) {
+      if (requestedFilter && serializeFilter(requestedFilter) !== serializeFilter(stored.source_filter)) {
+        throw new Error(`Run ${this.runId} was started with filter [${describeFilter(stored.source_filter)}]; ` +
+          `omit --filter/--where-clause to resume it with the same predicate`);
+      }
+      this.delta = runDelta(stored);
+      if (options.delta && !this.delta) {
+        throw new Error(`Run ${this.runId} is a full scan; omit --delta to resume it`);
+      }
+      this.sourceFilter = stored.source_filter;
+    } else {
+      this.sourceFilter = requestedFilter;
+      this.delta = options.delta ? buildDelta(options.maxAgeDays) : null;
+      await this.db.createRun(this.runId, {
+        mode: options.partitioned ? 'partitioned' : 'scan',
+        sourceTable,
+        filter: this.sourceFilter,
+        options: pickRunOptions({ ...options, deltaCheckedSince: this.delta ? this.delta.checkedSince : null }),
+        startAfterId: options.resumeFromId || null
+      });
+    }
+
+    logger.info(`Source filter for run ${this.runId}: ${describeFilter(this.sourceFilter)}`);
+    if (this.delta) {
+      logger.info(`Delta run ${this.runId}: ${describeDelta(this.delta)}`);
+    }
+    return this.sourceFilter;
+  }
+
+  /**
+   * Mark the current run as running on this host. A partitioned worker passes its
+   * coordinator so ending the run can take the other workers into account.
+   */
+  async markRunning(coordinator = null) {
+    await this.db.updateRunState(this.runId, RUN_STATES.RUNNING);
+    this.activeRun = { runId: this.runId, coordinator };
+  }
+
+  /**
+   * Record how this process stopped working on the active run. A partitioned worker
+   * leaves the run's state alone while other workers still hold leases on it.
+   * Never throws, so it is safe in error paths and signal handlers.
+   */
+  async endRun(state, reason = null) {
+    if (!this.activeRun) {
+      return;
+    }
+
+    const { runId, coordinator } = this.activeRun;
+    this.activeRun = null;
+    try {
+      if (coordinator) {
+        // Hand back a partition we still hold (e.g. on a signal) before looking at the others
+        await coordinator.release();
+        const partitions = await this.db.getPartitionProgress(runId);
+        const othersActive = partitions.some(p => p.status === 'leased' && p.worker_id !== coordinator.workerId);
+        const allDone = partitions.every(p => p.status === 'completed');
+        if (othersActive || (state === RUN_STATES.COMPLETED && !allDone)) {
+          logger.info(`Worker ${coordinator.workerId} stopped (${state}); run ${runId} continues on other workers`);
+          return;
+        }
+      }
+
+      await this.db.updateRunState(runId, state, reason);
+      logger.info(`Run ${runId} is now ${state}${reason ? `: ${reason}` : ''}`);
+    } catch (error) {
+      logger.warn(`Could not record state '${state}' for run ${runId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process all remaining records as a keyset pipeline:
+   * the next page is fetched while the current page is checked against SNS,
+   * and results are written in the background with bounded pending writes.
+   */
   async autoBatchCleanup(options = {}) {
     const startTime = Date.now();
-    const chunkSize = 5000; // Process 5000 records at a time
+    const chunkSize = options.chunkSize || config.app.chunkSize;
+
+    const {
+      sourceTable = config.sourceTable.tableName,
+      idColumn = config.sourceTable.idColumn
+    } = options;
+
+    let resumeFromId = options.resumeFromId || null;
+
+    if (options.resumeRunId) {
+      this.runId = options.resumeRunId;
+      const resumeInfo = await this.db.canResumeRun(this.runId);
+      if (!resumeInfo.canResume) {
+        throw new Error(`Cannot resume: ${resumeInfo.reason}`);
+      }
+      // A run with nothing saved yet starts again from its original starting point
+      resumeFromId = resumeInfo.lastProcessedId ?? resumeFromId;
+      logger.info(`Resuming ${resumeInfo.state} run ${this.runId} from ID ${resumeFromId}`);
+    }
+    const filter = await this.resolveSourceFilter(options);
+    await this.markRunning();
+
+    // Count remaining records once up front; chunks advance by keyset, not by re-counting
+    const progress = await this.db.getProcessingProgress(sourceTable, idColumn, this.runId, filter, this.delta);
+    const totalRemaining = progress.remaining_records;
+    
+    console.log(`\n🚀 Starting auto-batch processing of ${totalRemaining.toLocaleString()} remaining records`);
+    console.log(`📦 Processing in chunks of ${chunkSize.toLocaleString()} records (Run ID: ${this.runId})\n`);
+
+    const { totalProcessed, results } = await this.runKeysetPipeline({
+      ...options,
+      chunkSize,
+      filter,
+      delta: this.delta,
+      afterId: resumeFromId,
+      totalExpected: totalRemaining
+    });
+
+    await this.endRun(RUN_STATES.COMPLETED);
+    console.log(`\n🎉 Auto-batch processing completed! Processed all remaining records.`);
+
+    return {
+      totalProcessed,
+      results,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Keyset pipeline shared by auto-batch and partitioned workers.
+   * Reads pages of `chunkSize` rows after `afterId` (optionally only up to `untilId`, and
+   * only rows due for a check when `delta` is set),
+   * checks each page while the next one is fetched, and saves results through a
+   * background writer. `onChunkSaved(lastId, count)` is called once a chunk's results
+   * are all persisted, with the writer's settledThrough as lastId, which makes it safe to
+   * use as a checkpoint. Each batch settles through its last result that is not an ERROR,
+   * so a streak of errors that goes on to trip the circuit breaker is checked again on resume.
+   */
+  async runKeysetPipeline(options = {}) {
+    const {
+      sourceTable = config.sourceTable.tableName,
+      arnColumn = config.sourceTable.arnColumn,
+      idColumn = config.sourceTable.idColumn,
+      batchSize = null,
+      chunkSize = config.app.chunkSize,
+      filter = null,
+      delta = null,
+      afterId = null,
+      untilId = null,
+      totalExpected = null,
+      onChunkSaved = null
+    } = options;
+
     let totalProcessed = 0;
     let overallResults = {
       enabled: 0,
@@ -55,59 +252,154 @@ class ArnCleanupService {
       not_found: 0
     };
 
+    // An upper bound is just another filter condition on the id column
+    const pageFilter = untilId !== null && untilId !== undefined
+      ? [...(filter || []), { column: idColumn, op: 'lte', value: untilId }]
+      : filter;
+
+    const fetchPage = (fromId) => {
+      const page = this.db.getPushArns(sourceTable, arnColumn, idColumn, chunkSize, fromId, pageFilter, delta);
+      // Avoid an unhandled rejection if the current page fails before this one is awaited
+      page.catch(() => {});
+      return page;
+    };
+
+    const writer = new ResultWriter(
+      (results) => this.db.batchSaveArnResults(results),
+      { maxPending: config.app.maxPendingWrites, settledThrough: afterId }
+    );
+    const saveCallback = (batchResults) => {
+      const lastChecked = [...batchResults].reverse().find(result => result.status !== 'ERROR');
+      return writer.enqueue(this.enrichResults(batchResults), lastChecked ? lastChecked.originalId : null);
+    };
+
+    let lastProcessedId = afterId;
+    let nextPage = fetchPage(lastProcessedId);
+    let chunkNumber = 1;
+
+    try {
+      while (true) {
+        const page = await nextPage;
+        if (page.length === 0) {
+          break;
+        }
+
+        // Keyset for the next page is the last id of this one; start reading it right away
+        lastProcessedId = page[page.length - 1].id;
+        const isLastPage = page.length < chunkSize;
+        nextPage = isLastPage ? Promise.resolve([]) : fetchPage(lastProcessedId);
+
+        console.log(`\n📊 Processing chunk ${chunkNumber} (${page.length.toLocaleString()} records)...`);
+
+        const chunkResults = await this.sns.checkMultipleArns(page, batchSize, saveCallback);
+        const chunkSummary = this.generateSummary(chunkResults);
+
+        // Accumulate results
+        totalProcessed += chunkResults.length;
+        Object.keys(overallResults).forEach(key => {
+          overallResults[key] += (chunkSummary[key] || 0);
+        });
+
+        console.log(`✅ Chunk ${chunkNumber} checked: ${chunkResults.length} records (last ID ${lastProcessedId})`);
+        if (totalExpected !== null) {
+          const percent = totalExpected > 0 ? (totalProcessed / totalExpected * 100).toFixed(1) : '100.0';
+          console.log(`   📈 Progress: ${totalProcessed.toLocaleString()}/${totalExpected.toLocaleString()} (${percent}%)`);
+        }
+
+        if (onChunkSaved) {
+          await writer.flush();
+          await onChunkSaved(writer.settledThrough, chunkResults.length);
+        }
+
+        if (isLastPage) {
+          break;
+        }
+        chunkNumber++;
+      }
+    } catch (error) {
+      // Persist what was already checked so a resume continues right after it
+      await writer.flush().catch(() => {});
+      throw error;
+    }
+
+    // Make sure every result is persisted before reporting completion
+    await writer.flush();
+
+    return {
+      totalProcessed,
+      results: overallResults,
+      lastProcessedId
+    };
+  }
+
+  /**
+   * Work on a run as one of several workers. Partitions are created by the first
+   * worker; every worker then leases partitions until none are left.
+   */
+  async partitionedCleanup(options = {}) {
+    const startTime = Date.now();
     const {
       sourceTable = config.sourceTable.tableName,
       arnColumn = config.sourceTable.arnColumn,
       idColumn = config.sourceTable.idColumn
     } = options;
 
-    // Get total remaining records for progress tracking
-    const progress = await this.db.getProcessingProgress(sourceTable, idColumn, this.runId);
-    const totalRemaining = progress.remaining_records;
-    
-    console.log(`\n🚀 Starting auto-batch processing of ${totalRemaining.toLocaleString()} remaining records`);
-    console.log(`📦 Processing in chunks of ${chunkSize.toLocaleString()} records\n`);
+    if (options.runId || options.resumeRunId) {
+      this.runId = options.runId || options.resumeRunId;
+    }
+    const filter = await this.resolveSourceFilter(options);
 
-    let lastProcessedId = options.resumeFromId || null;
-    let chunkNumber = 1;
+    const coordinator = new PartitionCoordinator(this.db, {
+      partitionCount: options.partitions,
+      leaseMs: options.leaseMs
+    });
+    const partitions = await coordinator.ensurePartitions(this.runId, sourceTable, arnColumn, idColumn, filter, this.delta);
+    const lastPartitionId = Math.max(...partitions.map(partition => partition.partition_id));
+    await this.markRunning(coordinator);
 
-    while (true) {
-      console.log(`\n📊 Processing chunk ${chunkNumber} (${chunkSize.toLocaleString()} records)...`);
-      
-      // Process one chunk
-      const chunkOptions = {
-        ...options,
-        limit: chunkSize,
-        resumeFromId: lastProcessedId,
-        autoBatch: false // Prevent recursion
-      };
+    console.log(`\n🧩 Worker ${coordinator.workerId} joined partitioned run ${this.runId}`);
+    console.log(`   Start more workers with: node src/cleanup.js --partitioned --run-id ${this.runId}\n`);
 
-      const chunkResult = await this.cleanup(chunkOptions);
-      
-      // Accumulate results
-      totalProcessed += chunkResult.totalProcessed;
-      Object.keys(overallResults).forEach(key => {
-        overallResults[key] += (chunkResult.results[key] || 0);
-      });
+    let totalProcessed = 0;
+    const overallResults = { enabled: 0, disabled: 0, error: 0, not_found: 0 };
+    let partition;
 
-      console.log(`✅ Chunk ${chunkNumber} completed: ${chunkResult.totalProcessed} records processed`);
-      console.log(`   📈 Progress: ${totalProcessed.toLocaleString()}/${totalRemaining.toLocaleString()} (${(totalProcessed/totalRemaining*100).toFixed(1)}%)`);
+    while ((partition = await coordinator.claim(this.runId))) {
+      // Continue after the last checkpoint, or just before the range on a fresh partition.
+      // The last partition is open-ended so rows added since the run started are checked too.
+      // BIGINT columns come back from mssql as strings.
+      const rangeEnd = partition.partition_id === lastPartitionId ? null : Number(partition.range_end);
+      const afterId = partition.last_processed_id !== null
+        ? Number(partition.last_processed_id)
+        : Number(partition.range_start) - 1;
 
-      // Check if we're done
-      if (chunkResult.totalProcessed < chunkSize) {
-        console.log(`\n🎉 Auto-batch processing completed! Processed all remaining records.`);
-        break;
-      }
+      console.log(`\n🧩 Partition ${partition.partition_id}: IDs ${afterId + 1} - ${rangeEnd ?? 'end'}`);
 
-      // Update lastProcessedId for next iteration
-      const updatedProgress = await this.db.getProcessingProgress(sourceTable, idColumn, this.runId);
-      lastProcessedId = updatedProgress.last_processed_id;
-      chunkNumber++;
+      try {
+        const result = await this.runKeysetPipeline({
+          ...options,
+          filter,
+          delta: this.delta,
+          afterId,
+          untilId: rangeEnd,
+          onChunkSaved: (lastId, count) => coordinator.checkpoint(lastId, count)
+        });
 
-      // Small pause between chunks to prevent overwhelming the system
-      await new Promise(resolve => setTimeout(resolve, 1000));
+        totalProcessed += result.totalProcessed;
+        Object.keys(overallResults).forEach(key => {
+          overallResults[key] += (result.results[key] || 0);
+        });
+        await coordinator.complete();
+      } catch (error) {
+        await coordinator.release();
+        throw error;
+      }
     }
 
+    // The last worker to finish marks the run completed
+    await this.endRun(RUN_STATES.COMPLETED);
+    console.log(`\n🎉 No partitions left to claim for run ${this.runId}`);
+
     return {
       totalProcessed,
       results: overallResults,
@@ -115,6 +407,75 @@ class ArnCleanupService {
     };
   }
 
+  /**
+   * Run a cleanup mode under the SNS circuit breaker. When the breaker trips the run's
+   * state is recorded as 'tripped'; with a cool-down configured the run waits and resumes
+   * itself (up to maxCooldowns times), otherwise the trip error is thrown to the caller.
+   */
+  async runWithCircuitBreaker(runFn, options = {}) {
+    const cooldownMs = options.breakerCooldownMs ?? config.circuitBreaker.cooldownMs;
+    const maxCooldowns = config.circuitBreaker.maxCooldowns;
+    let runOptions = options;
+    let cooldowns = 0;
+
+    while (true) {
+      try {
+        return await runFn(runOptions);
+      } catch (error) {
+        if (!(error instanceof CircuitBreakerTrippedError)) {
+          throw error;
+        }
+
+        error.runId = this.runId;
+        await this.endRun(RUN_STATES.TRIPPED, error.reason);
+
+        if (!cooldownMs || cooldowns >= maxCooldowns) {
+          throw error;
+        }
+
+        cooldowns++;
+        logger.warn(`Circuit breaker cool-down ${cooldowns}/${maxCooldowns}: retrying run ${this.runId} in ${cooldownMs / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, cooldownMs));
+
+        // The resumed run marks itself running again
+        this.sns.circuitBreaker.reset();
+        runOptions = options.partitioned
+          ? { ...options, runId: this.runId }
+          : { ...options, resumeRunId: this.runId };
+      }
+    }
+  }
+
+  /**
+   * Run fn for the active run: the run is completed when fn returns and failed when it
+   * throws (a circuit breaker trip records its own state)
+   */
+  async trackRun(runFn) {
+    try {
+      const result = await runFn();
+      await this.endRun(RUN_STATES.COMPLETED);
+      return result;
+    } catch (error) {
+      if (!(error instanceof CircuitBreakerTrippedError)) {
+        await this.endRun(RUN_STATES.FAILED, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add run tracking to a batch of results
+   */
+  enrichResults(batchResults) {
+    this.batchCounter++;
+    const batchId = this.batchCounter;
+    return batchResults.map(result => ({
+      ...result,
+      runId: this.runId,
+      batchId
+    }));
+  }
+
   async cleanup(options = {}) {
     const startTime = Date.now();
     
@@ -130,34 +491,45 @@ class ArnCleanupService {
         autoBatch = false
       } = options;
 
+      // Fail fast on a mistyped --table/--column/--id-column or filter column
+      await this.db.resolveSourceIdentifiers(sourceTable, [arnColumn, idColumn, ...this.db.filterColumns(options.filter)]);
+
+      // Partitioned workers share a run and lease id ranges
+      if (options.partitioned) {
+        return await this.runWithCircuitBreaker(runOptions => this.partitionedCleanup(runOptions), options);
+      }
+
       // If autoBatch is enabled, process all remaining records in chunks
       if (autoBatch) {
-        return await this.autoBatchCleanup(options);
+        return await this.runWithCircuitBreaker(runOptions => this.autoBatchCleanup(runOptions), options);
       }
 
       // Handle resume logic
       if (options.resumeRunId) {
         this.runId = options.resumeRunId;
-        const resumeInfo = await this.db.canResumeRun(this.runId, sourceTable, idColumn);
+        const resumeInfo = await this.db.canResumeRun(this.runId);
         if (!resumeInfo.canResume) {
-          throw new Error(`Run ${this.runId} is already complete or doesn't exist`);
+          throw new Error(`Cannot resume: ${resumeInfo.reason}`);
         }
-        options.resumeFromId = resumeInfo.lastProcessedId;
-        logger.info(`Resuming run ${this.runId} from ID ${resumeInfo.lastProcessedId}`);
+        options.resumeFromId = resumeInfo.lastProcessedId ?? options.resumeFromId;
+        logger.info(`Resuming ${resumeInfo.state} run ${this.runId} from ID ${options.resumeFromId}`);
       }
       
       logger.info(`Starting cleanup with Run ID: ${this.runId}`);
+      const filter = await this.resolveSourceFilter(options);
+      await this.markRunning();
       
       // Check for existing progress
-      const progress = await this.db.getProcessingProgress(sourceTable, idColumn, this.runId);
+      const progress = await this.db.getProcessingProgress(sourceTable, idColumn, this.runId, filter, this.delta);
       logger.info('Processing progress', progress);
       
       // Fetch ARNs from the database (with auto-resume capability)
       logger.info(`Fetching ARNs from table: ${sourceTable}, column: ${arnColumn}, id column: ${idColumn}`);
-      const arnsToCheck = await this.db.getPushArns(sourceTable, arnColumn, idColumn, limit, options.resumeFromId);
+      const arnsToCheck = await this.db.getPushArns(sourceTable, arnColumn, idColumn, limit, options.resumeFromId, filter, this.delta);
       
       if (arnsToCheck.length === 0) {
         logger.info('No ARNs found to check');
+        await this.endRun(RUN_STATES.COMPLETED);
         return {
           totalProcessed: 0,
           results: {},
@@ -165,52 +537,922 @@ class ArnCleanupService {
         };
       }
 
-      logger.info(`Found ${arnsToCheck.length} ARNs to process`);
+      logger.info(`Found ${arnsToCheck.length} ARNs to process`);
+
+      // Create callback to save results after each batch
+      const saveCallback = async (batchResults) => {
+        try {
+          // Add run tracking to each result
+          return await this.db.batchSaveArnResults(this.enrichResults(batchResults));
+        } catch (error) {
+          logger.error('Failed to save batch results to database', { error: error.message });
+          throw error;
+        }
+      };
+
+      // Check ARNs with SNS, saving results as we go (a single pass is never cooled down and retried)
+      const results = await this.runWithCircuitBreaker(
+        () => this.sns.checkMultipleArns(arnsToCheck, batchSize, saveCallback),
+        { ...options, breakerCooldownMs: 0 }
+      );
+
+      // A full page means --limit stopped the run before the end of the source table
+      if (limit && arnsToCheck.length >= limit) {
+        await this.endRun(RUN_STATES.INTERRUPTED, `Stopped after --limit ${limit}`);
+      } else {
+        await this.endRun(RUN_STATES.COMPLETED);
+      }
+
+      // Generate summary
+      const summary = this.generateSummary(results);
+      const duration = Date.now() - startTime;
+
+      logger.info('ARN cleanup process completed', {
+        totalProcessed: results.length,
+        duration: `${(duration / 1000).toFixed(2)}s`,
+        summary
+      });
+
+      return {
+        totalProcessed: results.length,
+        results: summary,
+        duration
+      };
+
+    } catch (error) {
+      if (!(error instanceof CircuitBreakerTrippedError)) {
+        logError(error, { context: 'Cleanup process' });
+        await this.endRun(RUN_STATES.FAILED, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reverse reconciliation: page through every endpoint of the SNS platform applications
+   * and record the ones with no row in the source table as ORPHANED results of a new run.
+   */
+  async reconcile(options = {}) {
+    const startTime = Date.now();
+    const {
+      sourceTable = config.sourceTable.tableName,
+      arnColumn = config.sourceTable.arnColumn,
+      application = null
+    } = options;
+
+    await this.db.resolveSourceIdentifiers(sourceTable, [arnColumn]);
+    logger.info(`Starting reverse reconciliation with Run ID: ${this.runId}`);
+    await this.db.createRun(this.runId, { mode: 'reconcile', sourceTable, options: pickRunOptions(options) });
+    await this.markRunning();
+
+    return this.trackRun(async () => {
+      let applications = await this.sns.listPlatformApplications();
+      if (application) {
+        // Match either the full application ARN or its name (the last ARN segment)
+        applications = applications.filter(app => app.arn === application || app.arn.endsWith(`/${application}`));
+        if (applications.length === 0) {
+          throw new Error(`No SNS platform application matches '${application}'`);
+        }
+      }
+
+      const byApplication = {};
+      let totalEndpoints = 0;
+      let totalOrphans = 0;
+
+      for (const app of applications) {
+        const appStats = { endpoints: 0, orphaned: 0 };
+        byApplication[app.arn] = appStats;
+        console.log(`\n🔎 Scanning endpoints of ${app.arn}`);
+
+        await this.sns.scanPlatformEndpoints(app.arn, async (endpoints) => {
+          const existing = await this.db.findExistingArns(endpoints.map(e => e.arn), sourceTable, arnColumn);
+          const orphans = endpoints
+            .filter(endpoint => !existing.has(endpoint.arn.toLowerCase()))
+            .map(endpoint => this.sns.buildOrphanResult(endpoint, app.arn));
+
+          if (orphans.length > 0) {
+            await this.db.batchSaveArnResults(this.enrichResults(orphans));
+          }
+
+          appStats.endpoints += endpoints.length;
+          appStats.orphaned += orphans.length;
+        });
+
+        totalEndpoints += appStats.endpoints;
+        totalOrphans += appStats.orphaned;
+        console.log(`   ${appStats.endpoints.toLocaleString()} endpoints, ${appStats.orphaned.toLocaleString()} orphaned`);
+      }
+
+      const duration = Date.now() - startTime;
+      logger.info('Reverse reconciliation completed', {
+        runId: this.runId,
+        applications: applications.length,
+        totalEndpoints,
+        totalOrphans,
+        duration: `${(duration / 1000).toFixed(2)}s`
+      });
+
+      return {
+        runId: this.runId,
+        totalEndpoints,
+        totalOrphans,
+        byApplication,
+        duration
+      };
+    });
+  }
+
+  /**
+   * Re-check a previous run's rows with the given statuses (default ERROR and NOT_FOUND).
+   * The new outcomes are saved as a child run linked to the original through parent_run_id.
+   */
+  async recheck(options = {}) {
+    const startTime = Date.now();
+    const {
+      runId: parentRunId,
+      statuses = ['ERROR', 'NOT_FOUND'],
+      sourceTable = config.sourceTable.tableName,
+      batchSize = null
+    } = options;
+
+    if (!parentRunId) {
+      throw new Error('--recheck requires --run-id <id> of the run to re-check');
+    }
+    const invalid = statuses.filter(status => !RECHECK_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      throw new Error(`Cannot re-check status ${invalid.join(', ')}. Valid statuses: ${RECHECK_STATUSES.join(', ')}`);
+    }
+
+    const rows = await this.db.getResultsForRecheck(parentRunId, statuses);
+    logger.info(`Found ${rows.length} ${statuses.join('/')} rows in run ${parentRunId} to re-check`);
+    if (rows.length === 0) {
+      return {
+        runId: null,
+        parentRunId,
+        totalProcessed: 0,
+        results: {},
+        transitions: {},
+        duration: Date.now() - startTime
+      };
+    }
+
+    await this.db.createRun(this.runId, {
+      mode: 'recheck',
+      sourceTable,
+      options: pickRunOptions(options),
+      parentRunId
+    });
+    await this.markRunning();
+
+    return this.trackRun(async () => {
+      logger.info(`Re-checking run ${parentRunId} as child run ${this.runId}`);
+
+      const previousStatus = new Map(rows.map(row => [row.id, row.status]));
+      const saveCallback = (batchResults) => this.db.batchSaveArnResults(this.enrichResults(batchResults));
+
+      const results = await this.runWithCircuitBreaker(
+        () => this.sns.checkMultipleArns(rows, batchSize, saveCallback),
+        { ...options, breakerCooldownMs: 0 }
+      );
+
+      // How many rows moved from each old status to each new one, e.g. "ERROR -> DISABLED"
+      const transitions = {};
+      results.forEach(result => {
+        const key = `${previousStatus.get(result.originalId)} -> ${result.status}`;
+        transitions[key] = (transitions[key] || 0) + 1;
+      });
+
+      const duration = Date.now() - startTime;
+      logger.info('Re-check completed', {
+        runId: this.runId,
+        parentRunId,
+        totalProcessed: results.length,
+        transitions,
+        duration: `${(duration / 1000).toFixed(2)}s`
+      });
+
+      return {
+        runId: this.runId,
+        parentRunId,
+        totalProcessed: results.length,
+        results: this.generateSummary(results),
+        transitions,
+        duration
+      };
+    });
+  }
+
+  /**
+   * Verify a scan or partitioned run: find source ids in the range it covered that have no
+   * result, and ids saved more than once. The missing ids are checked again and saved into
+   * the run itself; upserts make this safe to repeat. A run that is still running is only
+   * reported on, since its newest batches may still be in flight.
+   */
+  async verifyRun(options = {}) {
+    const startTime = Date.now();
+    const { runId, batchSize = null } = options;
+
+    if (!runId) {
+      throw new Error('--verify-run requires --run-id <id> of the run to verify');
+    }
+
+    const run = await this.db.getRun(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} does not exist`);
+    }
+    if (run.mode && !['scan', 'partitioned'].includes(run.mode)) {
+      throw new Error(`Run ${runId} is a ${run.mode} run; only scan and partitioned runs cover a range of source ids`);
+    }
+
+    const gaps = await this.db.findRunGaps(runId, {
+      sourceTable: options.sourceTable || run.source_table || config.sourceTable.tableName,
+      arnColumn: options.arnColumn || run.run_options.arnColumn || config.sourceTable.arnColumn,
+      idColumn: options.idColumn || run.run_options.idColumn || config.sourceTable.idColumn,
+      filter: run.source_filter
+    });
+    logger.info(`Run ${runId}: ${gaps.missing.length} missing and ${gaps.duplicates.length} duplicate source ids`);
+
+    const report = {
+      runId,
+      mode: run.mode || 'scan',
+      state: run.state,
+      ranges: gaps.ranges,
+      missing: gaps.missing.map(row => row.id),
+      duplicates: gaps.duplicates,
+      rechecked: 0,
+      results: {},
+      duration: 0
+    };
+
+    if (gaps.missing.length > 0 && run.state !== RUN_STATES.RUNNING) {
+      // Results join the run after its existing batches
+      this.runId = runId;
+      this.batchCounter = Number(gaps.lastBatchId);
+      const saveCallback = (batchResults) => this.db.batchSaveArnResults(this.enrichResults(batchResults));
+
+      const results = await this.runWithCircuitBreaker(
+        () => this.sns.checkMultipleArns(gaps.missing, batchSize, saveCallback),
+        { ...options, breakerCooldownMs: 0 }
+      );
+      report.rechecked = results.length;
+      report.results = this.generateSummary(results);
+    }
+
+    report.duration = Date.now() - startTime;
+    return report;
+  }
+
+  /**
+   * Archive or purge (options.mode) the result rows the retention policy no longer keeps.
+   * The job is recorded in the run registry as an archive or purge run, with the policy
+   * and the rows planned per run in its options and what was removed as its state
+   * reason. With options.dryRun only the plan is returned. Needs the database, not AWS.
+   */
+  async applyRetention(options = {}) {
+    const startTime = Date.now();
+    const { mode, dryRun = false } = options;
+    const target = mode === 'archive' ? (options.archiveTarget || config.retention.archiveTarget) : null;
+    if (target && !ARCHIVE_TARGETS.includes(target)) {
+      throw new Error(`Unknown archive target '${target}'. Valid options: ${ARCHIVE_TARGETS.join(', ')}`);
+    }
+    const policy = buildRetentionPolicy(options);
+    const location = { table: config.app.archiveTableName, ndjson: config.retention.archiveDir }[target] || null;
+
+    await this.db.connect();
+    await this.db.ensureSchema();
+
+    const plan = await this.db.getRetentionPlan(policy);
+    logger.info(`Retention policy: ${describePolicy(policy)}`);
+
+    const report = {
+      runId: null,
+      mode,
+      target,
+      location,
+      dryRun,
+      policy,
+      keptRunIds: plan.keptRunIds,
+      protectedRunIds: plan.protectedRunIds,
+      runs: plan.runs.map(run => ({ ...run, row_count: Number(run.row_count), removed: 0, file: null })),
+      totalRows: plan.runs.reduce((total, run) => total + Number(run.row_count), 0),
+      removedRows: 0,
+      duration: 0
+    };
+    if (dryRun || report.runs.length === 0) {
+      report.duration = Date.now() - startTime;
+      return report;
+    }
+
+    await this.db.createRun(this.runId, {
+      mode,
+      options: {
+        target,
+        location,
+        keepRuns: policy.keepRuns,
+        keepDays: policy.keepDays,
+        statusDays: policy.statusDays,
+        runs: Object.fromEntries(report.runs.map(run => [run.run_id, run.row_count]))
+      }
+    });
+    await this.markRunning();
+    report.runId = this.runId;
+
+    const archiver = new ResultArchiver(this.db, {
+      mode,
+      target,
+      archiveRunId: this.runId,
+      chunkSize: options.chunkSize
+    });
+
+    try {
+      for (const run of report.runs) {
+        const { rows, file } = await archiver.processRun(run.run_id, plan.expiry);
+        run.removed = rows;
+        run.file = file;
+        report.removedRows += rows;
+      }
+    } catch (error) {
+      await this.endRun(RUN_STATES.FAILED, `${error.message} (${report.removedRows} rows removed before the failure)`);
+      throw error;
+    }
+
+    await this.endRun(RUN_STATES.COMPLETED, `${mode === 'archive' ? 'Archived' : 'Purged'} ${report.removedRows} rows ` +
+      `from ${report.runs.length} run(s)${location ? ` to ${location}` : ''}`);
+
+    report.duration = Date.now() - startTime;
+    return report;
+  }
+
+  /**
+   * Delete the SNS endpoints of a run's results with the given statuses (default DISABLED
+   * and ORPHANED), or with options.current of every ARN whose current status is one of
+   * them and that is not deleted yet. Rows are joined to the run's source table (or
+   * --table / SOURCE_TABLE_NAME) on its id column. ARNs with a DELETED or ALREADY_DELETED
+   * attempt are skipped. With options.dryRun nothing is deleted; with options.reverify
+   * each endpoint is checked again first and left alone if it is enabled again. Unless
+   * snapshots are off (--no-snapshot, ENDPOINT_SNAPSHOTS=false), each endpoint's attributes
+   * are saved encrypted before it is deleted, for restoreEndpoints(). With
+   * options.executePlan only the manifest entries of an approved plan are deleted.
+   *
+   * Each invocation is a deletion run in the run registry (mode 'delete', parent_run_id
+   * the run deleted from). Attempts are saved per batch with the deletion run's id, and
+   * the highest result id saved is its checkpoint, held back below any endpoint whose
+   * attempts all failed: options.resumeDeletion continues a stopped deletion run after its
+   * checkpoint with its stored selection, trying failed endpoints again.
+   */
+  async deleteEndpoints(options = {}) {
+    const startTime = Date.now();
+    const { limit = null, batchSize = null } = options;
+    const chunkSize = options.chunkSize || config.app.chunkSize;
+    const deletion = await this.prepareDeletionRun(options);
+    const { selection } = deletion;
+
+    const saveCallback = (batchResults) => this.db.saveDeletionResults(batchResults.map(result => ({
+      cleanupResultId: result.id,
+      originalId: result.original_id,
+      arn: result.arn,
+      personId: result.person_id,
+      status: result.status,
+      errorMessage: result.errorMessage,
+      metadata: result.metadata,
+      deletionRunId: this.runId
+    })));
+    const saveSnapshots = deletion.snapshot
+      ? (records) => this.db.saveEndpointSnapshots(records.map(record => buildSnapshotRow(record, this.runId, deletion.snapshotKey)))
+      : null;
+
+    const summary = {};
+    let processed = 0;
+    let notInPlan = 0;
+    let stoppedByLimit = false;
+
+    await this.trackRun(() => this.runWithCircuitBreaker(async () => {
+      // A cool-down resumes here with the run marked running again
+      await this.markRunning();
+      let afterId = await this.db.getDeletionCheckpoint(this.runId);
+      if (afterId !== null) {
+        logger.info(`Deletion run ${this.runId} continues after result ID ${afterId}`);
+      }
+
+      while (true) {
+        const pageSize = limit ? Math.min(chunkSize, limit - processed) : chunkSize;
+        if (pageSize <= 0) {
+          // More candidates left after --limit: the run stays resumable
+          stoppedByLimit = (await this.db.getDeletionCandidates({ ...selection, afterId, limit: 1 })).length > 0;
+          break;
+        }
+
+        const candidates = await this.db.getDeletionCandidates({ ...selection, afterId, limit: pageSize });
+        if (candidates.length === 0) {
+          break;
+        }
+
+        // Candidates whose scan result changed after the plan was made are left alone
+        const planned = deletion.planKeys
+          ? candidates.filter(candidate => deletion.planKeys.has(planEntryKey(planEntry(candidate))))
+          : candidates;
+        if (planned.length < candidates.length) {
+          notInPlan += candidates.length - planned.length;
+          logger.warn(`${candidates.length - planned.length} candidates do not match plan ${deletion.plan.planId} and are not deleted`);
+        }
+
+        const results = planned.length === 0 ? [] : await this.sns.deleteMultipleEndpoints(planned, batchSize, saveCallback, {
+          dryRun: deletion.dryRun,
+          reverify: deletion.reverify,
+          saveSnapshots
+        });
+        results.forEach(result => {
+          summary[result.status] = (summary[result.status] || 0) + 1;
+        });
+        processed += results.length;
+        afterId = candidates[candidates.length - 1].id;
+        logger.info(`Deletion run ${this.runId}: ${processed} endpoints processed`, { afterId, summary });
+      }
+
+      if (stoppedByLimit) {
+        await this.endRun(RUN_STATES.INTERRUPTED, `Stopped after --limit ${limit}`);
+      }
+    }, options));
+
+    const duration = Date.now() - startTime;
+    logger.info('Endpoint deletion completed', {
+      runId: this.runId,
+      deletionOf: deletion.current ? 'current' : deletion.parentRunId,
+      totalProcessed: processed,
+      summary,
+      dryRun: deletion.dryRun,
+      duration: `${(duration / 1000).toFixed(2)}s`
+    });
+
+    return {
+      runId: this.runId,
+      resumed: deletion.resumed,
+      parentRunId: deletion.parentRunId,
+      current: deletion.current,
+      statuses: deletion.statuses,
+      sourceTable: deletion.sourceTable,
+      dryRun: deletion.dryRun,
+      reverify: deletion.reverify,
+      snapshot: deletion.snapshot,
+      scannedSince: deletion.scannedSince,
+      staleCandidates: deletion.staleCandidates,
+      planId: deletion.plan ? deletion.plan.planId : null,
+      planApprovers: deletion.plan ? deletion.plan.approvers : [],
+      notInPlan,
+      stoppedByLimit,
+      totalProcessed: processed,
+      results: summary,
+      duration
+    };
+  }
+
+  /**
+   * Register a new deletion run from the CLI options, or load the stopped deletion run
+   * given by options.resumeDeletion (whose stored selection and checks are kept; the CLI
+   * can only add --reverify, change --max-scan-age or pass --no-snapshot). With
+   * options.executePlan the selection comes from an approved deletion plan, whose
+   * manifest must still be exactly what the selection finds; without a plan only dry runs
+   * are allowed unless DELETE_REQUIRE_PLAN=false. Candidates scanned before the
+   * --max-scan-age cut-off (for a plan, the one it was made with) are left out, and a run
+   * where that is all of them is refused.
+   * Returns the run's settings, the snapshot key when snapshots are on, the plan, and
+   * the `selection` for getDeletionCandidates(). With planOnly nothing is checked beyond
+   * the selection and no run is registered (for planDeletion()).
+   */
+  async prepareDeletionRun(options, { planOnly = false } = {}) {
+    let deletion;
+    let plan = null;
+    if (options.resumeDeletion) {
+      const run = await this.db.getRun(options.resumeDeletion);
+      if (!run || run.mode !== 'delete') {
+        throw new Error(`${options.resumeDeletion} is not a deletion run`);
+      }
+      if (!isResumableState(run.state)) {
+        throw new Error(`Cannot resume: deletion run ${run.run_id} is already ${run.state}`);
+      }
+      if (run.run_options.planId) {
+        plan = await this.loadDeletionPlan(options.executePlan || run.run_options.planFile, {
+          planId: run.run_options.planId,
+          requireApproval: !run.run_options.dryRun
+        });
+      }
+
+      this.runId = run.run_id;
+      deletion = {
+        resumed: true,
+        parentRunId: run.parent_run_id,
+        current: Boolean(run.run_options.current),
+        statuses: run.run_options.statuses,
+        sourceTable: run.source_table,
+        idColumn: run.run_options.idColumn,
+        personColumn: run.run_options.personColumn || null,
+        dryRun: Boolean(run.run_options.dryRun),
+        reverify: Boolean(options.reverify || run.run_options.reverify),
+        snapshot: Boolean(run.run_options.snapshot) && options.snapshot !== false,
+        maxScanAgeDays: options.maxScanAgeDays ?? (run.run_options.maxScanAgeDays || 0)
+      };
+    } else {
+      if (options.executePlan) {
+        if (options.runId || options.current || options.statuses || options.sourceTable || options.idColumn) {
+          throw new Error('--execute-plan deletes what the plan selected; leave out --run-id, --current, --status, --table and --id-column');
+        }
+        plan = await this.loadDeletionPlan(options.executePlan, { requireApproval: !options.dryRun });
+        if (plan.executedRunId && !options.dryRun) {
+          throw new Error(`Plan ${plan.planId} was already executed by deletion run ${plan.executedRunId}; ` +
+            `continue that run with --resume-deletion ${plan.executedRunId}`);
+        }
+        options = {
+          ...options,
+          runId: plan.selection.parentRunId,
+          current: plan.selection.current,
+          statuses: plan.selection.statuses,
+          sourceTable: plan.selection.sourceTable,
+          idColumn: plan.selection.idColumn
+        };
+      }
+
+      const { runId = null, current = false, statuses = DELETABLE_STATUSES, dryRun = false } = options;
+      if (!runId && !current) {
+        throw new Error('delete requires --run-id <id> of the run to delete from, --current, or --resume-deletion <id>');
+      }
+
+      // Runs from before the run registry have no stored source table or options
+      const run = runId ? await this.db.getRun(runId) : null;
+      const runOptions = (run && run.run_options) || {};
+      deletion = {
+        resumed: false,
+        parentRunId: current ? null : runId,
+        current,
+        statuses,
+        sourceTable: options.sourceTable || (run && run.source_table) || config.sourceTable.tableName,
+        idColumn: options.idColumn || runOptions.idColumn || config.sourceTable.idColumn,
+        personColumn: plan ? plan.selection.personColumn : config.sourceTable.personColumn,
+        dryRun,
+        reverify: Boolean(options.reverify ?? config.deletion.reverify),
+        // A dry run deletes nothing, so there is nothing to restore
+        snapshot: !dryRun && (options.snapshot ?? config.snapshots.enabled),
+        maxScanAgeDays: options.maxScanAgeDays ?? (plan ? plan.selection.maxScanAgeDays : config.deletion.maxScanAgeDays)
+      };
+    }
+
+    if (!planOnly && !plan && !deletion.dryRun && config.deletion.requirePlan) {
+      throw new Error('Deleting requires an approved deletion plan: write one with `delete --plan`, approve it with ' +
+        '`delete --approve-plan <file> --approver <name>`, then run `delete --execute-plan <file>` ' +
+        '(--dry-run works without a plan; DELETE_REQUIRE_PLAN=false turns plans off)');
+    }
+
+    // Without a usable key fail here, before anything is deleted
+    if (deletion.snapshot && !planOnly) {
+      try {
+        deletion.snapshotKey = loadSnapshotKey();
+      } catch (error) {
+        throw new Error(`${error.message}. To delete without snapshots, pass --no-snapshot or set ENDPOINT_SNAPSHOTS=false`);
+      }
+    }
+
+    // A plan is executed with the scan cut-off it was reviewed and approved with, unless
+    // --max-scan-age is given again
+    deletion.scannedSince = plan && options.maxScanAgeDays == null
+      ? plan.selection.scannedSince
+      : buildScanCutoff(deletion.maxScanAgeDays);
+    deletion.selection = {
+      runId: deletion.current ? null : deletion.parentRunId,
+      statuses: deletion.statuses,
+      current: deletion.current,
+      sourceTable: deletion.sourceTable,
+      idColumn: deletion.idColumn,
+      personColumn: deletion.personColumn,
+      scannedSince: deletion.scannedSince
+    };
+
+    deletion.staleCandidates = 0;
+    if (deletion.scannedSince) {
+      const afterId = deletion.resumed ? await this.db.getDeletionCheckpoint(this.runId) : null;
+      const fresh = await this.db.countDeletionCandidates({ ...deletion.selection, afterId });
+      const all = await this.db.countDeletionCandidates({ ...deletion.selection, afterId, scannedSince: null });
+      deletion.staleCandidates = all - fresh;
+
+      if (deletion.staleCandidates > 0 && fresh === 0) {
+        throw new Error(`Refusing to delete: all ${all} candidates were scanned more than ${deletion.maxScanAgeDays} days ago ` +
+          `(before ${deletion.scannedSince}). Check them again (--recheck or a new scan) and delete from the newer results`);
+      }
+      if (deletion.staleCandidates > 0) {
+        logger.warn(`${deletion.staleCandidates} of ${all} candidates were scanned before ${deletion.scannedSince} ` +
+          `(--max-scan-age ${deletion.maxScanAgeDays} days) and will not be deleted`);
+      }
+    }
+
+    if (planOnly) {
+      return deletion;
+    }
+
+    if (plan) {
+      deletion.plan = plan;
+      deletion.planKeys = new Set(plan.manifest.map(planEntryKey));
+      // A resumed run has already deleted part of the manifest; each page is still checked against it
+      if (!deletion.resumed) {
+        await this.verifyPlanCandidates(deletion);
+      }
+    }
+
+    if (deletion.resumed) {
+      logger.info(`Resuming deletion run ${this.runId}`, { reverify: deletion.reverify, scannedSince: deletion.scannedSince });
+      return deletion;
+    }
+
+    if (plan && !deletion.dryRun && !(await this.db.recordPlanExecution(plan.planId, this.runId))) {
+      throw new Error(`Plan ${plan.planId} was executed by another deletion run in the meantime`);
+    }
+
+    await this.db.createRun(this.runId, {
+      mode: 'delete',
+      sourceTable: deletion.sourceTable,
+      parentRunId: deletion.parentRunId,
+      options: {
+        current: deletion.current,
+        statuses: deletion.statuses,
+        idColumn: deletion.idColumn,
+        personColumn: deletion.personColumn,
+        dryRun: deletion.dryRun,
+        reverify: deletion.reverify,
+        snapshot: deletion.snapshot,
+        maxScanAgeDays: deletion.maxScanAgeDays || null,
+        ...(plan ? { planId: plan.planId, planHash: plan.hash, planFile: plan.file, scannedSince: deletion.scannedSince } : {}),
+        ...pickRunOptions({ limit: options.limit, batchSize: options.batchSize })
+      }
+    });
+    logger.info(`Starting deletion run ${this.runId} of ${deletion.current ? 'current statuses' : `run ${deletion.parentRunId}`}`, {
+      statuses: deletion.statuses,
+      sourceTable: deletion.sourceTable,
+      dryRun: deletion.dryRun,
+      reverify: deletion.reverify,
+      snapshot: deletion.snapshot,
+      scannedSince: deletion.scannedSince,
+      planId: plan ? plan.planId : null
+    });
+    return deletion;
+  }
+
+  /**
+   * Call fn(candidates) with each keyset page of the deletion candidates of `selection`
+   */
+  async forEachDeletionCandidatePage(selection, fn, chunkSize = config.app.chunkSize) {
+    let afterId = null;
+    while (true) {
+      const candidates = await this.db.getDeletionCandidates({ ...selection, afterId, limit: chunkSize });
+      if (candidates.length === 0) {
+        return;
+      }
+      await fn(candidates);
+      afterId = candidates[candidates.length - 1].id;
+    }
+  }
+
+  /**
+   * Write a deletion plan for review instead of deleting: the candidates the same
+   * `delete` options select, each with the scan result it was selected on, and counts per
+   * application and person. The plan file (options.planFile, by default in
+   * DELETE_PLAN_DIR) is registered in the plans table with the approvals it needs
+   * (DELETE_PLAN_APPROVALS).
+   */
+  async planDeletion(options = {}) {
+    if (options.resumeDeletion || options.executePlan) {
+      throw new Error('--plan makes a new plan; leave out --resume-deletion and --execute-plan');
+    }
+
+    const deletion = await this.prepareDeletionRun({ ...options, dryRun: false }, { planOnly: true });
+    const manifest = [];
+    await this.forEachDeletionCandidatePage(deletion.selection, async (candidates) => {
+      manifest.push(...candidates.map(planEntry));
+    });
+    if (manifest.length === 0) {
+      throw new Error('Nothing to plan: the selection has no deletion candidates');
+    }
+
+    const planId = this.runId.replace(/^run-/, 'plan-');
+    const plan = {
+      version: PLAN_VERSION,
+      planId,
+      createdAt: new Date().toISOString(),
+      createdBy: currentOperator(),
+      environment: config.app.environment,
+      selection: {
+        parentRunId: deletion.parentRunId,
+        current: deletion.current,
+        statuses: deletion.statuses,
+        sourceTable: deletion.sourceTable,
+        idColumn: deletion.idColumn,
+        personColumn: deletion.personColumn,
+        maxScanAgeDays: deletion.maxScanAgeDays || null,
+        scannedSince: deletion.scannedSince
+      },
+      summary: summarizePlan(manifest, { byPerson: Boolean(deletion.personColumn) }),
+      manifest
+    };
+    plan.hash = hashPlan(plan);
+
+    const file = path.resolve(options.planFile || defaultPlanFile(planId));
+    writePlanFile(file, plan);
+    await this.db.createDeletionPlan({ ...plan, file, requiredApprovals: config.deletion.planApprovals });
+    logger.info(`Deletion plan ${planId} written to ${file}`, { total: plan.summary.total, hash: plan.hash });
+
+    return {
+      planId,
+      file,
+      hash: plan.hash,
+      selection: plan.selection,
+      summary: plan.summary,
+      requiredApprovals: config.deletion.planApprovals
+    };
+  }
+
+  /**
+   * Read a plan file and check it against the plan registered under its id, returning
+   * the plan with its file, approvers, required approvals and executing run. With
+   * requireApproval a plan without enough approvals is refused.
+   */
+  async loadDeletionPlan(file, { planId = null, requireApproval = true } = {}) {
+    if (!file) {
+      throw new Error(`Deletion plan ${planId} has no plan file on record; pass it with --execute-plan <file>`);
+    }
+
+    const plan = readPlanFile(file);
+    if (planId && plan.planId !== planId) {
+      throw new Error(`${file} is plan ${plan.planId}, not ${planId}`);
+    }
+
+    const record = await this.db.getDeletionPlan(plan.planId);
+    if (!record) {
+      throw new Error(`Deletion plan ${plan.planId} is not registered in ${config.app.plansTableName}`);
+    }
+    if (record.plan_hash !== plan.hash) {
+      throw new Error(`${file} is not plan ${plan.planId} as it was made (hash ${plan.hash}, registered ${record.plan_hash})`);
+    }
+
+    const approvers = record.approvals.map(approval => approval.approver);
+    if (requireApproval && approvers.length < record.required_approvals) {
+      throw new Error(`Plan ${plan.planId} has ${approvers.length} of the ${record.required_approvals} approval(s) it needs; ` +
+        `approve it with: node src/cleanup.js delete --approve-plan ${file} --approver <name>`);
+    }
+
+    return {
+      ...plan,
+      file: path.resolve(file),
+      approvals: record.approvals,
+      approvers,
+      requiredApprovals: record.required_approvals,
+      executedRunId: record.executed_run_id
+    };
+  }
+
+  /**
+   * Record options.approver's approval of the plan in options.approvePlan (a plan file),
+   * with the OS user@host it is given from. The plan's creator cannot approve it, and an
+   * OS user approves a plan once, whatever --approver name they give.
+   */
+  async approveDeletionPlan({ approvePlan: file, approver = null, comment = null }) {
+    if (!approver) {
+      throw new Error('--approve-plan requires --approver <name>');
+    }
+
+    const plan = await this.loadDeletionPlan(file, { requireApproval: false });
+    if (plan.executedRunId) {
+      throw new Error(`Plan ${plan.planId} was already executed by deletion run ${plan.executedRunId}`);
+    }
+    if (plan.approvers.includes(approver)) {
+      throw new Error(`${approver} has already approved plan ${plan.planId}`);
+    }
+
+    const approvedBy = currentOperator();
+    if (approvedBy === plan.createdBy) {
+      throw new Error(`Plan ${plan.planId} was made by ${approvedBy}; it must be approved by someone else`);
+    }
+    const previous = plan.approvals.find(approval => approval.approved_by === approvedBy);
+    if (previous) {
+      throw new Error(`${approvedBy} has already approved plan ${plan.planId} (as ${previous.approver})`);
+    }
 
-      // Create callback to save results after each batch
-      const saveCallback = async (batchResults) => {
-        try {
-          // Add run tracking to each result
-          this.batchCounter++;
-          const enrichedResults = batchResults.map(result => ({
-            ...result,
-            runId: this.runId,
-            batchId: this.batchCounter
-          }));
-          await this.db.batchSaveArnResults(enrichedResults);
-        } catch (error) {
-          logger.error('Failed to save batch results to database', { error: error.message });
-          throw error;
+    await this.db.approveDeletionPlan(plan.planId, plan.hash, approver, approvedBy, comment);
+    logger.info(`Plan ${plan.planId} approved by ${approver}`, { hash: plan.hash, approvedBy });
+    return {
+      planId: plan.planId,
+      file: plan.file,
+      hash: plan.hash,
+      summary: plan.summary,
+      approvers: [...plan.approvers, approver],
+      requiredApprovals: plan.requiredApprovals
+    };
+  }
+
+  /**
+   * Refuse to execute a plan whose manifest is no longer exactly what its selection
+   * finds: a scan, re-check or deletion since the plan was made changed the candidates
+   * or the scan results they were selected on
+   */
+  async verifyPlanCandidates({ plan, planKeys, selection }) {
+    const matched = new Set();
+    let unplanned = 0;
+    await this.forEachDeletionCandidatePage(selection, async (candidates) => {
+      candidates.forEach(candidate => {
+        const key = planEntryKey(planEntry(candidate));
+        if (planKeys.has(key)) {
+          matched.add(key);
+        } else {
+          unplanned++;
         }
-      };
+      });
+    });
 
-      // Check ARNs with SNS, saving results as we go
-      const results = await this.sns.checkMultipleArns(
-        arnsToCheck, 
-        batchSize,
-        saveCallback
-      );
+    const missing = plan.manifest.filter(entry => !matched.has(planEntryKey(entry)));
+    const agedOut = selection.scannedSince
+      ? missing.filter(entry => entry.scannedAt && entry.scannedAt < selection.scannedSince).length
+      : 0;
+    if (agedOut > 0) {
+      throw new Error(`${agedOut} of the ${plan.manifest.length} entries of plan ${plan.planId} were scanned before the ` +
+        `--max-scan-age cut-off ${selection.scannedSince}. Execute it without --max-scan-age to use the plan's cut-off ` +
+        `(${plan.selection.scannedSince || 'none'}), or write and approve a new plan from newer results`);
+    }
+    if (unplanned > 0 || missing.length > 0) {
+      throw new Error(`Scan data changed since plan ${plan.planId} was made: ${unplanned} candidate(s) are not in its manifest ` +
+        `and ${missing.length} of its ${plan.manifest.length} entries no longer match. Write and approve a new plan`);
+    }
+  }
 
-      // Generate summary
-      const summary = this.generateSummary(results);
-      const duration = Date.now() - startTime;
+  /**
+   * Recreate endpoints deleted by the deletion run options.runId, or the one of
+   * options.arn, from their snapshots: same platform application, token, CustomUserData
+   * and Enabled attribute. Only endpoints the run actually DELETED are restored, and ones
+   * restored before are skipped, so a stopped restore continues by running it again.
+   * Each invocation is a restore run in the run registry (mode 'restore', parent_run_id
+   * the deletion run); the new ARN is saved on each snapshot next to the deleted one.
+   */
+  async restoreEndpoints(options = {}) {
+    const startTime = Date.now();
+    const { runId = null, arn = null, limit = null, batchSize = null, dryRun = false } = options;
+    const chunkSize = options.chunkSize || config.app.chunkSize;
+    if (!runId && !arn) {
+      throw new Error('restore requires --run-id <id> of the deletion run to restore, or --arn <deleted endpoint ARN>');
+    }
+    if (runId) {
+      const run = await this.db.getRun(runId);
+      if (!run || run.mode !== 'delete') {
+        throw new Error(`${runId} is not a deletion run`);
+      }
+    }
+    const snapshotKey = loadSnapshotKey();
 
-      logger.info('ARN cleanup process completed', {
-        totalProcessed: results.length,
-        duration: `${(duration / 1000).toFixed(2)}s`,
-        summary
-      });
+    await this.db.createRun(this.runId, {
+      mode: 'restore',
+      parentRunId: runId,
+      options: { arn, dryRun, ...pickRunOptions({ limit, batchSize }) }
+    });
+    logger.info(`Starting restore run ${this.runId}${runId ? ` of deletion run ${runId}` : ''}`, { arn, dryRun });
 
-      return {
-        totalProcessed: results.length,
-        results: summary,
-        duration
-      };
+    const saveCallback = dryRun ? null : (batchResults) => this.db.saveRestoreResults(batchResults, this.runId);
+    const summary = {};
+    const restored = [];
+    let processed = 0;
 
-    } catch (error) {
-      logError(error, { context: 'Cleanup process' });
-      throw error;
-    }
+    await this.trackRun(() => this.runWithCircuitBreaker(async () => {
+      await this.markRunning();
+      let afterId = null;
+
+      while (true) {
+        const pageSize = limit ? Math.min(chunkSize, limit - processed) : chunkSize;
+        if (pageSize <= 0) {
+          break;
+        }
+
+        const rows = await this.db.getRestoreCandidates({ deletionRunId: runId, arn, afterId, limit: pageSize });
+        if (rows.length === 0) {
+          break;
+        }
+
+        const snapshots = rows.map(row => ({ id: row.id, ...decryptSnapshot(row, snapshotKey) }));
+        const results = await this.sns.restoreMultipleEndpoints(snapshots, batchSize, saveCallback, { dryRun });
+        results.forEach(result => {
+          summary[result.status] = (summary[result.status] || 0) + 1;
+          if (result.newArn) {
+            restored.push({ arn: result.arn, newArn: result.newArn });
+          }
+        });
+        processed += results.length;
+        afterId = rows[rows.length - 1].id;
+      }
+    }, options));
+
+    const duration = Date.now() - startTime;
+    logger.info('Endpoint restore completed', { runId: this.runId, deletionRunId: runId, totalProcessed: processed, summary, dryRun });
+
+    return {
+      runId: this.runId,
+      deletionRunId: runId,
+      dryRun,
+      totalProcessed: processed,
+      results: summary,
+      restored,
+      duration
+    };
   }
 
   generateSummary(results) {
@@ -252,6 +1494,59 @@ class ArnCleanupService {
     }
   }
 
+  /**
+   * A run's status counts with its re-check runs applied, or null if it was never re-checked
+   */
+  async getReconciledStats(runId) {
+    try {
+      const childRuns = await this.db.getChildRuns(runId);
+      if (childRuns.length === 0) {
+        return null;
+      }
+
+      const stats = await this.db.getReconciledStats(runId);
+      return { ...stats, child_runs: childRuns.map(run => run.run_id) };
+    } catch (error) {
+      logError(error, { context: 'Getting reconciled stats', runId });
+      throw error;
+    }
+  }
+
+  async getStatusBreakdown(groupBy, runId = null) {
+    try {
+      return await this.db.getStatusBreakdown(groupBy, runId);
+    } catch (error) {
+      logError(error, { context: 'Getting status breakdown' });
+      throw error;
+    }
+  }
+
+  /**
+   * Status and deletion counts with every ARN counted once, from the current status table
+   */
+  async getCurrentStatusStats(groupBy = null) {
+    try {
+      const stats = await this.db.getCurrentStatusStats();
+      logger.info('Current status statistics', stats);
+      return {
+        ...stats,
+        breakdown: groupBy ? await this.db.getCurrentStatusBreakdown(groupBy) : null
+      };
+    } catch (error) {
+      logError(error, { context: 'Getting current status stats' });
+      throw error;
+    }
+  }
+
+  async getCurrentStatus(arn) {
+    try {
+      return await this.db.getCurrentStatus(arn);
+    } catch (error) {
+      logError(error, { context: 'Getting current status' });
+      throw error;
+    }
+  }
+
   async listRuns() {
     try {
       const runs = await this.db.getRunList();
@@ -276,6 +1571,34 @@ class ArnCleanupService {
     }
   }
 
+  async getPartitionProgress(runId) {
+    try {
+      return await this.db.getPartitionProgress(runId);
+    } catch (error) {
+      logError(error, { context: 'Getting partition progress' });
+      throw error;
+    }
+  }
+
+  /**
+   * Schema migration commands; these only need the database, not AWS
+   */
+  async migrate(action) {
+    const migrator = new Migrator(this.db);
+    await this.db.connect();
+
+    switch (action) {
+      case 'up':
+        return migrator.up();
+      case 'status':
+        return migrator.status();
+      case 'plan':
+        return migrator.plan();
+      default:
+        throw new Error(`Unknown migrate command '${action}': use up, status or plan`);
+    }
+  }
+
   async shutdown() {
     try {
       await this.db.disconnect();
@@ -286,13 +1609,41 @@ class ArnCleanupService {
   }
 }
 
+const printPartition = (partition) => {
+  const worker = partition.worker_id ? `, worker ${partition.worker_id}` : '';
+  console.log(`  #${partition.partition_id} [${partition.status}] IDs ${partition.range_start}-${partition.range_end}: ` +
+    `${partition.processed_count}/${partition.row_count} (${partition.progress_percent}%)${worker}`);
+};
+
+const printBreakdownRow = (row) => {
+  const label = ['arn_partition', 'arn_region', 'arn_account', 'platform', 'application_name']
+    .filter(column => column in row)
+    .map(column => row[column] || 'unknown')
+    .join(' / ');
+  console.log(`  ${label}: ${row.total_records} total, ${row.enabled_count} enabled, ${row.disabled_count} disabled, ` +
+    `${row.error_count} errors, ${row.not_found_count} not found, ${row.invalid_count} invalid, ${row.orphaned_count} orphaned` +
+    ('deleted_count' in row ? `, ${row.deleted_count} deleted` : ''));
+};
+
 // CLI interface
 async function main() {
   const service = new ArnCleanupService();
+
+  // Record Ctrl+C / pm2 stop as an interruption so the run shows up as resumable
+  const onSignal = async (signal) => {
+    console.log(`\nReceived ${signal}, stopping...`);
+    await service.endRun(RUN_STATES.INTERRUPTED, `Received ${signal}`);
+    await service.shutdown();
+    process.exit(130);
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
   
   try {
-    // Parse command line arguments
-    const args = process.argv.slice(2);
+    // Parse command line arguments; --flag=value is the same as --flag value
+    const args = process.argv.slice(2).flatMap(arg => (
+      /^--[^=]+=/.test(arg) ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg]
+    ));
     const options = {};
     
     // Simple argument parsing
@@ -323,6 +1674,10 @@ async function main() {
               options.limit = parseInt(value);
               i++; // Skip next arg as it's the value
               break;
+            case 'chunk-size':
+              options.chunkSize = parseInt(value);
+              i++; // Skip next arg as it's the value
+              break;
             case 'batch-size':
               options.batchSize = parseInt(value);
               i++; // Skip next arg as it's the value
@@ -335,10 +1690,99 @@ async function main() {
               options.resumeRunId = value;
               i++; // Skip next arg as it's the value
               break;
+            case 'resume-deletion':
+              options.resumeDeletion = value;
+              i++; // Skip next arg as it's the value
+              break;
             case 'run-id':
               options.runId = value;
               i++; // Skip next arg as it's the value
               break;
+            case 'concurrency':
+              options.concurrency = parseInt(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'rps':
+              options.maxRequestsPerSecond = parseFloat(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'group-by':
+              options.groupBy = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'application':
+              options.application = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'partitions':
+              options.partitions = parseInt(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'filter':
+              options.filters = [...(options.filters || []), value];
+              i++; // Skip next arg as it's the value
+              break;
+            case 'where-clause':
+              options.whereClause = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'status':
+              options.statuses = value.split(',').map(status => status.trim().toUpperCase()).filter(Boolean);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'breaker-cooldown':
+              options.breakerCooldownMs = parseInt(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'max-age':
+              options.maxAgeDays = parseFloat(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'max-scan-age':
+              options.maxScanAgeDays = parseFloat(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'arn':
+              options.arn = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'keep-runs':
+              options.keepRuns = parseInt(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'keep-days':
+              options.keepDays = parseFloat(value);
+              i++; // Skip next arg as it's the value
+              break;
+            case 'keep-status':
+              options.keepStatus = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'archive-to':
+              options.archiveTarget = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'plan':
+              options.plan = true;
+              options.planFile = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'approve-plan':
+              options.approvePlan = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'execute-plan':
+              options.executePlan = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'approver':
+              options.approver = value;
+              i++; // Skip next arg as it's the value
+              break;
+            case 'comment':
+              options.comment = value;
+              i++; // Skip next arg as it's the value
+              break;
           }
         } else {
           // Handle flags without values
@@ -346,6 +1790,27 @@ async function main() {
             case 'auto-batch':
               options.autoBatch = true;
               break;
+            case 'partitioned':
+              options.partitioned = true;
+              break;
+            case 'delta':
+              options.delta = true;
+              break;
+            case 'current':
+              options.current = true;
+              break;
+            case 'dry-run':
+              options.dryRun = true;
+              break;
+            case 'reverify':
+              options.reverify = true;
+              break;
+            case 'no-snapshot':
+              options.snapshot = false;
+              break;
+            case 'plan':
+              options.plan = true;
+              break;
           }
         }
       } else if (!isNaN(parseInt(arg))) {
@@ -354,10 +1819,213 @@ async function main() {
       }
     }
 
+    // Turn --filter/--where-clause into a validated, parameterizable filter
+    options.filter = buildSourceFilter({ filters: options.filters, whereClause: options.whereClause });
+
+    // Reject malformed --table/--column/--id-column before connecting; existence is checked once connected
+    if (options.sourceTable) {
+      parseTableName(options.sourceTable);
+    }
+    [options.arnColumn, options.idColumn].filter(Boolean).forEach(column => validateIdentifier(column, 'column'));
+
+    // Schema migration subcommand: migrate up|status|plan
+    if (args[0] === 'migrate') {
+      const action = args[1] || 'status';
+      const migrations = await service.migrate(action);
+      if (action === 'up') {
+        console.log(migrations.length > 0
+          ? `\nApplied ${migrations.length} migration(s):`
+          : '\nSchema is up to date');
+        migrations.forEach(migration => console.log(`  ${migration.name} -> ${migration.target}`));
+      } else if (action === 'status') {
+        console.log(`\n=== Schema Migrations (${config.app.migrationsTableName}) ===`);
+        migrations.forEach(migration => {
+          const applied = migration.appliedAt ? ` at ${new Date(migration.appliedAt).toISOString()} by ${migration.appliedBy}` : '';
+          console.log(`  [${migration.state}] ${migration.name} -> ${migration.target}${applied}`);
+        });
+        if (migrations.some(migration => migration.state === 'changed')) {
+          console.log('\n⚠️  Migrations marked changed were edited after they were applied; they are not re-run');
+        }
+      } else {
+        console.log(migrations.length > 0
+          ? `\n=== ${migrations.length} Pending Migration(s) ===`
+          : '\nNo pending migrations');
+        migrations.forEach(migration => {
+          console.log(`\n-- ${migration.name} -> ${migration.target}: ${migration.description}`);
+          // Batch separator for sqlcmd/SSMS; plain statement terminator for sqlite3
+          const separator = service.db.dialect === 'mssql' ? '\nGO' : ';';
+          migration.statements.forEach(statement => console.log(`${statement}${separator}`));
+        });
+      }
+      await service.shutdown();
+      return;
+    }
+
+    // Deletion plans: delete --plan [file] | --approve-plan <file> --approver <name>
+    if (args[0] === 'delete' && options.plan) {
+      await service.initialize();
+      const plan = await service.planDeletion(options);
+      console.log('\n=== Deletion Plan ===');
+      console.log(`Plan ID: ${plan.planId}`);
+      console.log(`Plan File: ${plan.file}`);
+      console.log(`Hash: ${plan.hash}`);
+      console.log(`Selected: ${plan.selection.statuses.join(', ')} ${plan.selection.current ? 'ARNs by current status' : `results of run ${plan.selection.parentRunId}`}`);
+      console.log(`Source Table: ${plan.selection.sourceTable}`);
+      console.log(`Endpoints: ${plan.summary.total}`);
+      console.log('\nBy Application:');
+      Object.entries(plan.summary.byApplication).forEach(([application, count]) => console.log(`  ${application}: ${count}`));
+      if (plan.summary.byPerson) {
+        console.log(`People: ${Object.keys(plan.summary.byPerson).length} (counts per person are in the plan file)`);
+      }
+      console.log(`\n📋 Needs ${plan.requiredApprovals} approval(s) by someone other than you: node src/cleanup.js delete --approve-plan ${plan.file} --approver <name>`);
+      console.log(`   Then execute: node src/cleanup.js delete --execute-plan ${plan.file}`);
+      await service.shutdown();
+      return;
+    }
+
+    if (args[0] === 'delete' && options.approvePlan) {
+      await service.initialize();
+      const approval = await service.approveDeletionPlan(options);
+      console.log(`\n=== Plan ${approval.planId} Approved ===`);
+      console.log(`Hash: ${approval.hash}`);
+      console.log(`Endpoints: ${approval.summary.total}`);
+      console.log(`Approvals: ${approval.approvers.length} of ${approval.requiredApprovals} (${approval.approvers.join(', ')})`);
+      if (approval.approvers.length >= approval.requiredApprovals) {
+        console.log(`\n📋 Ready to execute: node src/cleanup.js delete --execute-plan ${approval.file}`);
+      }
+      await service.shutdown();
+      return;
+    }
+
+    // Endpoint deletion subcommand: delete --execute-plan <file> | --resume-deletion <id>
+    // (and --run-id <id> | --current for dry runs, or with DELETE_REQUIRE_PLAN=false)
+    if (args[0] === 'delete') {
+      await service.initialize();
+      if (options.concurrency || options.maxRequestsPerSecond) {
+        service.sns.configureRateLimit(options);
+      }
+      const result = await service.deleteEndpoints(options);
+      console.log(`\n=== Endpoint Deletion${result.dryRun ? ' (dry run)' : ''} ===`);
+      console.log(`Deletion Run ID: ${result.runId}${result.resumed ? ' (resumed)' : ''}`);
+      console.log(`Selected: ${result.statuses.join(', ')} ${result.current ? 'ARNs by current status' : `results of run ${result.parentRunId}`}`);
+      console.log(`Source Table: ${result.sourceTable}`);
+      if (result.planId) {
+        console.log(`Plan: ${result.planId} (approved by ${result.planApprovers.join(', ') || 'nobody yet'})` +
+          `${result.notInPlan > 0 ? `, ${result.notInPlan} changed candidates not deleted` : ''}`);
+      }
+      console.log(`Re-verify Before Delete: ${result.reverify ? 'yes' : 'no'}`);
+      console.log(`Snapshots: ${result.snapshot ? `yes (restore with: node src/cleanup.js restore --run-id ${result.runId})` : 'no'}`);
+      if (result.scannedSince) {
+        console.log(`Scanned Since: ${result.scannedSince}${result.staleCandidates > 0 ? ` (${result.staleCandidates} older candidates not deleted)` : ''}`);
+      }
+      console.log(`Total Processed: ${result.totalProcessed}`);
+      console.log(`Duration: ${(result.duration / 1000).toFixed(2)} seconds`);
+      if (result.totalProcessed > 0) {
+        console.log('\nDeletion Breakdown:');
+        Object.entries(result.results).forEach(([status, count]) => {
+          console.log(`  ${status}: ${count}`);
+        });
+      }
+      if (result.stoppedByLimit) {
+        console.log(`\n📋 Stopped at --limit; continue with: node src/cleanup.js delete --resume-deletion ${result.runId}`);
+      }
+      await service.shutdown();
+      return;
+    }
+
+    // Endpoint restore subcommand: restore --run-id <deletion run id> | --arn <deleted ARN>
+    if (args[0] === 'restore') {
+      await service.initialize();
+      if (options.concurrency || options.maxRequestsPerSecond) {
+        service.sns.configureRateLimit(options);
+      }
+      const result = await service.restoreEndpoints(options);
+      console.log(`\n=== Endpoint Restore${result.dryRun ? ' (dry run)' : ''} ===`);
+      console.log(`Restore Run ID: ${result.runId}`);
+      console.log(`Restored From: ${result.deletionRunId ? `deletion run ${result.deletionRunId}` : options.arn}`);
+      console.log(`Total Processed: ${result.totalProcessed}`);
+      console.log(`Duration: ${(result.duration / 1000).toFixed(2)} seconds`);
+      if (result.totalProcessed > 0) {
+        console.log('\nRestore Breakdown:');
+        Object.entries(result.results).forEach(([status, count]) => {
+          console.log(`  ${status}: ${count}`);
+        });
+      }
+      if (result.restored.length > 0) {
+        console.log('\nRestored Endpoints (deleted ARN -> new ARN):');
+        result.restored.slice(0, 20).forEach(({ arn, newArn }) => console.log(`  ${arn} -> ${newArn}`));
+        if (result.restored.length > 20) {
+          console.log(`  ... and ${result.restored.length - 20} more in ${config.app.snapshotsTableName} (restore_run_id ${result.runId})`);
+        }
+      }
+      await service.shutdown();
+      return;
+    }
+
     // Check for stats command
+    // Current status of every ARN (each counted once) instead of per-run result rows
+    if (args.includes('--stats') && options.current) {
+      await service.initialize();
+      const stats = await service.getCurrentStatusStats(options.groupBy);
+      console.log(`\n=== Current Status (${config.app.currentStatusTableName}) ===`);
+      console.log(`  ARNs: ${stats.total_arns} (${stats.total_checks || 0} checks)`);
+      console.log(`  Enabled: ${stats.enabled_count}`);
+      console.log(`  Disabled: ${stats.disabled_count}`);
+      console.log(`  Errors: ${stats.error_count}`);
+      console.log(`  Not Found: ${stats.not_found_count}`);
+      console.log(`  Invalid: ${stats.invalid_count}`);
+      console.log(`  Orphaned: ${stats.orphaned_count}`);
+      console.log(`  Deleted: ${stats.deleted_count} (+${stats.already_deleted_count} already deleted, ${stats.deletion_error_count} failed)`);
+      if (stats.oldest_check_at) {
+        console.log(`  Last checks between ${stats.oldest_check_at} and ${stats.newest_check_at}`);
+      }
+      if (stats.breakdown) {
+        console.log(`\n=== Current status by ${options.groupBy} ===`);
+        stats.breakdown.forEach(printBreakdownRow);
+      }
+      await service.shutdown();
+      return;
+    }
+
+    // Current status of a single ARN
+    if (options.arn) {
+      await service.initialize();
+      const status = await service.getCurrentStatus(options.arn);
+      console.log(`\n=== Current Status of ${options.arn} ===`);
+      if (!status) {
+        console.log('Never checked');
+      } else {
+        console.log(`Status: ${status.last_status}${status.last_status_reason ? ` (${status.last_status_reason})` : ''}`);
+        console.log(`Last Checked: ${status.last_checked_at} in run ${status.last_run_id}`);
+        console.log(`First Checked: ${status.first_checked_at} (${status.check_count} checks)`);
+        console.log(`Source ID: ${status.original_id}`);
+        console.log(`Deletion: ${status.deletion_status ? `${status.deletion_status} at ${status.deleted_at}` : 'not deleted'}`);
+      }
+      await service.shutdown();
+      return;
+    }
+
     if (args.includes('--stats')) {
       await service.initialize();
-      await service.getStats();
+      await service.getStats(options.runId);
+      if (options.runId) {
+        const reconciled = await service.getReconciledStats(options.runId);
+        if (reconciled) {
+          console.log(`\n=== Reconciled Status for ${options.runId} (after re-check runs: ${reconciled.child_runs.join(', ')}) ===`);
+          console.log(`  Records: ${reconciled.total_records}`);
+          console.log(`  Enabled: ${reconciled.enabled_count}`);
+          console.log(`  Disabled: ${reconciled.disabled_count}`);
+          console.log(`  Errors: ${reconciled.error_count}`);
+          console.log(`  Not Found: ${reconciled.not_found_count}`);
+          console.log(`  Invalid: ${reconciled.invalid_count}`);
+          console.log(`  Orphaned: ${reconciled.orphaned_count}`);
+        }
+      }
+      if (options.groupBy) {
+        const breakdown = await service.getStatusBreakdown(options.groupBy, options.runId);
+        console.log(`\n=== Status by ${options.groupBy}${options.runId ? ` (run ${options.runId})` : ''} ===`);
+        breakdown.forEach(printBreakdownRow);
+      }
       await service.shutdown();
       return;
     }
@@ -369,20 +2037,57 @@ async function main() {
       console.log('\n=== Latest Run Progress ===');
       console.log(`Run ID: ${progress.current_run_id || 'No runs found'}`);
       if (progress.current_run_id) {
-        console.log(`Progress: ${progress.progress_percent}% (${progress.processed_records}/${progress.total_source_records} records)`);
+        console.log(`State: ${progress.state || 'unknown'}${progress.state_reason ? ` (${progress.state_reason})` : ''}`);
+        if (progress.started_at) {
+          console.log(`Started: ${progress.started_at}${progress.host ? ` on ${progress.host}` : ''}`);
+        }
+        if (progress.ended_at) {
+          console.log(`Ended: ${progress.ended_at}`);
+        }
+        console.log(`Progress: ${progress.progress_percent}% (${progress.processed_records}/${progress.run_total_records} records)`);
         console.log(`Remaining Records: ${progress.remaining_records}`);
+        if (progress.mode === 'delete') {
+          console.log(`Deleting: ${progress.deletion_statuses.join(', ')} ` +
+            `${progress.deletion_of === 'current' ? 'ARNs by current status' : `results of run ${progress.deletion_of}`}` +
+            ` (${progress.source_table})${progress.dry_run ? ', dry run' : ''}${progress.reverify ? ', re-verified' : ''}` +
+            `${progress.max_scan_age_days ? `, scans up to ${progress.max_scan_age_days} days old` : ''}`);
+        } else {
+          console.log(`Source Rows in Scope: ${progress.total_source_records} (${progress.source_table})`);
+        }
+        if (progress.state !== RUN_STATES.COMPLETED) {
+          console.log(`Throughput: ${progress.throughput_per_second} records/s over the last ${formatDuration(progress.throughput_window_seconds)}`);
+          console.log(`ETA: ${formatDuration(progress.eta_seconds)}` +
+            (progress.estimated_completion_at ? ` (around ${progress.estimated_completion_at})` : ' once resumed'));
+          console.log(`Remaining SNS Calls: ~${progress.estimated_api_calls.toLocaleString()} (${progress.api_calls_per_record} per record recently)`);
+        }
         if (progress.last_processed_id) {
           console.log(`Last Processed ID: ${progress.last_processed_id}`);
         }
+        if (progress.source_filter) {
+          console.log(`Source Filter: ${progress.source_filter}`);
+        }
+        if (progress.delta) {
+          console.log(`Delta: ${progress.delta}`);
+        }
         
-        if (parseFloat(progress.progress_percent) < 100) {
+        if (progress.state !== RUN_STATES.COMPLETED) {
           const envPrefix = process.env.NODE_ENV === 'production' ? 'npx cross-env NODE_ENV=production ' : '';
-          console.log(`\n📋 To resume: ${envPrefix}node src/cleanup.js --resume-run-id ${progress.current_run_id}`);
-          console.log(`   (Will automatically process ALL remaining records in 5,000-record chunks)`);
+          const resumeArgs = {
+            partitioned: `--partitioned --run-id ${progress.current_run_id}`,
+            delete: `delete --resume-deletion ${progress.current_run_id}`
+          }[progress.mode] || `--resume-run-id ${progress.current_run_id}`;
+          console.log(`\n📋 To resume: ${envPrefix}node src/cleanup.js ${resumeArgs}`);
+          console.log(`   (Will automatically process ALL remaining records in ${config.app.chunkSize.toLocaleString()}-record chunks)`);
         } else {
           console.log(`\n✅ Run completed successfully!`);
         }
         console.log(`\nTotal Historical Runs: ${progress.total_runs}`);
+
+        const partitions = await service.getPartitionProgress(progress.current_run_id);
+        if (partitions.length > 0) {
+          console.log('\n=== Partitions ===');
+          partitions.forEach(printPartition);
+        }
       }
       await service.shutdown();
       return;
@@ -395,12 +2100,133 @@ async function main() {
       console.log('\n=== Cleanup Runs ===');
       runs.forEach(run => {
         console.log(`\nRun ID: ${run.run_id}`);
+        console.log(`  State: ${run.state || 'unknown'}${run.state_reason ? ` (${run.state_reason})` : ''}`);
+        console.log(`  Mode: ${run.mode || 'scan'}${run.host ? ` on ${run.host}` : ''}`);
+        if (run.parent_run_id) {
+          const parentLabel = { delete: 'Deletes from', restore: 'Restores' }[run.mode] || 'Re-check of';
+          console.log(`  ${parentLabel}: ${run.parent_run_id}`);
+        }
         console.log(`  Records: ${run.processed_records}`);
-        console.log(`  Started: ${run.started_at}`);
+        console.log(`  Started: ${run.started_at || run.created_at}`);
+        if (run.ended_at) {
+          console.log(`  Ended: ${run.ended_at}`);
+        }
         console.log(`  Last Activity: ${run.last_activity}`);
         console.log(`  ID Range: ${run.first_id} - ${run.last_id}`);
-        console.log(`  Status: ${run.enabled_count} enabled, ${run.disabled_count} disabled, ${run.error_count} errors`);
+        console.log(`  Status: ${run.enabled_count} enabled, ${run.disabled_count} disabled, ${run.error_count} errors, ${run.orphaned_count} orphaned`);
+      });
+      if (options.groupBy) {
+        const breakdown = await service.getStatusBreakdown(options.groupBy);
+        runs.forEach(run => {
+          console.log(`\nStatus by ${options.groupBy} for ${run.run_id}:`);
+          breakdown.filter(row => row.run_id === run.run_id).forEach(printBreakdownRow);
+        });
+      }
+      for (const run of runs) {
+        const partitions = await service.getPartitionProgress(run.run_id);
+        if (partitions.length > 0) {
+          const completed = partitions.filter(p => p.status === 'completed').length;
+          console.log(`\nPartitions for ${run.run_id} (${completed}/${partitions.length} completed):`);
+          partitions.forEach(printPartition);
+        }
+      }
+      await service.shutdown();
+      return;
+    }
+
+    // Check for reverse reconciliation command
+    if (args.includes('--reconcile')) {
+      await service.initialize();
+      const result = await service.reconcile(options);
+      console.log('\n=== Reverse Reconciliation Results ===');
+      console.log(`Run ID: ${result.runId}`);
+      console.log(`SNS Endpoints Scanned: ${result.totalEndpoints}`);
+      console.log(`Orphaned (not in ${options.sourceTable || config.sourceTable.tableName}): ${result.totalOrphans}`);
+      console.log(`Duration: ${(result.duration / 1000).toFixed(2)} seconds`);
+      if (result.totalOrphans > 0) {
+        console.log(`\n📋 Plan deleting the orphans with: node src/cleanup.js delete --run-id ${result.runId} --status ORPHANED --plan`);
+      }
+      await service.shutdown();
+      return;
+    }
+
+    // Check for re-check command
+    if (args.includes('--recheck')) {
+      await service.initialize();
+      const result = await service.recheck(options);
+      console.log('\n=== Re-check Results ===');
+      if (!result.runId) {
+        console.log(`No rows to re-check in run ${result.parentRunId}`);
+      } else {
+        console.log(`Run ID: ${result.runId} (re-check of ${result.parentRunId})`);
+        console.log(`Total Re-checked: ${result.totalProcessed}`);
+        console.log(`Duration: ${(result.duration / 1000).toFixed(2)} seconds`);
+        console.log('\nStatus Changes:');
+        Object.entries(result.transitions).forEach(([transition, count]) => {
+          console.log(`  ${transition}: ${count}`);
+        });
+        console.log(`\n📋 Reconciled totals: node src/cleanup.js --stats --run-id ${result.parentRunId}`);
+      }
+      await service.shutdown();
+      return;
+    }
+
+    // Check for run verification command
+    if (args.includes('--verify-run')) {
+      await service.initialize();
+      const result = await service.verifyRun(options);
+      console.log('\n=== Run Verification ===');
+      console.log(`Run ID: ${result.runId} (${result.mode}, ${result.state})`);
+      if (result.ranges.length === 0) {
+        console.log('No results saved in this run yet');
+      }
+      result.ranges.forEach(range => {
+        console.log(`Covered IDs: ${range.afterId === null ? 'start' : `after ${range.afterId}`} - ${range.lastId}`);
       });
+      const sample = result.missing.slice(0, 20).join(', ');
+      console.log(`Missing IDs: ${result.missing.length}${sample ? ` (${sample}${result.missing.length > 20 ? ', ...' : ''})` : ''}`);
+      console.log(`Duplicate IDs: ${result.duplicates.length}`);
+      result.duplicates.slice(0, 20).forEach(duplicate => {
+        console.log(`  ${duplicate.original_id}: ${duplicate.row_count} rows`);
+      });
+      if (result.rechecked > 0) {
+        console.log(`\nRe-checked ${result.rechecked} missing IDs into run ${result.runId}:`);
+        Object.entries(result.results).forEach(([status, count]) => {
+          console.log(`  ${status}: ${count}`);
+        });
+      } else if (result.missing.length > 0) {
+        console.log(`\nRun ${result.runId} is still running; missing IDs were not re-checked. Verify again once it stops.`);
+      }
+      console.log(`Duration: ${(result.duration / 1000).toFixed(2)} seconds`);
+      await service.shutdown();
+      return;
+    }
+
+    // Check for retention commands (database only, no AWS)
+    if (args.includes('--archive') || args.includes('--purge')) {
+      options.mode = args.includes('--archive') ? 'archive' : 'purge';
+      const result = await service.applyRetention(options);
+      const action = result.mode === 'archive' ? 'Archive' : 'Purge';
+      console.log(`\n=== ${action}${result.dryRun ? ' Plan (dry run)' : ''} ===`);
+      console.log(`Policy: ${describePolicy(result.policy)}`);
+      if (result.target) {
+        console.log(`Archive To: ${result.location} (${result.target})`);
+      }
+      console.log(`Kept Runs: ${result.keptRunIds.join(', ') || 'none'}`);
+      console.log(`Protected Runs: ${result.protectedRunIds.join(', ') || 'none'}`);
+      if (result.runs.length === 0) {
+        console.log('\nNo rows outside the retention policy');
+      }
+      result.runs.forEach(run => {
+        const done = result.dryRun ? '' : ` -> ${run.removed} removed${run.file ? ` (${run.file})` : ''}`;
+        console.log(`  ${run.run_id}: ${run.row_count} rows checked ${run.oldest_check_at} - ${run.newest_check_at}${done}`);
+      });
+      if (result.dryRun) {
+        console.log(`\n${result.totalRows} rows would be removed; run again without --dry-run to ${result.mode} them`);
+      } else if (result.runId) {
+        console.log(`\n${action} run ${result.runId}: removed ${result.removedRows} of ${result.totalRows} rows`);
+      }
+      console.log(`Duration: ${(result.duration / 1000).toFixed(2)} seconds`);
       await service.shutdown();
       return;
     }
@@ -411,6 +2237,13 @@ async function main() {
 AWS SNS ARN Cleanup Tool
 
 Usage: node src/cleanup.js [options]
+       node src/cleanup.js delete --run-id <id> | --current --plan [file] [options]
+       node src/cleanup.js delete --approve-plan <file> --approver <name> [--comment <text>]
+       node src/cleanup.js delete --execute-plan <file> | --resume-deletion <id> [options]
+       node src/cleanup.js restore --run-id <deletion run id> | --arn <deleted ARN> [options]
+       node src/cleanup.js migrate <up|status|plan>
+
+Options can also be given as --option=value.
 
 Options:
   --table <name>        Source table name (default: from environment config)
@@ -418,28 +2251,122 @@ Options:
   --id-column <name>    ID column name (default: from environment config)
   --limit <number>      Limit number of ARNs to process
   --batch-size <number> Batch size for processing (default: from config)
+  --concurrency <n>     Max concurrent SNS checks (default: SNS_CONCURRENCY or 10)
+  --rps <number>        Max SNS requests per second; lowered automatically on throttling
+                        (default: SNS_MAX_RPS or 25)
   --auto-batch          Process all records in chunks automatically (default when no limit)
+  --chunk-size <number> Records fetched per keyset page in auto-batch mode (default: CHUNK_SIZE or 5000)
+  --partitioned         Join a multi-worker run: lease id-range partitions until none are left
+  --partitions <n>      Number of partitions when the run is first created (default: PARTITION_COUNT or 8)
   --resume-from-id <id> Resume processing from a specific ID (new run)
-  --resume-run-id <id>  Resume an interrupted run by run ID
-  --run-id <id>         Filter stats/progress by specific run ID
+  --resume-run-id <id>  Resume an interrupted run by run ID (reuses the run's stored filter)
+  --filter <expr>       Filter source rows, repeatable: column=op:value
+                        (ops: eq, ne, gt, gte, lt, lte, like, notlike, in, notin, null, notnull)
+  --where-clause <expr> Filter source rows with a simple expression, e.g. "active = 0"
+                        (supports =, !=, <>, >, >=, <, <=, [NOT] LIKE, [NOT] IN (...), IS [NOT] NULL, joined by AND)
+  --delta               Only check rows never checked, rows whose ARN changed since their last
+                        check, and rows last checked more than --max-age days ago
+  --max-age <days>      Age after which --delta checks a row again (default: DELTA_MAX_AGE_DAYS or 7)
+  --run-id <id>         Filter stats/progress by specific run ID, or the run to join with --partitioned
+                        (a deletion run's ID shows its progress)
+  --breaker-cooldown <ms>
+                        When the circuit breaker trips, wait this long and resume instead of
+                        stopping (default: CIRCUIT_BREAKER_COOLDOWN_MS or 0 = stop)
   --stats               Show current statistics (all runs or specific run)
-  --progress            Show processing progress and resume information
+  --current             With --stats (and --group-by), count every ARN once with its latest
+                        status and deletion state from the current status table
+  --arn <arn>           Show the current status of one ARN
+  --progress            Show processing progress, throughput, ETA and resume information
   --runs                List all cleanup runs
+  --group-by <field>    With --stats or --runs, break counts down by platform, application,
+                        region or account (parsed from the endpoint ARN)
+  --reconcile           List SNS platform application endpoints and record those missing
+                        from the source table as ORPHANED (new run)
+  --application <name>  Limit --reconcile to one platform application (name or ARN)
+  --recheck             Re-check rows of the run given by --run-id and save the outcomes
+                        as a child run linked to it
+  --status <list>       Statuses to re-check with --recheck (default: ERROR,NOT_FOUND),
+                        or to delete with delete (default: DISABLED,ORPHANED)
+  --verify-run          Find source ids missing from, or saved twice in, the run given by
+                        --run-id, and check the missing ids again into that run
+  --archive             Move result rows outside the retention policy to the archive table
+                        or NDJSON files (recorded in the run registry as an archive run)
+  --purge               Delete result rows outside the retention policy (recorded as a purge run)
+  --keep-runs <n>       Keep every row of the newest n runs (default: RETENTION_KEEP_RUNS or 10)
+  --keep-days <days>    Keep rows of older runs this long (default: RETENTION_KEEP_DAYS or 90)
+  --keep-status <list>  Per-status overrides of --keep-days, e.g. DISABLED=180,ORPHANED=180
+                        (default: RETENTION_STATUS_DAYS)
+  --archive-to <target> table or ndjson (default: ARCHIVE_TARGET or table)
+  --dry-run             With --archive, --purge, delete or restore, show what would be changed without changing it
+  --reverify            With delete, check each endpoint again right before deleting it and skip
+                        it as SKIPPED_REENABLED if it is enabled with a token (default: DELETE_REVERIFY)
+  --max-scan-age <days> With delete, do not delete from scan results older than this
+                        (default: DELETE_MAX_SCAN_AGE_DAYS or no limit)
+  --no-snapshot         With delete, do not save encrypted endpoint snapshots for restore
+                        (default: ENDPOINT_SNAPSHOTS; snapshots need SNAPSHOT_ENCRYPTION_KEY)
+  --plan [file]         With delete, write a deletion plan for review instead of deleting
+                        (default file: DELETE_PLAN_DIR/<plan id>.json)
+  --approve-plan <file> Record an approval of a deletion plan (with --approver and --comment)
+  --execute-plan <file> Delete the endpoints of an approved plan, if its scan data is unchanged
   --help, -h            Show this help message
 
+Commands:
+  delete                Delete the SNS endpoints of the --run-id run's DISABLED/ORPHANED results
+                        (or --status), or with --current of every such ARN not deleted yet;
+                        joins the source table on --table/--id-column (default: the run's).
+                        Registered as a deletion run; ARNs already deleted are skipped.
+                        Unless DELETE_REQUIRE_PLAN=false, only --dry-run works this way:
+                        write a plan with --plan and run it with --execute-plan once approved
+  delete --resume-deletion <id>
+                        Continue a stopped deletion run after the last result it processed,
+                        trying endpoints whose deletion failed (ERROR) again
+  restore               Recreate the endpoints the --run-id deletion run deleted (or the one
+                        --arn) from their snapshots and record each new ARN; ones already
+                        restored are skipped
+  migrate up            Apply pending schema migrations
+  migrate status        List migrations and whether each is applied for the configured tables
+  migrate plan          Print the SQL of pending migrations without running it
+
 Examples:
   node src/cleanup.js
   node src/cleanup.js --table mobile_clients --column target_arn --id-column client_id
   node src/cleanup.js --limit 1000 --batch-size 50
+  node src/cleanup.js --where-clause "active = 0"
+  node src/cleanup.js --filter active=eq:1 --filter id=gte:1500000
+  node src/cleanup.js --delta --max-age 7
   node src/cleanup.js --stats
+  node src/cleanup.js --stats --run-id run-2025-10-07T12-34-56-abc1 --group-by application
+  node src/cleanup.js --stats --current --group-by platform
+  node src/cleanup.js --arn arn:aws:sns:us-east-1:123456789012:endpoint/APNS/my-app/1a2b3c4d
   node src/cleanup.js --progress
   node src/cleanup.js --runs
+  node src/cleanup.js --reconcile --application prod-vamobile-apns
+  node src/cleanup.js --recheck --run-id run-2025-10-07T12-34-56-abc1 --status ERROR,NOT_FOUND
   node src/cleanup.js --resume-run-id run-2025-10-07T12-34-56-abc1
+  node src/cleanup.js --verify-run --run-id run-2025-10-07T12-34-56-abc1
+  node src/cleanup.js --archive --keep-runs 5 --keep-status DISABLED=180 --dry-run
+  node src/cleanup.js --archive --archive-to ndjson
+  node src/cleanup.js --purge --keep-runs 10 --keep-days 30
+  node src/cleanup.js delete --run-id run-2025-10-07T12-34-56-abc1 --dry-run
+  node src/cleanup.js delete --run-id run-2025-10-07T12-34-56-abc1 --plan
+  node src/cleanup.js delete --approve-plan plans/plan-2025-10-08T08-00-00-xyz9.json --approver "Jane Doe"
+  node src/cleanup.js delete --execute-plan plans/plan-2025-10-08T08-00-00-xyz9.json --reverify
+  node src/cleanup.js delete --current --status ORPHANED --limit 1000 --dry-run
+  node src/cleanup.js delete --run-id run-2025-10-07T12-34-56-abc1 --reverify --max-scan-age 14 --dry-run
+  node src/cleanup.js delete --resume-deletion run-2025-10-08T09-00-00-def2
+  node src/cleanup.js restore --run-id run-2025-10-08T09-00-00-def2 --dry-run
+  node src/cleanup.js migrate plan
 
 Resume After Interruption:
   1. List runs: node src/cleanup.js --runs
   2. Check progress: node src/cleanup.js --progress --run-id <run_id>
   3. Resume run: node src/cleanup.js --resume-run-id <run_id>
+  4. Fill any gaps: node src/cleanup.js --verify-run --run-id <run_id>
+
+Multiple Workers:
+  1. First worker:  node src/cleanup.js --partitioned --partitions 8   (prints the run ID)
+  2. More workers:  node src/cleanup.js --partitioned --run-id <run_id>
+  Workers whose heartbeats stop lose their lease; another worker takes the partition over.
 
 Manual Resume:
   node src/cleanup.js --resume-from-id 1500000  (starts new run from ID)
@@ -449,18 +2376,23 @@ Environment Configuration:
   SOURCE_TABLE_NAME=your_table_name
   SOURCE_ARN_COLUMN=your_arn_column  
   SOURCE_ID_COLUMN=your_id_column
+  SOURCE_PERSON_COLUMN=your_person_column  (optional, saved with deletions)
       `);
       return;
     }
 
     // Initialize and run cleanup
     await service.initialize();
+
+    if (options.concurrency || options.maxRequestsPerSecond) {
+      service.sns.configureRateLimit(options);
+    }
     
     // Apply smart auto-batching for large datasets
     if (!options.limit && !options.autoBatch) {
       // No limit specified: enable auto-batch mode to process everything
       options.autoBatch = true;
-      console.log(`\n� Auto-batch mode enabled: Will process all remaining records in chunks of 5,000.`);
+      console.log(`\n� Auto-batch mode enabled: Will process all remaining records in chunks of ${(options.chunkSize || config.app.chunkSize).toLocaleString()}.`);
       console.log(`   Use --limit <number> to process a specific number instead.`);
       console.log(`   Use --auto-batch to explicitly enable this mode.\n`);
     }
@@ -484,7 +2416,28 @@ Environment Configuration:
     await service.shutdown();
     
   } catch (error) {
-    logError(error, { context: 'Main execution' });
+    if (error instanceof CircuitBreakerTrippedError && process.argv[2] === 'delete') {
+      // Attempted deletions were saved, so the deletion run continues after its checkpoint
+      const envPrefix = process.env.NODE_ENV === 'production' ? 'npx cross-env NODE_ENV=production ' : '';
+      console.error(`\n⛔ ${error.message}`);
+      console.error(`   Deletion run ${error.runId} stopped with state 'tripped'. Fix the cause, then resume with:`);
+      console.error(`   ${envPrefix}node src/cleanup.js delete --resume-deletion ${error.runId}`);
+    } else if (error instanceof CircuitBreakerTrippedError && process.argv[2] === 'restore') {
+      // Restored endpoints were saved; running the restore again skips them
+      console.error(`\n⛔ ${error.message}`);
+      console.error(`   Restore run ${error.runId} stopped with state 'tripped'. Fix the cause, then run the same restore again`);
+    } else if (error instanceof CircuitBreakerTrippedError) {
+      // Nothing from the failed batch was saved, so the run can simply be resumed
+      const envPrefix = process.env.NODE_ENV === 'production' ? 'npx cross-env NODE_ENV=production ' : '';
+      const resumeArgs = process.argv.includes('--partitioned')
+        ? `--partitioned --run-id ${error.runId}`
+        : `--resume-run-id ${error.runId}`;
+      console.error(`\n⛔ ${error.message}`);
+      console.error(`   Run ${error.runId} stopped with state 'tripped'. Fix the cause, then resume with:`);
+      console.error(`   ${envPrefix}node src/cleanup.js ${resumeArgs}`);
+    } else {
+      logError(error, { context: 'Main execution' });
+    }
     await service.shutdown();
     process.exit(1);
   }
@@ -9,6 +9,17 @@ if (!require('fs').existsSync(envFile)) {
   require('dotenv').config();
 }
 
+// Parse AWS_ACCOUNT_ROLES into { accountId: roleArn }
+function parseAccountRoles(value) {
+  return (value || '').split(',').reduce((roles, entry) => {
+    const [accountId, roleArn] = entry.split('=').map(part => part && part.trim());
+    if (accountId && roleArn) {
+      roles[accountId] = roleArn;
+    }
+    return roles;
+  }, {});
+}
+
 const config = {
   aws: {
     region: process.env.AWS_REGION || 'us-east-1',
@@ -19,6 +30,13 @@ const config = {
     profile: process.env.AWS_PROFILE,
     roleArn: process.env.AWS_ROLE_ARN,
     roleSessionName: process.env.AWS_ROLE_SESSION_NAME || 'sns-cleanup-session',
+    // Per-account roles for endpoints in other accounts: "111111111111=arn:...:role/a,222222222222=arn:...:role/b"
+    accountRoles: parseAccountRoles(process.env.AWS_ACCOUNT_ROLES),
+  },
+  storage: {
+    // mssql (default) or sqlite, a local file for trying scans without a SQL Server
+    backend: process.env.STORAGE_BACKEND || 'mssql',
+    sqlitePath: process.env.SQLITE_PATH || 'data/cleanup.sqlite',
   },
   database: {
     server: process.env.DB_SERVER,
@@ -38,16 +56,98 @@ const config = {
     logLevel: process.env.LOG_LEVEL || 'info',
     maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
     retryDelayMs: parseInt(process.env.RETRY_DELAY_MS) || 1000,
+    maxRetryDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 30000,
+    chunkSize: parseInt(process.env.CHUNK_SIZE) || 5000,
+    maxPendingWrites: parseInt(process.env.MAX_PENDING_WRITES) || 2,
+    bulkInsert: process.env.RESULTS_BULK_INSERT !== 'false',
+    concurrency: parseInt(process.env.SNS_CONCURRENCY) || 10,
+    maxRequestsPerSecond: parseFloat(process.env.SNS_MAX_RPS) || 25,
+    minRequestsPerSecond: parseFloat(process.env.SNS_MIN_RPS) || 1,
     resultsTableName: process.env.RESULTS_TABLE_NAME || 'CDW_push_arn_cleanup_results',
+    runsTableName: process.env.RUNS_TABLE_NAME || 'CDW_push_arn_cleanup_runs',
+    partitionsTableName: process.env.PARTITIONS_TABLE_NAME || 'CDW_push_arn_cleanup_partitions',
+    deletionResultsTableName: process.env.DELETION_RESULTS_TABLE_NAME || 'CDW_arn_cleanup_deletion_results',
+    currentStatusTableName: process.env.CURRENT_STATUS_TABLE_NAME || 'CDW_push_arn_cleanup_current_status',
+    archiveTableName: process.env.ARCHIVE_TABLE_NAME || 'CDW_push_arn_cleanup_results_archive',
+    snapshotsTableName: process.env.SNAPSHOTS_TABLE_NAME || 'CDW_arn_cleanup_endpoint_snapshots',
+    plansTableName: process.env.DELETION_PLANS_TABLE_NAME || 'CDW_arn_cleanup_deletion_plans',
+    planApprovalsTableName: process.env.PLAN_APPROVALS_TABLE_NAME || 'CDW_arn_cleanup_plan_approvals',
+    migrationsTableName: process.env.MIGRATIONS_TABLE_NAME || 'CDW_push_arn_cleanup_migrations',
+    // false = refuse to start with pending migrations instead of applying them
+    autoMigrate: process.env.AUTO_MIGRATE !== 'false',
+    partitionCount: parseInt(process.env.PARTITION_COUNT) || 8,
+    leaseTtlMs: parseInt(process.env.PARTITION_LEASE_TTL_MS) || 120000,
+    // --delta re-checks rows whose last check is older than this
+    deltaMaxAgeDays: parseFloat(process.env.DELTA_MAX_AGE_DAYS) || 7,
+    // Moving window --progress measures throughput (and so the ETA) over
+    progressWindowMinutes: parseFloat(process.env.PROGRESS_WINDOW_MINUTES) || 5,
     environment: process.env.ENVIRONMENT || environment || 'staging',
   },
+  retention: {
+    // --archive/--purge keep every row of the newest runs, and older rows for a number of days
+    keepRuns: parseInt(process.env.RETENTION_KEEP_RUNS) || 10,
+    keepDays: parseFloat(process.env.RETENTION_KEEP_DAYS) || 90,
+    // Per-status overrides of keepDays: "DISABLED=180,ORPHANED=180"
+    statusDays: process.env.RETENTION_STATUS_DAYS ?? 'DISABLED=180,ORPHANED=180',
+    // table (ARCHIVE_TABLE_NAME) or ndjson (gzipped files in ARCHIVE_DIR)
+    archiveTarget: process.env.ARCHIVE_TARGET || 'table',
+    archiveDir: process.env.ARCHIVE_DIR || 'archive',
+  },
+  deletion: {
+    // Check each endpoint again just before deleting it; ones enabled again are skipped
+    reverify: process.env.DELETE_REVERIFY === 'true',
+    // Do not delete from scan results older than this many days (0 = no limit)
+    maxScanAgeDays: parseFloat(process.env.DELETE_MAX_SCAN_AGE_DAYS) || 0,
+    // Only delete through an approved plan (delete --plan / --approve-plan / --execute-plan)
+    requirePlan: process.env.DELETE_REQUIRE_PLAN !== 'false',
+    // Distinct approvers a plan needs before it can be executed
+    planApprovals: parseInt(process.env.DELETE_PLAN_APPROVALS) || 1,
+    planDir: process.env.DELETE_PLAN_DIR || 'plans',
+  },
+  snapshots: {
+    // Save each endpoint's attributes (encrypted) before deleting it, for `restore`
+    enabled: process.env.ENDPOINT_SNAPSHOTS !== 'false',
+    // 32-byte AES-256-GCM key, hex or base64 (openssl rand -base64 32)
+    encryptionKey: process.env.SNAPSHOT_ENCRYPTION_KEY || null,
+  },
+  circuitBreaker: {
+    errorRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE) || 0.5,
+    minSamples: parseInt(process.env.CIRCUIT_BREAKER_MIN_SAMPLES) || 50,
+    windowSize: parseInt(process.env.CIRCUIT_BREAKER_WINDOW) || 200,
+    consecutiveErrors: parseInt(process.env.CIRCUIT_BREAKER_CONSECUTIVE_ERRORS) || 25,
+    // 0 = stop the run when tripped; otherwise wait this long and resume (for long pm2 runs)
+    cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || 0,
+    maxCooldowns: parseInt(process.env.CIRCUIT_BREAKER_MAX_COOLDOWNS) || 5,
+  },
   sourceTable: {
     tableName: process.env.SOURCE_TABLE_NAME || 'push_notifications',
     arnColumn: process.env.SOURCE_ARN_COLUMN || 'arn',
     idColumn: process.env.SOURCE_ID_COLUMN || 'id',
+    // Optional column recorded as person_id with each deletion (e.g. personId)
+    personColumn: process.env.SOURCE_PERSON_COLUMN || null,
   },
 };
 
+/**
+ * The tool's own table names are put into SQL as-is, so they must be plain identifiers.
+ * The source table and columns are checked against INFORMATION_SCHEMA when first used.
+ */
+const validateTableNames = () => {
+  const { validateIdentifier, parseTableName } = require('./sql-identifiers');
+  [
+    'resultsTableName', 'runsTableName', 'partitionsTableName', 'deletionResultsTableName', 'currentStatusTableName',
+    'archiveTableName', 'snapshotsTableName', 'plansTableName', 'planApprovalsTableName', 'migrationsTableName'
+  ].forEach(key => {
+    validateIdentifier(config.app[key], key);
+  });
+  parseTableName(config.sourceTable.tableName);
+  validateIdentifier(config.sourceTable.arnColumn, 'SOURCE_ARN_COLUMN');
+  validateIdentifier(config.sourceTable.idColumn, 'SOURCE_ID_COLUMN');
+  if (config.sourceTable.personColumn) {
+    validateIdentifier(config.sourceTable.personColumn, 'SOURCE_PERSON_COLUMN');
+  }
+};
+
 // Validate required configuration
 const validateConfig = () => {
   const required = [
@@ -57,7 +157,8 @@ const validateConfig = () => {
     'database.password',
   ];
 
-  for (const path of required) {
+  // The SQLite backend keeps everything in a local file
+  for (const path of config.storage.backend === 'sqlite' ? [] : required) {
     const value = path.split('.').reduce((obj, key) => obj && obj[key], config);
     if (!value) {
       throw new Error(`Missing required configuration: ${path}`);
@@ -68,6 +169,8 @@ const validateConfig = () => {
   if (!config.aws.profile && (!config.aws.credentials.accessKeyId || !config.aws.credentials.secretAccessKey)) {
     throw new Error('AWS credentials must be provided either via AWS_PROFILE or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY');
   }
+
+  validateTableNames();
 };
 
-module.exports = { config, validateConfig };
\ No newline at end of file
+module.exports = { config, validateConfig, validateTableNames };
\ No newline at end of file
@@ -1,14 +1,93 @@
+const os = require('os');
 const sql = require('mssql');
-const { config } = require('./config');
+const { config, validateTableNames } = require('./config');
 const { logger, logError } = require('./logger');
+const { buildFilterSql, describeFilter, serializeFilter, deserializeFilter, typeFilterValues } = require('./source-filter');
+const { tryParseEndpointArn } = require('./arn-parser');
+const { buildDeltaSql, describeDelta, runDelta } = require('./delta-scan');
+const { IdentifierError, parseTableName, quoteIdentifier, quoteTableName } = require('./sql-identifiers');
+const { RUN_STATES, ENDED_STATES, isResumableState } = require('./run-states');
+const { DELETABLE_STATUSES, RETENTION_MODES, buildExpirySql } = require('./retention');
+const { CALL_SAMPLE_SIZE, progressWindow, estimateProgress } = require('./run-progress');
+const { ERROR_CLASSES, isRetryableClass } = require('./error-classifier');
+const { SKIPPED_REENABLED, buildScanCutoff } = require('./deletion-checks');
+const Migrator = require('./migrator');
 
+// Columns a status breakdown can be grouped by
+const BREAKDOWN_COLUMNS = {
+  platform: ['platform'],
+  application: ['platform', 'application_name'],
+  region: ['arn_partition', 'arn_region'],
+  account: ['arn_account']
+};
+
+// Deletion status of `delete --dry-run` attempts; nothing was deleted
+const DRY_RUN_DELETION_STATUS = 'DRY_RUN_SUCCESS';
+
+// Results columns copied as-is into the archive table
+const ARCHIVED_RESULT_COLUMNS = [
+  'id', 'run_id', 'batch_id', 'original_id', 'arn', 'status', 'status_reason', 'error_message', 'metadata', 'checked_at',
+  'arn_partition', 'arn_region', 'arn_account', 'platform', 'application_name'
+].join(', ');
+
+// Session temp table that bulk upserts are loaded into before the MERGE
+const RESULTS_STAGING_TABLE = '#results_staging';
+
+// SQL Server errors that mean bulk upserts can never work on this connection: no
+// permission (229, 230, 262, 4834) or no support for the statements (102, 156)
+const BULK_UNSUPPORTED_ERRORS = [102, 156, 229, 230, 262, 4834];
+
+/**
+ * Whether a failed bulk upsert should turn bulk upserts off for the process, rather than
+ * be a transient failure (a deadlock or timeout) of one batch
+ */
+const isBulkUnsupportedError = (error) => {
+  const number = error.number ?? (error.originalError && error.originalError.number);
+  return BULK_UNSUPPORTED_ERRORS.includes(number);
+};
+
+/**
+ * Rows with one entry per (run, source id): when a batch holds the same record twice
+ * the later result wins. ORPHANED rows (original_id 0) are all kept.
+ */
+const uniqueResultRows = (rows) => {
+  const byKey = new Map();
+  rows.forEach((row, index) => {
+    const key = Number(row.originalId) === 0 ? `orphan:${index}` : `${row.runId}:${row.originalId}`;
+    byKey.delete(key);
+    byKey.set(key, row);
+  });
+  return [...byKey.values()];
+};
+
+/**
+ * The newest row for each ARN in a batch (rows are in save order)
+ */
+const uniqueArnRows = (rows) => [...new Map(rows.map(row => [row.arn, row])).values()];
+
+// INFORMATION_SCHEMA data types whose filter values are compared as numbers
+const NUMERIC_DATA_TYPES = ['tinyint', 'smallint', 'int', 'bigint', 'decimal', 'numeric', 'float', 'real', 'money', 'smallmoney', 'bit'];
+
+/**
+ * MSSQL storage adapter (see storage.js for the interface). Dialect-specific SQL is
+ * kept in small methods such as describeSourceTable() and limitClause() so other
+ * adapters can extend this class and override only what differs.
+ */
 class DatabaseService {
   constructor() {
+    this.dialect = 'mssql';
     this.pool = null;
     this.connected = false;
+    // Switched off for the rest of the process if a bulk upsert is rejected (e.g. permissions)
+    this.bulkInsertEnabled = config.app.bulkInsert;
+    // Source table name -> { table, columns, numericColumns } as found in INFORMATION_SCHEMA
+    this.sourceTableCache = new Map();
   }
 
   async connect() {
+    // Reject malformed table names before any query runs
+    validateTableNames();
+
     try {
       logger.info('Connecting to MSSQL database...');
       this.pool = await sql.connect(config.database);
@@ -54,37 +133,182 @@ class DatabaseService {
     }
   }
 
-  async getPushArns(tableName = null, arnColumn = null, idColumn = null, limit = null, resumeFromId = null) {
+  /**
+   * Check that a source table and its columns exist (via INFORMATION_SCHEMA) and return
+   * their bracket-quoted names: { table, columns: [...] } in the order requested.
+   * Throws IdentifierError for malformed or unknown names.
+   */
+  async resolveSourceIdentifiers(tableName, columnNames = []) {
+    const { schema, table } = parseTableName(tableName);
+    columnNames.forEach(column => quoteIdentifier(column));
+
+    const cacheKey = `${schema || ''}.${table}`.toLowerCase();
+    let source = this.sourceTableCache.get(cacheKey);
+
+    if (!source) {
+      const found = await this.describeSourceTable(schema, table);
+      if (!found) {
+        throw new IdentifierError(`Source table '${tableName}' does not exist`);
+      }
+
+      source = {
+        name: `${found.schema}.${found.table}`,
+        table: quoteTableName({ schema: found.schema, table: found.table }),
+        columns: new Map(found.columns.map(column => [column.toLowerCase(), column])),
+        numericColumns: new Set(found.numericColumns.map(column => column.toLowerCase()))
+      };
+      this.sourceTableCache.set(cacheKey, source);
+    }
+
+    const keys = columnNames.map(column => column.replace(/^\[(.*)\]$/, '$1').toLowerCase());
+    const columns = keys.map((key, index) => {
+      const actual = source.columns.get(key);
+      if (!actual) {
+        throw new IdentifierError(`Column '${columnNames[index]}' does not exist in source table ${source.name}`);
+      }
+      return quoteIdentifier(actual);
+    });
+
+    return { table: source.table, columns, numeric: keys.map(key => source.numericColumns.has(key)) };
+  }
+
+  /**
+   * Give a filter's values the types of their source columns (see typeFilterValues), so
+   * '007' stays a string on a varchar column and 7 is a number on an int column
+   */
+  async typeSourceFilter(tableName, filter) {
+    const columns = this.filterColumns(filter);
+    if (columns.length === 0) {
+      return filter || null;
+    }
+    const { numeric } = await this.resolveSourceIdentifiers(tableName, columns);
+    return typeFilterValues(filter, columns.filter((column, index) => numeric[index]));
+  }
+
+  /**
+   * Look a table up in INFORMATION_SCHEMA: { schema, table, columns, numericColumns } with
+   * their actual names, or null if it does not exist
+   */
+  async describeSourceTable(schema, table) {
+    // Unqualified names resolve to the user's default schema first, as SQL Server does
+    const tableResult = await this.executeQuery(`
+      SELECT TOP 1 TABLE_SCHEMA, TABLE_NAME
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_NAME = @table AND (@schema IS NULL OR TABLE_SCHEMA = @schema)
+      ORDER BY CASE WHEN TABLE_SCHEMA = SCHEMA_NAME() THEN 0 WHEN TABLE_SCHEMA = 'dbo' THEN 1 ELSE 2 END
+    `, { table, schema });
+
+    const found = tableResult.recordset[0];
+    if (!found) {
+      return null;
+    }
+
+    const columnResult = await this.executeQuery(`
+      SELECT COLUMN_NAME, DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = @schema AND TABLE_NAME = @table
+    `, { schema: found.TABLE_SCHEMA, table: found.TABLE_NAME });
+
+    return {
+      schema: found.TABLE_SCHEMA,
+      table: found.TABLE_NAME,
+      columns: columnResult.recordset.map(record => record.COLUMN_NAME),
+      numericColumns: columnResult.recordset
+        .filter(record => NUMERIC_DATA_TYPES.includes(record.DATA_TYPE.toLowerCase()))
+        .map(record => record.COLUMN_NAME)
+    };
+  }
+
+  /**
+   * Row limit appended after an ORDER BY, taking the count from the named parameter
+   */
+  limitClause(paramName = 'limit') {
+    return ` OFFSET 0 ROWS FETCH NEXT @${paramName} ROWS ONLY`;
+  }
+
+  /**
+   * Current database time; leases are compared against the database clock, not the worker's
+   */
+  nowSql() {
+    return 'SYSUTCDATETIME()';
+  }
+
+  /**
+   * Database time plus the milliseconds in the named parameter
+   */
+  nowPlusMsSql(paramName) {
+    return `DATEADD(MILLISECOND, @${paramName}, SYSUTCDATETIME())`;
+  }
+
+  /**
+   * A scalar value from a JSON text column, at a path such as '$.errorClass'
+   */
+  jsonValueSql(column, path) {
+    return `JSON_VALUE(${column}, '${path}')`;
+  }
+
+  /**
+   * Columns referenced by a source filter, so they are validated with the rest
+   */
+  filterColumns(filter) {
+    return (filter || []).map(condition => condition.column);
+  }
+
+  /**
+   * Source rows to check, in id order. `delta` (see delta-scan.js) limits them to rows a
+   * delta run should re-check.
+   */
+  async getPushArns(tableName = null, arnColumn = null, idColumn = null, limit = null, resumeFromId = null, filter = null, delta = null) {
     try {
       // Use environment config values as defaults
       const sourceTable = tableName || config.sourceTable.tableName;
       const sourceArnColumn = arnColumn || config.sourceTable.arnColumn;
       const sourceIdColumn = idColumn || config.sourceTable.idColumn;
+      const { table, columns: [arnCol, idCol] } = await this.resolveSourceIdentifiers(
+        sourceTable, [sourceArnColumn, sourceIdColumn, ...this.filterColumns(filter)]
+      );
       
       logger.info(`Fetching push ARNs from table: ${sourceTable}, column: ${sourceArnColumn}`);
       
-      let query = `SELECT ${sourceArnColumn}, ${sourceIdColumn} FROM ${sourceTable} WHERE ${sourceArnColumn} IS NOT NULL AND ${sourceArnColumn} != ''`;
+      const params = {};
+      let query = `SELECT src.${arnCol} as arn, src.${idCol} as id FROM ${table} src WHERE src.${arnCol} IS NOT NULL AND src.${arnCol} != ''`;
       
       // Add resume capability - skip already processed records
       if (resumeFromId) {
-        query += ` AND ${sourceIdColumn} > ${resumeFromId}`;
+        query += ` AND src.${idCol} > @resumeFromId`;
+        params.resumeFromId = resumeFromId;
         logger.info(`Resuming from ID: ${resumeFromId}`);
       }
+
+      // Apply the run's source filter as parameterized conditions
+      const filterSql = buildFilterSql(filter);
+      query += filterSql.sql;
+      Object.assign(params, filterSql.params);
+      if (filter) {
+        logger.info(`Applying source filter: ${describeFilter(filter)}`);
+      }
+
+      const deltaSql = buildDeltaSql(delta, sourceTable, `src.${idCol}`, `src.${arnCol}`);
+      query += deltaSql.sql;
+      Object.assign(params, deltaSql.params);
+      if (delta) {
+        logger.info(`Delta scan: ${describeDelta(delta)}`);
+      }
       // Note: Auto-resume is now handled at the service level with run IDs
       
       // Add ordering and limit
-      query += ` ORDER BY ${sourceIdColumn}`;
+      query += ` ORDER BY src.${idCol}`;
       
       if (limit) {
-        query += ` OFFSET 0 ROWS FETCH NEXT ${limit} ROWS ONLY`;
+        query += this.limitClause('limit');
+        params.limit = limit;
       }
 
-      const result = await this.executeQuery(query);
+      const result = await this.executeQuery(query, params);
       logger.info(`Found ${result.recordset.length} push ARNs to check`);
       
       return result.recordset.map(record => ({
-        id: record[sourceIdColumn],
-        arn: record[sourceArnColumn]
+        id: record.id,
+        arn: record.arn
       }));
     } catch (error) {
       logError(error, { context: 'Fetching push ARNs' });
@@ -92,6 +316,34 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Return the subset of the given ARNs that exist in the source table (lower-cased for comparison)
+   */
+  async findExistingArns(arns, tableName = null, arnColumn = null) {
+    try {
+      if (!arns || arns.length === 0) {
+        return new Set();
+      }
+
+      const sourceTable = tableName || config.sourceTable.tableName;
+      const sourceArnColumn = arnColumn || config.sourceTable.arnColumn;
+      const { table, columns: [arnCol] } = await this.resolveSourceIdentifiers(sourceTable, [sourceArnColumn]);
+      const params = {};
+      const names = arns.map((arn, index) => {
+        params[`arn${index}`] = arn;
+        return `@arn${index}`;
+      });
+
+      const query = `SELECT ${arnCol} as arn FROM ${table} WHERE ${arnCol} IN (${names.join(', ')})`;
+      const result = await this.executeQuery(query, params);
+
+      return new Set(result.recordset.map(record => String(record.arn).toLowerCase()));
+    } catch (error) {
+      logError(error, { context: 'Finding existing ARNs', count: arns.length });
+      throw error;
+    }
+  }
+
   async saveArnResult(arn, originalId, status, statusReason, errorMessage = null, metadata = {}) {
     try {
       const query = `
@@ -118,10 +370,18 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Save a batch of results in one transaction, with a bulk upsert where possible and
+   * row-by-row upserts otherwise. A bulk upsert the server does not allow turns bulk
+   * upserts off for the process; any other bulk failure falls back for that batch only. A record already saved in the run (a retried batch, or
+   * one written again after a resume) has its row updated, so every (run_id, original_id)
+   * has one row. The same transaction moves each ARN's current status row to its newest
+   * result. Returns write stats: { method, records, durationMs, rowsPerSecond }.
+   */
   async batchSaveArnResults(results) {
     try {
       if (!results || results.length === 0) {
-        return;
+        return null;
       }
 
       // Only log database operations in development for performance
@@ -129,87 +389,1017 @@ class DatabaseService {
         logger.info(`Batch saving ${results.length} ARN results`);
       }
 
-      const transaction = new sql.Transaction(this.pool);
-      await transaction.begin();
+      const startTime = Date.now();
+      const rows = uniqueResultRows(results.map(result => this.toResultRow(result)));
+      let method = 'row-by-row';
 
-      try {        
-        for (const result of results) {
-          const request = new sql.Request(transaction);
-          await request
-            .input('runId', result.runId)
-            .input('batchId', result.batchId)
-            .input('originalId', result.originalId)
-            .input('arn', result.arn)
-            .input('status', result.status)
-            .input('statusReason', result.statusReason)
-            .input('errorMessage', result.errorMessage)
-            .input('metadata', JSON.stringify(result.metadata || {}))
-            .input('checkedAt', new Date())
-            .query(`
-              INSERT INTO ${config.app.resultsTableName} 
-              (run_id, batch_id, original_id, arn, status, status_reason, error_message, metadata, checked_at)
-              VALUES 
-              (@runId, @batchId, @originalId, @arn, @status, @statusReason, @errorMessage, @metadata, @checkedAt)
-            `);
+      if (this.bulkInsertEnabled) {
+        try {
+          await this.inTransaction(transaction => this.bulkUpsertResults(transaction, rows));
+          method = 'bulk';
+        } catch (error) {
+          if (isBulkUnsupportedError(error)) {
+            this.bulkInsertEnabled = false;
+            logger.warn(`Bulk upsert of results is not allowed, using row-by-row upserts from now on: ${error.message}`);
+          } else {
+            logger.warn(`Bulk upsert of results failed, saving this batch row by row: ${error.message}`);
+          }
         }
+      }
 
-        await transaction.commit();
-        
-        // Only log successful saves in development/staging
-        if (process.env.NODE_ENV !== 'production') {
-          logger.info(`Successfully saved ${results.length} ARN results`);
-        }
-      } catch (error) {
-        await transaction.rollback();
-        throw error;
+      if (method !== 'bulk') {
+        await this.inTransaction(transaction => this.upsertResultsRowByRow(transaction, rows));
+      }
+
+      const durationMs = Date.now() - startTime;
+
+      // Only log successful saves in development/staging
+      if (process.env.NODE_ENV !== 'production') {
+        logger.info(`Successfully saved ${rows.length} ARN results (${method}, ${durationMs}ms)`);
       }
+
+      return {
+        method,
+        records: rows.length,
+        durationMs,
+        rowsPerSecond: Number((rows.length / Math.max(0.001, durationMs / 1000)).toFixed(1))
+      };
     } catch (error) {
       logError(error, { context: 'Batch saving ARN results', count: results.length });
       throw error;
     }
   }
 
-  async createResultsTable() {
-    try {
-      const createTableQuery = `
-        IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='${config.app.resultsTableName}' AND xtype='U')
-        CREATE TABLE ${config.app.resultsTableName} (
-          id BIGINT IDENTITY(1,1) PRIMARY KEY,
-          run_id NVARCHAR(50) NOT NULL,
-          batch_id INT NOT NULL,
-          original_id BIGINT NOT NULL,
-          arn NVARCHAR(500) NOT NULL,
-          status NVARCHAR(50) NOT NULL,
-          status_reason NVARCHAR(200),
-          error_message NVARCHAR(MAX),
-          metadata NVARCHAR(MAX),
-          checked_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
-          INDEX IX_${config.app.resultsTableName}_run_id (run_id),
-          INDEX IX_${config.app.resultsTableName}_batch_id (batch_id),
-          INDEX IX_${config.app.resultsTableName}_arn (arn),
-          INDEX IX_${config.app.resultsTableName}_status (status),
-          INDEX IX_${config.app.resultsTableName}_checked_at (checked_at),
-          INDEX IX_${config.app.resultsTableName}_original_id (original_id)
+  /**
+   * Column values for one results row, including the parsed ARN parts
+   */
+  toResultRow(result) {
+    const arnParts = tryParseEndpointArn(result.arn) || {};
+    return {
+      runId: result.runId,
+      batchId: result.batchId,
+      originalId: result.originalId,
+      arn: result.arn,
+      status: result.status,
+      statusReason: result.statusReason,
+      errorMessage: result.errorMessage,
+      metadata: JSON.stringify(result.metadata || {}),
+      checkedAt: new Date(),
+      arnPartition: arnParts.partition || null,
+      arnRegion: arnParts.region || null,
+      arnAccount: arnParts.accountId || null,
+      platform: arnParts.platform || null,
+      applicationName: arnParts.applicationName || null
+    };
+  }
+
+  /**
+   * Run fn(transaction) and commit, rolling back if it throws
+   */
+  async inTransaction(fn) {
+    const transaction = new sql.Transaction(this.pool);
+    await transaction.begin();
+
+    try {
+      const result = await fn(transaction);
+      await transaction.commit();
+      return result;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * executeQuery() for a request that is part of a transaction
+   */
+  async queryInTransaction(transaction, query, params = {}) {
+    const request = new sql.Request(transaction);
+    Object.entries(params).forEach(([key, value]) => {
+      request.input(key, value);
+    });
+    return request.query(query);
+  }
+
+  /**
+   * Bulk load rows into a temporary staging table, then MERGE them into the results table:
+   * a row for a (run_id, original_id) already saved is updated instead of added again
+   */
+  async bulkUpsertResults(transaction, rows) {
+    const table = new sql.Table(RESULTS_STAGING_TABLE);
+    table.create = true;
+    table.columns.add('run_id', sql.NVarChar(50), { nullable: false });
+    table.columns.add('batch_id', sql.Int, { nullable: false });
+    table.columns.add('original_id', sql.BigInt, { nullable: false });
+    table.columns.add('arn', sql.NVarChar(500), { nullable: false });
+    table.columns.add('status', sql.NVarChar(50), { nullable: false });
+    table.columns.add('status_reason', sql.NVarChar(200), { nullable: true });
+    table.columns.add('error_message', sql.NVarChar(sql.MAX), { nullable: true });
+    table.columns.add('metadata', sql.NVarChar(sql.MAX), { nullable: true });
+    table.columns.add('checked_at', sql.DateTime2, { nullable: false });
+    table.columns.add('arn_partition', sql.NVarChar(20), { nullable: true });
+    table.columns.add('arn_region', sql.NVarChar(30), { nullable: true });
+    table.columns.add('arn_account', sql.NVarChar(20), { nullable: true });
+    table.columns.add('platform', sql.NVarChar(30), { nullable: true });
+    table.columns.add('application_name', sql.NVarChar(256), { nullable: true });
+
+    for (const row of rows) {
+      table.rows.add(
+        row.runId,
+        row.batchId,
+        row.originalId,
+        row.arn,
+        row.status,
+        row.statusReason,
+        row.errorMessage,
+        row.metadata,
+        row.checkedAt,
+        row.arnPartition,
+        row.arnRegion,
+        row.arnAccount,
+        row.platform,
+        row.applicationName
+      );
+    }
+
+    // The staging table lives on the transaction's connection; it is dropped before commit
+    await new sql.Request(transaction).bulk(table);
+    await this.queryInTransaction(transaction, `
+      MERGE ${config.app.resultsTableName} WITH (HOLDLOCK) AS target
+      USING ${RESULTS_STAGING_TABLE} AS source
+      ON target.run_id = source.run_id AND target.original_id = source.original_id AND source.original_id <> 0
+      WHEN MATCHED THEN UPDATE SET
+        batch_id = source.batch_id, arn = source.arn, status = source.status, status_reason = source.status_reason,
+        error_message = source.error_message, metadata = source.metadata, checked_at = source.checked_at,
+        arn_partition = source.arn_partition, arn_region = source.arn_region, arn_account = source.arn_account,
+        platform = source.platform, application_name = source.application_name
+      WHEN NOT MATCHED THEN INSERT
+        (run_id, batch_id, original_id, arn, status, status_reason, error_message, metadata, checked_at,
+         arn_partition, arn_region, arn_account, platform, application_name)
+      VALUES
+        (source.run_id, source.batch_id, source.original_id, source.arn, source.status, source.status_reason,
+         source.error_message, source.metadata, source.checked_at, source.arn_partition, source.arn_region,
+         source.arn_account, source.platform, source.application_name);
+
+      MERGE ${config.app.currentStatusTableName} WITH (HOLDLOCK) AS target
+      USING (
+        SELECT * FROM (
+          SELECT *, ROW_NUMBER() OVER (PARTITION BY arn ORDER BY checked_at DESC, original_id DESC) as newest
+          FROM ${RESULTS_STAGING_TABLE}
+        ) staged
+        WHERE newest = 1
+      ) AS source
+      ON target.arn = source.arn
+      WHEN MATCHED AND source.checked_at >= target.last_checked_at THEN UPDATE SET
+        original_id = source.original_id, last_status = source.status, last_status_reason = source.status_reason,
+        last_checked_at = source.checked_at, last_run_id = source.run_id,
+        check_count = target.check_count + CASE WHEN target.last_run_id = source.run_id THEN 0 ELSE 1 END,
+        arn_partition = source.arn_partition, arn_region = source.arn_region, arn_account = source.arn_account,
+        platform = source.platform, application_name = source.application_name, updated_at = GETUTCDATE()
+      WHEN NOT MATCHED THEN INSERT
+        (arn, original_id, last_status, last_status_reason, last_checked_at, last_run_id, first_checked_at,
+         check_count, arn_partition, arn_region, arn_account, platform, application_name, updated_at)
+      VALUES
+        (source.arn, source.original_id, source.status, source.status_reason, source.checked_at, source.run_id,
+         source.checked_at, 1, source.arn_partition, source.arn_region, source.arn_account, source.platform,
+         source.application_name, GETUTCDATE());
+
+      DROP TABLE ${RESULTS_STAGING_TABLE};
+    `);
+  }
+
+  async upsertResultsRowByRow(transaction, rows) {
+    for (const row of rows) {
+      await this.queryInTransaction(transaction, `
+        UPDATE ${config.app.resultsTableName} WITH (UPDLOCK, SERIALIZABLE)
+        SET batch_id = @batchId, arn = @arn, status = @status, status_reason = @statusReason,
+          error_message = @errorMessage, metadata = @metadata, checked_at = @checkedAt,
+          arn_partition = @arnPartition, arn_region = @arnRegion, arn_account = @arnAccount,
+          platform = @platform, application_name = @applicationName
+        WHERE run_id = @runId AND original_id = @originalId AND original_id <> 0;
+
+        IF @@ROWCOUNT = 0
+          INSERT INTO ${config.app.resultsTableName} 
+          (run_id, batch_id, original_id, arn, status, status_reason, error_message, metadata, checked_at,
+           arn_partition, arn_region, arn_account, platform, application_name)
+          VALUES 
+          (@runId, @batchId, @originalId, @arn, @status, @statusReason, @errorMessage, @metadata, @checkedAt,
+           @arnPartition, @arnRegion, @arnAccount, @platform, @applicationName)
+      `, row);
+    }
+    await this.upsertCurrentStatusRowByRow(transaction, rows);
+  }
+
+  /**
+   * Move each ARN's current status row to its newest result. A run counts as one check
+   * of an ARN however often its result is saved again.
+   */
+  async upsertCurrentStatusRowByRow(transaction, rows) {
+    for (const row of uniqueArnRows(rows)) {
+      await this.queryInTransaction(transaction, `
+        UPDATE ${config.app.currentStatusTableName} WITH (UPDLOCK, SERIALIZABLE)
+        SET original_id = @originalId, last_status = @status, last_status_reason = @statusReason,
+          last_checked_at = @checkedAt, last_run_id = @runId,
+          check_count = check_count + CASE WHEN last_run_id = @runId THEN 0 ELSE 1 END,
+          arn_partition = @arnPartition, arn_region = @arnRegion, arn_account = @arnAccount,
+          platform = @platform, application_name = @applicationName, updated_at = GETUTCDATE()
+        WHERE arn = @arn AND last_checked_at <= @checkedAt;
+
+        IF @@ROWCOUNT = 0 AND NOT EXISTS (SELECT 1 FROM ${config.app.currentStatusTableName} WHERE arn = @arn)
+          INSERT INTO ${config.app.currentStatusTableName}
+          (arn, original_id, last_status, last_status_reason, last_checked_at, last_run_id, first_checked_at,
+           check_count, arn_partition, arn_region, arn_account, platform, application_name, updated_at)
+          VALUES
+          (@arn, @originalId, @status, @statusReason, @checkedAt, @runId, @checkedAt,
+           1, @arnPartition, @arnRegion, @arnAccount, @platform, @applicationName, GETUTCDATE())
+      `, row);
+    }
+  }
+
+  /**
+   * Endpoints to delete: result rows of `runId` with one of `statuses`, or with `current`
+   * the ARNs whose latest status is one of them and that are not deleted yet (with the
+   * result row of their latest check, skipped if it is gone). Rows are joined to the source table on its id
+   * column and skipped when the source row is gone, except ORPHANED rows, which never
+   * had one. The source's person column, when configured, is carried into person_id.
+   * ARNs with a DELETED or ALREADY_DELETED attempt are left out, as are ARNs found enabled
+   * again (SKIPPED_REENABLED) since the scan and, with `scannedSince`, rows scanned before
+   * it. Rows are returned in result id order after `afterId` (a deletion run's checkpoint).
+   */
+  async getDeletionCandidates({ limit = null, ...selection }) {
+    try {
+      const candidates = await this.deletionCandidatesSql(selection);
+      const result = await this.executeQuery(`
+        SELECT candidates.* FROM ${candidates.sql}
+        ORDER BY candidates.id${limit ? this.limitClause() : ''}
+      `, { ...candidates.params, limit });
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting deletion candidates', runId: selection.runId, statuses: selection.statuses });
+      throw error;
+    }
+  }
+
+  /**
+   * The rows getDeletionCandidates() selects, as a derived table `candidates` with its
+   * conditions: { sql, params }
+   */
+  async deletionCandidatesSql({
+    runId = null, statuses, current = false, sourceTable, idColumn, personColumn = null, afterId = null, scannedSince = null
+  }) {
+    const { table, columns: [idCol, personCol] } = await this.resolveSourceIdentifiers(
+      sourceTable, [idColumn, personColumn].filter(Boolean)
+    );
+    const params = {
+      runId,
+      afterId,
+      scannedSince: scannedSince ? new Date(scannedSince) : null,
+      skippedStatus: SKIPPED_REENABLED
+    };
+    const statusParams = statuses.map((status, index) => {
+      params[`status${index}`] = status;
+      return `@status${index}`;
+    });
+    const personSql = personCol ? `src.${personCol}` : 'NULL';
+
+    // The result id is the keyset of deletion runs; in current mode it is the ARN's latest
+    // result row, which retention keeps while the ARN is pending deletion
+    const selectSql = current
+      ? `
+        SELECT
+          (
+            SELECT MAX(cr.id) FROM ${config.app.resultsTableName} cr
+            WHERE cr.run_id = cs.last_run_id AND cr.arn = cs.arn
+          ) as id,
+          cs.original_id,
+          cs.arn,
+          cs.last_status as scan_status,
+          cs.last_checked_at as scanned_at,
+          ${personSql} as person_id
+        FROM ${config.app.currentStatusTableName} cs
+        LEFT JOIN ${table} src ON src.${idCol} = cs.original_id
+        WHERE cs.last_status IN (${statusParams.join(', ')})
+          AND (cs.deletion_status IS NULL OR cs.deletion_status NOT IN ('DELETED', 'ALREADY_DELETED'))
+          AND (src.${idCol} IS NOT NULL OR cs.last_status = 'ORPHANED')
+      `
+      : `
+        SELECT
+          cr.id,
+          cr.original_id,
+          cr.arn,
+          cr.status as scan_status,
+          cr.checked_at as scanned_at,
+          ${personSql} as person_id
+        FROM ${config.app.resultsTableName} cr
+        LEFT JOIN ${table} src ON src.${idCol} = cr.original_id
+        WHERE cr.run_id = @runId
+          AND cr.status IN (${statusParams.join(', ')})
+          AND (src.${idCol} IS NOT NULL OR cr.status = 'ORPHANED')
+      `;
+
+    return {
+      sql: `(${selectSql}) candidates
+        WHERE candidates.id IS NOT NULL
+          AND (@afterId IS NULL OR candidates.id > @afterId)
+          AND (@scannedSince IS NULL OR candidates.scanned_at >= @scannedSince)
+          AND NOT EXISTS (
+            SELECT 1 FROM ${config.app.deletionResultsTableName} dr
+            WHERE dr.arn = candidates.arn
+              AND (dr.deletion_status IN ('DELETED', 'ALREADY_DELETED')
+                OR (dr.deletion_status = @skippedStatus AND dr.deleted_at >= candidates.scanned_at))
+          )`,
+      params
+    };
+  }
+
+  /**
+   * Number of rows getDeletionCandidates() would return without a limit
+   */
+  async countDeletionCandidates(selection) {
+    try {
+      const candidates = await this.deletionCandidatesSql(selection);
+      const result = await this.executeQuery(
+        `SELECT COUNT(*) as candidate_count FROM ${candidates.sql}`,
+        candidates.params
+      );
+      return Number(result.recordset[0].candidate_count);
+    } catch (error) {
+      logError(error, { context: 'Counting deletion candidates', runId: selection.runId, statuses: selection.statuses });
+      throw error;
+    }
+  }
+
+  /**
+   * A deletion run's checkpoint: the highest result id it has saved an attempt for, or
+   * null. Results whose attempts all failed with a retryable error (metadata.errorClass,
+   * see error-classifier.js) are not past it: the checkpoint stops below the first of
+   * them, so a resumed run tries those endpoints again. Failures that would fail the same
+   * way again (invalid, fatal) are final and do not hold it back.
+   */
+  async getDeletionCheckpoint(deletionRunId) {
+    try {
+      const retryableSql = Object.values(ERROR_CLASSES).filter(isRetryableClass).map(errorClass => `'${errorClass}'`).join(', ');
+      const result = await this.executeQuery(`
+        WITH attempts AS (
+          SELECT cleanup_result_id, deletion_status, metadata FROM ${config.app.deletionResultsTableName}
+          WHERE deletion_run_id = @deletionRunId
+        ),
+        failed AS (
+          SELECT MIN(e.cleanup_result_id) as first_failed_id
+          FROM attempts e
+          WHERE e.deletion_status = 'ERROR'
+            AND COALESCE(${this.jsonValueSql('e.metadata', '$.errorClass')}, @unclassified) IN (${retryableSql})
+            AND NOT EXISTS (
+              SELECT 1 FROM attempts f
+              WHERE f.cleanup_result_id = e.cleanup_result_id AND f.deletion_status <> 'ERROR'
+            )
+        )
+        SELECT MAX(a.cleanup_result_id) as checkpoint_id
+        FROM attempts a CROSS JOIN failed
+        WHERE failed.first_failed_id IS NULL OR a.cleanup_result_id < failed.first_failed_id
+      `, { deletionRunId, unclassified: ERROR_CLASSES.RETRYABLE });
+      const checkpointId = result.recordset[0].checkpoint_id;
+      return checkpointId === null || checkpointId === undefined ? null : Number(checkpointId);
+    } catch (error) {
+      logError(error, { context: 'Getting deletion checkpoint', deletionRunId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a batch of endpoint deletion attempts in the deletion results history and the
+   * deletion state of each ARN in the current status table, in one transaction.
+   * Each result is { cleanupResultId, originalId, arn, personId, status, errorMessage,
+   * metadata, deletionRunId }. Dry runs delete nothing, so they only go to the history.
+   */
+  async saveDeletionResults(results) {
+    try {
+      if (!results || results.length === 0) {
+        return;
+      }
+
+      const deletedAt = new Date();
+      const rows = results.map(result => ({
+        cleanupResultId: result.cleanupResultId,
+        originalId: result.originalId,
+        arn: result.arn,
+        personId: result.personId ?? null,
+        deletionStatus: result.status,
+        errorMessage: result.errorMessage ?? null,
+        metadata: result.metadata ? JSON.stringify(result.metadata) : null,
+        deletionRunId: result.deletionRunId ?? null,
+        deletedAt
+      }));
+
+      await this.inTransaction(async (transaction) => {
+        await this.insertDeletionResults(transaction, rows);
+        for (const row of rows.filter(row => row.deletionStatus !== DRY_RUN_DELETION_STATUS)) {
+          await this.queryInTransaction(transaction, `
+            UPDATE ${config.app.currentStatusTableName}
+            SET deletion_status = @deletionStatus, deleted_at = @deletedAt, updated_at = @deletedAt
+            WHERE arn = @arn
+          `, row);
+        }
+      });
+    } catch (error) {
+      logError(error, { context: 'Saving deletion results', count: results.length });
+      throw error;
+    }
+  }
+
+  async insertDeletionResults(transaction, rows) {
+    const table = new sql.Table(config.app.deletionResultsTableName);
+    table.create = false;
+    table.columns.add('cleanup_result_id', sql.BigInt, { nullable: false });
+    table.columns.add('original_id', sql.BigInt, { nullable: false });
+    table.columns.add('arn', sql.NVarChar(500), { nullable: false });
+    table.columns.add('person_id', sql.BigInt, { nullable: true });
+    table.columns.add('deletion_status', sql.NVarChar(50), { nullable: false });
+    table.columns.add('error_message', sql.NVarChar(sql.MAX), { nullable: true });
+    table.columns.add('deleted_at', sql.DateTime2, { nullable: false });
+    table.columns.add('deletion_run_id', sql.NVarChar(50), { nullable: true });
+    table.columns.add('metadata', sql.NVarChar(sql.MAX), { nullable: true });
+
+    for (const row of rows) {
+      table.rows.add(
+        row.cleanupResultId,
+        row.originalId,
+        row.arn,
+        row.personId,
+        row.deletionStatus,
+        row.errorMessage,
+        row.deletedAt,
+        row.deletionRunId,
+        row.metadata
+      );
+    }
+
+    await new sql.Request(transaction).bulk(table);
+  }
+
+  /**
+   * Save encrypted endpoint snapshots ({ deletionRunId, cleanupResultId, originalId, arn,
+   * platformApplicationArn, keyId, payload }) taken just before deleting the endpoints
+   */
+  async saveEndpointSnapshots(snapshots) {
+    try {
+      if (!snapshots || snapshots.length === 0) {
+        return;
+      }
+
+      const capturedAt = new Date();
+      await this.inTransaction(async (transaction) => {
+        for (const snapshot of snapshots) {
+          await this.queryInTransaction(transaction, `
+            INSERT INTO ${config.app.snapshotsTableName}
+              (deletion_run_id, cleanup_result_id, original_id, arn, platform_application_arn, key_id, payload, captured_at)
+            VALUES
+              (@deletionRunId, @cleanupResultId, @originalId, @arn, @platformApplicationArn, @keyId, @payload, @capturedAt)
+          `, { ...snapshot, capturedAt });
+        }
+      });
+    } catch (error) {
+      logError(error, { context: 'Saving endpoint snapshots', count: snapshots.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshots of endpoints a deletion run deleted that are not restored yet, the newest
+   * per ARN, from the deletion run `deletionRunId` and/or of one `arn`, in id order after
+   * `afterId`
+   */
+  async getRestoreCandidates({ deletionRunId = null, arn = null, afterId = null, limit = null }) {
+    try {
+      const snapshots = config.app.snapshotsTableName;
+      const query = `
+        SELECT s.*
+        FROM ${snapshots} s
+        WHERE (@deletionRunId IS NULL OR s.deletion_run_id = @deletionRunId)
+          AND (@arn IS NULL OR s.arn = @arn)
+          AND (@afterId IS NULL OR s.id > @afterId)
+          AND s.id = (
+            SELECT MAX(latest.id) FROM ${snapshots} latest
+            WHERE latest.arn = s.arn AND latest.deletion_run_id = s.deletion_run_id
+          )
+          AND EXISTS (
+            SELECT 1 FROM ${config.app.deletionResultsTableName} d
+            WHERE d.arn = s.arn AND d.deletion_run_id = s.deletion_run_id AND d.deletion_status = 'DELETED'
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM ${snapshots} restored
+            WHERE restored.arn = s.arn AND restored.restore_status = 'RESTORED'
+          )
+        ORDER BY s.id${limit ? this.limitClause() : ''}
+      `;
+
+      const result = await this.executeQuery(query, { deletionRunId, arn, afterId, limit });
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting restore candidates', deletionRunId, arn });
+      throw error;
+    }
+  }
+
+  /**
+   * Record restore attempts ({ id, status, newArn, errorMessage }) on their snapshots,
+   * keeping the mapping from the deleted ARN to the endpoint that replaced it
+   */
+  async saveRestoreResults(results, restoreRunId) {
+    try {
+      const restoredAt = new Date();
+      await this.inTransaction(async (transaction) => {
+        for (const result of results) {
+          await this.queryInTransaction(transaction, `
+            UPDATE ${config.app.snapshotsTableName}
+            SET restore_run_id = @restoreRunId, restore_status = @status, restored_arn = @newArn,
+                restore_error = @errorMessage, restored_at = @restoredAt
+            WHERE id = @id
+          `, {
+            id: result.id,
+            status: result.status,
+            newArn: result.newArn ?? null,
+            errorMessage: result.errorMessage ?? null,
+            restoreRunId,
+            restoredAt
+          });
+        }
+      });
+    } catch (error) {
+      logError(error, { context: 'Saving restore results', restoreRunId, count: results.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Register a plan written by `delete --plan` ({ planId, hash, selection, summary, file,
+   * requiredApprovals, createdBy })
+   */
+  async createDeletionPlan(plan) {
+    try {
+      await this.executeQuery(`
+        INSERT INTO ${config.app.plansTableName}
+          (plan_id, plan_hash, parent_run_id, selection, total_arns, plan_file, required_approvals, created_at, created_by)
+        VALUES
+          (@planId, @planHash, @parentRunId, @selection, @totalArns, @planFile, @requiredApprovals, @createdAt, @createdBy)
+      `, {
+        planId: plan.planId,
+        planHash: plan.hash,
+        parentRunId: plan.selection.parentRunId,
+        selection: JSON.stringify(plan.selection),
+        totalArns: plan.summary.total,
+        planFile: plan.file,
+        requiredApprovals: plan.requiredApprovals,
+        createdAt: new Date(plan.createdAt),
+        createdBy: plan.createdBy
+      });
+    } catch (error) {
+      logError(error, { context: 'Creating deletion plan', planId: plan.planId });
+      throw error;
+    }
+  }
+
+  /**
+   * A registered deletion plan with its approvals (oldest first), or null
+   */
+  async getDeletionPlan(planId) {
+    try {
+      const result = await this.executeQuery(`
+        SELECT * FROM ${config.app.plansTableName} WHERE plan_id = @planId
+      `, { planId });
+      const record = result.recordset[0];
+      if (!record) {
+        return null;
+      }
+
+      const approvals = await this.executeQuery(`
+        SELECT approver, approved_by, plan_hash, comment, approved_at FROM ${config.app.planApprovalsTableName}
+        WHERE plan_id = @planId
+        ORDER BY approved_at, id
+      `, { planId });
+      return {
+        ...record,
+        selection: JSON.parse(record.selection),
+        approvals: approvals.recordset
+      };
+    } catch (error) {
+      logError(error, { context: 'Getting deletion plan', planId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record `approver`'s approval, given from the OS user@host `approvedBy`, of the plan
+   * with content hash `planHash`
+   */
+  async approveDeletionPlan(planId, planHash, approver, approvedBy, comment = null) {
+    try {
+      await this.executeQuery(`
+        INSERT INTO ${config.app.planApprovalsTableName} (plan_id, plan_hash, approver, approved_by, comment, approved_at)
+        VALUES (@planId, @planHash, @approver, @approvedBy, @comment, @approvedAt)
+      `, { planId, planHash, approver, approvedBy, comment, approvedAt: new Date() });
+    } catch (error) {
+      logError(error, { context: 'Approving deletion plan', planId, approver });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a plan as executed by a deletion run; false if another run executed it first
+   */
+  async recordPlanExecution(planId, runId) {
+    try {
+      const result = await this.executeQuery(`
+        UPDATE ${config.app.plansTableName}
+        SET executed_run_id = @runId, executed_at = @executedAt
+        WHERE plan_id = @planId AND executed_run_id IS NULL
+      `, { planId, runId, executedAt: new Date() });
+      return result.rowsAffected[0] > 0;
+    } catch (error) {
+      logError(error, { context: 'Recording plan execution', planId, runId });
+      throw error;
+    }
+  }
+
+  /**
+   * Bring the tool's tables up to date. With AUTO_MIGRATE=false pending migrations are
+   * not applied; startup fails instead until `migrate up` has been run.
+   */
+  async ensureSchema() {
+    try {
+      const migrator = new Migrator(this);
+      if (config.app.autoMigrate) {
+        await migrator.up();
+        return;
+      }
+
+      const pending = await migrator.plan();
+      if (pending.length > 0) {
+        throw new Error(`Database schema has ${pending.length} pending migration(s) ` +
+          `(${pending.map(migration => migration.name).join(', ')}); run: node src/cleanup.js migrate up`);
+      }
+    } catch (error) {
+      logError(error, { context: 'Ensuring database schema' });
+      throw error;
+    }
+  }
+
+  /**
+   * Register a run in the created state. A no-op if the run already exists.
+   */
+  async createRun(runId, { mode = 'scan', sourceTable = null, filter = null, options = {}, parentRunId = null, startAfterId = null } = {}) {
+    try {
+      // Lock the key so concurrent workers starting the same run don't both insert
+      const query = `
+        BEGIN TRANSACTION;
+        IF NOT EXISTS (SELECT 1 FROM ${config.app.runsTableName} WITH (UPDLOCK, HOLDLOCK) WHERE run_id = @runId)
+          INSERT INTO ${config.app.runsTableName}
+            (run_id, source_table, source_filter, created_at, parent_run_id, mode, run_options, host, start_after_id,
+             state, state_updated_at)
+          VALUES
+            (@runId, @sourceTable, @sourceFilter, @createdAt, @parentRunId, @mode, @runOptions, @host, @startAfterId,
+             @state, @createdAt);
+        COMMIT TRANSACTION;
+      `;
+
+      await this.executeQuery(query, {
+        runId,
+        sourceTable,
+        sourceFilter: serializeFilter(filter),
+        createdAt: new Date(),
+        parentRunId,
+        mode,
+        runOptions: JSON.stringify(options),
+        host: os.hostname(),
+        startAfterId,
+        state: RUN_STATES.CREATED
+      });
+    } catch (error) {
+      logError(error, { context: 'Creating run', runId });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a run to a new lifecycle state with an optional reason. Entering 'running'
+   * records the host and (first) start time; ending states record the end time.
+   */
+  async updateRunState(runId, state, reason = null) {
+    try {
+      const query = `
+        UPDATE ${config.app.runsTableName}
+        SET state = @state,
+          state_reason = @reason,
+          state_updated_at = @updatedAt,
+          host = CASE WHEN @state = '${RUN_STATES.RUNNING}' THEN @host ELSE host END,
+          started_at = CASE WHEN @state = '${RUN_STATES.RUNNING}' THEN COALESCE(started_at, @updatedAt) ELSE started_at END,
+          ended_at = CASE WHEN @ended = 1 THEN @updatedAt WHEN @state = '${RUN_STATES.RUNNING}' THEN NULL ELSE ended_at END
+        WHERE run_id = @runId
+      `;
+
+      await this.executeQuery(query, {
+        runId,
+        state,
+        reason,
+        updatedAt: new Date(),
+        host: os.hostname(),
+        ended: ENDED_STATES.includes(state) ? 1 : 0
+      });
+    } catch (error) {
+      logError(error, { context: 'Updating run state', runId, state });
+      throw error;
+    }
+  }
+
+  /**
+   * A run's registry row with its filter and options parsed, or null
+   */
+  async getRun(runId) {
+    try {
+      const result = await this.executeQuery(
+        `SELECT * FROM ${config.app.runsTableName} WHERE run_id = @runId`,
+        { runId }
+      );
+      const record = result.recordset[0];
+      if (!record) {
+        return null;
+      }
+
+      return {
+        ...record,
+        source_filter: deserializeFilter(record.source_filter),
+        run_options: record.run_options ? JSON.parse(record.run_options) : {}
+      };
+    } catch (error) {
+      logError(error, { context: 'Getting run', runId });
+      throw error;
+    }
+  }
+
+  /**
+   * Latest result per record of a run whose status is one of `statuses`, shaped like
+   * getPushArns() rows so they can be checked again
+   */
+  async getResultsForRecheck(runId, statuses) {
+    try {
+      const params = { runId };
+      const statusParams = statuses.map((status, index) => {
+        params[`status${index}`] = status;
+        return `@status${index}`;
+      });
+
+      // One row per record and run since migration 005; the newest row wins should a table still hold more
+      const query = `
+        WITH latest AS (
+          SELECT original_id, arn, status,
+            ROW_NUMBER() OVER (PARTITION BY original_id, arn ORDER BY checked_at DESC, id DESC) as rn
+          FROM ${config.app.resultsTableName}
+          WHERE run_id = @runId
+        )
+        SELECT original_id as id, arn, status
+        FROM latest
+        WHERE rn = 1 AND status IN (${statusParams.join(', ')})
+        ORDER BY original_id
+      `;
+
+      const result = await this.executeQuery(query, params);
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting results for re-check', runId, statuses });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-check runs started from a run, including re-checks of those re-checks
+   */
+  async getChildRuns(runId) {
+    try {
+      const query = `
+        WITH run_tree AS (
+          SELECT run_id, parent_run_id, created_at FROM ${config.app.runsTableName} WHERE parent_run_id = @runId
+          UNION ALL
+          SELECT r.run_id, r.parent_run_id, r.created_at
+          FROM ${config.app.runsTableName} r
+          INNER JOIN run_tree t ON r.parent_run_id = t.run_id
         )
+        SELECT run_id, parent_run_id, created_at FROM run_tree ORDER BY created_at
       `;
 
-      // Also add columns if table exists but doesn't have new columns
-      const alterTableQuery = `
-        IF EXISTS (SELECT * FROM sysobjects WHERE name='${config.app.resultsTableName}' AND xtype='U')
+      const result = await this.executeQuery(query, { runId });
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting child runs', runId });
+      throw error;
+    }
+  }
+
+  /**
+   * Status counts for a run after its re-checks: each record counts once, with the
+   * status from the most recent check across the run and all of its re-check runs
+   */
+  async getReconciledStats(runId) {
+    try {
+      const query = `
+        WITH run_tree AS (
+          SELECT CAST(@runId AS NVARCHAR(50)) as run_id
+          UNION ALL
+          SELECT r.run_id
+          FROM ${config.app.runsTableName} r
+          INNER JOIN run_tree t ON r.parent_run_id = t.run_id
+        ),
+        latest AS (
+          SELECT res.status,
+            ROW_NUMBER() OVER (PARTITION BY res.original_id, res.arn ORDER BY res.checked_at DESC, res.id DESC) as rn
+          FROM ${config.app.resultsTableName} res
+          INNER JOIN run_tree t ON res.run_id = t.run_id
+        )
+        SELECT 
+          COUNT(*) as total_records,
+          COUNT(CASE WHEN status = 'ENABLED' THEN 1 END) as enabled_count,
+          COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled_count,
+          COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as error_count,
+          COUNT(CASE WHEN status = 'NOT_FOUND' THEN 1 END) as not_found_count,
+          COUNT(CASE WHEN status = 'INVALID' THEN 1 END) as invalid_count,
+          COUNT(CASE WHEN status = 'ORPHANED' THEN 1 END) as orphaned_count
+        FROM latest
+        WHERE rn = 1
+      `;
+
+      const result = await this.executeQuery(query, { runId });
+      return result.recordset[0];
+    } catch (error) {
+      logError(error, { context: 'Getting reconciled stats', runId });
+      throw error;
+    }
+  }
+
+  /**
+   * Split the filtered source id range into partitions of roughly equal row counts.
+   * Only the first worker to get here creates them; later workers reuse the existing set.
+   * The last partition has no upper bound (see partitionRangeSql), so rows added after the
+   * partitions were made are covered too; its range_end is the highest id at that time.
+   */
+  async createPartitions(runId, sourceTable, arnColumn, idColumn, partitionCount, filter = null, delta = null) {
+    try {
+      const table = config.app.partitionsTableName;
+      const { table: source, columns: [arnCol, idCol] } = await this.resolveSourceIdentifiers(
+        sourceTable, [arnColumn, idColumn, ...this.filterColumns(filter)]
+      );
+      const filterSql = buildFilterSql(filter);
+      const deltaSql = buildDeltaSql(delta, sourceTable, `src.${idCol}`, `src.${arnCol}`);
+      const query = `
+        BEGIN TRANSACTION;
+        IF NOT EXISTS (SELECT 1 FROM ${table} WITH (UPDLOCK, HOLDLOCK) WHERE run_id = @runId)
         BEGIN
-          IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${config.app.resultsTableName}') AND name = 'run_id')
-            ALTER TABLE ${config.app.resultsTableName} ADD run_id NVARCHAR(50);
-          
-          IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${config.app.resultsTableName}') AND name = 'batch_id')
-            ALTER TABLE ${config.app.resultsTableName} ADD batch_id INT;
+          INSERT INTO ${table} (run_id, partition_id, range_start, range_end, row_count)
+          SELECT @runId, bucket, MIN(source_id), MAX(source_id), COUNT(*)
+          FROM (
+            SELECT src.${idCol} as source_id, NTILE(@partitionCount) OVER (ORDER BY src.${idCol}) as bucket
+            FROM ${source} src
+            WHERE src.${arnCol} IS NOT NULL AND src.${arnCol} != ''${filterSql.sql}${deltaSql.sql}
+          ) buckets
+          GROUP BY bucket;
         END
+        COMMIT TRANSACTION;
+      `;
+
+      await this.executeQuery(query, { ...filterSql.params, ...deltaSql.params, runId, partitionCount });
+      return await this.getPartitionProgress(runId);
+    } catch (error) {
+      logError(error, { context: 'Creating partitions', runId });
+      throw error;
+    }
+  }
+
+  /**
+   * Condition that idExpr lies in the range of the partition row aliased `alias`. Every
+   * partition ends at range_end except the run's last one, which is open-ended.
+   */
+  partitionRangeSql(alias, idExpr) {
+    const table = config.app.partitionsTableName;
+    return `${idExpr} >= ${alias}.range_start AND (${idExpr} <= ${alias}.range_end OR ${alias}.partition_id = (
+      SELECT MAX(last_partition.partition_id) FROM ${table} last_partition WHERE last_partition.run_id = ${alias}.run_id
+    ))`;
+  }
+
+  /**
+   * Atomically lease the next pending partition, or one whose lease has expired
+   * (its worker stopped sending heartbeats). Returns null when nothing is left to claim.
+   */
+  async claimPartition(runId, workerId, leaseMs) {
+    try {
+      const table = config.app.partitionsTableName;
+      const query = `
+        WITH next_partition AS (
+          SELECT TOP 1 *
+          FROM ${table} WITH (UPDLOCK, READPAST, ROWLOCK)
+          WHERE run_id = @runId
+            AND (status = 'pending' OR (status = 'leased' AND lease_expires_at < SYSUTCDATETIME()))
+          ORDER BY partition_id
+        )
+        UPDATE next_partition
+        SET status = 'leased',
+            worker_id = @workerId,
+            lease_expires_at = DATEADD(MILLISECOND, @leaseMs, SYSUTCDATETIME()),
+            heartbeat_at = SYSUTCDATETIME(),
+            started_at = ISNULL(started_at, SYSUTCDATETIME())
+        OUTPUT inserted.*, deleted.worker_id as previous_worker_id
       `;
 
-      await this.executeQuery(createTableQuery);
-      await this.executeQuery(alterTableQuery);
-      logger.info(`Results table '${config.app.resultsTableName}' is ready with run tracking`);
+      const result = await this.executeQuery(query, { runId, workerId, leaseMs });
+      return result.recordset[0] || null;
     } catch (error) {
-      logError(error, { context: 'Creating results table' });
+      logError(error, { context: 'Claiming partition', runId, workerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Extend a lease and record the last id whose results are saved.
+   * Returns false when the lease was lost to another worker.
+   */
+  async renewPartitionLease(runId, partitionId, workerId, leaseMs, lastProcessedId = null, processedDelta = 0) {
+    try {
+      const table = config.app.partitionsTableName;
+      const query = `
+        UPDATE ${table}
+        SET lease_expires_at = ${this.nowPlusMsSql('leaseMs')},
+            heartbeat_at = ${this.nowSql()},
+            last_processed_id = COALESCE(@lastProcessedId, last_processed_id),
+            processed_count = processed_count + @processedDelta
+        WHERE run_id = @runId AND partition_id = @partitionId
+          AND worker_id = @workerId AND status = 'leased'
+      `;
+
+      const result = await this.executeQuery(query, {
+        runId, partitionId, workerId, leaseMs, lastProcessedId, processedDelta
+      });
+      return result.rowsAffected[0] > 0;
+    } catch (error) {
+      logError(error, { context: 'Renewing partition lease', runId, partitionId, workerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a leased partition back (keeping its checkpoint) so it can be claimed again at once
+   */
+  async releasePartition(runId, partitionId, workerId) {
+    try {
+      const table = config.app.partitionsTableName;
+      const query = `
+        UPDATE ${table}
+        SET status = 'pending', worker_id = NULL, lease_expires_at = NULL
+        WHERE run_id = @runId AND partition_id = @partitionId
+          AND worker_id = @workerId AND status = 'leased'
+      `;
+
+      await this.executeQuery(query, { runId, partitionId, workerId });
+    } catch (error) {
+      logError(error, { context: 'Releasing partition', runId, partitionId, workerId });
+      throw error;
+    }
+  }
+
+  async completePartition(runId, partitionId, workerId) {
+    try {
+      const table = config.app.partitionsTableName;
+      const query = `
+        UPDATE ${table}
+        SET status = 'completed', completed_at = ${this.nowSql()}, lease_expires_at = NULL,
+            heartbeat_at = ${this.nowSql()}, last_processed_id = range_end
+        WHERE run_id = @runId AND partition_id = @partitionId AND worker_id = @workerId
+      `;
+
+      const result = await this.executeQuery(query, { runId, partitionId, workerId });
+      return result.rowsAffected[0] > 0;
+    } catch (error) {
+      logError(error, { context: 'Completing partition', runId, partitionId, workerId });
+      throw error;
+    }
+  }
+
+  /**
+   * Per-partition progress for a run (empty when the run was not partitioned)
+   */
+  async getPartitionProgress(runId) {
+    try {
+      const query = `
+        SELECT
+          partition_id, range_start, range_end, row_count, last_processed_id, processed_count,
+          CASE WHEN status = 'leased' AND lease_expires_at < ${this.nowSql()} THEN 'expired' ELSE status END as status,
+          worker_id, heartbeat_at, started_at, completed_at,
+          CAST(CASE WHEN row_count > 0 THEN processed_count * 100.0 / row_count ELSE 100 END AS DECIMAL(6,2)) as progress_percent
+        FROM ${config.app.partitionsTableName}
+        WHERE run_id = @runId
+        ORDER BY partition_id
+      `;
+
+      const result = await this.executeQuery(query, { runId });
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting partition progress', runId });
       throw error;
     }
   }
@@ -223,6 +1413,7 @@ class DatabaseService {
           COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled_count,
           COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as error_count,
           COUNT(CASE WHEN status = 'NOT_FOUND' THEN 1 END) as not_found_count,
+          COUNT(CASE WHEN status = 'ORPHANED' THEN 1 END) as orphaned_count,
           MIN(original_id) as first_processed_id,
           MAX(original_id) as last_processed_id,
           MIN(checked_at) as first_processed_at,
@@ -233,10 +1424,10 @@ class DatabaseService {
       `;
       
       if (runId) {
-        query += ` WHERE run_id = '${runId}'`;
+        query += ` WHERE run_id = @runId`;
       }
 
-      const result = await this.executeQuery(query);
+      const result = await this.executeQuery(query, runId ? { runId } : {});
       return result.recordset[0];
     } catch (error) {
       logError(error, { context: 'Getting results table stats' });
@@ -244,15 +1435,145 @@ class DatabaseService {
     }
   }
 
-  async getProcessingProgress(sourceTable, sourceIdColumn, runId = null) {
+  /**
+   * Status counts grouped by parsed ARN parts: 'platform', 'application', 'region' or 'account'.
+   * Rows saved before ARN parsing was added are grouped under NULL.
+   */
+  async getStatusBreakdown(groupBy = 'application', runId = null) {
     try {
-      // Get the latest run ID if not specified
-      const latestRunQuery = runId ? 
-        `SELECT '${runId}' as latest_run_id` : 
-        `SELECT TOP 1 run_id as latest_run_id FROM ${config.app.resultsTableName} ORDER BY checked_at DESC`;
-      
-      const latestRunResult = await this.executeQuery(latestRunQuery);
-      const latestRunId = latestRunResult.recordset[0]?.latest_run_id;
+      const columns = BREAKDOWN_COLUMNS[groupBy];
+      if (!columns) {
+        throw new Error(`Invalid breakdown '${groupBy}'. Valid options: ${Object.keys(BREAKDOWN_COLUMNS).join(', ')}`);
+      }
+
+      const groupColumns = runId ? columns : ['run_id', ...columns];
+      let query = `
+        SELECT 
+          ${groupColumns.join(', ')},
+          COUNT(*) as total_records,
+          COUNT(CASE WHEN status = 'ENABLED' THEN 1 END) as enabled_count,
+          COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled_count,
+          COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as error_count,
+          COUNT(CASE WHEN status = 'NOT_FOUND' THEN 1 END) as not_found_count,
+          COUNT(CASE WHEN status = 'INVALID' THEN 1 END) as invalid_count,
+          COUNT(CASE WHEN status = 'ORPHANED' THEN 1 END) as orphaned_count
+        FROM ${config.app.resultsTableName}
+      `;
+
+      if (runId) {
+        query += ` WHERE run_id = @runId`;
+      }
+      query += ` GROUP BY ${groupColumns.join(', ')} ORDER BY ${groupColumns.join(', ')}`;
+
+      const result = await this.executeQuery(query, runId ? { runId } : {});
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting status breakdown', groupBy, runId });
+      throw error;
+    }
+  }
+
+  /**
+   * The current status row of one ARN, or null if it was never checked
+   */
+  async getCurrentStatus(arn) {
+    try {
+      const result = await this.executeQuery(
+        `SELECT * FROM ${config.app.currentStatusTableName} WHERE arn = @arn`,
+        { arn }
+      );
+      return result.recordset[0] || null;
+    } catch (error) {
+      logError(error, { context: 'Getting current status', arn });
+      throw error;
+    }
+  }
+
+  /**
+   * Counts over the current status table: every ARN once, with its latest status and
+   * deletion state
+   */
+  async getCurrentStatusStats() {
+    try {
+      const result = await this.executeQuery(`
+        SELECT 
+          COUNT(*) as total_arns,
+          COUNT(CASE WHEN last_status = 'ENABLED' THEN 1 END) as enabled_count,
+          COUNT(CASE WHEN last_status = 'DISABLED' THEN 1 END) as disabled_count,
+          COUNT(CASE WHEN last_status = 'ERROR' THEN 1 END) as error_count,
+          COUNT(CASE WHEN last_status = 'NOT_FOUND' THEN 1 END) as not_found_count,
+          COUNT(CASE WHEN last_status = 'INVALID' THEN 1 END) as invalid_count,
+          COUNT(CASE WHEN last_status = 'ORPHANED' THEN 1 END) as orphaned_count,
+          COUNT(CASE WHEN deletion_status = 'DELETED' THEN 1 END) as deleted_count,
+          COUNT(CASE WHEN deletion_status = 'ALREADY_DELETED' THEN 1 END) as already_deleted_count,
+          COUNT(CASE WHEN deletion_status = 'ERROR' THEN 1 END) as deletion_error_count,
+          MIN(last_checked_at) as oldest_check_at,
+          MAX(last_checked_at) as newest_check_at,
+          SUM(check_count) as total_checks
+        FROM ${config.app.currentStatusTableName}
+      `);
+      return result.recordset[0];
+    } catch (error) {
+      logError(error, { context: 'Getting current status stats' });
+      throw error;
+    }
+  }
+
+  /**
+   * getStatusBreakdown() over the current status table: each ARN counts once
+   */
+  async getCurrentStatusBreakdown(groupBy = 'application') {
+    try {
+      const columns = BREAKDOWN_COLUMNS[groupBy];
+      if (!columns) {
+        throw new Error(`Invalid breakdown '${groupBy}'. Valid options: ${Object.keys(BREAKDOWN_COLUMNS).join(', ')}`);
+      }
+
+      const query = `
+        SELECT 
+          ${columns.join(', ')},
+          COUNT(*) as total_records,
+          COUNT(CASE WHEN last_status = 'ENABLED' THEN 1 END) as enabled_count,
+          COUNT(CASE WHEN last_status = 'DISABLED' THEN 1 END) as disabled_count,
+          COUNT(CASE WHEN last_status = 'ERROR' THEN 1 END) as error_count,
+          COUNT(CASE WHEN last_status = 'NOT_FOUND' THEN 1 END) as not_found_count,
+          COUNT(CASE WHEN last_status = 'INVALID' THEN 1 END) as invalid_count,
+          COUNT(CASE WHEN last_status = 'ORPHANED' THEN 1 END) as orphaned_count,
+          COUNT(CASE WHEN deletion_status IN ('DELETED', 'ALREADY_DELETED') THEN 1 END) as deleted_count
+        FROM ${config.app.currentStatusTableName}
+        GROUP BY ${columns.join(', ')}
+        ORDER BY ${columns.join(', ')}
+      `;
+
+      const result = await this.executeQuery(query);
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting current status breakdown', groupBy });
+      throw error;
+    }
+  }
+
+  /**
+   * Progress of a scan or partitioned run (the latest one by default), counted over the
+   * rows the run actually checks: its source table and columns, non-empty ARNs, its
+   * filter, starting id and delta cut-off. Remaining rows are the ones past the run's
+   * last checked id (per unfinished partition for partitioned runs), so
+   * progress_percent = processed / (processed + remaining). Adds the throughput over
+   * the recent window, an ETA at that rate and the SNS calls the remaining rows need.
+   */
+  async getProcessingProgress(sourceTable, sourceIdColumn, runId = null, filter = null, delta = null) {
+    try {
+      // Get the latest source scan from the run registry if not specified
+      // (reconcile and re-check runs do not walk the source table)
+      let latestRunId = runId;
+      if (!latestRunId) {
+        const latestRunResult = await this.executeQuery(`
+          SELECT run_id as latest_run_id FROM ${config.app.runsTableName}
+          WHERE mode IS NULL OR mode IN ('scan', 'partitioned')
+          ORDER BY created_at DESC${this.limitClause('limit')}
+        `, { limit: 1 });
+        latestRunId = latestRunResult.recordset[0]?.latest_run_id;
+      }
       
       if (!latestRunId) {
         return {
@@ -267,38 +1588,125 @@ class DatabaseService {
         };
       }
 
+      // Count what the run itself selects: its stored table, columns, filter and delta cut-off
+      const run = await this.getRun(latestRunId);
+      if (run && run.mode === 'delete') {
+        return await this.getDeletionProgress(run);
+      }
+      const runOptions = run ? run.run_options : {};
+      const runSourceTable = (run && run.source_table) || sourceTable;
+      const runFilter = filter || (run ? run.source_filter : null);
+      const deltaSettings = delta || runDelta(run);
+      const { table, columns: [idCol, arnCol] } = await this.resolveSourceIdentifiers(runSourceTable, [
+        runOptions.idColumn || sourceIdColumn,
+        runOptions.arnColumn || config.sourceTable.arnColumn,
+        ...this.filterColumns(runFilter)
+      ]);
+      const filterSql = buildFilterSql(runFilter);
+      // A delta run only has the rows it still needs to check left to do
+      const deltaSql = buildDeltaSql(deltaSettings, runSourceTable, `src.${idCol}`, `src.${arnCol}`);
+      const scopeSql = `src.${idCol} IS NOT NULL AND src.${arnCol} IS NOT NULL AND src.${arnCol} != ''` +
+        ` AND (@startAfterId IS NULL OR src.${idCol} > @startAfterId)${filterSql.sql}`;
+
+      // Unchecked rows lie past the last checked id, of the run or of each unfinished partition
+      const remainingSql = run && run.mode === 'partitioned'
+        ? `
+          SELECT COUNT(*) FROM ${table} src
+          INNER JOIN (
+            SELECT p.run_id, p.partition_id, p.range_start, p.range_end, MAX(r.original_id) as reached_id
+            FROM ${config.app.partitionsTableName} p
+            LEFT JOIN ${config.app.resultsTableName} r
+              ON r.run_id = p.run_id AND ${this.partitionRangeSql('p', 'r.original_id')}
+            WHERE p.run_id = @runId AND p.status <> 'completed'
+            GROUP BY p.run_id, p.partition_id, p.range_start, p.range_end
+          ) open_partition
+            ON src.${idCol} > COALESCE(open_partition.reached_id, open_partition.range_start - 1)
+            AND ${this.partitionRangeSql('open_partition', `src.${idCol}`)}
+          WHERE ${scopeSql}${deltaSql.sql}
+        `
+        : `
+          SELECT COUNT(*) FROM ${table} src
+          WHERE ${scopeSql} AND src.${idCol} > COALESCE(s.latest_run_last_id, @startAfterId, 0)${deltaSql.sql}
+        `;
+
       const query = `
         WITH latest_run_stats AS (
           SELECT 
             COUNT(*) as latest_run_processed,
             MAX(original_id) as latest_run_last_id,
-            MIN(original_id) as latest_run_first_id
+            MIN(original_id) as latest_run_first_id,
+            MIN(checked_at) as first_activity,
+            MAX(checked_at) as last_activity
           FROM ${config.app.resultsTableName} 
-          WHERE run_id = '${latestRunId}'
+          WHERE run_id = @runId AND original_id <> 0
         )
         SELECT 
-          (SELECT COUNT(*) FROM ${sourceTable} WHERE ${sourceIdColumn} IS NOT NULL) as total_source_records,
+          (SELECT COUNT(*) FROM ${table} src WHERE ${scopeSql}) as total_source_records,
           s.latest_run_processed as processed_records,
           s.latest_run_last_id as last_processed_id,
           s.latest_run_first_id as first_processed_id,
-          (SELECT COUNT(*) FROM ${sourceTable} WHERE ${sourceIdColumn} > 
-            ISNULL(s.latest_run_last_id, 0)) as remaining_records,
-          (SELECT COUNT(DISTINCT run_id) FROM ${config.app.resultsTableName}) as total_runs,
-          '${latestRunId}' as latest_run_id,
-          s.latest_run_last_id - ISNULL(s.latest_run_first_id, 0) + 1 as latest_run_range
+          s.first_activity,
+          s.last_activity,
+          (${remainingSql}) as remaining_records,
+          (SELECT COUNT(*) FROM ${config.app.runsTableName}) as total_runs,
+          @runId as latest_run_id
         FROM latest_run_stats s
       `;
 
-      const result = await this.executeQuery(query);
+      const result = await this.executeQuery(query, {
+        ...filterSql.params,
+        ...deltaSql.params,
+        runId: latestRunId,
+        startAfterId: run ? run.start_after_id : null
+      });
       const stats = result.recordset[0];
-      
-      // Calculate progress as percentage of latest run's range vs total records
-      const totalRecords = stats.total_source_records;
-      const latestRunProcessed = stats.processed_records;
-      
-      stats.progress_percent = totalRecords > 0 ? 
-        ((latestRunProcessed / totalRecords) * 100).toFixed(2) : 0;
+      const processed = Number(stats.processed_records);
+      const remaining = Number(stats.remaining_records);
+      const completed = run ? run.state === RUN_STATES.COMPLETED : false;
+      const running = run ? run.state === RUN_STATES.RUNNING : false;
+
+      stats.run_total_records = processed + remaining;
+      stats.progress_percent = stats.run_total_records > 0
+        ? ((processed / stats.run_total_records) * 100).toFixed(2) : 0;
+
+      // Throughput over the recent window, and the SNS calls per check of the latest results
+      const window = progressWindow({
+        running,
+        stateUpdatedAt: run ? run.state_updated_at : null,
+        firstActivity: stats.first_activity,
+        lastActivity: stats.last_activity
+      });
+      const windowCount = window
+        ? await this.executeQuery(`
+          SELECT COUNT(*) as window_records FROM ${config.app.resultsTableName}
+          WHERE run_id = @runId AND original_id <> 0 AND checked_at > @windowFrom
+        `, { runId: latestRunId, windowFrom: new Date(window.from) })
+        : { recordset: [{ window_records: 0 }] };
+      const sample = await this.executeQuery(`
+        SELECT metadata FROM ${config.app.resultsTableName}
+        WHERE run_id = @runId AND original_id <> 0
+        ORDER BY id DESC${this.limitClause('limit')}
+      `, { runId: latestRunId, limit: CALL_SAMPLE_SIZE });
+
+      Object.assign(stats, estimateProgress({
+        remaining,
+        completed,
+        running,
+        window,
+        windowRecords: Number(windowCount.recordset[0].window_records),
+        sample: sample.recordset
+      }));
+
       stats.current_run_id = latestRunId;
+      stats.source_table = runSourceTable;
+      stats.source_filter = runFilter ? describeFilter(runFilter) : null;
+      stats.delta = deltaSettings ? describeDelta(deltaSettings) : null;
+      stats.state = run ? run.state : null;
+      stats.state_reason = run ? run.state_reason : null;
+      stats.mode = run ? run.mode : null;
+      stats.host = run ? run.host : null;
+      stats.started_at = run ? run.started_at : null;
+      stats.ended_at = run ? run.ended_at : null;
         
       return stats;
     } catch (error) {
@@ -307,25 +1715,147 @@ class DatabaseService {
     }
   }
 
-  async getRunList() {
+  /**
+   * Progress of a deletion run in the shape of getProcessingProgress(): attempts saved,
+   * candidates left after its checkpoint, and throughput, ETA and SNS calls from the
+   * attempts in its throughput window
+   */
+  async getDeletionProgress(run) {
+    const runOptions = run.run_options;
+    const checkpointId = await this.getDeletionCheckpoint(run.run_id);
+    const candidates = await this.deletionCandidatesSql({
+      runId: run.parent_run_id,
+      statuses: runOptions.statuses,
+      current: Boolean(runOptions.current),
+      sourceTable: run.source_table,
+      idColumn: runOptions.idColumn,
+      personColumn: runOptions.personColumn,
+      afterId: checkpointId,
+      // Plan runs keep the cut-off of their plan
+      scannedSince: 'scannedSince' in runOptions ? runOptions.scannedSince : buildScanCutoff(runOptions.maxScanAgeDays || null)
+    });
+
+    const result = await this.executeQuery(`
+      WITH attempts AS (
+        SELECT
+          COUNT(*) as processed_records,
+          MIN(deleted_at) as first_activity,
+          MAX(deleted_at) as last_activity
+        FROM ${config.app.deletionResultsTableName}
+        WHERE deletion_run_id = @deletionRunId
+      )
+      SELECT
+        a.processed_records,
+        a.first_activity,
+        a.last_activity,
+        (SELECT COUNT(*) FROM ${candidates.sql}) as remaining_records,
+        (SELECT COUNT(*) FROM ${config.app.runsTableName}) as total_runs
+      FROM attempts a
+    `, { ...candidates.params, deletionRunId: run.run_id });
+    const stats = result.recordset[0];
+    const processed = Number(stats.processed_records);
+    const remaining = Number(stats.remaining_records);
+    const running = run.state === RUN_STATES.RUNNING;
+
+    const window = progressWindow({
+      running,
+      stateUpdatedAt: run.state_updated_at,
+      firstActivity: stats.first_activity,
+      lastActivity: stats.last_activity
+    });
+    const windowCount = window
+      ? await this.executeQuery(`
+        SELECT COUNT(*) as window_records FROM ${config.app.deletionResultsTableName}
+        WHERE deletion_run_id = @deletionRunId AND deleted_at > @windowFrom
+      `, { deletionRunId: run.run_id, windowFrom: new Date(window.from) })
+      : { recordset: [{ window_records: 0 }] };
+    const sample = await this.executeQuery(`
+      SELECT metadata FROM ${config.app.deletionResultsTableName}
+      WHERE deletion_run_id = @deletionRunId
+      ORDER BY id DESC${this.limitClause('limit')}
+    `, { deletionRunId: run.run_id, limit: CALL_SAMPLE_SIZE });
+
+    return {
+      total_source_records: null,
+      processed_records: processed,
+      last_processed_id: checkpointId,
+      first_activity: stats.first_activity,
+      last_activity: stats.last_activity,
+      remaining_records: remaining,
+      run_total_records: processed + remaining,
+      progress_percent: processed + remaining > 0 ? ((processed / (processed + remaining)) * 100).toFixed(2) : 0,
+      total_runs: stats.total_runs,
+      latest_run_id: run.run_id,
+      ...estimateProgress({
+        remaining,
+        completed: run.state === RUN_STATES.COMPLETED,
+        running,
+        window,
+        windowRecords: Number(windowCount.recordset[0].window_records),
+        sample: sample.recordset
+      }),
+      current_run_id: run.run_id,
+      deletion_of: runOptions.current ? 'current' : run.parent_run_id,
+      deletion_statuses: runOptions.statuses,
+      dry_run: Boolean(runOptions.dryRun),
+      reverify: Boolean(runOptions.reverify),
+      max_scan_age_days: runOptions.maxScanAgeDays || null,
+      source_table: run.source_table,
+      source_filter: null,
+      delta: null,
+      state: run.state,
+      state_reason: run.state_reason,
+      mode: run.mode,
+      host: run.host,
+      started_at: run.started_at,
+      ended_at: run.ended_at
+    };
+  }
+
+  /**
+   * Runs from the registry, newest first, with result counts per run
+   */
+  async getRunList(limit = 50) {
     try {
+      // OUTER APPLY only reads the result rows of the listed runs (via the run_id index)
       const query = `
-        SELECT 
-          run_id,
-          COUNT(*) as processed_records,
-          MIN(checked_at) as started_at,
-          MAX(checked_at) as last_activity,
-          MIN(original_id) as first_id,
-          MAX(original_id) as last_id,
-          COUNT(CASE WHEN status = 'ENABLED' THEN 1 END) as enabled_count,
-          COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled_count,
-          COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as error_count
-        FROM ${config.app.resultsTableName}
-        GROUP BY run_id
-        ORDER BY started_at DESC
+        SELECT TOP (@limit)
+          runs.run_id,
+          runs.parent_run_id,
+          runs.mode,
+          runs.state,
+          runs.state_reason,
+          runs.host,
+          runs.source_table,
+          runs.created_at,
+          runs.started_at,
+          runs.ended_at,
+          counts.processed_records,
+          counts.last_activity,
+          counts.first_id,
+          counts.last_id,
+          counts.enabled_count,
+          counts.disabled_count,
+          counts.error_count,
+          counts.orphaned_count
+        FROM ${config.app.runsTableName} runs
+        OUTER APPLY (
+          SELECT 
+            COUNT(*) as processed_records,
+            MAX(res.checked_at) as last_activity,
+            MIN(res.original_id) as first_id,
+            MAX(res.original_id) as last_id,
+            COUNT(CASE WHEN res.status = 'ENABLED' THEN 1 END) as enabled_count,
+            COUNT(CASE WHEN res.status = 'DISABLED' THEN 1 END) as disabled_count,
+            COUNT(CASE WHEN res.status = 'ERROR' THEN 1 END) as error_count,
+            COUNT(CASE WHEN res.status = 'ORPHANED' THEN 1 END) as orphaned_count
+          FROM ${config.app.resultsTableName} res
+          WHERE res.run_id = runs.run_id
+        ) counts
+        ORDER BY runs.created_at DESC
       `;
 
-      const result = await this.executeQuery(query);
+      const result = await this.executeQuery(query, { limit });
       return result.recordset;
     } catch (error) {
       logError(error, { context: 'Getting run list' });
@@ -333,29 +1863,311 @@ class DatabaseService {
     }
   }
 
-  async canResumeRun(runId, sourceTable, sourceIdColumn) {
+  /**
+   * The newest run in the registry with its state and result counts, or null
+   */
+  async getLatestRunStats() {
     try {
       const query = `
-        SELECT 
-          (SELECT COUNT(*) FROM ${sourceTable} WHERE ${sourceIdColumn} IS NOT NULL) as total_source_records,
-          (SELECT COUNT(*) FROM ${config.app.resultsTableName} WHERE run_id = '${runId}') as processed_records,
-          (SELECT MAX(original_id) FROM ${config.app.resultsTableName} WHERE run_id = '${runId}') as last_processed_id
+        SELECT TOP 1
+          runs.run_id,
+          runs.state,
+          runs.state_reason,
+          runs.mode,
+          runs.host,
+          ISNULL(runs.started_at, runs.created_at) as started_at,
+          runs.ended_at,
+          counts.total_processed,
+          counts.enabled_count,
+          counts.disabled_count,
+          counts.error_count,
+          counts.not_found_count,
+          counts.last_updated,
+          counts.latest_batch
+        FROM ${config.app.runsTableName} runs
+        OUTER APPLY (
+          SELECT 
+            COUNT(*) as total_processed,
+            COUNT(CASE WHEN status = 'ENABLED' THEN 1 END) as enabled_count,
+            COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled_count,
+            COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as error_count,
+            COUNT(CASE WHEN status = 'NOT_FOUND' THEN 1 END) as not_found_count,
+            MAX(checked_at) as last_updated,
+            MAX(batch_id) as latest_batch
+          FROM ${config.app.resultsTableName} res
+          WHERE res.run_id = runs.run_id
+        ) counts
+        ORDER BY runs.created_at DESC
       `;
 
       const result = await this.executeQuery(query);
+      return result.recordset[0] || null;
+    } catch (error) {
+      logError(error, { context: 'Getting latest run stats' });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a run can be resumed, and from which source id. This is decided by the run's
+   * registry state, not by comparing counts, so filtered runs and runs started with
+   * --resume-from-id resume correctly. The run resumes after its last non-ERROR result,
+   * so the ERROR rows of a streak that tripped the circuit breaker are checked again, and
+   * never after a source row the run has no result for (see findRunGaps).
+   */
+  async canResumeRun(runId) {
+    try {
+      const run = await this.getRun(runId);
+      if (!run) {
+        return { canResume: false, reason: `Run ${runId} does not exist` };
+      }
+      if (!isResumableState(run.state)) {
+        return { canResume: false, state: run.state, reason: `Run ${runId} is already ${run.state}` };
+      }
+
+      const result = await this.executeQuery(`
+        SELECT
+          COUNT(*) as processed_records,
+          MAX(CASE WHEN status <> 'ERROR' THEN original_id END) as last_processed_id
+        FROM ${config.app.resultsTableName}
+        WHERE run_id = @runId
+      `, { runId });
       const stats = result.recordset[0];
-      
+      // Nothing saved yet: start where the run was originally asked to start
+      let lastProcessedId = stats.last_processed_id ?? run.start_after_id;
+
+      // Batches are saved concurrently, so a batch can be missing below one that was saved:
+      // resume before the first source row with no result instead
+      if ((!run.mode || run.mode === 'scan') && stats.last_processed_id !== null && stats.last_processed_id !== undefined) {
+        const { missing } = await this.findRunGaps(runId, {
+          sourceTable: run.source_table || config.sourceTable.tableName,
+          arnColumn: run.run_options.arnColumn || config.sourceTable.arnColumn,
+          idColumn: run.run_options.idColumn || config.sourceTable.idColumn,
+          filter: run.source_filter
+        });
+
+        if (missing.length > 0 && Number(missing[0].id) <= Number(lastProcessedId)) {
+          const beforeGap = await this.executeQuery(`
+            SELECT MAX(original_id) as last_processed_id
+            FROM ${config.app.resultsTableName}
+            WHERE run_id = @runId AND original_id < @gapId AND status <> 'ERROR'
+          `, { runId, gapId: missing[0].id });
+          lastProcessedId = beforeGap.recordset[0].last_processed_id ?? run.start_after_id;
+          logger.warn(`Run ${runId} has no result for source id ${missing[0].id}; resuming before it`);
+        }
+      }
+
       return {
-        canResume: stats.processed_records < stats.total_source_records,
-        lastProcessedId: stats.last_processed_id,
-        processedRecords: stats.processed_records,
-        totalRecords: stats.total_source_records
+        canResume: true,
+        state: run.state,
+        mode: run.mode,
+        lastProcessedId,
+        processedRecords: stats.processed_records
       };
     } catch (error) {
       logError(error, { context: 'Checking if run can be resumed' });
       throw error;
     }
   }
+
+  /**
+   * Compare a scan or partitioned run with its source rows. The id range a run covered is
+   * from its starting point up to its last saved id (per partition for partitioned runs).
+   * Returns the covered ranges, the source rows in them with no result in the run, any
+   * source ids saved more than once, and the run's last batch id.
+   */
+  async findRunGaps(runId, { sourceTable, arnColumn, idColumn, filter = null }) {
+    try {
+      const run = await this.getRun(runId);
+      if (!run) {
+        throw new Error(`Run ${runId} does not exist`);
+      }
+
+      const { table, columns: [arnCol, idCol] } = await this.resolveSourceIdentifiers(
+        sourceTable, [arnColumn, idColumn, ...this.filterColumns(filter)]
+      );
+      const filterSql = buildFilterSql(filter);
+      // A delta run skipped rows that were checked recently; those are not gaps
+      const deltaSql = buildDeltaSql(runDelta(run), sourceTable, `src.${idCol}`, `src.${arnCol}`);
+      const params = { ...filterSql.params, ...deltaSql.params, runId, startAfterId: run.start_after_id };
+
+      // Each covered range is (covered_after_id, covered_last_id]; no lower bound when after_id is NULL
+      const coveredSql = run.mode === 'partitioned'
+        ? `
+          SELECT p.range_start - 1 as covered_after_id, MAX(r.original_id) as covered_last_id
+          FROM ${config.app.partitionsTableName} p
+          INNER JOIN ${config.app.resultsTableName} r
+            ON r.run_id = p.run_id AND ${this.partitionRangeSql('p', 'r.original_id')}
+          WHERE p.run_id = @runId
+          GROUP BY p.partition_id, p.range_start
+        `
+        : `
+          SELECT @startAfterId as covered_after_id, MAX(original_id) as covered_last_id
+          FROM ${config.app.resultsTableName}
+          WHERE run_id = @runId
+        `;
+
+      const ranges = await this.executeQuery(`
+        WITH covered AS (${coveredSql})
+        SELECT covered_after_id, covered_last_id FROM covered
+        WHERE covered_last_id IS NOT NULL
+        ORDER BY covered_last_id
+      `, params);
+
+      const missing = await this.executeQuery(`
+        WITH covered AS (${coveredSql})
+        SELECT src.${idCol} as id, src.${arnCol} as arn
+        FROM ${table} src
+        INNER JOIN covered c
+          ON (c.covered_after_id IS NULL OR src.${idCol} > c.covered_after_id) AND src.${idCol} <= c.covered_last_id
+        WHERE src.${arnCol} IS NOT NULL AND src.${arnCol} != ''${filterSql.sql}${deltaSql.sql}
+          AND NOT EXISTS (
+            SELECT 1 FROM ${config.app.resultsTableName} r WHERE r.run_id = @runId AND r.original_id = src.${idCol}
+          )
+        ORDER BY src.${idCol}
+      `, params);
+
+      const duplicates = await this.executeQuery(`
+        SELECT original_id, COUNT(*) as row_count
+        FROM ${config.app.resultsTableName}
+        WHERE run_id = @runId AND original_id <> 0
+        GROUP BY original_id
+        HAVING COUNT(*) > 1
+        ORDER BY original_id
+      `, { runId });
+
+      const batches = await this.executeQuery(`
+        SELECT MAX(batch_id) as last_batch_id FROM ${config.app.resultsTableName} WHERE run_id = @runId
+      `, { runId });
+
+      return {
+        run,
+        ranges: ranges.recordset.map(range => ({
+          afterId: range.covered_after_id,
+          lastId: range.covered_last_id
+        })),
+        missing: missing.recordset,
+        duplicates: duplicates.recordset,
+        lastBatchId: batches.recordset[0].last_batch_id || 0
+      };
+    } catch (error) {
+      logError(error, { context: 'Finding run gaps', runId });
+      throw error;
+    }
+  }
+
+  /**
+   * What --archive/--purge would remove under `policy`: the newest runs it keeps, the runs
+   * protected from it (runs still being written, and the latest run of every ARN still
+   * pending deletion), the rows it no longer keeps per run, and the expiry condition
+   * that selects them.
+   */
+  async getRetentionPlan(policy) {
+    try {
+      const retentionModes = RETENTION_MODES.map(mode => `'${mode}'`).join(', ');
+      const kept = policy.keepRuns > 0
+        ? await this.executeQuery(`
+          SELECT run_id FROM ${config.app.runsTableName}
+          WHERE mode IS NULL OR mode NOT IN (${retentionModes})
+          ORDER BY created_at DESC${this.limitClause('keepRuns')}
+        `, { keepRuns: policy.keepRuns })
+        : { recordset: [] };
+
+      const deletable = DELETABLE_STATUSES.map(status => `'${status}'`).join(', ');
+      const protectedRuns = await this.executeQuery(`
+        SELECT last_run_id as run_id FROM ${config.app.currentStatusTableName}
+        WHERE last_run_id IS NOT NULL AND last_status IN (${deletable})
+          AND (deletion_status IS NULL OR deletion_status NOT IN ('DELETED', 'ALREADY_DELETED'))
+        UNION
+        SELECT run_id FROM ${config.app.runsTableName}
+        WHERE state IN ('${RUN_STATES.CREATED}', '${RUN_STATES.RUNNING}')
+      `);
+
+      const keptRunIds = kept.recordset.map(run => run.run_id);
+      const protectedRunIds = protectedRuns.recordset.map(run => run.run_id).filter(runId => !keptRunIds.includes(runId));
+      const expiry = buildExpirySql(policy, [...keptRunIds, ...protectedRunIds]);
+
+      const expired = await this.executeQuery(`
+        SELECT run_id, COUNT(*) as row_count, MIN(checked_at) as oldest_check_at, MAX(checked_at) as newest_check_at
+        FROM ${config.app.resultsTableName}
+        WHERE ${expiry.sql}
+        GROUP BY run_id
+        ORDER BY MIN(checked_at)
+      `, expiry.params);
+
+      return {
+        keptRunIds,
+        protectedRunIds,
+        runs: expired.recordset,
+        expiry
+      };
+    } catch (error) {
+      logError(error, { context: 'Getting retention plan' });
+      throw error;
+    }
+  }
+
+  /**
+   * The next `limit` rows of a run matching a retention expiry condition, in id order
+   * after `afterId`
+   */
+  async getExpiredResults(runId, expiry, afterId, limit, { idsOnly = false } = {}) {
+    try {
+      const result = await this.executeQuery(`
+        SELECT ${idsOnly ? 'id' : ARCHIVED_RESULT_COLUMNS}
+        FROM ${config.app.resultsTableName}
+        WHERE run_id = @runId AND id > @afterId AND ${expiry.sql}
+        ORDER BY id${this.limitClause()}
+      `, { ...expiry.params, runId, afterId, limit });
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting expired results', runId, afterId });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a run's expired rows with ids in (afterId, lastId] to the archive table in one
+   * transaction; returns the number of rows moved
+   */
+  async archiveExpiredResults(runId, expiry, afterId, lastId, archiveRunId) {
+    try {
+      const params = { ...expiry.params, runId, afterId, lastId, archiveRunId, archivedAt: new Date() };
+      const where = `run_id = @runId AND id > @afterId AND id <= @lastId AND ${expiry.sql}`;
+
+      return await this.inTransaction(async (transaction) => {
+        await this.queryInTransaction(transaction, `
+          INSERT INTO ${config.app.archiveTableName} (${ARCHIVED_RESULT_COLUMNS}, archived_at, archive_run_id)
+          SELECT ${ARCHIVED_RESULT_COLUMNS}, @archivedAt, @archiveRunId
+          FROM ${config.app.resultsTableName}
+          WHERE ${where}
+        `, params);
+        const deleted = await this.queryInTransaction(transaction, `
+          DELETE FROM ${config.app.resultsTableName} WHERE ${where}
+        `, params);
+        return deleted.rowsAffected[0];
+      });
+    } catch (error) {
+      logError(error, { context: 'Archiving expired results', runId, afterId, lastId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a run's expired rows with ids in (afterId, lastId]; returns the number deleted
+   */
+  async deleteExpiredResults(runId, expiry, afterId, lastId) {
+    try {
+      const result = await this.executeQuery(`
+        DELETE FROM ${config.app.resultsTableName}
+        WHERE run_id = @runId AND id > @afterId AND id <= @lastId AND ${expiry.sql}
+      `, { ...expiry.params, runId, afterId, lastId });
+      return result.rowsAffected[0];
+    } catch (error) {
+      logError(error, { context: 'Deleting expired results', runId, afterId, lastId });
+      throw error;
+    }
+  }
 }
 
 module.exports = DatabaseService;
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { config } = require('./config');
+
+/**
+ * Deletion Safety Checks
+ * A scan result can be out of date by the time `delete` acts on it: the device may have
+ * registered again and its endpoint been re-enabled. `--reverify` checks each endpoint
+ * once more right before deleting it, and `--max-scan-age` keeps deletion away from
+ * results older than a number of days.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deletion status of endpoints found enabled with a token again by --reverify
+const SKIPPED_REENABLED = 'SKIPPED_REENABLED';
+
+/**
+ * Oldest scan time a deletion may act on for `maxScanAgeDays` (ISO timestamp), or null
+ * when scan age is not limited. Measured from now, so a resumed run cannot fall back on
+ * results that have aged past the limit since it started.
+ */
+const buildScanCutoff = (maxScanAgeDays = config.deletion.maxScanAgeDays, now = Date.now()) => {
+  if (!maxScanAgeDays) {
+    return null;
+  }
+  if (!(maxScanAgeDays > 0)) {
+    throw new Error(`--max-scan-age must be a positive number of days (got ${maxScanAgeDays})`);
+  }
+  return new Date(now - maxScanAgeDays * DAY_MS).toISOString();
+};
+
+module.exports = {
+  SKIPPED_REENABLED,
+  buildScanCutoff
+};
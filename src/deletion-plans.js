@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { tryParseEndpointArn } = require('./arn-parser');
+
+/**
+ * Deletion Plans
+ * `delete --plan` writes what a deletion would do to a plan file for review: its
+ * selection, a manifest of every candidate with the scan result it was picked on, counts
+ * per application and per person, and a hash of all of it. Approvals are recorded in the
+ * database against that hash, and `delete --execute-plan` only deletes the manifest's
+ * endpoints of an approved, unmodified plan whose scan data has not changed since.
+ */
+
+const PLAN_VERSION = 1;
+
+/**
+ * Manifest entry of a deletion candidate (a getDeletionCandidates() row)
+ */
+const planEntry = (candidate) => ({
+  id: candidate.id,
+  arn: candidate.arn,
+  originalId: candidate.original_id,
+  personId: candidate.person_id ?? null,
+  scanStatus: candidate.scan_status,
+  scannedAt: candidate.scanned_at ? new Date(candidate.scanned_at).toISOString() : null
+});
+
+/**
+ * What must match between a manifest entry and a candidate: the result, its ARN and
+ * the scan status and time it was selected on
+ */
+const planEntryKey = (entry) => `${entry.id}|${entry.arn}|${entry.scanStatus}|${entry.scannedAt}`;
+
+/**
+ * Counts of manifest entries per application (platform/name from the ARN) and, when the
+ * source has a person column, per person
+ */
+const summarizePlan = (entries, { byPerson = false } = {}) => {
+  const count = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  };
+
+  return {
+    total: entries.length,
+    byApplication: entries.reduce((counts, entry) => {
+      const parts = tryParseEndpointArn(entry.arn);
+      return count(counts, parts ? `${parts.platform}/${parts.applicationName}` : 'unparseable');
+    }, {}),
+    byPerson: byPerson ? entries.reduce((counts, entry) => count(counts, entry.personId ?? 'none'), {}) : null
+  };
+};
+
+/**
+ * SHA-256 of a plan's content, everything but its `hash`
+ */
+const hashPlan = (plan) => crypto.createHash('sha256')
+  .update(JSON.stringify({ ...plan, hash: undefined }))
+  .digest('hex');
+
+/**
+ * The OS user and host running this command, recorded as who made or approved a plan
+ */
+const currentOperator = () => `${os.userInfo().username}@${os.hostname()}`;
+
+/**
+ * Default location of a new plan's file
+ */
+const defaultPlanFile = (planId, planDir = config.deletion.planDir) => path.join(planDir, `${planId}.json`);
+
+const writePlanFile = (file, plan) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(plan, null, 2)}\n`);
+};
+
+/**
+ * Read a plan file and check it against its own hash, so a plan edited after it was
+ * made is never approved or executed
+ */
+const readPlanFile = (file) => {
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read deletion plan ${file}: ${error.message}`);
+  }
+
+  if (plan.version !== PLAN_VERSION || !Array.isArray(plan.manifest)) {
+    throw new Error(`${file} is not a version ${PLAN_VERSION} deletion plan`);
+  }
+  if (hashPlan(plan) !== plan.hash) {
+    throw new Error(`Deletion plan ${file} was modified after it was made (its content does not match its hash)`);
+  }
+  return plan;
+};
+
+module.exports = {
+  PLAN_VERSION,
+  planEntry,
+  planEntryKey,
+  summarizePlan,
+  hashPlan,
+  currentOperator,
+  defaultPlanFile,
+  writePlanFile,
+  readPlanFile
+};
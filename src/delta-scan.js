@@ -0,0 +1,70 @@
+const { config } = require('./config');
+
+/**
+ * Delta Scans
+ * A delta run (--delta) only checks source rows that need it, judged by the results
+ * history: rows never checked, rows whose ARN changed since their last check, and rows
+ * last checked before a cut-off (--max-age days ago). The cut-off is stored with the run
+ * so a resumed or verified run selects the same rows.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delta settings for a new run: { checkedSince } as an ISO timestamp
+ */
+const buildDelta = (maxAgeDays = config.app.deltaMaxAgeDays, now = Date.now()) => {
+  if (!(maxAgeDays > 0)) {
+    throw new Error(`--max-age must be a positive number of days (got ${maxAgeDays})`);
+  }
+  return { checkedSince: new Date(now - maxAgeDays * DAY_MS).toISOString() };
+};
+
+/**
+ * Delta settings stored with a run, or null for a full scan
+ */
+const runDelta = (run) => {
+  const checkedSince = run && run.run_options ? run.run_options.deltaCheckedSince : null;
+  return checkedSince ? { checkedSince } : null;
+};
+
+/**
+ * SQL fragment (starting with ' AND ') that drops source rows already checked with their
+ * current ARN since the cut-off. idExpr and arnExpr are the qualified source columns.
+ * Only results of runs over the same source table count, since ids are per table.
+ */
+const buildDeltaSql = (delta, sourceTable, idExpr, arnExpr) => {
+  if (!delta) {
+    return { sql: '', params: {} };
+  }
+
+  const sql = ` AND NOT EXISTS (
+    SELECT 1 FROM ${config.app.resultsTableName} checked
+    INNER JOIN ${config.app.runsTableName} checked_run ON checked_run.run_id = checked.run_id
+    WHERE checked.original_id = ${idExpr} AND checked.arn = ${arnExpr}
+      AND checked.checked_at >= @deltaCheckedSince
+      AND COALESCE(checked_run.source_table, @deltaSourceTable) = @deltaSourceTable
+  )`;
+
+  return {
+    sql,
+    params: {
+      deltaCheckedSince: new Date(delta.checkedSince),
+      deltaSourceTable: sourceTable
+    }
+  };
+};
+
+/**
+ * Human-readable description of a delta run for logs and CLI output
+ */
+const describeDelta = (delta) => delta
+  ? `unchecked, changed, or last checked before ${delta.checkedSince}`
+  : 'none (full scan)';
+
+module.exports = {
+  buildDelta,
+  runDelta,
+  buildDeltaSql,
+  describeDelta
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+const { parseEndpointArn } = require('./arn-parser');
+
+/**
+ * Endpoint Snapshots
+ * DeleteEndpoint loses an endpoint's token, CustomUserData and other attributes for good.
+ * `delete` saves each endpoint's full attributes just before deleting it, encrypted with
+ * SNAPSHOT_ENCRYPTION_KEY (AES-256-GCM, bound to the endpoint's ARN), and `restore`
+ * recreates deleted endpoints from these snapshots with CreatePlatformEndpoint.
+ */
+
+const CIPHER = 'aes-256-gcm';
+const PAYLOAD_VERSION = 'v1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * The snapshot key from SNAPSHOT_ENCRYPTION_KEY (32 bytes, hex or base64) and its key id,
+ * a fingerprint saved with each snapshot so a restore with another key fails clearly
+ */
+const loadSnapshotKey = (value = config.snapshots.encryptionKey) => {
+  if (!value) {
+    throw new Error('Endpoint snapshots need SNAPSHOT_ENCRYPTION_KEY (32 bytes, e.g. from: openssl rand -base64 32)');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`SNAPSHOT_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded (got ${key.length} bytes)`);
+  }
+  return { key, keyId: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16) };
+};
+
+/**
+ * ARN of the platform application an endpoint belongs to, from its parsed endpoint ARN
+ */
+const platformApplicationArn = ({ partition, region, accountId, platform, applicationName }) =>
+  `arn:${partition}:sns:${region}:${accountId}:app/${platform}/${applicationName}`;
+
+/**
+ * Encrypt a snapshot ({ arn, attributes, capturedAt }) into "v1:<base64 iv|tag|ciphertext>"
+ */
+const encryptSnapshot = (snapshot, { key }) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(snapshot.arn));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(snapshot), 'utf8'), cipher.final()]);
+  return `${PAYLOAD_VERSION}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+};
+
+/**
+ * Decrypt a snapshot row ({ id, arn, key_id, payload }) saved by encryptSnapshot()
+ */
+const decryptSnapshot = (row, { key, keyId }) => {
+  if (row.key_id !== keyId) {
+    throw new Error(`Snapshot ${row.id} was encrypted with key ${row.key_id}, but SNAPSHOT_ENCRYPTION_KEY is key ${keyId}`);
+  }
+
+  const [version, encoded] = row.payload.split(':');
+  if (version !== PAYLOAD_VERSION || !encoded) {
+    throw new Error(`Snapshot ${row.id} has an unknown payload format '${version}'`);
+  }
+
+  const data = Buffer.from(encoded, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(row.arn));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  const plaintext = Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+/**
+ * The snapshot row saveEndpointSnapshots() stores for a deletion candidate about to be
+ * deleted by `deletionRunId`, with the endpoint's full `attributes` encrypted
+ */
+const buildSnapshotRow = (record, deletionRunId, snapshotKey, capturedAt = new Date()) => ({
+  deletionRunId,
+  cleanupResultId: record.id,
+  originalId: record.original_id,
+  arn: record.arn,
+  platformApplicationArn: platformApplicationArn(parseEndpointArn(record.arn)),
+  keyId: snapshotKey.keyId,
+  payload: encryptSnapshot({ arn: record.arn, attributes: record.attributes, capturedAt: capturedAt.toISOString() }, snapshotKey)
+});
+
+module.exports = {
+  loadSnapshotKey,
+  platformApplicationArn,
+  encryptSnapshot,
+  decryptSnapshot,
+  buildSnapshotRow
+};
@@ -0,0 +1,103 @@
+/**
+ * Error Classifier
+ * Shared taxonomy for AWS errors so every caller decides the same way whether to
+ * retry, refresh credentials, back off harder, or give up.
+ */
+
+const ERROR_CLASSES = {
+  RETRYABLE: 'retryable',
+  THROTTLED: 'throttled',
+  CREDENTIALS_EXPIRED: 'credential-expired',
+  NOT_FOUND: 'not-found',
+  INVALID: 'invalid',
+  FATAL: 'fatal'
+};
+
+const THROTTLED_NAMES = [
+  'Throttling', 'ThrottlingException', 'ThrottledException',
+  'TooManyRequestsException', 'RequestLimitExceeded', 'SlowDown'
+];
+
+const CREDENTIALS_EXPIRED_NAMES = [
+  'ExpiredToken', 'ExpiredTokenException', 'TokenRefreshRequired', 'RequestExpired'
+];
+
+const NOT_FOUND_NAMES = ['NotFound', 'NotFoundException', 'ResourceNotFoundException'];
+
+const INVALID_NAMES = [
+  'InvalidParameter', 'InvalidParameterException', 'InvalidParameterValue',
+  'InvalidParameterValueException', 'ValidationError', 'ArnParseError'
+];
+
+const FATAL_NAMES = [
+  'AuthorizationError', 'AuthorizationErrorException', 'AccessDenied', 'AccessDeniedException',
+  'InvalidClientTokenId', 'UnrecognizedClientException', 'SignatureDoesNotMatch',
+  'InvalidSecurity', 'OptInRequired', 'CredentialsProviderError'
+];
+
+const CREDENTIALS_EXPIRED_MESSAGES = [
+  'security token included in the request is expired',
+  'the provided token has expired',
+  'tokenrefreshrequired'
+];
+
+/**
+ * Classify an error into one of ERROR_CLASSES.
+ * Error names and HTTP status codes are checked first; messages are only a fallback.
+ * Unknown errors are treated as retryable.
+ */
+const classifyError = (error) => {
+  if (!error) {
+    return ERROR_CLASSES.RETRYABLE;
+  }
+
+  const name = error.name || error.code || '';
+  const message = (error.message || '').toLowerCase();
+  const httpStatus = error.$metadata?.httpStatusCode;
+
+  if (THROTTLED_NAMES.includes(name) || httpStatus === 429) {
+    return ERROR_CLASSES.THROTTLED;
+  }
+  if (CREDENTIALS_EXPIRED_NAMES.includes(name) || CREDENTIALS_EXPIRED_MESSAGES.some(text => message.includes(text))) {
+    return ERROR_CLASSES.CREDENTIALS_EXPIRED;
+  }
+  if (NOT_FOUND_NAMES.includes(name) || httpStatus === 404 || message.includes('does not exist')) {
+    return ERROR_CLASSES.NOT_FOUND;
+  }
+  if (INVALID_NAMES.includes(name) || message.includes('invalid parameter')) {
+    return ERROR_CLASSES.INVALID;
+  }
+  if (FATAL_NAMES.includes(name) || httpStatus === 401 || httpStatus === 403) {
+    return ERROR_CLASSES.FATAL;
+  }
+  // Any other client error will fail the same way again
+  if (httpStatus >= 400 && httpStatus < 500) {
+    return ERROR_CLASSES.FATAL;
+  }
+
+  return ERROR_CLASSES.RETRYABLE;
+};
+
+/**
+ * Whether an error class is worth another attempt (after backoff or a credential refresh)
+ */
+const isRetryableClass = (errorClass) => [
+  ERROR_CLASSES.RETRYABLE,
+  ERROR_CLASSES.THROTTLED,
+  ERROR_CLASSES.CREDENTIALS_EXPIRED
+].includes(errorClass);
+
+/**
+ * Capped exponential backoff with full jitter: a random delay in [0, min(maxMs, baseMs * 2^(attempt - 1))]
+ */
+const computeBackoff = (attempt, baseMs, maxMs) => {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)));
+  return Math.floor(Math.random() * ceiling);
+};
+
+module.exports = {
+  ERROR_CLASSES,
+  classifyError,
+  isRetryableClass,
+  computeBackoff
+};
@@ -8,38 +8,63 @@
 const http = require('http');
 const url = require('url');
 const { config } = require('./config');
-const DatabaseService = require('./database');
+const { createStorage } = require('./storage');
 const { logger } = require('./logger');
 
 class HealthCheckServer {
   constructor(port = 3000) {
     this.port = port;
-    this.db = new DatabaseService();
+    this.db = createStorage();
     this.server = null;
   }
 
   async initialize() {
     await this.db.connect();
+    await this.db.ensureSchema();
     logger.info('Health check server database connected');
   }
 
-  async getProcessingProgress() {
+  /**
+   * Progress of the given run, or of the latest scan, with throughput and ETA
+   */
+  async getProcessingProgress(runId = null) {
     try {
       const sourceTable = config.sourceTable.tableName;
       const sourceIdColumn = config.sourceTable.idColumn;
       
-      const progress = await this.db.getProcessingProgress(sourceTable, sourceIdColumn);
+      const progress = await this.db.getProcessingProgress(sourceTable, sourceIdColumn, runId || null);
+      const partitions = progress.current_run_id
+        ? await this.db.getPartitionProgress(progress.current_run_id)
+        : [];
       return {
         success: true,
         data: {
           totalRecords: progress.total_source_records,
           processedRecords: progress.processed_records,
           remainingRecords: progress.remaining_records,
+          runTotalRecords: progress.run_total_records,
           progressPercent: progress.progress_percent,
+          throughputPerSecond: progress.throughput_per_second,
+          throughputWindowSeconds: progress.throughput_window_seconds,
+          etaSeconds: progress.eta_seconds,
+          estimatedCompletionAt: progress.estimated_completion_at,
+          apiCallsPerRecord: progress.api_calls_per_record,
+          estimatedApiCalls: progress.estimated_api_calls,
           latestRunId: progress.latest_run_id,
           currentRunId: progress.current_run_id,
           totalRuns: progress.total_runs,
-          lastProcessedId: progress.last_processed_id
+          lastProcessedId: progress.last_processed_id,
+          sourceTable: progress.source_table,
+          sourceFilter: progress.source_filter,
+          delta: progress.delta,
+          deletionOf: progress.deletion_of,
+          state: progress.state,
+          stateReason: progress.state_reason,
+          mode: progress.mode,
+          host: progress.host,
+          startedAt: progress.started_at,
+          endedAt: progress.ended_at,
+          partitions
         }
       };
     } catch (error) {
@@ -53,28 +78,8 @@ class HealthCheckServer {
 
   async getLatestRunStats() {
     try {
-      const query = `
-        SELECT 
-          run_id,
-          COUNT(*) as total_processed,
-          COUNT(CASE WHEN status = 'ENABLED' THEN 1 END) as enabled_count,
-          COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled_count,
-          COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as error_count,
-          COUNT(CASE WHEN status = 'NOT_FOUND' THEN 1 END) as not_found_count,
-          MIN(checked_at) as started_at,
-          MAX(checked_at) as last_updated,
-          MAX(batch_id) as latest_batch
-        FROM ${config.app.resultsTableName}
-        WHERE run_id = (
-          SELECT TOP 1 run_id 
-          FROM ${config.app.resultsTableName} 
-          ORDER BY checked_at DESC
-        )
-        GROUP BY run_id
-      `;
-
-      const result = await this.db.executeQuery(query);
-      const stats = result.recordset[0];
+      // Latest run from the run registry, with its state and result counts
+      const stats = await this.db.getLatestRunStats();
 
       return {
         success: true,
@@ -91,26 +96,25 @@ class HealthCheckServer {
 
   async getAllRunsSummary() {
     try {
-      const query = `
-        SELECT 
-          run_id,
-          COUNT(*) as records_processed,
-          COUNT(CASE WHEN status = 'ENABLED' THEN 1 END) as enabled,
-          COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled,
-          COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as errors,
-          MIN(checked_at) as started_at,
-          MAX(checked_at) as completed_at,
-          DATEDIFF(SECOND, MIN(checked_at), MAX(checked_at)) as duration_seconds
-        FROM ${config.app.resultsTableName}
-        GROUP BY run_id
-        ORDER BY MIN(checked_at) DESC
-      `;
-
-      const result = await this.db.executeQuery(query);
+      const runs = await this.db.getRunList();
 
       return {
         success: true,
-        data: result.recordset
+        data: runs.map(run => ({
+          run_id: run.run_id,
+          state: run.state,
+          state_reason: run.state_reason,
+          mode: run.mode,
+          host: run.host,
+          parent_run_id: run.parent_run_id,
+          records_processed: run.processed_records,
+          enabled: run.enabled_count,
+          disabled: run.disabled_count,
+          errors: run.error_count,
+          started_at: run.started_at || run.created_at,
+          completed_at: run.ended_at,
+          last_activity: run.last_activity
+        }))
       };
     } catch (error) {
       logger.error('Failed to get runs summary', error);
@@ -121,6 +125,62 @@ class HealthCheckServer {
     }
   }
 
+  async getStatusBreakdown(groupBy, runId = null) {
+    try {
+      const data = await this.db.getStatusBreakdown(groupBy, runId);
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      logger.error('Failed to get status breakdown', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Counts from the current status table (every ARN once), optionally grouped
+   */
+  async getCurrentStatusStats(groupBy = null) {
+    try {
+      const stats = await this.db.getCurrentStatusStats();
+      return {
+        success: true,
+        data: {
+          ...stats,
+          breakdown: groupBy ? await this.db.getCurrentStatusBreakdown(groupBy) : undefined
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to get current status stats', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getCurrentStatus(arn) {
+    try {
+      if (!arn) {
+        throw new Error('Pass the ARN as ?arn=');
+      }
+      return {
+        success: true,
+        data: await this.db.getCurrentStatus(arn)
+      };
+    } catch (error) {
+      logger.error('Failed to get current status', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   async handleRequest(req, res) {
     const parsedUrl = url.parse(req.url, true);
     const pathname = parsedUrl.pathname;
@@ -146,7 +206,7 @@ class HealthCheckServer {
           break;
 
         case '/progress':
-          response = await this.getProcessingProgress();
+          response = await this.getProcessingProgress(parsedUrl.query.runId);
           break;
 
         case '/stats':
@@ -159,6 +219,22 @@ class HealthCheckServer {
           response = await this.getAllRunsSummary();
           break;
 
+        case '/stats/platforms':
+          response = await this.getStatusBreakdown('platform', parsedUrl.query.runId);
+          break;
+
+        case '/stats/applications':
+          response = await this.getStatusBreakdown('application', parsedUrl.query.runId);
+          break;
+
+        case '/stats/current':
+          response = await this.getCurrentStatusStats(parsedUrl.query.groupBy);
+          break;
+
+        case '/arn':
+          response = await this.getCurrentStatus(parsedUrl.query.arn);
+          break;
+
         case '/status':
           const progress = await this.getProcessingProgress();
           const stats = await this.getLatestRunStats();
@@ -183,9 +259,13 @@ class HealthCheckServer {
             error: 'Endpoint not found',
             availableEndpoints: [
               '/health - Server health check',
-              '/progress - Current processing progress',
+              '/progress?runId= - Processing progress, throughput and ETA (latest scan by default, or a deletion run)',
               '/stats - Latest run statistics',
               '/stats/all - All runs summary',
+              '/stats/platforms?runId= - Status counts by push platform',
+              '/stats/applications?runId= - Status counts by platform application',
+              '/stats/current?groupBy= - Current status of every ARN (each counted once)',
+              '/arn?arn= - Current status of one ARN',
               '/status - Complete status overview'
             ]
           };
@@ -222,6 +302,8 @@ class HealthCheckServer {
         console.log(`   http://localhost:${this.port}/stats`);
         console.log(`   http://localhost:${this.port}/status`);
         console.log(`   http://localhost:${this.port}/runs`);
+        console.log(`   http://localhost:${this.port}/stats/platforms`);
+        console.log(`   http://localhost:${this.port}/stats/applications`);
       });
 
       // Graceful shutdown
@@ -70,7 +70,7 @@ const logArnResult = (arn, status, details = {}) => {
 };
 
 // Add batch summary logging for production performance
-const logBatchSummary = (batchNumber, totalBatches, results, processingTime = null) => {
+const logBatchSummary = (batchNumber, totalBatches, results, processingTime = null, rateStats = null, writeStats = null) => {
   const summary = results.reduce((acc, result) => {
     if (result.status === 'ENABLED') acc.enabled++;
     else if (result.status === 'DISABLED') acc.disabled++;
@@ -88,6 +88,16 @@ const logBatchSummary = (batchNumber, totalBatches, results, processingTime = nu
   if (processingTime) {
     logData.processingTimeMs = processingTime;
   }
+
+  // Achieved SNS request rate from the scheduler
+  if (rateStats) {
+    logData.rate = rateStats;
+  }
+
+  // Database write method and throughput for saving results
+  if (writeStats) {
+    logData.write = writeStats;
+  }
   
   logger.info('Batch completed', logData);
 };
@@ -0,0 +1,93 @@
+/**
+ * Results table: one row per ARN check. Tables created by versions before run tracking
+ * or ARN parsing get the missing columns and indexes added.
+ */
+module.exports = {
+  description: 'Create the results table with run tracking and parsed ARN columns',
+  table: 'results',
+  up: {
+    mssql: ({ results }) => [
+      `
+      IF OBJECT_ID('${results}', 'U') IS NULL
+      CREATE TABLE ${results} (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        run_id NVARCHAR(50) NOT NULL,
+        batch_id INT NOT NULL,
+        original_id BIGINT NOT NULL,
+        arn NVARCHAR(500) NOT NULL,
+        status NVARCHAR(50) NOT NULL,
+        status_reason NVARCHAR(200),
+        error_message NVARCHAR(MAX),
+        metadata NVARCHAR(MAX),
+        checked_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        arn_partition NVARCHAR(20),
+        arn_region NVARCHAR(30),
+        arn_account NVARCHAR(20),
+        platform NVARCHAR(30),
+        application_name NVARCHAR(256),
+        INDEX IX_${results}_run_id (run_id),
+        INDEX IX_${results}_batch_id (batch_id),
+        INDEX IX_${results}_arn (arn),
+        INDEX IX_${results}_status (status),
+        INDEX IX_${results}_checked_at (checked_at),
+        INDEX IX_${results}_original_id (original_id),
+        INDEX IX_${results}_application (platform, application_name)
+      )
+      `,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${results}') AND name = 'run_id')
+      BEGIN
+        ALTER TABLE ${results} ADD run_id NVARCHAR(50);
+        EXEC('CREATE INDEX IX_${results}_run_id ON ${results} (run_id)');
+      END
+
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${results}') AND name = 'batch_id')
+      BEGIN
+        ALTER TABLE ${results} ADD batch_id INT;
+        EXEC('CREATE INDEX IX_${results}_batch_id ON ${results} (batch_id)');
+      END
+      `,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${results}') AND name = 'platform')
+        ALTER TABLE ${results} ADD
+          arn_partition NVARCHAR(20),
+          arn_region NVARCHAR(30),
+          arn_account NVARCHAR(20),
+          platform NVARCHAR(30),
+          application_name NVARCHAR(256);
+      `,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE object_id = OBJECT_ID('${results}') AND name = 'IX_${results}_application')
+        CREATE INDEX IX_${results}_application ON ${results} (platform, application_name)
+      `
+    ],
+    sqlite: ({ results }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${results} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL,
+        batch_id INTEGER NOT NULL,
+        original_id INTEGER NOT NULL,
+        arn TEXT NOT NULL,
+        status TEXT NOT NULL,
+        status_reason TEXT,
+        error_message TEXT,
+        metadata TEXT,
+        checked_at TEXT NOT NULL,
+        arn_partition TEXT,
+        arn_region TEXT,
+        arn_account TEXT,
+        platform TEXT,
+        application_name TEXT
+      )
+      `,
+      `CREATE INDEX IF NOT EXISTS IX_${results}_run_id ON ${results} (run_id)`,
+      `CREATE INDEX IF NOT EXISTS IX_${results}_batch_id ON ${results} (batch_id)`,
+      `CREATE INDEX IF NOT EXISTS IX_${results}_arn ON ${results} (arn)`,
+      `CREATE INDEX IF NOT EXISTS IX_${results}_status ON ${results} (status)`,
+      `CREATE INDEX IF NOT EXISTS IX_${results}_checked_at ON ${results} (checked_at)`,
+      `CREATE INDEX IF NOT EXISTS IX_${results}_original_id ON ${results} (original_id)`,
+      `CREATE INDEX IF NOT EXISTS IX_${results}_application ON ${results} (platform, application_name)`
+    ]
+  }
+};
@@ -0,0 +1,98 @@
+const { RUN_STATES } = require('../run-states');
+
+/**
+ * Runs table: the run registry. Older tables get the state, re-check and registry
+ * columns; runs that so far only existed as result rows are registered once, as
+ * interrupted (resumable) runs spanning their first and last result. SQLite databases
+ * never had those older tables, so they only get the create.
+ */
+module.exports = {
+  description: 'Create the run registry table and register runs found only in the results table',
+  table: 'runs',
+  up: {
+    mssql: ({ runs, results }) => [
+      `
+      IF OBJECT_ID('${runs}', 'U') IS NULL
+      CREATE TABLE ${runs} (
+        run_id NVARCHAR(50) NOT NULL PRIMARY KEY,
+        source_table NVARCHAR(128),
+        source_filter NVARCHAR(MAX),
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        state NVARCHAR(20),
+        state_reason NVARCHAR(MAX),
+        state_updated_at DATETIME2,
+        parent_run_id NVARCHAR(50),
+        mode NVARCHAR(20),
+        run_options NVARCHAR(MAX),
+        host NVARCHAR(128),
+        start_after_id BIGINT,
+        started_at DATETIME2,
+        ended_at DATETIME2,
+        INDEX IX_${runs}_parent_run_id (parent_run_id),
+        INDEX IX_${runs}_created_at (created_at)
+      )
+      `,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${runs}') AND name = 'state')
+        ALTER TABLE ${runs} ADD
+          state NVARCHAR(20),
+          state_reason NVARCHAR(MAX),
+          state_updated_at DATETIME2;
+
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${runs}') AND name = 'parent_run_id')
+      BEGIN
+        ALTER TABLE ${runs} ADD parent_run_id NVARCHAR(50);
+        EXEC('CREATE INDEX IX_${runs}_parent_run_id ON ${runs} (parent_run_id)');
+      END
+
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${runs}') AND name = 'mode')
+      BEGIN
+        ALTER TABLE ${runs} ADD
+          mode NVARCHAR(20),
+          run_options NVARCHAR(MAX),
+          host NVARCHAR(128),
+          start_after_id BIGINT,
+          started_at DATETIME2,
+          ended_at DATETIME2;
+        EXEC('CREATE INDEX IX_${runs}_created_at ON ${runs} (created_at)');
+      END
+      `,
+      `
+      INSERT INTO ${runs} (run_id, created_at, started_at, ended_at, state, state_reason, state_updated_at)
+      SELECT run_id, MIN(checked_at), MIN(checked_at), MAX(checked_at),
+        '${RUN_STATES.INTERRUPTED}', 'Registered from existing results', GETUTCDATE()
+      FROM ${results} res
+      WHERE run_id IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM ${runs} r WHERE r.run_id = res.run_id)
+      GROUP BY run_id
+      `,
+      `
+      UPDATE ${runs}
+      SET state = '${RUN_STATES.INTERRUPTED}', state_reason = 'Registered before run states', state_updated_at = GETUTCDATE()
+      WHERE state IS NULL
+      `
+    ],
+    sqlite: ({ runs }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${runs} (
+        run_id TEXT NOT NULL PRIMARY KEY,
+        source_table TEXT,
+        source_filter TEXT,
+        created_at TEXT NOT NULL,
+        state TEXT,
+        state_reason TEXT,
+        state_updated_at TEXT,
+        parent_run_id TEXT,
+        mode TEXT,
+        run_options TEXT,
+        host TEXT,
+        start_after_id INTEGER,
+        started_at TEXT,
+        ended_at TEXT
+      )
+      `,
+      `CREATE INDEX IF NOT EXISTS IX_${runs}_parent_run_id ON ${runs} (parent_run_id)`,
+      `CREATE INDEX IF NOT EXISTS IX_${runs}_created_at ON ${runs} (created_at)`
+    ]
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Partitions table: id-range leases for partitioned multi-worker runs
+ */
+module.exports = {
+  description: 'Create the partition lease table for multi-worker runs',
+  table: 'partitions',
+  up: {
+    mssql: ({ partitions }) => [
+      `
+      IF OBJECT_ID('${partitions}', 'U') IS NULL
+      CREATE TABLE ${partitions} (
+        run_id NVARCHAR(50) NOT NULL,
+        partition_id INT NOT NULL,
+        range_start BIGINT NOT NULL,
+        range_end BIGINT NOT NULL,
+        row_count BIGINT NOT NULL,
+        last_processed_id BIGINT NULL,
+        processed_count BIGINT NOT NULL DEFAULT 0,
+        status NVARCHAR(20) NOT NULL DEFAULT 'pending',
+        worker_id NVARCHAR(200) NULL,
+        lease_expires_at DATETIME2 NULL,
+        heartbeat_at DATETIME2 NULL,
+        started_at DATETIME2 NULL,
+        completed_at DATETIME2 NULL,
+        CONSTRAINT PK_${partitions} PRIMARY KEY (run_id, partition_id)
+      )
+      `
+    ],
+    sqlite: ({ partitions }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${partitions} (
+        run_id TEXT NOT NULL,
+        partition_id INTEGER NOT NULL,
+        range_start INTEGER NOT NULL,
+        range_end INTEGER NOT NULL,
+        row_count INTEGER NOT NULL,
+        last_processed_id INTEGER NULL,
+        processed_count INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'pending',
+        worker_id TEXT NULL,
+        lease_expires_at TEXT NULL,
+        heartbeat_at TEXT NULL,
+        started_at TEXT NULL,
+        completed_at TEXT NULL,
+        PRIMARY KEY (run_id, partition_id)
+      )
+      `
+    ]
+  }
+};
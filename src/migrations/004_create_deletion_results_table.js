@@ -0,0 +1,65 @@
+/**
+ * Deletion results table: one row per DeleteEndpoint attempt by `cleanup.js delete`.
+ * Tables that the old arn-cleanup.js created implicitly through a bulk insert have no key or
+ * indexes; those are added here.
+ */
+module.exports = {
+  description: 'Create the deletion results table with a key and lookup indexes',
+  table: 'deletionResults',
+  up: {
+    mssql: ({ deletionResults }) => [
+      `
+      IF OBJECT_ID('${deletionResults}', 'U') IS NULL
+      CREATE TABLE ${deletionResults} (
+        id BIGINT IDENTITY(1,1) NOT NULL,
+        cleanup_result_id BIGINT NOT NULL,
+        original_id BIGINT NOT NULL,
+        arn NVARCHAR(500) NOT NULL,
+        person_id BIGINT NULL,
+        deletion_status NVARCHAR(50) NOT NULL,
+        error_message NVARCHAR(MAX) NULL,
+        deleted_at DATETIME2 NOT NULL,
+        CONSTRAINT PK_${deletionResults} PRIMARY KEY (id)
+      )
+      `,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${deletionResults}') AND name = 'id')
+      BEGIN
+        ALTER TABLE ${deletionResults} ADD id BIGINT IDENTITY(1,1) NOT NULL;
+        EXEC('ALTER TABLE ${deletionResults} ADD CONSTRAINT PK_${deletionResults} PRIMARY KEY (id)');
+      END
+      `,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE object_id = OBJECT_ID('${deletionResults}') AND name = 'IX_${deletionResults}_cleanup_result_id')
+        CREATE INDEX IX_${deletionResults}_cleanup_result_id ON ${deletionResults} (cleanup_result_id);
+
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE object_id = OBJECT_ID('${deletionResults}') AND name = 'IX_${deletionResults}_arn')
+        CREATE INDEX IX_${deletionResults}_arn ON ${deletionResults} (arn);
+
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE object_id = OBJECT_ID('${deletionResults}') AND name = 'IX_${deletionResults}_status')
+        CREATE INDEX IX_${deletionResults}_status ON ${deletionResults} (deletion_status);
+
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE object_id = OBJECT_ID('${deletionResults}') AND name = 'IX_${deletionResults}_deleted_at')
+        CREATE INDEX IX_${deletionResults}_deleted_at ON ${deletionResults} (deleted_at);
+      `
+    ],
+    sqlite: ({ deletionResults }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${deletionResults} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cleanup_result_id INTEGER NOT NULL,
+        original_id INTEGER NOT NULL,
+        arn TEXT NOT NULL,
+        person_id INTEGER NULL,
+        deletion_status TEXT NOT NULL,
+        error_message TEXT NULL,
+        deleted_at TEXT NOT NULL
+      )
+      `,
+      `CREATE INDEX IF NOT EXISTS IX_${deletionResults}_cleanup_result_id ON ${deletionResults} (cleanup_result_id)`,
+      `CREATE INDEX IF NOT EXISTS IX_${deletionResults}_arn ON ${deletionResults} (arn)`,
+      `CREATE INDEX IF NOT EXISTS IX_${deletionResults}_status ON ${deletionResults} (deletion_status)`,
+      `CREATE INDEX IF NOT EXISTS IX_${deletionResults}_deleted_at ON ${deletionResults} (deleted_at)`
+    ]
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * One result row per source record and run. Duplicate rows left by earlier versions
+ * (retried or concurrently written batches) are removed first, keeping the newest row.
+ * ORPHANED results have no source record (original_id 0) and are left out of the key.
+ */
+module.exports = {
+  description: 'Keep one result per run and source id with a unique (run_id, original_id) index',
+  table: 'results',
+  up: {
+    mssql: ({ results }) => [
+      `
+      WITH ranked AS (
+        SELECT ROW_NUMBER() OVER (PARTITION BY run_id, original_id ORDER BY checked_at DESC, id DESC) as copy
+        FROM ${results}
+        WHERE run_id IS NOT NULL AND original_id <> 0
+      )
+      DELETE FROM ranked WHERE copy > 1
+      `,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE object_id = OBJECT_ID('${results}') AND name = 'UX_${results}_run_original')
+        CREATE UNIQUE INDEX UX_${results}_run_original ON ${results} (run_id, original_id)
+        WHERE run_id IS NOT NULL AND original_id <> 0
+      `
+    ],
+    sqlite: ({ results }) => [
+      `
+      DELETE FROM ${results}
+      WHERE original_id <> 0 AND id NOT IN (
+        SELECT MAX(id) FROM ${results} WHERE original_id <> 0 GROUP BY run_id, original_id
+      )
+      `,
+      `
+      CREATE UNIQUE INDEX IF NOT EXISTS UX_${results}_run_original ON ${results} (run_id, original_id)
+      WHERE original_id <> 0
+      `
+    ]
+  }
+};
@@ -0,0 +1,130 @@
+/**
+ * Current status table: one row per ARN with its latest check and deletion state, kept
+ * up to date by every result and deletion write. Filled from the existing results and
+ * deletion history when it is created; dry-run deletions are not a deletion state.
+ */
+module.exports = {
+  description: 'Create the per-ARN current status table and fill it from the results history',
+  table: 'currentStatus',
+  up: {
+    mssql: ({ currentStatus, results, deletionResults }) => [
+      `
+      IF OBJECT_ID('${currentStatus}', 'U') IS NULL
+      CREATE TABLE ${currentStatus} (
+        id BIGINT IDENTITY(1,1) NOT NULL,
+        arn NVARCHAR(500) NOT NULL,
+        original_id BIGINT NOT NULL,
+        last_status NVARCHAR(50) NOT NULL,
+        last_status_reason NVARCHAR(200),
+        last_checked_at DATETIME2 NOT NULL,
+        last_run_id NVARCHAR(50),
+        first_checked_at DATETIME2 NOT NULL,
+        check_count INT NOT NULL DEFAULT 1,
+        deletion_status NVARCHAR(50),
+        deleted_at DATETIME2,
+        arn_partition NVARCHAR(20),
+        arn_region NVARCHAR(30),
+        arn_account NVARCHAR(20),
+        platform NVARCHAR(30),
+        application_name NVARCHAR(256),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        CONSTRAINT PK_${currentStatus} PRIMARY KEY (id),
+        CONSTRAINT UQ_${currentStatus}_arn UNIQUE (arn),
+        INDEX IX_${currentStatus}_last_status (last_status),
+        INDEX IX_${currentStatus}_last_checked_at (last_checked_at),
+        INDEX IX_${currentStatus}_deletion_status (deletion_status),
+        INDEX IX_${currentStatus}_application (platform, application_name)
+      )
+      `,
+      `
+      IF NOT EXISTS (SELECT 1 FROM ${currentStatus})
+      INSERT INTO ${currentStatus}
+        (arn, original_id, last_status, last_status_reason, last_checked_at, last_run_id, first_checked_at, check_count,
+         arn_partition, arn_region, arn_account, platform, application_name)
+      SELECT latest.arn, latest.original_id, latest.status, latest.status_reason, latest.checked_at, latest.run_id,
+        history.first_checked_at, history.check_count,
+        latest.arn_partition, latest.arn_region, latest.arn_account, latest.platform, latest.application_name
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY arn ORDER BY checked_at DESC, id DESC) as newest
+        FROM ${results}
+      ) latest
+      INNER JOIN (
+        SELECT arn, MIN(checked_at) as first_checked_at, COUNT(*) as check_count
+        FROM ${results}
+        GROUP BY arn
+      ) history ON history.arn = latest.arn
+      WHERE latest.newest = 1
+      `,
+      `
+      UPDATE current_status
+      SET deletion_status = deletion.deletion_status, deleted_at = deletion.deleted_at
+      FROM ${currentStatus} current_status
+      INNER JOIN (
+        SELECT arn, deletion_status, deleted_at,
+          ROW_NUMBER() OVER (PARTITION BY arn ORDER BY deleted_at DESC, id DESC) as newest
+        FROM ${deletionResults}
+        WHERE deletion_status <> 'DRY_RUN_SUCCESS'
+      ) deletion ON deletion.arn = current_status.arn AND deletion.newest = 1
+      WHERE current_status.deletion_status IS NULL
+      `
+    ],
+    sqlite: ({ currentStatus, results, deletionResults }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${currentStatus} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        arn TEXT NOT NULL,
+        original_id INTEGER NOT NULL,
+        last_status TEXT NOT NULL,
+        last_status_reason TEXT,
+        last_checked_at TEXT NOT NULL,
+        last_run_id TEXT,
+        first_checked_at TEXT NOT NULL,
+        check_count INTEGER NOT NULL DEFAULT 1,
+        deletion_status TEXT,
+        deleted_at TEXT,
+        arn_partition TEXT,
+        arn_region TEXT,
+        arn_account TEXT,
+        platform TEXT,
+        application_name TEXT,
+        updated_at TEXT NOT NULL
+      )
+      `,
+      `CREATE UNIQUE INDEX IF NOT EXISTS UX_${currentStatus}_arn ON ${currentStatus} (arn)`,
+      `CREATE INDEX IF NOT EXISTS IX_${currentStatus}_last_status ON ${currentStatus} (last_status)`,
+      `CREATE INDEX IF NOT EXISTS IX_${currentStatus}_last_checked_at ON ${currentStatus} (last_checked_at)`,
+      `CREATE INDEX IF NOT EXISTS IX_${currentStatus}_deletion_status ON ${currentStatus} (deletion_status)`,
+      `CREATE INDEX IF NOT EXISTS IX_${currentStatus}_application ON ${currentStatus} (platform, application_name)`,
+      `
+      INSERT INTO ${currentStatus}
+        (arn, original_id, last_status, last_status_reason, last_checked_at, last_run_id, first_checked_at, check_count,
+         arn_partition, arn_region, arn_account, platform, application_name, updated_at)
+      SELECT latest.arn, latest.original_id, latest.status, latest.status_reason, latest.checked_at, latest.run_id,
+        history.first_checked_at, history.check_count,
+        latest.arn_partition, latest.arn_region, latest.arn_account, latest.platform, latest.application_name,
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY arn ORDER BY checked_at DESC, id DESC) as newest
+        FROM ${results}
+      ) latest
+      INNER JOIN (
+        SELECT arn, MIN(checked_at) as first_checked_at, COUNT(*) as check_count
+        FROM ${results}
+        GROUP BY arn
+      ) history ON history.arn = latest.arn
+      WHERE latest.newest = 1 AND NOT EXISTS (SELECT 1 FROM ${currentStatus})
+      `,
+      `
+      UPDATE ${currentStatus}
+      SET deletion_status = deletion.deletion_status, deleted_at = deletion.deleted_at
+      FROM (
+        SELECT arn, deletion_status, deleted_at,
+          ROW_NUMBER() OVER (PARTITION BY arn ORDER BY deleted_at DESC, id DESC) as newest
+        FROM ${deletionResults}
+        WHERE deletion_status <> 'DRY_RUN_SUCCESS'
+      ) deletion
+      WHERE deletion.arn = ${currentStatus}.arn AND deletion.newest = 1 AND ${currentStatus}.deletion_status IS NULL
+      `
+    ]
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Results archive table: result rows moved out of the results table by `--archive`,
+ * keeping their original ids (deletion results refer to them) and the archive run
+ * that moved them.
+ */
+module.exports = {
+  description: 'Create the results archive table for --archive',
+  table: 'resultsArchive',
+  up: {
+    mssql: ({ resultsArchive }) => [
+      `
+      IF OBJECT_ID('${resultsArchive}', 'U') IS NULL
+      CREATE TABLE ${resultsArchive} (
+        id BIGINT NOT NULL,
+        run_id NVARCHAR(50),
+        batch_id INT,
+        original_id BIGINT NOT NULL,
+        arn NVARCHAR(500) NOT NULL,
+        status NVARCHAR(50) NOT NULL,
+        status_reason NVARCHAR(200),
+        error_message NVARCHAR(MAX),
+        metadata NVARCHAR(MAX),
+        checked_at DATETIME2 NOT NULL,
+        arn_partition NVARCHAR(20),
+        arn_region NVARCHAR(30),
+        arn_account NVARCHAR(20),
+        platform NVARCHAR(30),
+        application_name NVARCHAR(256),
+        archived_at DATETIME2 NOT NULL,
+        archive_run_id NVARCHAR(50) NOT NULL,
+        CONSTRAINT PK_${resultsArchive} PRIMARY KEY (id),
+        INDEX IX_${resultsArchive}_run_id (run_id),
+        INDEX IX_${resultsArchive}_arn (arn),
+        INDEX IX_${resultsArchive}_archive_run_id (archive_run_id)
+      )
+      `
+    ],
+    sqlite: ({ resultsArchive }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${resultsArchive} (
+        id INTEGER PRIMARY KEY,
+        run_id TEXT,
+        batch_id INTEGER,
+        original_id INTEGER NOT NULL,
+        arn TEXT NOT NULL,
+        status TEXT NOT NULL,
+        status_reason TEXT,
+        error_message TEXT,
+        metadata TEXT,
+        checked_at TEXT NOT NULL,
+        arn_partition TEXT,
+        arn_region TEXT,
+        arn_account TEXT,
+        platform TEXT,
+        application_name TEXT,
+        archived_at TEXT NOT NULL,
+        archive_run_id TEXT NOT NULL
+      )
+      `,
+      `CREATE INDEX IF NOT EXISTS IX_${resultsArchive}_run_id ON ${resultsArchive} (run_id)`,
+      `CREATE INDEX IF NOT EXISTS IX_${resultsArchive}_arn ON ${resultsArchive} (arn)`,
+      `CREATE INDEX IF NOT EXISTS IX_${resultsArchive}_archive_run_id ON ${resultsArchive} (archive_run_id)`
+    ]
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Deletion runs: each deletion attempt records the `delete` run that made it, so a run
+ * can resume after the last result it processed, and the retries it took.
+ */
+module.exports = {
+  description: 'Add deletion_run_id and metadata to the deletion results table',
+  table: 'deletionResults',
+  up: {
+    mssql: ({ deletionResults }) => [
+      `
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${deletionResults}') AND name = 'deletion_run_id')
+      BEGIN
+        ALTER TABLE ${deletionResults} ADD
+          deletion_run_id NVARCHAR(50) NULL,
+          metadata NVARCHAR(MAX) NULL;
+        EXEC('CREATE INDEX IX_${deletionResults}_deletion_run_id ON ${deletionResults} (deletion_run_id, cleanup_result_id)');
+      END
+      `
+    ],
+    sqlite: ({ deletionResults }) => [
+      `ALTER TABLE ${deletionResults} ADD COLUMN deletion_run_id TEXT`,
+      `ALTER TABLE ${deletionResults} ADD COLUMN metadata TEXT`,
+      `CREATE INDEX IF NOT EXISTS IX_${deletionResults}_deletion_run_id ON ${deletionResults} (deletion_run_id, cleanup_result_id)`
+    ]
+  }
+};
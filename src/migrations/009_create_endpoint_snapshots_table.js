@@ -0,0 +1,57 @@
+/**
+ * Endpoint snapshots table: the encrypted attributes of each endpoint `delete` is about
+ * to delete, with the deletion run and result it belongs to, and once restored the new
+ * endpoint ARN and the restore run that created it.
+ */
+module.exports = {
+  description: 'Create the endpoint snapshots table for restore',
+  table: 'endpointSnapshots',
+  up: {
+    mssql: ({ endpointSnapshots }) => [
+      `
+      IF OBJECT_ID('${endpointSnapshots}', 'U') IS NULL
+      CREATE TABLE ${endpointSnapshots} (
+        id BIGINT IDENTITY(1,1) NOT NULL,
+        deletion_run_id NVARCHAR(50) NOT NULL,
+        cleanup_result_id BIGINT NOT NULL,
+        original_id BIGINT NOT NULL,
+        arn NVARCHAR(500) NOT NULL,
+        platform_application_arn NVARCHAR(500) NOT NULL,
+        key_id NVARCHAR(32) NOT NULL,
+        payload NVARCHAR(MAX) NOT NULL,
+        captured_at DATETIME2 NOT NULL,
+        restore_run_id NVARCHAR(50),
+        restore_status NVARCHAR(50),
+        restored_arn NVARCHAR(500),
+        restore_error NVARCHAR(MAX),
+        restored_at DATETIME2,
+        CONSTRAINT PK_${endpointSnapshots} PRIMARY KEY (id),
+        INDEX IX_${endpointSnapshots}_deletion_run_id (deletion_run_id, arn),
+        INDEX IX_${endpointSnapshots}_arn (arn)
+      )
+      `
+    ],
+    sqlite: ({ endpointSnapshots }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${endpointSnapshots} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deletion_run_id TEXT NOT NULL,
+        cleanup_result_id INTEGER NOT NULL,
+        original_id INTEGER NOT NULL,
+        arn TEXT NOT NULL,
+        platform_application_arn TEXT NOT NULL,
+        key_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        captured_at TEXT NOT NULL,
+        restore_run_id TEXT,
+        restore_status TEXT,
+        restored_arn TEXT,
+        restore_error TEXT,
+        restored_at TEXT
+      )
+      `,
+      `CREATE INDEX IF NOT EXISTS IX_${endpointSnapshots}_deletion_run_id ON ${endpointSnapshots} (deletion_run_id, arn)`,
+      `CREATE INDEX IF NOT EXISTS IX_${endpointSnapshots}_arn ON ${endpointSnapshots} (arn)`
+    ]
+  }
+};
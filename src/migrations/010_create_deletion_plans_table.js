@@ -0,0 +1,46 @@
+/**
+ * Deletion plans table: one row per plan written by `delete --plan`, with its content
+ * hash, selection, the approvals it needs, and the deletion run that executed it.
+ */
+module.exports = {
+  description: 'Create the deletion plans table for delete --plan',
+  table: 'deletionPlans',
+  up: {
+    mssql: ({ deletionPlans }) => [
+      `
+      IF OBJECT_ID('${deletionPlans}', 'U') IS NULL
+      CREATE TABLE ${deletionPlans} (
+        plan_id NVARCHAR(50) NOT NULL,
+        plan_hash NVARCHAR(64) NOT NULL,
+        parent_run_id NVARCHAR(50),
+        selection NVARCHAR(MAX) NOT NULL,
+        total_arns INT NOT NULL,
+        plan_file NVARCHAR(500),
+        required_approvals INT NOT NULL,
+        created_at DATETIME2 NOT NULL,
+        created_by NVARCHAR(200) NOT NULL,
+        executed_run_id NVARCHAR(50),
+        executed_at DATETIME2,
+        CONSTRAINT PK_${deletionPlans} PRIMARY KEY (plan_id)
+      )
+      `
+    ],
+    sqlite: ({ deletionPlans }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${deletionPlans} (
+        plan_id TEXT PRIMARY KEY,
+        plan_hash TEXT NOT NULL,
+        parent_run_id TEXT,
+        selection TEXT NOT NULL,
+        total_arns INTEGER NOT NULL,
+        plan_file TEXT,
+        required_approvals INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        executed_run_id TEXT,
+        executed_at TEXT
+      )
+      `
+    ]
+  }
+};
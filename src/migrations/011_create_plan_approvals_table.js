@@ -0,0 +1,38 @@
+/**
+ * Plan approvals table: who approved which deletion plan, when, and the plan hash they
+ * approved. Each approver counts once per plan.
+ */
+module.exports = {
+  description: 'Create the deletion plan approvals table',
+  table: 'planApprovals',
+  up: {
+    mssql: ({ planApprovals }) => [
+      `
+      IF OBJECT_ID('${planApprovals}', 'U') IS NULL
+      CREATE TABLE ${planApprovals} (
+        id BIGINT IDENTITY(1,1) NOT NULL,
+        plan_id NVARCHAR(50) NOT NULL,
+        plan_hash NVARCHAR(64) NOT NULL,
+        approver NVARCHAR(200) NOT NULL,
+        comment NVARCHAR(MAX),
+        approved_at DATETIME2 NOT NULL,
+        CONSTRAINT PK_${planApprovals} PRIMARY KEY (id),
+        CONSTRAINT UQ_${planApprovals}_plan_approver UNIQUE (plan_id, approver)
+      )
+      `
+    ],
+    sqlite: ({ planApprovals }) => [
+      `
+      CREATE TABLE IF NOT EXISTS ${planApprovals} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        plan_id TEXT NOT NULL,
+        plan_hash TEXT NOT NULL,
+        approver TEXT NOT NULL,
+        comment TEXT,
+        approved_at TEXT NOT NULL,
+        UNIQUE (plan_id, approver)
+      )
+      `
+    ]
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Plan approvals record the OS user@host each approval was given from (approved_by), and
+ * each OS user counts once per plan. Approvals recorded before this have no OS user; they
+ * take their approver name.
+ */
+module.exports = {
+  description: 'Add approved_by, unique per plan, to the plan approvals table',
+  table: 'planApprovals',
+  up: {
+    mssql: ({ planApprovals }) => [
+      `
+      IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('${planApprovals}') AND name = 'approved_by')
+        ALTER TABLE ${planApprovals} ADD approved_by NVARCHAR(200) NULL
+      `,
+      `UPDATE ${planApprovals} SET approved_by = approver WHERE approved_by IS NULL`,
+      `ALTER TABLE ${planApprovals} ALTER COLUMN approved_by NVARCHAR(200) NOT NULL`,
+      `
+      IF NOT EXISTS (SELECT * FROM sys.objects WHERE name = 'UQ_${planApprovals}_plan_approved_by')
+        ALTER TABLE ${planApprovals} ADD CONSTRAINT UQ_${planApprovals}_plan_approved_by UNIQUE (plan_id, approved_by)
+      `
+    ],
+    sqlite: ({ planApprovals }) => [
+      `ALTER TABLE ${planApprovals} ADD COLUMN approved_by TEXT NOT NULL DEFAULT ''`,
+      `UPDATE ${planApprovals} SET approved_by = approver WHERE approved_by = ''`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS UX_${planApprovals}_plan_approved_by ON ${planApprovals} (plan_id, approved_by)`
+    ]
+  }
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('./config');
+const { logger, logError } = require('./logger');
+
+// History table SQL that differs between storage dialects
+const HISTORY_SQL = {
+  mssql: {
+    create: (table) => `
+      IF OBJECT_ID('${table}', 'U') IS NULL
+      CREATE TABLE ${table} (
+        version INT NOT NULL,
+        target_table NVARCHAR(128) NOT NULL,
+        name NVARCHAR(200) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        applied_by NVARCHAR(128),
+        duration_ms INT,
+        CONSTRAINT PK_${table} PRIMARY KEY (version, target_table)
+      )
+    `,
+    exists: (table) => `SELECT CASE WHEN OBJECT_ID('${table}', 'U') IS NULL THEN 0 ELSE 1 END as present`,
+    lock: `
+      DECLARE @lockResult INT;
+      EXEC @lockResult = sp_getapplock @Resource = @resource, @LockMode = 'Exclusive',
+        @LockOwner = 'Transaction', @LockTimeout = 120000;
+      IF @lockResult < 0
+        THROW 50000, 'Timed out waiting for the schema migration lock', 1;
+    `
+  },
+  sqlite: {
+    create: (table) => `
+      CREATE TABLE IF NOT EXISTS ${table} (
+        version INTEGER NOT NULL,
+        target_table TEXT NOT NULL,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TEXT NOT NULL,
+        applied_by TEXT,
+        duration_ms INTEGER,
+        PRIMARY KEY (version, target_table)
+      )
+    `,
+    exists: (table) => `SELECT COUNT(*) as present FROM sqlite_master WHERE type = 'table' AND name = '${table}'`,
+    // The adapter's transactions already hold the database write lock
+    lock: null
+  }
+};
+
+// Migration table keys -> configured table names
+const configuredTables = () => ({
+  results: config.app.resultsTableName,
+  runs: config.app.runsTableName,
+  partitions: config.app.partitionsTableName,
+  deletionResults: config.app.deletionResultsTableName,
+  currentStatus: config.app.currentStatusTableName,
+  resultsArchive: config.app.archiveTableName,
+  endpointSnapshots: config.app.snapshotsTableName,
+  deletionPlans: config.app.plansTableName,
+  planApprovals: config.app.planApprovalsTableName
+});
+
+/**
+ * Schema Migrator
+ * Applies the ordered files in src/migrations and records each one in the migrations
+ * history table. A migration file exports { description, table, up: { mssql, sqlite } },
+ * where `table` is the key of the table it changes and up[dialect](tables) returns the
+ * SQL batches to run on that storage backend.
+ * History rows are keyed by version and the configured name of that table, so pointing
+ * RESULTS_TABLE_NAME (or any other table name) somewhere new makes its migrations
+ * pending again for the new table.
+ */
+class Migrator {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.tables = options.tables || configuredTables();
+    this.historyTable = options.historyTable || config.app.migrationsTableName;
+    this.directory = options.directory || path.join(__dirname, 'migrations');
+    this.dialect = db.dialect || 'mssql';
+    this.sql = HISTORY_SQL[this.dialect];
+    if (!this.sql) {
+      throw new Error(`No schema migrations for storage dialect '${this.dialect}'`);
+    }
+  }
+
+  /**
+   * Migration files in version order, with their SQL generated for the configured tables
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .filter(file => /^\d+_.+\.js$/.test(file))
+      .sort()
+      .map(file => {
+        const migration = require(path.join(this.directory, file));
+        const target = this.tables[migration.table];
+        if (!target) {
+          throw new Error(`Migration ${file} targets unknown table '${migration.table}'`);
+        }
+
+        const up = migration.up[this.dialect];
+        if (!up) {
+          throw new Error(`Migration ${file} has no ${this.dialect} version`);
+        }
+
+        const statements = up(this.tables).map(statement => statement.trim()).filter(Boolean);
+        return {
+          version: parseInt(file, 10),
+          name: path.basename(file, '.js'),
+          description: migration.description,
+          target,
+          statements,
+          // Whitespace is normalized so re-indenting a migration file does not mark it changed
+          checksum: crypto.createHash('sha256').update(statements.join('\n').replace(/\s+/g, ' ')).digest('hex')
+        };
+      });
+  }
+
+  async ensureHistoryTable() {
+    try {
+      await this.db.executeQuery(this.sql.create(this.historyTable));
+    } catch (error) {
+      logError(error, { context: 'Creating migrations history table' });
+      throw error;
+    }
+  }
+
+  /**
+   * Applied history rows; empty when the history table does not exist yet
+   */
+  async getHistory() {
+    try {
+      const exists = await this.db.executeQuery(this.sql.exists(this.historyTable));
+      if (!exists.recordset[0].present) {
+        return [];
+      }
+
+      const result = await this.db.executeQuery(`
+        SELECT version, target_table, name, checksum, applied_at, applied_by, duration_ms FROM ${this.historyTable}
+      `);
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Reading migrations history' });
+      throw error;
+    }
+  }
+
+  /**
+   * Every migration with its state: applied, pending, or changed (applied, but the
+   * file's SQL no longer matches what was run)
+   */
+  async status() {
+    const history = await this.getHistory();
+    return this.loadMigrations().map(migration => {
+      const applied = history.find(row => row.version === migration.version && row.target_table === migration.target);
+      let state = 'pending';
+      if (applied) {
+        state = applied.checksum === migration.checksum ? 'applied' : 'changed';
+      }
+      return {
+        ...migration,
+        state,
+        appliedAt: applied ? applied.applied_at : null,
+        appliedBy: applied ? applied.applied_by : null,
+        durationMs: applied ? applied.duration_ms : null
+      };
+    });
+  }
+
+  /**
+   * Migrations `up` would apply, with their SQL
+   */
+  async plan() {
+    const migrations = await this.status();
+    return migrations.filter(migration => migration.state === 'pending');
+  }
+
+  /**
+   * Apply pending migrations in order. Each runs in its own transaction under an
+   * application lock, so workers starting together apply it once.
+   */
+  async up() {
+    await this.ensureHistoryTable();
+    const pending = await this.plan();
+    const applied = [];
+
+    for (const migration of pending) {
+      const startTime = Date.now();
+      const ran = await this.applyMigration(migration);
+      if (ran) {
+        applied.push(migration);
+        logger.info(`Applied migration ${migration.name} to ${migration.target}`, {
+          durationMs: Date.now() - startTime
+        });
+      }
+    }
+
+    return applied;
+  }
+
+  async applyMigration(migration) {
+    try {
+      return await this.db.inTransaction(async (transaction) => {
+        if (this.sql.lock) {
+          await this.db.queryInTransaction(transaction, this.sql.lock, { resource: this.historyTable });
+        }
+
+        // Another worker may have applied it while we waited for the lock
+        const existing = await this.db.queryInTransaction(transaction, `
+          SELECT 1 as applied FROM ${this.historyTable} WHERE version = @version AND target_table = @target
+        `, { version: migration.version, target: migration.target });
+        if (existing.recordset.length > 0) {
+          return false;
+        }
+
+        const startTime = Date.now();
+        for (const statement of migration.statements) {
+          await this.db.queryInTransaction(transaction, statement);
+        }
+
+        await this.db.queryInTransaction(transaction, `
+          INSERT INTO ${this.historyTable} (version, target_table, name, checksum, applied_at, applied_by, duration_ms)
+          VALUES (@version, @target, @name, @checksum, @appliedAt, @appliedBy, @durationMs)
+        `, {
+          version: migration.version,
+          target: migration.target,
+          name: migration.name,
+          checksum: migration.checksum,
+          appliedAt: new Date(),
+          appliedBy: os.hostname(),
+          durationMs: Date.now() - startTime
+        });
+        return true;
+      });
+    } catch (error) {
+      logError(error, { context: 'Applying migration', migration: migration.name, target: migration.target });
+      throw error;
+    }
+  }
+}
+
+module.exports = Migrator;
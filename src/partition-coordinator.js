@@ -0,0 +1,143 @@
+const os = require('os');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Partition Coordinator
+ * Lets several cleanup.js workers (on one host or many) share a run. The source id
+ * range is split into partitions stored in the partitions table; each worker leases
+ * one partition at a time, renews the lease with heartbeats, and picks up partitions
+ * whose lease expired because their worker died.
+ */
+class PartitionCoordinator {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+    this.leaseMs = options.leaseMs || config.app.leaseTtlMs;
+    this.partitionCount = options.partitionCount || config.app.partitionCount;
+    this.heartbeatTimer = null;
+    this.current = null;
+    this.pendingCount = 0;
+    this.lastCheckpointId = null;
+    this.leaseLost = false;
+  }
+
+  /**
+   * Create the run's partitions if no worker has done so yet
+   */
+  async ensurePartitions(runId, sourceTable, arnColumn, idColumn, filter = null, delta = null) {
+    const partitions = await this.db.createPartitions(
+      runId, sourceTable, arnColumn, idColumn, this.partitionCount, filter, delta
+    );
+    logger.info(`Run ${runId} has ${partitions.length} partitions`, { workerId: this.workerId });
+    return partitions;
+  }
+
+  /**
+   * Lease the next available partition and start heartbeats for it
+   */
+  async claim(runId) {
+    const partition = await this.db.claimPartition(runId, this.workerId, this.leaseMs);
+    if (!partition) {
+      return null;
+    }
+
+    if (partition.previous_worker_id && partition.previous_worker_id !== this.workerId) {
+      logger.warn(`Taking over partition ${partition.partition_id} from ${partition.previous_worker_id} (lease expired)`);
+    }
+
+    this.current = { runId, partition };
+    this.pendingCount = 0;
+    this.lastCheckpointId = null;
+    this.leaseLost = false;
+    this.startHeartbeat();
+
+    logger.info(`Worker ${this.workerId} claimed partition ${partition.partition_id}`, {
+      rangeStart: partition.range_start,
+      rangeEnd: partition.range_end,
+      resumeFromId: partition.last_processed_id
+    });
+    return partition;
+  }
+
+  /**
+   * Record that results up to lastId are saved; the next heartbeat reports them
+   */
+  async checkpoint(lastId, count) {
+    this.lastCheckpointId = lastId;
+    this.pendingCount += count;
+    await this.heartbeat();
+    if (this.leaseLost) {
+      throw new Error(`Lease on partition ${this.current.partition.partition_id} was lost to another worker`);
+    }
+  }
+
+  async heartbeat() {
+    if (!this.current) {
+      return;
+    }
+
+    const { runId, partition } = this.current;
+    const delta = this.pendingCount;
+    this.pendingCount = 0;
+
+    const renewed = await this.db.renewPartitionLease(
+      runId, partition.partition_id, this.workerId, this.leaseMs, this.lastCheckpointId, delta
+    );
+    if (!renewed) {
+      this.leaseLost = true;
+      logger.error(`Worker ${this.workerId} lost its lease on partition ${partition.partition_id}`);
+    }
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    // Renew well before expiry so a slow chunk does not lose the lease
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => {
+        logger.warn(`Partition heartbeat failed: ${error.message}`);
+      });
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  async complete() {
+    if (!this.current) {
+      return;
+    }
+
+    this.stopHeartbeat();
+    await this.heartbeat();
+    const { runId, partition } = this.current;
+    await this.db.completePartition(runId, partition.partition_id, this.workerId);
+    logger.info(`Worker ${this.workerId} completed partition ${partition.partition_id}`);
+    this.current = null;
+  }
+
+  /**
+   * Stop heartbeats without completing and hand the partition back. If that fails
+   * the lease simply expires and another worker takes over.
+   */
+  async release() {
+    this.stopHeartbeat();
+    if (!this.current) {
+      return;
+    }
+
+    const { runId, partition } = this.current;
+    this.current = null;
+    try {
+      await this.db.releasePartition(runId, partition.partition_id, this.workerId);
+    } catch (error) {
+      logger.warn(`Could not release partition ${partition.partition_id}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PartitionCoordinator;
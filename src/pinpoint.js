@@ -1,18 +1,57 @@
-const { SNSClient, GetEndpointAttributesCommand } = require('@aws-sdk/client-sns');
+const {
+  SNSClient,
+  GetEndpointAttributesCommand,
+  DeleteEndpointCommand,
+  CreatePlatformEndpointCommand,
+  ListPlatformApplicationsCommand,
+  ListEndpointsByPlatformApplicationCommand
+} = require('@aws-sdk/client-sns');
 const { STSClient, AssumeRoleCommand } = require('@aws-sdk/client-sts');
 const { config } = require('./config');
 const { logger, logError, logArnResult, logBatchSummary } = require('./logger');
+const RateLimiter = require('./rate-limiter');
+const { ArnParseError, parseEndpointArn } = require('./arn-parser');
+const { ERROR_CLASSES, classifyError, isRetryableClass, computeBackoff } = require('./error-classifier');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { SKIPPED_REENABLED } = require('./deletion-checks');
+const { platformApplicationArn } = require('./endpoint-snapshots');
+
+/**
+ * AWS partition a region belongs to (used for the default route)
+ */
+const partitionForRegion = (region) => {
+  if (region.startsWith('us-gov-')) return 'aws-us-gov';
+  if (region.startsWith('cn-')) return 'aws-cn';
+  return 'aws';
+};
 
 class SNSService {
   constructor() {
     this.retryConfig = {
       maxRetries: config.app.maxRetries,
-      retryDelayMs: config.app.retryDelayMs
+      retryDelayMs: config.app.retryDelayMs,
+      maxRetryDelayMs: config.app.maxRetryDelayMs
     };
-    this.snsClient = null;
-    this.assumedCredentials = null;
-    this.credentialsExpiry = null;
     this.baseClientConfig = null;
+    this.routes = new Map();
+    this.defaultRoute = null;
+    this.rateLimiter = new RateLimiter({
+      concurrency: config.app.concurrency,
+      maxRequestsPerSecond: config.app.maxRequestsPerSecond,
+      minRequestsPerSecond: config.app.minRequestsPerSecond
+    });
+    this.circuitBreaker = new CircuitBreaker(config.circuitBreaker);
+  }
+
+  /**
+   * Override the scheduler limits (e.g. from CLI flags)
+   */
+  configureRateLimit({ concurrency, maxRequestsPerSecond } = {}) {
+    this.rateLimiter = new RateLimiter({
+      concurrency: concurrency || config.app.concurrency,
+      maxRequestsPerSecond: maxRequestsPerSecond || config.app.maxRequestsPerSecond,
+      minRequestsPerSecond: config.app.minRequestsPerSecond
+    });
   }
 
   /**
@@ -32,6 +71,14 @@ class SNSService {
         this.baseClientConfig.credentials = config.aws.credentials;
       }
 
+      // The default route serves the configured region (and list calls such as --reconcile)
+      const roleAccount = config.aws.roleArn ? config.aws.roleArn.split(':')[4] : null;
+      this.defaultRoute = this.getOrCreateRoute({
+        partition: partitionForRegion(config.aws.region),
+        region: config.aws.region,
+        accountId: roleAccount || 'default'
+      });
+
       // Assume role and initialize SNS client
       await this.refreshCredentials();
       
@@ -42,235 +89,326 @@ class SNSService {
   }
 
   /**
-   * Refresh AWS credentials by assuming role again
+   * SNS client of the default route
    */
-  async refreshCredentials() {
-    try {
-      // If role ARN is configured, assume the role
-      if (config.aws.roleArn) {
-        logger.info(`Assuming role: ${config.aws.roleArn}`);
-        
-        const stsClient = new STSClient(this.baseClientConfig);
-        const assumeRoleCommand = new AssumeRoleCommand({
-          RoleArn: config.aws.roleArn,
-          RoleSessionName: config.aws.roleSessionName
-        });
-
-        const assumeRoleResponse = await stsClient.send(assumeRoleCommand);
-        this.assumedCredentials = {
-          accessKeyId: assumeRoleResponse.Credentials.AccessKeyId,
-          secretAccessKey: assumeRoleResponse.Credentials.SecretAccessKey,
-          sessionToken: assumeRoleResponse.Credentials.SessionToken
-        };
-
-        // Store expiration time (subtract 5 minutes for safety buffer)
-        this.credentialsExpiry = new Date(assumeRoleResponse.Credentials.Expiration.getTime() - 5 * 60 * 1000);
-        
-        logger.info(`Successfully assumed role, expires at: ${this.credentialsExpiry.toISOString()}`);
-      }
+  get snsClient() {
+    return this.defaultRoute ? this.defaultRoute.client : null;
+  }
 
-      // Initialize SNS client with assumed credentials or base credentials
-      const snsClientConfig = {
-        region: config.aws.region,
-        credentials: this.assumedCredentials || this.baseClientConfig.credentials
+  /**
+   * Find or register the route for a partition/region/account.
+   * Each route has its own SNS client, role and cached credentials.
+   */
+  getOrCreateRoute({ partition, region, accountId }) {
+    const key = `${partition}:${region}:${accountId}`;
+    let route = this.routes.get(key);
+
+    if (!route) {
+      route = {
+        key,
+        partition,
+        region,
+        accountId,
+        roleArn: config.aws.accountRoles[accountId] || config.aws.roleArn,
+        client: null,
+        credentialsExpiry: null,
+        refreshing: null
       };
-
-      this.snsClient = new SNSClient(snsClientConfig);
-      
-    } catch (error) {
-      logError(error, { context: 'Refreshing AWS credentials' });
-      throw new Error(`Failed to refresh AWS credentials: ${error.message}`);
+      this.routes.set(key, route);
     }
+
+    return route;
   }
 
   /**
-   * Check if credentials need to be refreshed
+   * Route for a parsed endpoint ARN, with a ready SNS client
    */
-  async ensureValidCredentials() {
-    if (config.aws.roleArn && this.credentialsExpiry && new Date() >= this.credentialsExpiry) {
-      logger.info('AWS credentials expired, refreshing...');
-      await this.refreshCredentials();
+  async getRouteForArn(arnParts) {
+    const route = this.getOrCreateRoute(arnParts);
+    if (!route.client) {
+      logger.info(`Creating SNS route ${route.key}${route.roleArn ? ` via ${route.roleArn}` : ''}`);
+      await this.refreshRouteCredentials(route);
+    } else {
+      await this.ensureRouteCredentials(route);
     }
+    return route;
   }
 
   /**
-   * Validate SNS endpoint ARN format
-   * ARN format: arn:aws:sns:region:account:endpoint/PLATFORM/APP_NAME/ENDPOINT_ID
-   * Example: arn:aws-us-gov:sns:us-gov-west-1:171875617347:endpoint/APNS/prod-vamobile-apns/02e639f1-8c85-3401-bea8-5d8c2571a704
+   * Assume the route's role (if any) and rebuild its SNS client.
+   * Concurrent callers share a single refresh.
    */
-  validateEndpointArn(arn) {
-    try {
-      if (!arn || typeof arn !== 'string') {
-        throw new Error('Invalid ARN format');
-      }
+  async refreshRouteCredentials(route) {
+    if (route.refreshing) {
+      return route.refreshing;
+    }
 
-      if (!arn.includes(':endpoint/')) {
-        throw new Error('ARN is not an SNS endpoint ARN');
-      }
+    route.refreshing = (async () => {
+      try {
+        let credentials = this.baseClientConfig.credentials;
+
+        // If role ARN is configured, assume the role
+        if (route.roleArn) {
+          logger.info(`Assuming role: ${route.roleArn} for route ${route.key}`);
+          
+          // STS must be called in the route's partition, so use the route's region
+          const stsClient = new STSClient({ ...this.baseClientConfig, region: route.region });
+          const assumeRoleCommand = new AssumeRoleCommand({
+            RoleArn: route.roleArn,
+            RoleSessionName: config.aws.roleSessionName
+          });
+
+          const assumeRoleResponse = await stsClient.send(assumeRoleCommand);
+          credentials = {
+            accessKeyId: assumeRoleResponse.Credentials.AccessKeyId,
+            secretAccessKey: assumeRoleResponse.Credentials.SecretAccessKey,
+            sessionToken: assumeRoleResponse.Credentials.SessionToken
+          };
+
+          // Store expiration time (subtract 5 minutes for safety buffer)
+          route.credentialsExpiry = new Date(assumeRoleResponse.Credentials.Expiration.getTime() - 5 * 60 * 1000);
+          
+          logger.info(`Successfully assumed role for ${route.key}, expires at: ${route.credentialsExpiry.toISOString()}`);
+        }
 
-      const arnParts = arn.split(':');
-      if (arnParts.length < 6) {
-        throw new Error('Invalid SNS endpoint ARN format');
+        // Initialize SNS client with assumed credentials or base credentials
+        route.client = new SNSClient({
+          region: route.region,
+          credentials
+        });
+      } catch (error) {
+        logError(error, { context: 'Refreshing AWS credentials', route: route.key });
+        throw new Error(`Failed to refresh AWS credentials for ${route.key}: ${error.message}`);
+      } finally {
+        route.refreshing = null;
       }
+    })();
 
-      return true;
-    } catch (error) {
-      throw new Error(`Failed to validate endpoint ARN: ${error.message}`);
-    }
+    return route.refreshing;
   }
 
   /**
-   * Check the status of an SNS endpoint ARN
+   * Refresh a route's credentials if they are about to expire
    */
-  async checkArnStatus(arn, originalId) {
-    let retries = 0;
-    
-    while (retries <= this.retryConfig.maxRetries) {
-      try {
-        // Ensure credentials are still valid before making the call
-        await this.ensureValidCredentials();
-        
-        // Validate the ARN format
-        this.validateEndpointArn(arn);
-        
-        const command = new GetEndpointAttributesCommand({
-          EndpointArn: arn
-        });
-
-        const response = await this.snsClient.send(command);
-        const attributes = response.Attributes;
-
-        if (!attributes) {
-          return {
-            originalId,
-            arn,
-            status: 'NOT_FOUND',
-            statusReason: 'Endpoint attributes not found',
-            errorMessage: null,
-            metadata: {
-              retryCount: retries
-            }
-          };
-        }
+  async ensureRouteCredentials(route) {
+    if (route.roleArn && route.credentialsExpiry && new Date() >= route.credentialsExpiry) {
+      logger.info(`AWS credentials expired for ${route.key}, refreshing...`);
+      await this.refreshRouteCredentials(route);
+    }
+  }
 
-        // Determine the status based on endpoint attributes
-        const enabled = attributes.Enabled === 'true';
-        const token = attributes.Token;
-        
-        let status, statusReason;
-        
-        if (!enabled) {
-          status = 'DISABLED';
-          statusReason = 'Endpoint is disabled in SNS';
-        } else if (!token) {
-          status = 'DISABLED';
-          statusReason = 'No device token found';
-        } else {
-          status = 'ENABLED';
-          statusReason = 'Endpoint is enabled with valid token';
-        }
+  /**
+   * Refresh AWS credentials of the default route by assuming role again
+   */
+  async refreshCredentials() {
+    await this.refreshRouteCredentials(this.defaultRoute);
+  }
 
-        const result = {
-          originalId,
-          arn,
-          status,
-          statusReason,
-          errorMessage: null,
-          metadata: {
-            enabled: attributes.Enabled,
-            token: token ? token.substring(0, 20) + '...' : null, // Truncate token for security
-            userId: attributes.UserId,
-            customUserData: attributes.CustomUserData,
-            retryCount: retries
-          }
-        };
+  /**
+   * Check if the default route's credentials need to be refreshed
+   */
+  async ensureValidCredentials() {
+    await this.ensureRouteCredentials(this.defaultRoute);
+  }
 
-        logArnResult(arn, status, { 
-          enabled: attributes.Enabled,
-          hasToken: !!token
-        });
+  /**
+   * Validate SNS endpoint ARN format and return its parts (see arn-parser.js).
+   * Throws ArnParseError with a specific rejection reason.
+   */
+  validateEndpointArn(arn) {
+    return parseEndpointArn(arn);
+  }
 
-        return result;
+  /**
+   * Send an SNS command through `route` (a route, or the parsed ARN whose route to use)
+   * and the rate limiter, retrying throttled and transient failures with capped
+   * exponential backoff and refreshing the route's credentials when they expired.
+   * Returns { response, metadata } on success, or { error, errorClass, metadata } when SNS
+   * gave a definitive answer (NOT_FOUND, INVALID), the error is not retryable, or retries
+   * ran out. `context` is { context, ...log fields } for the logs.
+   */
+  async sendWithRetries(route, command, { context, ...fields }) {
+    let retries = 0;
+    let resolved = null;
 
+    while (true) {
+      try {
+        // Refreshes the route's credentials if needed
+        resolved = await this.getRouteForArn(route);
+        // Wait for a token so calls stay under the adaptive requests-per-second limit
+        await this.rateLimiter.acquire();
+        const response = await resolved.client.send(command);
+        this.rateLimiter.onSuccess();
+        return { response, metadata: { retryCount: retries, route: resolved.key } };
       } catch (error) {
         retries++;
-        
-        if (retries > this.retryConfig.maxRetries) {
-          // Max retries exceeded, return error result
-          const errorResult = {
-            originalId,
-            arn,
-            status: 'ERROR',
-            statusReason: 'Max retries exceeded',
-            errorMessage: error.message,
-            metadata: {
-              retryCount: retries - 1,
-              errorType: error.name
-            }
-          };
+        const errorClass = classifyError(error);
+        const failure = {
+          error,
+          errorClass,
+          metadata: { retryCount: retries - 1, errorType: error.name, errorClass, route: resolved ? resolved.key : null }
+        };
+
+        // Definitive answers from SNS: no point retrying
+        if (errorClass === ERROR_CLASSES.NOT_FOUND || errorClass === ERROR_CLASSES.INVALID) {
+          return failure;
+        }
+        if (!isRetryableClass(errorClass) || retries > this.retryConfig.maxRetries) {
+          logError(error, { context, ...fields, retries: retries - 1, errorClass });
+          return failure;
+        }
 
-          logError(error, { context: 'Checking ARN status', arn, originalId, retries: retries - 1 });
-          return errorResult;
+        if (errorClass === ERROR_CLASSES.THROTTLED) {
+          this.rateLimiter.onThrottle();
         }
 
-        // Check for token expiration errors and force credential refresh
-        if (error.message && (
-          error.message.includes('security token included in the request is expired') ||
-          error.message.includes('The provided token has expired') ||
-          error.message.includes('TokenRefreshRequired') ||
-          error.name === 'TokenRefreshRequired' ||
-          error.name === 'ExpiredToken'
-        )) {
-          logger.warn(`AWS token expired for ARN ${arn}, forcing credential refresh`);
+        // Expired credentials: refresh the route and retry straight away
+        if (errorClass === ERROR_CLASSES.CREDENTIALS_EXPIRED) {
+          logger.warn(`AWS token expired for route ${resolved ? resolved.key : 'unknown'}, forcing credential refresh`);
           try {
-            await this.refreshCredentials();
-            // Don't increment retry counter for token expiration, just retry
+            await this.refreshRouteCredentials(resolved || this.getOrCreateRoute(route));
             continue;
           } catch (refreshError) {
-            logError(refreshError, { context: 'Forcing credential refresh after token expiration', arn });
-            // If refresh fails, treat as regular error and continue with retry logic
+            logError(refreshError, { context: 'Forcing credential refresh after token expiration', ...fields });
+            // If refresh fails, fall through to the normal backoff
           }
         }
 
-        // Check if it's a specific AWS error that we can handle
-        if (error.name === 'NotFoundException' || error.name === 'NotFound' || error.message.includes('does not exist')) {
-          return {
-            originalId,
-            arn,
-            status: 'NOT_FOUND',
-            statusReason: 'Endpoint not found in SNS',
-            errorMessage: error.message,
-            metadata: {
-              retryCount: retries - 1,
-              errorType: error.name
-            }
-          };
-        }
+        const delayMs = computeBackoff(retries, this.retryConfig.retryDelayMs, this.retryConfig.maxRetryDelayMs);
+        logger.warn(`${context} failed${fields.arn ? ` for ${fields.arn}` : ''} (${errorClass}), retrying in ${delayMs}ms ` +
+          `(${retries}/${this.retryConfig.maxRetries}): ${error.message}`);
+        await this.sleep(delayMs);
+      }
+    }
+  }
 
-        // Check for invalid endpoint ARN
-        if (error.name === 'InvalidParameter' || error.message.includes('Invalid parameter')) {
-          return {
-            originalId,
-            arn,
-            status: 'INVALID',
-            statusReason: 'Invalid endpoint ARN format',
-            errorMessage: error.message,
-            metadata: {
-              retryCount: retries - 1,
-              errorType: error.name
-            }
-          };
+  /**
+   * Check the status of an SNS endpoint ARN. With includeAttributes the result also
+   * carries the endpoint's full, untruncated attributes (never saved with results).
+   */
+  async checkArnStatus(arn, originalId, { includeAttributes = false } = {}) {
+    let arnParts;
+
+    // Malformed ARNs can never succeed, so reject them without calling SNS
+    try {
+      arnParts = this.validateEndpointArn(arn);
+    } catch (error) {
+      if (!(error instanceof ArnParseError)) {
+        throw error;
+      }
+      return {
+        originalId,
+        arn,
+        status: 'INVALID',
+        statusReason: `Invalid endpoint ARN: ${error.reason}`,
+        errorMessage: error.message,
+        metadata: {
+          retryCount: 0,
+          errorType: error.name,
+          errorClass: ERROR_CLASSES.INVALID,
+          rejectionReason: error.reason
         }
+      };
+    }
+    
+    // Route by the ARN's partition/region/account
+    const { response, error, errorClass, metadata } = await this.sendWithRetries(
+      arnParts,
+      new GetEndpointAttributesCommand({ EndpointArn: arn }),
+      { context: 'Checking ARN status', arn, originalId }
+    );
+
+    if (error) {
+      if (errorClass === ERROR_CLASSES.NOT_FOUND) {
+        return {
+          originalId,
+          arn,
+          status: 'NOT_FOUND',
+          statusReason: 'Endpoint not found in SNS',
+          errorMessage: error.message,
+          metadata
+        };
+      }
 
-        // For other errors, wait and retry
-        logger.warn(`Error checking ARN ${arn}, retrying (${retries}/${this.retryConfig.maxRetries}): ${error.message}`);
-        await this.sleep(this.retryConfig.retryDelayMs * retries); // Exponential backoff
+      if (errorClass === ERROR_CLASSES.INVALID) {
+        return {
+          originalId,
+          arn,
+          status: 'INVALID',
+          statusReason: 'Invalid endpoint ARN format',
+          errorMessage: error.message,
+          metadata
+        };
+      }
+
+      return {
+        originalId,
+        arn,
+        status: 'ERROR',
+        statusReason: errorClass === ERROR_CLASSES.FATAL ? 'Non-retryable error' : 'Max retries exceeded',
+        errorMessage: error.message,
+        metadata
+      };
+    }
+
+    const attributes = response.Attributes;
+    if (!attributes) {
+      return {
+        originalId,
+        arn,
+        status: 'NOT_FOUND',
+        statusReason: 'Endpoint attributes not found',
+        errorMessage: null,
+        metadata
+      };
+    }
+
+    // Determine the status based on endpoint attributes
+    const enabled = attributes.Enabled === 'true';
+    const token = attributes.Token;
+
+    let status, statusReason;
+
+    if (!enabled) {
+      status = 'DISABLED';
+      statusReason = 'Endpoint is disabled in SNS';
+    } else if (!token) {
+      status = 'DISABLED';
+      statusReason = 'No device token found';
+    } else {
+      status = 'ENABLED';
+      statusReason = 'Endpoint is enabled with valid token';
+    }
+
+    const result = {
+      originalId,
+      arn,
+      status,
+      statusReason,
+      errorMessage: null,
+      metadata: {
+        enabled: attributes.Enabled,
+        token: token ? token.substring(0, 20) + '...' : null, // Truncate token for security
+        userId: attributes.UserId,
+        customUserData: attributes.CustomUserData,
+        ...metadata
       }
+    };
+    if (includeAttributes) {
+      result.attributes = attributes;
     }
+
+    logArnResult(arn, status, {
+      enabled: attributes.Enabled,
+      hasToken: !!token
+    });
+
+    return result;
   }
 
   /**
-   * Check multiple ARNs in batches
+   * Check multiple ARNs in batches.
+   * Within a batch at most `concurrency` checks run at once and calls are paced by the rate limiter.
    */
   async checkMultipleArns(arnsWithIds, batchSize, onBatchComplete = null) {
     const results = [];
@@ -286,32 +424,38 @@ class SNSService {
       // Ensure credentials are valid before processing each batch
       await this.ensureValidCredentials();
 
-      // Process batch concurrently with limited concurrency
-      const batchPromises = batch.map(({ id, arn }) => 
-        this.checkArnStatus(arn, id)
-      );
-
       try {
         const batchStartTime = Date.now();
-        const batchResults = await Promise.all(batchPromises);
+        const rateSnapshot = this.rateLimiter.snapshot();
+
+        // Process batch with bounded concurrency; the rate limiter paces the API calls.
+        // Stop starting new checks as soon as the circuit breaker trips.
+        const batchResults = await this.rateLimiter.map(batch, async ({ id, arn }) => {
+          const result = await this.checkArnStatus(arn, id);
+          this.circuitBreaker.record(result);
+          return result;
+        }, () => this.circuitBreaker.isTripped);
+
+        // A tripped breaker discards the whole batch rather than saving it as ERROR rows
+        this.circuitBreaker.assertClosed();
         const batchProcessingTime = Date.now() - batchStartTime;
+        const rateStats = this.rateLimiter.rateSince(rateSnapshot);
         results.push(...batchResults);
         
-        // Log batch summary instead of individual ARN details for performance
-        logBatchSummary(i + 1, batches.length, batchResults, batchProcessingTime);
-        
-        // If a callback is provided, save results immediately after each batch
+        // If a callback is provided, save results immediately after each batch.
+        // It may return write stats, which go into the batch summary.
+        let writeStats = null;
         if (onBatchComplete && typeof onBatchComplete === 'function') {
           logger.info(`Saving batch ${i + 1} results to database`);
-          await onBatchComplete(batchResults);
-        }
-        
-        // Small delay between batches to avoid rate limiting
-        if (i < batches.length - 1) {
-          await this.sleep(500);
+          writeStats = await onBatchComplete(batchResults);
         }
+
+        // Log batch summary instead of individual ARN details for performance
+        logBatchSummary(i + 1, batches.length, batchResults, batchProcessingTime, rateStats, writeStats);
       } catch (error) {
-        logError(error, { context: 'Batch processing', batchIndex: i });
+        if (error.name !== 'CircuitBreakerTrippedError') {
+          logError(error, { context: 'Batch processing', batchIndex: i });
+        }
         throw error;
       }
     }
@@ -319,6 +463,329 @@ class SNSService {
     return results;
   }
 
+  /**
+   * Send a list command through the default route (see sendWithRetries()), throwing the
+   * error of a failed call
+   */
+  async sendListCommand(command, context) {
+    const { response, error } = await this.sendWithRetries(this.defaultRoute, command, { context });
+    if (error) {
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * List every SNS platform application in the account/region
+   */
+  async listPlatformApplications() {
+    const applications = [];
+    let nextToken;
+
+    do {
+      const response = await this.sendListCommand(
+        new ListPlatformApplicationsCommand({ NextToken: nextToken }),
+        'Listing platform applications'
+      );
+      (response.PlatformApplications || []).forEach(app => {
+        applications.push({
+          arn: app.PlatformApplicationArn,
+          attributes: app.Attributes || {}
+        });
+      });
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    logger.info(`Found ${applications.length} SNS platform applications`);
+    return applications;
+  }
+
+  /**
+   * Page through all endpoints of a platform application, calling onPage(endpoints) per page
+   */
+  async scanPlatformEndpoints(applicationArn, onPage) {
+    let nextToken;
+    let total = 0;
+
+    do {
+      const response = await this.sendListCommand(
+        new ListEndpointsByPlatformApplicationCommand({
+          PlatformApplicationArn: applicationArn,
+          NextToken: nextToken
+        }),
+        'Listing platform application endpoints'
+      );
+      const endpoints = (response.Endpoints || []).map(endpoint => ({
+        arn: endpoint.EndpointArn,
+        attributes: endpoint.Attributes || {}
+      }));
+
+      total += endpoints.length;
+      if (endpoints.length > 0) {
+        await onPage(endpoints);
+      }
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    return total;
+  }
+
+  /**
+   * Result row for an endpoint that exists in SNS but has no row in the source table.
+   * original_id is 0 because there is no source record to point at.
+   */
+  buildOrphanResult(endpoint, applicationArn) {
+    const token = endpoint.attributes.Token;
+    return {
+      originalId: 0,
+      arn: endpoint.arn,
+      status: 'ORPHANED',
+      statusReason: 'Endpoint exists in SNS but not in source table',
+      errorMessage: null,
+      metadata: {
+        applicationArn,
+        enabled: endpoint.attributes.Enabled,
+        token: token ? token.substring(0, 20) + '...' : null, // Truncate token for security
+        customUserData: endpoint.attributes.CustomUserData
+      }
+    };
+  }
+
+  /**
+   * Delete an SNS endpoint through its route, retrying throttled and transient failures.
+   * Returns { status, errorMessage, metadata } with status DELETED, ALREADY_DELETED
+   * (SNS no longer knows the endpoint) or ERROR; with dryRun nothing is called and the
+   * status is DRY_RUN_SUCCESS.
+   */
+  async deleteEndpoint(arn, { dryRun = false } = {}) {
+    let arnParts;
+    try {
+      arnParts = this.validateEndpointArn(arn);
+    } catch (error) {
+      if (!(error instanceof ArnParseError)) {
+        throw error;
+      }
+      return {
+        status: 'ERROR',
+        errorMessage: error.message,
+        metadata: { retryCount: 0, errorClass: ERROR_CLASSES.INVALID, rejectionReason: error.reason }
+      };
+    }
+
+    if (dryRun) {
+      logger.info(`[DRY RUN] Would delete ARN: ${arn}`);
+      return { status: 'DRY_RUN_SUCCESS', errorMessage: null, metadata: { retryCount: 0 } };
+    }
+
+    const { error, errorClass, metadata } = await this.sendWithRetries(
+      arnParts,
+      new DeleteEndpointCommand({ EndpointArn: arn }),
+      { context: 'Deleting endpoint', arn }
+    );
+    if (!error) {
+      logger.debug(`Deleted ARN: ${arn}`);
+      return { status: 'DELETED', errorMessage: null, metadata };
+    }
+    if (errorClass === ERROR_CLASSES.NOT_FOUND) {
+      logger.debug(`ARN already deleted: ${arn}`);
+      return { status: 'ALREADY_DELETED', errorMessage: error.message, metadata };
+    }
+    return { status: 'ERROR', errorMessage: error.message, metadata };
+  }
+
+  /**
+   * Look an endpoint up right before deleting it, for --reverify and snapshots. Returns
+   * { outcome } for an endpoint that is not to be deleted: enabled with a token again
+   * under reverify (SKIPPED_REENABLED), unknown to SNS (ALREADY_DELETED), or invalid or
+   * not checkable (ERROR). Otherwise returns { attributes }, the endpoint's full
+   * attributes. The check's outcome is kept in metadata.reverify (or metadata.snapshot).
+   */
+  async checkBeforeDelete(record, { reverify = false } = {}) {
+    const check = await this.checkArnStatus(record.arn, record.original_id, { includeAttributes: true });
+    const metadata = {
+      [reverify ? 'reverify' : 'snapshot']: {
+        status: check.status,
+        statusReason: check.statusReason,
+        retryCount: check.metadata.retryCount,
+        rejectionReason: check.metadata.rejectionReason
+      }
+    };
+
+    if (check.status === 'ENABLED' && reverify) {
+      logger.info(`Skipping ARN enabled again since its scan: ${record.arn}`);
+      return { outcome: { status: SKIPPED_REENABLED, errorMessage: null, metadata: { ...metadata, deleteSkipped: true } } };
+    }
+    if (check.status === 'NOT_FOUND') {
+      return { outcome: { status: 'ALREADY_DELETED', errorMessage: null, metadata: { ...metadata, deleteSkipped: true } } };
+    }
+    if (check.status === 'ERROR' || check.status === 'INVALID') {
+      return {
+        outcome: {
+          status: 'ERROR',
+          errorMessage: `${reverify ? 'Re-verification' : 'Snapshot'} failed: ${check.errorMessage}`,
+          metadata: { ...metadata, deleteSkipped: true, errorClass: check.metadata.errorClass }
+        }
+      };
+    }
+    return { attributes: check.attributes, metadata };
+  }
+
+  /**
+   * Delete the endpoints of `records` ({ arn, ... }) in batches, like checkMultipleArns():
+   * bounded concurrency, paced by the rate limiter, stopped by the circuit breaker, with
+   * onBatchComplete(batchResults) called to save each batch. Each result is the record
+   * with deleteEndpoint()'s status, errorMessage and metadata added.
+   * With reverify or saveSnapshots each endpoint is looked up first (checkBeforeDelete()),
+   * and saveSnapshots(records) gets the batch's endpoints to delete, each with its full
+   * `attributes`, and must succeed before any of them is deleted.
+   */
+  async deleteMultipleEndpoints(records, batchSize, onBatchComplete = null, { dryRun = false, reverify = false, saveSnapshots = null } = {}) {
+    const results = [];
+    const effectiveBatchSize = batchSize || config.app.batchSize || 50;
+    const batches = this.chunkArray(records, effectiveBatchSize);
+    const lookUpFirst = reverify || Boolean(saveSnapshots);
+    const isTripped = () => this.circuitBreaker.isTripped;
+
+    logger.info(`${dryRun ? '[DRY RUN] ' : ''}Deleting ${records.length} endpoints in ${batches.length} batches of ${effectiveBatchSize}` +
+      `${reverify ? ', re-verifying each first' : ''}${saveSnapshots ? ', saving snapshots first' : ''}`);
+
+    const recordResult = (record, outcome) => {
+      const result = { ...record, ...outcome };
+      this.circuitBreaker.record(result);
+      return result;
+    };
+
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i];
+      await this.ensureValidCredentials();
+
+      const batchStartTime = Date.now();
+      const rateSnapshot = this.rateLimiter.snapshot();
+      let batchResults;
+
+      if (lookUpFirst) {
+        batchResults = new Array(batch.length);
+        const toDelete = [];
+        const lookups = await this.rateLimiter.map(batch, record => this.checkBeforeDelete(record, { reverify }), isTripped);
+        lookups.forEach((lookup, index) => {
+          if (lookup && lookup.outcome) {
+            batchResults[index] = recordResult(batch[index], lookup.outcome);
+          } else if (lookup) {
+            toDelete.push({ index, record: batch[index], ...lookup });
+          }
+        });
+
+        if (saveSnapshots && toDelete.length > 0 && !isTripped()) {
+          await saveSnapshots(toDelete.map(({ record, attributes }) => ({ ...record, attributes })));
+        }
+
+        const deleted = await this.rateLimiter.map(toDelete, async ({ record, metadata }) => {
+          const outcome = await this.deleteEndpoint(record.arn, { dryRun });
+          return recordResult(record, { ...outcome, metadata: { ...outcome.metadata, ...metadata } });
+        }, isTripped);
+        deleted.forEach((result, position) => {
+          batchResults[toDelete[position].index] = result;
+        });
+      } else {
+        batchResults = await this.rateLimiter.map(batch, async (record) => (
+          recordResult(record, await this.deleteEndpoint(record.arn, { dryRun }))
+        ), isTripped);
+      }
+
+      // Save whatever was attempted before a trip: those endpoints are already gone. Results
+      // stop at the first endpoint not attempted, so the run's checkpoint never skips one.
+      const firstSkipped = batchResults.findIndex(result => !result);
+      const attempted = firstSkipped === -1 ? batchResults : batchResults.slice(0, firstSkipped);
+      if (onBatchComplete && attempted.length > 0) {
+        await onBatchComplete(attempted);
+      }
+      results.push(...attempted);
+      this.circuitBreaker.assertClosed();
+
+      const counts = attempted.reduce((acc, result) => {
+        acc[result.status] = (acc[result.status] || 0) + 1;
+        return acc;
+      }, {});
+      logger.info('Deletion batch completed', {
+        batch: `${i + 1}/${batches.length}`,
+        processed: attempted.length,
+        summary: counts,
+        processingTimeMs: Date.now() - batchStartTime,
+        rate: this.rateLimiter.rateSince(rateSnapshot)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Recreate an endpoint from a decrypted snapshot ({ arn, attributes }) in the platform
+   * application it was deleted from, retrying like deleteEndpoint(). Returns
+   * { status, newArn, errorMessage, metadata } with status RESTORED or ERROR; with dryRun
+   * nothing is called and the status is DRY_RUN_SUCCESS.
+   */
+  async restoreEndpoint(snapshot, { dryRun = false } = {}) {
+    const arnParts = this.validateEndpointArn(snapshot.arn);
+    const { Token: token, CustomUserData: customUserData, Enabled: enabled } = snapshot.attributes;
+    if (!token) {
+      return { status: 'ERROR', newArn: null, errorMessage: 'Snapshot has no device token', metadata: { retryCount: 0 } };
+    }
+
+    const applicationArn = platformApplicationArn(arnParts);
+    if (dryRun) {
+      logger.info(`[DRY RUN] Would restore ARN ${snapshot.arn} in ${applicationArn}`);
+      return { status: 'DRY_RUN_SUCCESS', newArn: null, errorMessage: null, metadata: { retryCount: 0 } };
+    }
+
+    const { response, error, metadata } = await this.sendWithRetries(
+      arnParts,
+      new CreatePlatformEndpointCommand({
+        PlatformApplicationArn: applicationArn,
+        Token: token,
+        CustomUserData: customUserData,
+        Attributes: enabled !== undefined ? { Enabled: enabled } : undefined
+      }),
+      { context: 'Restoring endpoint', arn: snapshot.arn }
+    );
+    if (error) {
+      return { status: 'ERROR', newArn: null, errorMessage: error.message, metadata };
+    }
+    logger.debug(`Restored ARN ${snapshot.arn} as ${response.EndpointArn}`);
+    return { status: 'RESTORED', newArn: response.EndpointArn, errorMessage: null, metadata };
+  }
+
+  /**
+   * Restore endpoints from decrypted snapshots ({ id, arn, attributes, ... }) in batches
+   * like deleteMultipleEndpoints(), calling onBatchComplete(batchResults) to save each batch
+   */
+  async restoreMultipleEndpoints(snapshots, batchSize, onBatchComplete = null, { dryRun = false } = {}) {
+    const results = [];
+    const effectiveBatchSize = batchSize || config.app.batchSize || 50;
+    const batches = this.chunkArray(snapshots, effectiveBatchSize);
+
+    logger.info(`${dryRun ? '[DRY RUN] ' : ''}Restoring ${snapshots.length} endpoints in ${batches.length} batches of ${effectiveBatchSize}`);
+
+    for (let i = 0; i < batches.length; i++) {
+      await this.ensureValidCredentials();
+      const batchResults = await this.rateLimiter.map(batches[i], async (snapshot) => {
+        const result = { ...snapshot, ...await this.restoreEndpoint(snapshot, { dryRun }) };
+        this.circuitBreaker.record(result);
+        return result;
+      }, () => this.circuitBreaker.isTripped);
+
+      // Save what was restored before a trip, so a later restore does not create it twice
+      const attempted = batchResults.filter(Boolean);
+      if (onBatchComplete && attempted.length > 0) {
+        await onBatchComplete(attempted);
+      }
+      results.push(...attempted);
+      this.circuitBreaker.assertClosed();
+      logger.info('Restore batch completed', { batch: `${i + 1}/${batches.length}`, processed: attempted.length });
+    }
+
+    return results;
+  }
+
   /**
    * Utility function to chunk array into smaller arrays
    */
@@ -0,0 +1,143 @@
+const { logger } = require('./logger');
+
+/**
+ * Adaptive Rate Limiter
+ * Bounds the number of in-flight SNS calls and paces them with a token bucket.
+ * The request rate is halved when SNS throttles us and raised step by step once
+ * throttling has stopped (additive increase, multiplicative decrease).
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 10);
+    this.maxRate = Math.max(0.1, options.maxRequestsPerSecond || 25);
+    this.minRate = Math.min(this.maxRate, Math.max(0.1, options.minRequestsPerSecond || 1));
+    this.decreaseFactor = options.decreaseFactor || 0.5;
+    this.increaseStep = options.increaseStep || Math.max(0.5, this.maxRate * 0.1);
+    this.recoveryIntervalMs = options.recoveryIntervalMs || 5000;
+
+    this.currentRate = this.maxRate;
+    this.tokens = Math.max(1, this.currentRate);
+    this.lastRefill = Date.now();
+    this.lastThrottleAt = 0;
+    this.lastAdjustAt = Date.now();
+
+    this.stats = {
+      requests: 0,
+      throttles: 0
+    };
+  }
+
+  /**
+   * Top up the bucket based on time elapsed; burst capacity is one second of requests
+   */
+  refill() {
+    const now = Date.now();
+    const capacity = Math.max(1, this.currentRate);
+    this.tokens = Math.min(capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.currentRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a request token is available
+   */
+  async acquire() {
+    while (true) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        this.stats.requests++;
+        return;
+      }
+      const waitMs = Math.ceil(((1 - this.tokens) / this.currentRate) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Record a throttled request and back off (at most once per second so a burst of
+   * in-flight throttles does not collapse the rate to the minimum)
+   */
+  onThrottle() {
+    const now = Date.now();
+    this.stats.throttles++;
+    this.lastThrottleAt = now;
+
+    if (now - this.lastAdjustAt >= 1000) {
+      const previousRate = this.currentRate;
+      this.currentRate = Math.max(this.minRate, this.currentRate * this.decreaseFactor);
+      this.tokens = Math.min(this.tokens, 0);
+      this.lastAdjustAt = now;
+      logger.warn(`SNS throttling detected, reducing rate from ${previousRate.toFixed(1)} to ${this.currentRate.toFixed(1)} req/s`);
+    }
+  }
+
+  /**
+   * Record a successful request and speed back up once throttling has stopped
+   */
+  onSuccess() {
+    const now = Date.now();
+    if (this.currentRate >= this.maxRate ||
+        now - this.lastThrottleAt < this.recoveryIntervalMs ||
+        now - this.lastAdjustAt < this.recoveryIntervalMs) {
+      return;
+    }
+
+    this.currentRate = Math.min(this.maxRate, this.currentRate + this.increaseStep);
+    this.lastAdjustAt = now;
+    logger.info(`No SNS throttling for ${this.recoveryIntervalMs / 1000}s, raising rate to ${this.currentRate.toFixed(1)} req/s`);
+  }
+
+  /**
+   * Run fn over items with at most `concurrency` calls in flight. Results keep input order.
+   * When shouldStop() returns true no new items are started; in-flight calls still finish.
+   */
+  async map(items, fn, shouldStop = null) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length && !(shouldStop && shouldStop())) {
+        const index = nextIndex++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  /**
+   * Snapshot of counters, used to compute achieved rates for a window of work
+   */
+  snapshot() {
+    return {
+      requests: this.stats.requests,
+      throttles: this.stats.throttles,
+      at: Date.now()
+    };
+  }
+
+  /**
+   * Achieved rate and throttles since an earlier snapshot
+   */
+  rateSince(snapshot) {
+    const now = this.snapshot();
+    const elapsedSeconds = Math.max(0.001, (now.at - snapshot.at) / 1000);
+    const requests = now.requests - snapshot.requests;
+
+    return {
+      requests,
+      throttles: now.throttles - snapshot.throttles,
+      achievedRps: Number((requests / elapsedSeconds).toFixed(2)),
+      targetRps: Number(this.currentRate.toFixed(2)),
+      concurrency: this.concurrency
+    };
+  }
+}
+
+module.exports = RateLimiter;
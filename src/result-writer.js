@@ -0,0 +1,116 @@
+const { logger } = require('./logger');
+
+/**
+ * Background Result Writer
+ * Saves result batches without blocking the SNS checks. At most `maxPending` writes
+ * are in flight; enqueue() waits for a free slot, which applies backpressure to the
+ * checking stage when the database falls behind. A failed write is re-thrown from
+ * the next enqueue() or flush() so the run stops instead of silently losing results.
+ *
+ * Writes can finish out of order, so a batch's last id is not a safe resume point on
+ * its own. `settledThrough` is the id given with the newest batch such that it and
+ * every batch queued before it are saved; it never moves past a pending or failed write.
+ */
+class ResultWriter {
+  constructor(saveFn, options = {}) {
+    this.saveFn = saveFn;
+    this.maxPending = Math.max(1, options.maxPending || 2);
+    this.pending = new Set();
+    this.error = null;
+    // Batches in enqueue order that are not yet part of the saved prefix
+    this.unsettled = [];
+    this.settledThrough = options.settledThrough ?? null;
+    this.stats = {
+      batches: 0,
+      records: 0,
+      writeMs: 0,
+      lastWrite: null
+    };
+  }
+
+  /**
+   * Queue a batch for saving. `throughId` is the id settledThrough moves to once this
+   * batch and all earlier ones are saved (null leaves it where it is). Returns throughput
+   * of the writes finished so far, since this batch's own write usually completes later.
+   */
+  async enqueue(results, throughId = null) {
+    this.throwIfFailed();
+
+    while (this.pending.size >= this.maxPending) {
+      await Promise.race(this.pending);
+      this.throwIfFailed();
+    }
+
+    const entry = { throughId, saved: false };
+    this.unsettled.push(entry);
+
+    const write = Promise.resolve()
+      .then(() => this.saveFn(results))
+      .then((writeStats) => {
+        entry.saved = true;
+        this.settle();
+        this.stats.batches++;
+        this.stats.records += results.length;
+        if (writeStats) {
+          this.stats.writeMs += writeStats.durationMs;
+          this.stats.lastWrite = writeStats;
+        }
+      })
+      .catch(error => {
+        this.error = this.error || error;
+      })
+      .finally(() => {
+        this.pending.delete(write);
+      });
+
+    this.pending.add(write);
+    return this.throughput();
+  }
+
+  /**
+   * Advance settledThrough over the saved batches at the front of the queue
+   */
+  settle() {
+    while (this.unsettled.length > 0 && this.unsettled[0].saved) {
+      const { throughId } = this.unsettled.shift();
+      if (throughId !== null && throughId !== undefined) {
+        this.settledThrough = throughId;
+      }
+    }
+  }
+
+  /**
+   * Records written per second of database write time, plus the most recent write's stats
+   */
+  throughput() {
+    if (!this.stats.lastWrite) {
+      return null;
+    }
+
+    return {
+      ...this.stats.lastWrite,
+      totalRecords: this.stats.records,
+      averageRowsPerSecond: Number((this.stats.records / Math.max(0.001, this.stats.writeMs / 1000)).toFixed(1)),
+      pendingWrites: this.pending.size
+    };
+  }
+
+  /**
+   * Wait for all in-flight writes to finish
+   */
+  async flush() {
+    if (this.pending.size > 0) {
+      logger.info(`Waiting for ${this.pending.size} pending result writes`);
+    }
+    await Promise.all(this.pending);
+    this.throwIfFailed();
+  }
+
+  throwIfFailed() {
+    if (this.error) {
+      throw this.error;
+    }
+  }
+}
+
+module.exports = ResultWriter;
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { promisify } = require('util');
+const pipeline = promisify(require('stream').pipeline);
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+/**
+ * Retention of Old Results
+ * `cleanup.js --archive` and `--purge` remove result rows the retention policy no longer
+ * keeps: every row of the newest N runs is kept, and older runs keep their rows for a
+ * number of days by status (e.g. DISABLED rows for 180 days). Archiving moves the
+ * removed rows to the archive table or to gzipped NDJSON files; purging drops them.
+ * Runs a pending deletion still depends on, and runs that are being written, are never
+ * touched.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETENTION_MODES = ['archive', 'purge'];
+const ARCHIVE_TARGETS = ['table', 'ndjson'];
+
+// Statuses `cleanup.js delete` deletes by default; an ARN with one of these is pending deletion until deleted
+const DELETABLE_STATUSES = ['DISABLED', 'ORPHANED'];
+
+/**
+ * Parse "DISABLED=180,ORPHANED=365" into { DISABLED: 180, ORPHANED: 365 }
+ */
+const parseStatusDays = (value) => (value || '').split(',').reduce((statusDays, entry) => {
+  if (!entry.trim()) {
+    return statusDays;
+  }
+
+  const [status, days] = entry.split('=').map(part => part && part.trim());
+  if (!status || !(parseFloat(days) > 0)) {
+    throw new Error(`Invalid status retention '${entry.trim()}': use STATUS=days, e.g. DISABLED=180`);
+  }
+  statusDays[status.toUpperCase()] = parseFloat(days);
+  return statusDays;
+}, {});
+
+/**
+ * The retention policy for a run of --archive/--purge, from CLI options over config:
+ * { keepRuns, keepDays, statusDays, cutoffs: { default, [status] } } with ISO cut-offs
+ */
+const buildRetentionPolicy = (options = {}, now = Date.now()) => {
+  const keepRuns = options.keepRuns ?? config.retention.keepRuns;
+  const keepDays = options.keepDays ?? config.retention.keepDays;
+  const statusDays = parseStatusDays(options.keepStatus ?? config.retention.statusDays);
+
+  if (!Number.isInteger(keepRuns) || keepRuns < 0) {
+    throw new Error(`--keep-runs must be a whole number of runs (got ${keepRuns})`);
+  }
+  if (!(keepDays > 0)) {
+    throw new Error(`--keep-days must be a positive number of days (got ${keepDays})`);
+  }
+
+  const cutoff = (days) => new Date(now - days * DAY_MS).toISOString();
+  const cutoffs = { default: cutoff(keepDays) };
+  Object.entries(statusDays).forEach(([status, days]) => {
+    cutoffs[status] = cutoff(days);
+  });
+
+  return { keepRuns, keepDays, statusDays, cutoffs };
+};
+
+/**
+ * Human-readable description of a retention policy for logs and CLI output
+ */
+const describePolicy = (policy) => {
+  const statuses = Object.entries(policy.statusDays).map(([status, days]) => `${status} ${days} days`);
+  return `keep the newest ${policy.keepRuns} runs; in older runs keep ` +
+    `${statuses.length > 0 ? `${statuses.join(', ')}, ` : ''}other rows ${policy.keepDays} days`;
+};
+
+/**
+ * SQL condition (no leading AND) matching results rows the policy no longer keeps.
+ * `excludedRunIds` are the kept and protected runs; rows without a run are left alone.
+ */
+const buildExpirySql = (policy, excludedRunIds) => {
+  const params = { retentionCutoff: new Date(policy.cutoffs.default) };
+
+  const cases = Object.keys(policy.statusDays).map((status, index) => {
+    params[`retentionStatus${index}`] = status;
+    params[`retentionCutoff${index}`] = new Date(policy.cutoffs[status]);
+    return ` WHEN @retentionStatus${index} THEN @retentionCutoff${index}`;
+  }).join('');
+  const cutoffSql = cases ? `CASE status${cases} ELSE @retentionCutoff END` : '@retentionCutoff';
+
+  const runParams = excludedRunIds.map((runId, index) => {
+    params[`retentionRun${index}`] = runId;
+    return `@retentionRun${index}`;
+  });
+  const runSql = runParams.length > 0 ? ` AND run_id NOT IN (${runParams.join(', ')})` : '';
+
+  return { sql: `run_id IS NOT NULL${runSql} AND checked_at < ${cutoffSql}`, params };
+};
+
+/**
+ * Archive file of one run's rows for one --archive run
+ */
+const archiveFileName = (runId, archiveRunId) => `${`${runId}--${archiveRunId}`.replace(/[^A-Za-z0-9_.-]/g, '_')}.ndjson.gz`;
+
+/**
+ * Result Archiver
+ * Removes one run's expired rows in id-ordered chunks of `chunkSize`, each in its own
+ * transaction, so a stopped job leaves whole chunks done and a later job picks up the
+ * rest. With the ndjson target the run's rows are written to a file first and only
+ * removed from the results table once the file is complete.
+ */
+class ResultArchiver {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.mode = options.mode;
+    this.target = options.target || null;
+    this.archiveRunId = options.archiveRunId;
+    this.archiveDir = options.archiveDir || config.retention.archiveDir;
+    this.chunkSize = options.chunkSize || config.app.chunkSize;
+  }
+
+  /**
+   * Archive or purge a run's expired rows; returns { rows, file }
+   */
+  async processRun(runId, expiry) {
+    const file = this.mode === 'archive' && this.target === 'ndjson'
+      ? await this.writeRunFile(runId, expiry)
+      : null;
+
+    let rows = 0;
+    let afterId = 0;
+    while (true) {
+      const chunk = await this.db.getExpiredResults(runId, expiry, afterId, this.chunkSize, { idsOnly: true });
+      if (chunk.length === 0) {
+        break;
+      }
+
+      const lastId = chunk[chunk.length - 1].id;
+      rows += this.mode === 'archive' && this.target === 'table'
+        ? await this.db.archiveExpiredResults(runId, expiry, afterId, lastId, this.archiveRunId)
+        : await this.db.deleteExpiredResults(runId, expiry, afterId, lastId);
+      afterId = lastId;
+    }
+
+    logger.info(`${this.mode === 'archive' ? 'Archived' : 'Purged'} ${rows} rows of run ${runId}`, { file });
+    return { rows, file };
+  }
+
+  /**
+   * Write a run's expired rows to a gzipped NDJSON file (one result row per line)
+   */
+  async writeRunFile(runId, expiry) {
+    fs.mkdirSync(this.archiveDir, { recursive: true });
+    const file = path.join(this.archiveDir, archiveFileName(runId, this.archiveRunId));
+    const gzip = zlib.createGzip();
+    const written = pipeline(gzip, fs.createWriteStream(file));
+
+    try {
+      let afterId = 0;
+      while (true) {
+        const rows = await this.db.getExpiredResults(runId, expiry, afterId, this.chunkSize);
+        if (rows.length === 0) {
+          break;
+        }
+
+        for (const row of rows) {
+          if (!gzip.write(`${JSON.stringify(row)}\n`)) {
+            await once(gzip, 'drain');
+          }
+        }
+        afterId = rows[rows.length - 1].id;
+      }
+      gzip.end();
+      await written;
+    } catch (error) {
+      gzip.destroy(error);
+      await written.catch(() => {});
+      throw error;
+    }
+    return file;
+  }
+}
+
+module.exports = {
+  RETENTION_MODES,
+  ARCHIVE_TARGETS,
+  DELETABLE_STATUSES,
+  parseStatusDays,
+  buildRetentionPolicy,
+  describePolicy,
+  buildExpirySql,
+  ResultArchiver
+};
@@ -0,0 +1,99 @@
+const { config } = require('./config');
+
+/**
+ * Run Progress Estimates
+ * How fast a run is going, measured over a moving window of its most recent results
+ * (PROGRESS_WINDOW_MINUTES), how long its remaining rows will take at that rate, and
+ * how many SNS calls they are likely to need going by the retries of recent checks.
+ */
+
+// Most recent results of a run sampled for SNS calls per record
+const CALL_SAMPLE_SIZE = 1000;
+
+/**
+ * SNS calls one result took: one per attempt, none for ARNs rejected before calling SNS.
+ * A deletion adds the calls of the lookup before it (--reverify or its snapshot), and none
+ * for a delete it skipped.
+ */
+const apiCallsForResult = (metadata) => {
+  let parsed = {};
+  try {
+    parsed = typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {});
+  } catch (error) {
+    // Unreadable metadata: count the single call every check makes
+  }
+
+  const lookup = parsed.reverify || parsed.snapshot;
+  const lookupCalls = lookup ? apiCallsForResult(lookup) : 0;
+  if (parsed.rejectionReason || parsed.deleteSkipped) {
+    return lookupCalls;
+  }
+  return lookupCalls + (Number(parsed.retryCount) || 0) + 1;
+};
+
+/**
+ * Throughput window of a run: it ends now while the run is running and at its last
+ * result otherwise, and starts no earlier than the run's (re)start or first result
+ */
+const progressWindow = ({ running, stateUpdatedAt, firstActivity, lastActivity, now = Date.now() },
+  windowMs = config.app.progressWindowMinutes * 60 * 1000) => {
+  if (!lastActivity) {
+    return null;
+  }
+
+  const end = running ? now : new Date(lastActivity).getTime();
+  const segmentStart = running && stateUpdatedAt ? new Date(stateUpdatedAt).getTime() : new Date(firstActivity).getTime();
+  return { start: end - windowMs, from: Math.max(end - windowMs, segmentStart), end };
+};
+
+/**
+ * Throughput, ETA and remaining SNS calls from a run's counts, the results saved in
+ * its throughput window, and a sample of its recent results' metadata
+ */
+const estimateProgress = ({ remaining, completed, running, window, windowRecords, sample, now = Date.now() }) => {
+  // Under a second of saved batches says nothing about the rate yet
+  const seconds = window ? (window.end - window.from) / 1000 : 0;
+  const throughput = seconds >= 1 ? windowRecords / seconds : 0;
+  const callsPerRecord = sample.length > 0
+    ? sample.reduce((calls, row) => calls + apiCallsForResult(row.metadata), 0) / sample.length
+    : 1;
+
+  let etaSeconds = null;
+  if (completed) {
+    etaSeconds = 0;
+  } else if (throughput > 0) {
+    etaSeconds = Math.ceil(remaining / throughput);
+  }
+
+  return {
+    throughput_per_second: Number(throughput.toFixed(2)),
+    throughput_window_seconds: Math.round(seconds),
+    eta_seconds: etaSeconds,
+    estimated_completion_at: running && etaSeconds !== null ? new Date(now + etaSeconds * 1000).toISOString() : null,
+    api_calls_per_record: Number(callsPerRecord.toFixed(3)),
+    estimated_api_calls: completed ? 0 : Math.ceil(remaining * callsPerRecord)
+  };
+};
+
+/**
+ * Seconds as "2h 05m" / "4m 10s" for CLI output
+ */
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) {
+    return 'unknown';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
+
+module.exports = {
+  CALL_SAMPLE_SIZE,
+  apiCallsForResult,
+  progressWindow,
+  estimateProgress,
+  formatDuration
+};
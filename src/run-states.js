@@ -0,0 +1,33 @@
+/**
+ * Run Lifecycle States
+ * Stored in the runs table's `state` column.
+ *
+ *   created -> running -> completed
+ *                      -> interrupted  (stopped by a signal or --limit; resumable)
+ *                      -> tripped      (stopped by the circuit breaker; resumable)
+ *                      -> failed       (stopped by an error; resumable once fixed)
+ */
+
+const RUN_STATES = {
+  CREATED: 'created',
+  RUNNING: 'running',
+  INTERRUPTED: 'interrupted',
+  TRIPPED: 'tripped',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// States after which the process that owned the run has stopped
+const ENDED_STATES = [RUN_STATES.INTERRUPTED, RUN_STATES.TRIPPED, RUN_STATES.COMPLETED, RUN_STATES.FAILED];
+
+/**
+ * Every run except a completed one can be resumed. A run still marked `running` is
+ * resumable too, because a crashed or killed process cannot record its own end.
+ */
+const isResumableState = (state) => state !== RUN_STATES.COMPLETED;
+
+module.exports = {
+  RUN_STATES,
+  ENDED_STATES,
+  isResumableState
+};
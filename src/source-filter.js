@@ -0,0 +1,291 @@
+/**
+ * Source Filter
+ * Parses scan filters for the source table and turns them into parameterized SQL.
+ *
+ * Two input forms are supported and can be combined (all conditions are ANDed):
+ *   --filter column=op:value     e.g. --filter active=eq:0 --filter id=in:1,2,3
+ *   --where-clause "expression"  e.g. --where-clause "active = 0 AND createdDate < '2023-01-01'"
+ *
+ * Values are never interpolated into SQL; column names must be plain identifiers.
+ */
+
+const OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  notlike: 'NOT LIKE',
+  in: 'IN',
+  notin: 'NOT IN',
+  null: 'IS NULL',
+  notnull: 'IS NOT NULL'
+};
+
+// Operators that take no value
+const UNARY_OPERATORS = ['null', 'notnull'];
+
+// Operators that take a comma-separated list of values
+const LIST_OPERATORS = ['in', 'notin'];
+
+// Symbols accepted in --where-clause expressions, mapped to filter operators
+const SYMBOL_OPERATORS = {
+  '=': 'eq',
+  '!=': 'ne',
+  '<>': 'ne',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class SourceFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceFilterError';
+  }
+}
+
+/**
+ * Convert a raw value string into a string value, stripping quotes and unescaping doubled
+ * quotes ('O''Brien'). Values stay strings until typeFilterValues() sees the column types.
+ * In strict mode (where-clause expressions) unquoted values must be a single bare token.
+ */
+const parseValue = (raw, strict = false) => {
+  const value = raw.trim();
+  if (/^'.*'$/.test(value) || /^".*"$/.test(value)) {
+    const quote = value[0];
+    return value.slice(1, -1).split(quote + quote).join(quote);
+  }
+  if (strict && !/^[^\s'";()]+$/.test(value)) {
+    throw new SourceFilterError(`Invalid value '${value}' in where clause; quote string values`);
+  }
+  return value;
+};
+
+const parseStrictValue = (raw) => parseValue(raw, true);
+
+const validateCondition = (condition) => {
+  if (!IDENTIFIER_PATTERN.test(condition.column)) {
+    throw new SourceFilterError(`Invalid filter column name: ${condition.column}`);
+  }
+  if (!OPERATORS[condition.op]) {
+    throw new SourceFilterError(`Unknown filter operator '${condition.op}'. Valid operators: ${Object.keys(OPERATORS).join(', ')}`);
+  }
+  if (LIST_OPERATORS.includes(condition.op) && (!Array.isArray(condition.value) || condition.value.length === 0)) {
+    throw new SourceFilterError(`Operator '${condition.op}' on ${condition.column} requires at least one value`);
+  }
+  if (!UNARY_OPERATORS.includes(condition.op) && !LIST_OPERATORS.includes(condition.op) &&
+      (condition.value === undefined || condition.value === '')) {
+    throw new SourceFilterError(`Operator '${condition.op}' on ${condition.column} requires a value`);
+  }
+  return condition;
+};
+
+/**
+ * Parse a single --filter flag of the form column=op:value
+ */
+const parseFilterFlag = (flag) => {
+  const match = /^\s*([^=\s]+)\s*=\s*([A-Za-z]+)(?::(.*))?$/.exec(flag || '');
+  if (!match) {
+    throw new SourceFilterError(`Invalid --filter '${flag}'. Expected column=op:value (e.g. active=eq:0)`);
+  }
+
+  const [, column, rawOp, rawValue = ''] = match;
+  const op = rawOp.toLowerCase();
+  const condition = { column, op };
+
+  if (LIST_OPERATORS.includes(op)) {
+    condition.value = rawValue.split(',').map(v => v.trim()).filter(v => v !== '').map(v => parseValue(v));
+  } else if (!UNARY_OPERATORS.includes(op)) {
+    condition.value = parseValue(rawValue);
+  }
+
+  return validateCondition(condition);
+};
+
+/**
+ * Parse a --where-clause expression.
+ * Grammar: condition (AND condition)*
+ *   condition := column (= | != | <> | > | >= | < | <=) value
+ *              | column [NOT] LIKE value
+ *              | column [NOT] IN (value, ...)
+ *              | column IS [NOT] NULL
+ */
+const parseWhereClause = (expression) => {
+  if (!expression || !expression.trim()) {
+    return [];
+  }
+
+  // Split on AND outside of quotes and parentheses
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+  const text = expression.trim();
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+      continue;
+    }
+    if (ch === '\'' || ch === '"') quote = ch;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+
+    if (depth === 0 && /^\sAND\s/i.test(text.slice(i, i + 5))) {
+      parts.push(current);
+      current = '';
+      i += 4;
+      continue;
+    }
+    current += ch;
+  }
+  if (quote || depth !== 0) {
+    throw new SourceFilterError(`Unbalanced quotes or parentheses in where clause: ${expression}`);
+  }
+  parts.push(current);
+
+  return parts.map(part => {
+    const condition = part.trim();
+    let match;
+
+    if ((match = /^([A-Za-z_][A-Za-z0-9_]*)\s+IS\s+(NOT\s+)?NULL$/i.exec(condition))) {
+      return validateCondition({ column: match[1], op: match[2] ? 'notnull' : 'null' });
+    }
+    if ((match = /^([A-Za-z_][A-Za-z0-9_]*)\s+(NOT\s+)?IN\s*\((.*)\)$/i.exec(condition))) {
+      const values = match[3].split(',').map(v => v.trim()).filter(v => v !== '').map(parseStrictValue);
+      return validateCondition({ column: match[1], op: match[2] ? 'notin' : 'in', value: values });
+    }
+    if ((match = /^([A-Za-z_][A-Za-z0-9_]*)\s+(NOT\s+)?LIKE\s+(.+)$/i.exec(condition))) {
+      return validateCondition({ column: match[1], op: match[2] ? 'notlike' : 'like', value: parseStrictValue(match[3]) });
+    }
+    if ((match = /^([A-Za-z_][A-Za-z0-9_]*)\s*(>=|<=|<>|!=|=|>|<)\s*(.+)$/.exec(condition))) {
+      return validateCondition({ column: match[1], op: SYMBOL_OPERATORS[match[2]], value: parseStrictValue(match[3]) });
+    }
+
+    throw new SourceFilterError(`Unsupported where clause condition: '${condition}'`);
+  });
+};
+
+/**
+ * Build a filter from CLI options (repeatable --filter flags and an optional --where-clause)
+ * Returns null when no filter was given.
+ */
+const buildSourceFilter = ({ filters = [], whereClause = null } = {}) => {
+  const conditions = [
+    ...filters.map(parseFilterFlag),
+    ...parseWhereClause(whereClause)
+  ];
+  return conditions.length > 0 ? conditions : null;
+};
+
+/**
+ * Give filter values the type of their column: numbers for the columns listed in
+ * numericColumns, strings for every other column. LIKE patterns are always strings.
+ * Throws SourceFilterError for a value a numeric column cannot hold.
+ */
+const typeFilterValues = (conditions, numericColumns = []) => {
+  if (!conditions || conditions.length === 0) {
+    return conditions || null;
+  }
+
+  const numeric = new Set(numericColumns.map(column => column.toLowerCase()));
+  const toNumber = (condition, value) => {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number)) {
+      throw new SourceFilterError(`Value '${value}' for numeric column ${condition.column} is not a number`);
+    }
+    return number;
+  };
+
+  return conditions.map(condition => {
+    if (!numeric.has(condition.column.toLowerCase()) || UNARY_OPERATORS.includes(condition.op) ||
+        condition.op === 'like' || condition.op === 'notlike') {
+      return condition;
+    }
+    const value = Array.isArray(condition.value)
+      ? condition.value.map(item => toNumber(condition, item))
+      : toNumber(condition, condition.value);
+    return { ...condition, value };
+  });
+};
+
+/**
+ * Turn filter conditions into a SQL fragment and a parameter map.
+ * The fragment starts with ' AND ' so it can be appended to an existing WHERE clause.
+ * Use a distinct paramPrefix when the same filter appears more than once in one query.
+ */
+const buildFilterSql = (conditions, paramPrefix = 'filter') => {
+  if (!conditions || conditions.length === 0) {
+    return { sql: '', params: {} };
+  }
+
+  const params = {};
+  const clauses = conditions.map((condition, index) => {
+    validateCondition(condition);
+    const column = `[${condition.column}]`;
+    const operator = OPERATORS[condition.op];
+    const paramName = `${paramPrefix}${index}`;
+
+    if (UNARY_OPERATORS.includes(condition.op)) {
+      return `${column} ${operator}`;
+    }
+    if (LIST_OPERATORS.includes(condition.op)) {
+      const names = condition.value.map((value, valueIndex) => {
+        params[`${paramName}_${valueIndex}`] = value;
+        return `@${paramName}_${valueIndex}`;
+      });
+      return `${column} ${operator} (${names.join(', ')})`;
+    }
+
+    params[paramName] = condition.value;
+    return `${column} ${operator} @${paramName}`;
+  });
+
+  return { sql: ` AND ${clauses.join(' AND ')}`, params };
+};
+
+/**
+ * Human-readable description of a filter for logs and CLI output
+ */
+const describeFilter = (conditions) => {
+  if (!conditions || conditions.length === 0) {
+    return 'none';
+  }
+  return conditions.map(condition => {
+    if (UNARY_OPERATORS.includes(condition.op)) {
+      return `${condition.column} ${OPERATORS[condition.op]}`;
+    }
+    const value = Array.isArray(condition.value) ? `(${condition.value.join(', ')})` : JSON.stringify(condition.value);
+    return `${condition.column} ${OPERATORS[condition.op]} ${value}`;
+  }).join(' AND ');
+};
+
+const serializeFilter = (conditions) => (conditions && conditions.length > 0 ? JSON.stringify(conditions) : null);
+
+const deserializeFilter = (json) => {
+  if (!json) {
+    return null;
+  }
+  const conditions = JSON.parse(json);
+  return conditions.map(validateCondition);
+};
+
+module.exports = {
+  SourceFilterError,
+  parseFilterFlag,
+  parseWhereClause,
+  buildSourceFilter,
+  typeFilterValues,
+  buildFilterSql,
+  describeFilter,
+  serializeFilter,
+  deserializeFilter
+};
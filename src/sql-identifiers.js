@@ -0,0 +1,53 @@
+/**
+ * SQL Identifiers
+ * Table and column names cannot be passed as query parameters, so names that come from
+ * CLI flags or configuration are checked against a strict pattern and bracket-quoted
+ * before they are put into SQL. DatabaseService additionally checks that they exist.
+ */
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_IDENTIFIER_LENGTH = 128;
+
+class IdentifierError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdentifierError';
+  }
+}
+
+/**
+ * Check a single (unqualified) identifier; accepts an already bracket-quoted name
+ */
+const validateIdentifier = (name, kind = 'identifier') => {
+  const value = typeof name === 'string' ? name.trim().replace(/^\[(.*)\]$/, '$1') : name;
+  if (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value) || value.length > MAX_IDENTIFIER_LENGTH) {
+    throw new IdentifierError(`Invalid ${kind} name '${name}': use letters, digits and underscores only`);
+  }
+  return value;
+};
+
+/**
+ * Split an optionally schema-qualified table name into { schema, table }
+ */
+const parseTableName = (name) => {
+  const parts = typeof name === 'string' ? name.trim().split('.') : [];
+  if (parts.length < 1 || parts.length > 2) {
+    throw new IdentifierError(`Invalid table name '${name}': expected table or schema.table`);
+  }
+
+  const table = validateIdentifier(parts[parts.length - 1], 'table');
+  const schema = parts.length === 2 ? validateIdentifier(parts[0], 'schema') : null;
+  return { schema, table };
+};
+
+const quoteIdentifier = (name) => `[${validateIdentifier(name)}]`;
+
+const quoteTableName = ({ schema, table }) => (schema ? `${quoteIdentifier(schema)}.` : '') + quoteIdentifier(table);
+
+module.exports = {
+  IdentifierError,
+  validateIdentifier,
+  parseTableName,
+  quoteIdentifier,
+  quoteTableName
+};
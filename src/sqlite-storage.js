@@ -0,0 +1,427 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config, validateTableNames } = require('./config');
+const { logger, logError } = require('./logger');
+const DatabaseService = require('./database');
+const { buildFilterSql, serializeFilter } = require('./source-filter');
+const { buildDeltaSql } = require('./delta-scan');
+const { quoteIdentifier } = require('./sql-identifiers');
+const { RUN_STATES } = require('./run-states');
+
+// ISO-8601 UTC with milliseconds, the same format as Date#toISOString(), so stored
+// timestamps and database-clock timestamps compare correctly as strings
+const ISO_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Declared column types with integer, real or numeric affinity (https://sqlite.org/datatype3.html).
+// Date types are left out: their values are compared as ISO strings.
+const isNumericType = (type) => /INT|REAL|FLOA|DOUB|NUM|DEC|BOOL/i.test(type || '') && !/CHAR|CLOB|TEXT/i.test(type);
+
+/**
+ * SQLite storage adapter
+ * Keeps results, runs and partitions in a local SQLite file (SQLITE_PATH) and reads the
+ * source table from the same file, so a scan can be tried against a local copy of the
+ * source data without a SQL Server. Extends the MSSQL adapter and overrides only the
+ * SQL that SQLite does not understand. Needs the optional better-sqlite3 package.
+ */
+class SqliteStorage extends DatabaseService {
+  constructor(options = {}) {
+    super();
+    this.dialect = 'sqlite';
+    this.filename = options.filename || config.storage.sqlitePath;
+    this.sqlite = null;
+    // One connection: transactions take turns so one cannot start inside another
+    this.transactionQueue = Promise.resolve();
+  }
+
+  async connect() {
+    validateTableNames();
+
+    try {
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+      }
+
+      if (this.filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+      }
+      this.sqlite = new Database(this.filename);
+      // WAL lets a second process (e.g. the health server) read while a scan writes
+      this.sqlite.pragma('journal_mode = WAL');
+      this.sqlite.pragma('busy_timeout = 30000');
+      this.connected = true;
+      logger.info(`Opened SQLite database ${this.filename}`);
+      return this.sqlite;
+    } catch (error) {
+      logError(error, { context: 'Database connection' });
+      throw new Error(`Failed to open SQLite database: ${error.message}`);
+    }
+  }
+
+  async disconnect() {
+    try {
+      if (this.sqlite) {
+        this.sqlite.close();
+        this.sqlite = null;
+        this.connected = false;
+        logger.info('Closed SQLite database');
+      }
+    } catch (error) {
+      logError(error, { context: 'Database disconnection' });
+    }
+  }
+
+  /**
+   * SQLite binds only numbers, strings, bigints, buffers and null
+   */
+  toSqliteParams(params) {
+    return Object.entries(params).reduce((values, [key, value]) => {
+      if (value instanceof Date) {
+        values[key] = value.toISOString();
+      } else if (typeof value === 'boolean') {
+        values[key] = value ? 1 : 0;
+      } else {
+        values[key] = value === undefined ? null : value;
+      }
+      return values;
+    }, {});
+  }
+
+  /**
+   * Same result shape as mssql: { recordset, rowsAffected: [count] }
+   */
+  async executeQuery(query, params = {}) {
+    try {
+      if (!this.connected) {
+        throw new Error('Database not connected');
+      }
+
+      const statement = this.sqlite.prepare(query);
+      const values = this.toSqliteParams(params);
+      if (statement.reader) {
+        const recordset = statement.all(values);
+        return { recordset, rowsAffected: [recordset.length] };
+      }
+
+      const info = statement.run(values);
+      return { recordset: [], rowsAffected: [info.changes] };
+    } catch (error) {
+      logError(error, { context: 'Query execution', query, params });
+      throw error;
+    }
+  }
+
+  async inTransaction(fn) {
+    const run = async () => {
+      this.sqlite.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(this.sqlite);
+        this.sqlite.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (this.sqlite.inTransaction) {
+          this.sqlite.exec('ROLLBACK');
+        }
+        throw error;
+      }
+    };
+
+    const result = this.transactionQueue.then(run, run);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  async queryInTransaction(transaction, query, params = {}) {
+    return this.executeQuery(query, params);
+  }
+
+  /**
+   * Look a table up in sqlite_master; `schema` is an attached database name (default main)
+   */
+  async describeSourceTable(schema, table) {
+    const database = schema || 'main';
+    const tableResult = await this.executeQuery(`
+      SELECT name FROM ${quoteIdentifier(database)}.sqlite_master
+      WHERE type IN ('table', 'view') AND name = @table COLLATE NOCASE
+    `, { table });
+
+    const found = tableResult.recordset[0];
+    if (!found) {
+      return null;
+    }
+
+    const columnResult = await this.executeQuery(
+      'SELECT name, type FROM pragma_table_info(@table, @database)',
+      { table: found.name, database }
+    );
+
+    return {
+      schema: database,
+      table: found.name,
+      columns: columnResult.recordset.map(record => record.name),
+      numericColumns: columnResult.recordset.filter(record => isNumericType(record.type)).map(record => record.name)
+    };
+  }
+
+  limitClause(paramName = 'limit') {
+    return ` LIMIT @${paramName}`;
+  }
+
+  nowSql() {
+    return ISO_NOW;
+  }
+
+  nowPlusMsSql(paramName) {
+    return `strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || (@${paramName} / 1000.0) || ' seconds')`;
+  }
+
+  jsonValueSql(column, path) {
+    return `json_extract(${column}, '${path}')`;
+  }
+
+  /**
+   * Upsert all rows, and each ARN's current status row, with prepared statements; the
+   * caller's transaction makes it one write
+   */
+  async bulkUpsertResults(transaction, rows) {
+    const statement = this.sqlite.prepare(`
+      INSERT INTO ${config.app.resultsTableName}
+      (run_id, batch_id, original_id, arn, status, status_reason, error_message, metadata, checked_at,
+       arn_partition, arn_region, arn_account, platform, application_name)
+      VALUES
+      (@runId, @batchId, @originalId, @arn, @status, @statusReason, @errorMessage, @metadata, @checkedAt,
+       @arnPartition, @arnRegion, @arnAccount, @platform, @applicationName)
+      ON CONFLICT (run_id, original_id) WHERE original_id <> 0 DO UPDATE SET
+        batch_id = excluded.batch_id, arn = excluded.arn, status = excluded.status,
+        status_reason = excluded.status_reason, error_message = excluded.error_message,
+        metadata = excluded.metadata, checked_at = excluded.checked_at,
+        arn_partition = excluded.arn_partition, arn_region = excluded.arn_region,
+        arn_account = excluded.arn_account, platform = excluded.platform,
+        application_name = excluded.application_name
+    `);
+    // A run counts as one check of an ARN however often its result is saved again
+    const currentStatus = this.sqlite.prepare(`
+      INSERT INTO ${config.app.currentStatusTableName}
+      (arn, original_id, last_status, last_status_reason, last_checked_at, last_run_id, first_checked_at,
+       check_count, arn_partition, arn_region, arn_account, platform, application_name, updated_at)
+      VALUES
+      (@arn, @originalId, @status, @statusReason, @checkedAt, @runId, @checkedAt,
+       1, @arnPartition, @arnRegion, @arnAccount, @platform, @applicationName, @checkedAt)
+      ON CONFLICT (arn) DO UPDATE SET
+        original_id = excluded.original_id, last_status = excluded.last_status,
+        last_status_reason = excluded.last_status_reason, last_checked_at = excluded.last_checked_at,
+        last_run_id = excluded.last_run_id,
+        check_count = check_count + CASE WHEN last_run_id = excluded.last_run_id THEN 0 ELSE 1 END,
+        arn_partition = excluded.arn_partition, arn_region = excluded.arn_region,
+        arn_account = excluded.arn_account, platform = excluded.platform,
+        application_name = excluded.application_name, updated_at = excluded.updated_at
+      WHERE excluded.last_checked_at >= last_checked_at
+    `);
+
+    for (const row of rows) {
+      const params = this.toSqliteParams(row);
+      statement.run(params);
+      currentStatus.run(params);
+    }
+  }
+
+  async upsertResultsRowByRow(transaction, rows) {
+    return this.bulkUpsertResults(transaction, rows);
+  }
+
+  async insertDeletionResults(transaction, rows) {
+    const statement = this.sqlite.prepare(`
+      INSERT INTO ${config.app.deletionResultsTableName}
+      (cleanup_result_id, original_id, arn, person_id, deletion_status, error_message, deleted_at, deletion_run_id, metadata)
+      VALUES
+      (@cleanupResultId, @originalId, @arn, @personId, @deletionStatus, @errorMessage, @deletedAt, @deletionRunId, @metadata)
+    `);
+
+    for (const row of rows) {
+      statement.run(this.toSqliteParams(row));
+    }
+  }
+
+  async createRun(runId, { mode = 'scan', sourceTable = null, filter = null, options = {}, parentRunId = null, startAfterId = null } = {}) {
+    try {
+      // The primary key makes concurrent creates of the same run a no-op
+      const query = `
+        INSERT OR IGNORE INTO ${config.app.runsTableName}
+          (run_id, source_table, source_filter, created_at, parent_run_id, mode, run_options, host, start_after_id,
+           state, state_updated_at)
+        VALUES
+          (@runId, @sourceTable, @sourceFilter, @createdAt, @parentRunId, @mode, @runOptions, @host, @startAfterId,
+           @state, @createdAt)
+      `;
+
+      await this.executeQuery(query, {
+        runId,
+        sourceTable,
+        sourceFilter: serializeFilter(filter),
+        createdAt: new Date(),
+        parentRunId,
+        mode,
+        runOptions: JSON.stringify(options),
+        host: os.hostname(),
+        startAfterId,
+        state: RUN_STATES.CREATED
+      });
+    } catch (error) {
+      logError(error, { context: 'Creating run', runId });
+      throw error;
+    }
+  }
+
+  async createPartitions(runId, sourceTable, arnColumn, idColumn, partitionCount, filter = null, delta = null) {
+    try {
+      const table = config.app.partitionsTableName;
+      const { table: source, columns: [arnCol, idCol] } = await this.resolveSourceIdentifiers(
+        sourceTable, [arnColumn, idColumn, ...this.filterColumns(filter)]
+      );
+      const filterSql = buildFilterSql(filter);
+      const deltaSql = buildDeltaSql(delta, sourceTable, `src.${idCol}`, `src.${arnCol}`);
+      // One statement, so the existence check and the insert are atomic
+      const query = `
+        INSERT INTO ${table} (run_id, partition_id, range_start, range_end, row_count)
+        SELECT @runId, bucket, MIN(source_id), MAX(source_id), COUNT(*)
+        FROM (
+          SELECT src.${idCol} as source_id, NTILE(@partitionCount) OVER (ORDER BY src.${idCol}) as bucket
+          FROM ${source} src
+          WHERE src.${arnCol} IS NOT NULL AND src.${arnCol} != ''${filterSql.sql}${deltaSql.sql}
+        ) buckets
+        WHERE NOT EXISTS (SELECT 1 FROM ${table} WHERE run_id = @runId)
+        GROUP BY bucket
+      `;
+
+      await this.executeQuery(query, { ...filterSql.params, ...deltaSql.params, runId, partitionCount });
+      return await this.getPartitionProgress(runId);
+    } catch (error) {
+      logError(error, { context: 'Creating partitions', runId });
+      throw error;
+    }
+  }
+
+  async claimPartition(runId, workerId, leaseMs) {
+    try {
+      const table = config.app.partitionsTableName;
+      return await this.inTransaction(async () => {
+        const candidate = await this.executeQuery(`
+          SELECT partition_id, worker_id FROM ${table}
+          WHERE run_id = @runId
+            AND (status = 'pending' OR (status = 'leased' AND lease_expires_at < ${ISO_NOW}))
+          ORDER BY partition_id
+          LIMIT 1
+        `, { runId });
+
+        const next = candidate.recordset[0];
+        if (!next) {
+          return null;
+        }
+
+        const result = await this.executeQuery(`
+          UPDATE ${table}
+          SET status = 'leased',
+              worker_id = @workerId,
+              lease_expires_at = ${this.nowPlusMsSql('leaseMs')},
+              heartbeat_at = ${ISO_NOW},
+              started_at = COALESCE(started_at, ${ISO_NOW})
+          WHERE run_id = @runId AND partition_id = @partitionId
+          RETURNING *
+        `, { runId, partitionId: next.partition_id, workerId, leaseMs });
+
+        return { ...result.recordset[0], previous_worker_id: next.worker_id };
+      });
+    } catch (error) {
+      logError(error, { context: 'Claiming partition', runId, workerId });
+      throw error;
+    }
+  }
+
+  async getRunList(limit = 50) {
+    try {
+      const query = `
+        SELECT
+          runs.run_id,
+          runs.parent_run_id,
+          runs.mode,
+          runs.state,
+          runs.state_reason,
+          runs.host,
+          runs.source_table,
+          runs.created_at,
+          runs.started_at,
+          runs.ended_at,
+          COALESCE(counts.processed_records, 0) as processed_records,
+          counts.last_activity,
+          counts.first_id,
+          counts.last_id,
+          COALESCE(counts.enabled_count, 0) as enabled_count,
+          COALESCE(counts.disabled_count, 0) as disabled_count,
+          COALESCE(counts.error_count, 0) as error_count,
+          COALESCE(counts.orphaned_count, 0) as orphaned_count
+        FROM (
+          SELECT * FROM ${config.app.runsTableName} ORDER BY created_at DESC LIMIT @limit
+        ) runs
+        LEFT JOIN (
+          SELECT
+            run_id,
+            COUNT(*) as processed_records,
+            MAX(checked_at) as last_activity,
+            MIN(original_id) as first_id,
+            MAX(original_id) as last_id,
+            COUNT(CASE WHEN status = 'ENABLED' THEN 1 END) as enabled_count,
+            COUNT(CASE WHEN status = 'DISABLED' THEN 1 END) as disabled_count,
+            COUNT(CASE WHEN status = 'ERROR' THEN 1 END) as error_count,
+            COUNT(CASE WHEN status = 'ORPHANED' THEN 1 END) as orphaned_count
+          FROM ${config.app.resultsTableName}
+          GROUP BY run_id
+        ) counts ON counts.run_id = runs.run_id
+        ORDER BY runs.created_at DESC
+      `;
+
+      const result = await this.executeQuery(query, { limit });
+      return result.recordset;
+    } catch (error) {
+      logError(error, { context: 'Getting run list' });
+      throw error;
+    }
+  }
+
+  async getLatestRunStats() {
+    try {
+      const query = `
+        SELECT
+          runs.run_id,
+          runs.state,
+          runs.state_reason,
+          runs.mode,
+          runs.host,
+          COALESCE(runs.started_at, runs.created_at) as started_at,
+          runs.ended_at,
+          COUNT(res.id) as total_processed,
+          COUNT(CASE WHEN res.status = 'ENABLED' THEN 1 END) as enabled_count,
+          COUNT(CASE WHEN res.status = 'DISABLED' THEN 1 END) as disabled_count,
+          COUNT(CASE WHEN res.status = 'ERROR' THEN 1 END) as error_count,
+          COUNT(CASE WHEN res.status = 'NOT_FOUND' THEN 1 END) as not_found_count,
+          MAX(res.checked_at) as last_updated,
+          MAX(res.batch_id) as latest_batch
+        FROM (
+          SELECT * FROM ${config.app.runsTableName} ORDER BY created_at DESC LIMIT 1
+        ) runs
+        LEFT JOIN ${config.app.resultsTableName} res ON res.run_id = runs.run_id
+        GROUP BY runs.run_id
+      `;
+
+      const result = await this.executeQuery(query);
+      return result.recordset[0] || null;
+    } catch (error) {
+      logError(error, { context: 'Getting latest run stats' });
+      throw error;
+    }
+  }
+}
+
+module.exports = SqliteStorage;
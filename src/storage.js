@@ -0,0 +1,53 @@
+const { config } = require('./config');
+const DatabaseService = require('./database');
+const SqliteStorage = require('./sqlite-storage');
+
+/**
+ * Storage Backends
+ * Everything the tool reads from or writes to a database goes through a storage adapter,
+ * selected by STORAGE_BACKEND: DatabaseService (mssql, the default) or SqliteStorage
+ * (sqlite, a local file for laptops and CI). These are the methods every adapter provides.
+ */
+const STORAGE_INTERFACE = {
+  lifecycle: ['connect', 'disconnect', 'ensureSchema'],
+  source: ['resolveSourceIdentifiers', 'typeSourceFilter', 'filterColumns', 'getPushArns', 'findExistingArns'],
+  results: ['batchSaveArnResults', 'getResultsForRecheck', 'findRunGaps'],
+  runs: ['createRun', 'updateRunState', 'getRun', 'getChildRuns', 'canResumeRun', 'getRunList', 'getLatestRunStats'],
+  partitions: [
+    'createPartitions', 'claimPartition', 'renewPartitionLease', 'releasePartition', 'completePartition',
+    'getPartitionProgress'
+  ],
+  currentStatus: ['getCurrentStatus', 'getCurrentStatusStats', 'getCurrentStatusBreakdown'],
+  deletions: ['getDeletionCandidates', 'countDeletionCandidates', 'getDeletionCheckpoint', 'saveDeletionResults'],
+  snapshots: ['saveEndpointSnapshots', 'getRestoreCandidates', 'saveRestoreResults'],
+  plans: ['createDeletionPlan', 'getDeletionPlan', 'approveDeletionPlan', 'recordPlanExecution'],
+  retention: ['getRetentionPlan', 'getExpiredResults', 'archiveExpiredResults', 'deleteExpiredResults'],
+  progress: ['getProcessingProgress', 'getResultsTableStats', 'getStatusBreakdown', 'getReconciledStats']
+};
+
+const ADAPTERS = {
+  mssql: DatabaseService,
+  sqlite: SqliteStorage
+};
+
+/**
+ * Create the configured storage adapter (not yet connected)
+ */
+const createStorage = (backend = config.storage.backend, options = {}) => {
+  const Adapter = ADAPTERS[backend];
+  if (!Adapter) {
+    throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Valid options: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  const storage = new Adapter(options);
+  const missing = Object.values(STORAGE_INTERFACE).flat().filter(method => typeof storage[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend '${backend}' is missing: ${missing.join(', ')}`);
+  }
+  return storage;
+};
+
+module.exports = {
+  STORAGE_INTERFACE,
+  createStorage
+};
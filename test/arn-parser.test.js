@@ -0,0 +1,66 @@
+const { createHarness } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ArnParseError, parseEndpointArn, tryParseEndpointArn } = require('../src/arn-parser');
+
+const GOV_ARN = 'arn:aws-us-gov:sns:us-gov-west-1:171875617347:endpoint/APNS/prod-vamobile-apns/02e639f1-8c85-3401-bea8-5d8c2571a704';
+
+test('parseEndpointArn splits an endpoint ARN into its parts', () => {
+  assert.deepStrictEqual(parseEndpointArn(`  ${GOV_ARN} `), {
+    partition: 'aws-us-gov',
+    service: 'sns',
+    region: 'us-gov-west-1',
+    accountId: '171875617347',
+    platform: 'APNS',
+    applicationName: 'prod-vamobile-apns',
+    endpointId: '02e639f1-8c85-3401-bea8-5d8c2571a704'
+  });
+});
+
+test('parseEndpointArn rejects invalid ARNs with a reason code', () => {
+  const cases = {
+    EMPTY: '',
+    NOT_A_STRING: 42,
+    NOT_AN_ARN: 'endpoint/APNS/app/id',
+    UNKNOWN_PARTITION: 'arn:aws-moon:sns:us-east-1:111111111111:endpoint/GCM/app/1',
+    WRONG_SERVICE: 'arn:aws:sqs:us-east-1:111111111111:endpoint/GCM/app/1',
+    INVALID_REGION: 'arn:aws:sns:useast1:111111111111:endpoint/GCM/app/1',
+    INVALID_ACCOUNT: 'arn:aws:sns:us-east-1:1111:endpoint/GCM/app/1',
+    NOT_AN_ENDPOINT: 'arn:aws:sns:us-east-1:111111111111:my-topic',
+    MALFORMED_RESOURCE: 'arn:aws:sns:us-east-1:111111111111:endpoint/GCM/app',
+    UNKNOWN_PLATFORM: 'arn:aws:sns:us-east-1:111111111111:endpoint/PALM/app/1'
+  };
+
+  Object.entries(cases).forEach(([reason, arn]) => {
+    assert.throws(() => parseEndpointArn(arn), (error) => error instanceof ArnParseError && error.reason === reason, reason);
+    assert.strictEqual(tryParseEndpointArn(arn), null);
+  });
+});
+
+test('a scan saves malformed ARNs as INVALID without calling SNS and stores the parts of the rest', async () => {
+  const harness = createHarness({ count: 2 });
+  try {
+    harness.db.prepare('INSERT INTO push_notifications (id, arn) VALUES (3, ?)').run('arn:aws:sns:us-east-1:111111111111:endpoint/PALM/app/3');
+    harness.sns.failures.set('arn:aws:sns:us-east-1:111111111111:endpoint/PALM/app/3', 'InternalErrorException');
+    const runId = await harness.scan();
+
+    const rows = harness.db.prepare(`
+      SELECT original_id, status, status_reason, arn_partition, arn_region, arn_account, platform, application_name
+      FROM CDW_push_arn_cleanup_results WHERE run_id = ? ORDER BY original_id
+    `).all(runId);
+    assert.deepStrictEqual(rows[0], {
+      original_id: 1, status: 'DISABLED', status_reason: rows[0].status_reason, arn_partition: 'aws', arn_region: 'us-east-1',
+      arn_account: '111111111111', platform: 'GCM', application_name: 'app'
+    });
+    assert.strictEqual(rows[2].status, 'INVALID');
+    assert.strictEqual(rows[2].status_reason, 'Invalid endpoint ARN: UNKNOWN_PLATFORM');
+    assert.strictEqual(rows[2].platform, null);
+
+    const service = await harness.service();
+    const breakdown = await service.db.getStatusBreakdown('application', runId);
+    assert.deepStrictEqual(breakdown.map(row => [row.platform, row.application_name, row.total_records, row.invalid_count]),
+      [[null, null, 1, 1], ['GCM', 'app', 2, 0]]);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,58 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, CircuitBreakerTrippedError } = require('../src/circuit-breaker');
+
+const record = (breaker, statuses) => statuses.map(status => breaker.record({ status }));
+
+test('the breaker trips on a streak of errors, and a success ends the streak', () => {
+  const breaker = new CircuitBreaker({ consecutiveErrors: 3, minSamples: 100 });
+  assert.deepStrictEqual(record(breaker, ['ERROR', 'ERROR', 'DISABLED', 'ERROR', 'ERROR']), [false, false, false, false, false]);
+  assert.doesNotThrow(() => breaker.assertClosed());
+
+  assert.strictEqual(breaker.record({ status: 'ERROR', errorMessage: 'denied' }), true);
+  assert.throws(() => breaker.assertClosed(), (error) => error instanceof CircuitBreakerTrippedError &&
+    error.reason === '3 consecutive errors (last: denied)');
+
+  breaker.reset();
+  assert.strictEqual(breaker.isTripped, false);
+});
+
+test('the breaker trips on the error rate once it has enough samples, not counting NOT_FOUND', () => {
+  const breaker = new CircuitBreaker({ errorRateThreshold: 0.5, minSamples: 10, windowSize: 10, consecutiveErrors: 100 });
+  record(breaker, Array(10).fill('NOT_FOUND'));
+  assert.strictEqual(breaker.isTripped, false);
+
+  const tripped = record(breaker, Array(5).fill('ERROR'));
+  assert.deepStrictEqual(tripped, [false, false, false, false, true]);
+  assert.strictEqual(breaker.tripReason, 'error rate 50.0% over the last 10 checks');
+});
+
+test('a scan stopped by the breaker is tripped, and its resume checks the error streak again', async () => {
+  const harness = createHarness({ count: 60 });
+  try {
+    for (let n = 31; n <= 60; n++) {
+      harness.sns.failures.set(endpointArn(n), 'AuthorizationErrorException');
+    }
+
+    // Small batches save the start of the streak before the batch that trips the breaker
+    const scanner = await harness.service();
+    const tripped = await scanner.cleanup({ autoBatch: true, chunkSize: 20, batchSize: 2 }).catch(error => error);
+    assert.ok(tripped instanceof CircuitBreakerTrippedError);
+    assert.strictEqual(tripped.runId, scanner.runId);
+    assert.strictEqual((await scanner.db.getRun(scanner.runId)).state, 'tripped');
+    const saved = harness.db.prepare("SELECT COUNT(*) AS c FROM CDW_push_arn_cleanup_results WHERE status = 'ERROR'").get();
+    assert.ok(saved.c > 0);
+
+    harness.sns.failures.clear();
+    const resumed = await harness.service();
+    await resumed.cleanup({ autoBatch: true, resumeRunId: scanner.runId, chunkSize: 20, batchSize: 2 });
+    assert.strictEqual((await resumed.db.getRun(scanner.runId)).state, 'completed');
+
+    const rows = harness.db.prepare(`SELECT status, COUNT(*) AS c, COUNT(DISTINCT original_id) AS ids
+      FROM CDW_push_arn_cleanup_results WHERE run_id = ? GROUP BY status`).all(scanner.runId);
+    assert.deepStrictEqual(rows, [{ status: 'DISABLED', c: 60, ids: 60 }]);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,61 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+test('the current status table keeps each ARN\'s latest check and counts one check per run', async () => {
+  const harness = createHarness({ count: 4 });
+  try {
+    const firstRunId = await harness.scan();
+    harness.sns.endpoints.delete(endpointArn(4));
+    const secondRunId = await harness.scan();
+
+    const service = await harness.service();
+    let status = await service.getCurrentStatus(endpointArn(4));
+    assert.strictEqual(status.last_status, 'NOT_FOUND');
+    assert.strictEqual(status.last_run_id, secondRunId);
+    assert.strictEqual(status.check_count, 2);
+    assert.strictEqual(status.original_id, 4);
+    assert.ok(status.first_checked_at < status.last_checked_at);
+
+    // Saving a run's result again is not another check, and an older result does not win
+    const result = (runId, status) => ({ runId, batchId: 9, originalId: 4, arn: endpointArn(4), status, statusReason: 'test', metadata: {} });
+    await service.db.batchSaveArnResults([result(secondRunId, 'ERROR')]);
+    status = await service.getCurrentStatus(endpointArn(4));
+    assert.deepStrictEqual([status.last_status, status.check_count], ['ERROR', 2]);
+    harness.db.prepare("UPDATE CDW_push_arn_cleanup_current_status SET last_checked_at = '2999-01-01T00:00:00.000Z' WHERE arn = ?").run(endpointArn(4));
+    await service.db.batchSaveArnResults([result(firstRunId, 'ENABLED')]);
+    assert.strictEqual((await service.getCurrentStatus(endpointArn(4))).last_status, 'ERROR');
+
+    assert.strictEqual(await service.getCurrentStatus(endpointArn(99)), null);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('current status stats count every ARN once, with its deletion state', async () => {
+  const harness = createHarness({ count: 3 });
+  try {
+    harness.sns.endpoints.delete(endpointArn(3));
+    const scanRunId = await harness.scan();
+    await harness.scan();
+
+    const service = await harness.service();
+    await service.deleteEndpoints({ runId: scanRunId });
+
+    const stats = await service.getCurrentStatusStats('platform');
+    assert.strictEqual(stats.total_arns, 3);
+    assert.strictEqual(stats.total_checks, 6);
+    assert.strictEqual(stats.disabled_count, 2);
+    assert.strictEqual(stats.not_found_count, 1);
+    assert.strictEqual(stats.deleted_count, 2);
+    assert.deepStrictEqual(stats.breakdown.map(row => [row.platform, row.total_records, row.deleted_count]),
+      [['GCM', 3, 2]]);
+
+    const deleted = await service.getCurrentStatus(endpointArn(1));
+    assert.strictEqual(deleted.deletion_status, 'DELETED');
+    assert.ok(deleted.deleted_at);
+    assert.strictEqual((await service.getCurrentStatus(endpointArn(3))).deletion_status, null);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,92 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SqliteStorage = require('../src/sqlite-storage');
+
+const result = (originalId, status = 'DISABLED') => ({
+  runId: 'run-bulk', batchId: 1, originalId, arn: endpointArn(originalId), status, statusReason: 'test', errorMessage: null, metadata: {}
+});
+
+const sqlError = (number, message) => Object.assign(new Error(message), { originalError: { number } });
+
+/**
+ * A storage whose bulk upsert fails with each error in `failures` in turn (then works);
+ * row-by-row upserts always work
+ */
+const storageWithBulkFailures = async (t, harness, failures) => {
+  const { db } = await harness.service();
+  db.bulkInsertEnabled = true;
+  const bulk = t.mock.method(db, 'bulkUpsertResults', async function (transaction, rows) {
+    const failure = failures.shift();
+    if (failure) {
+      throw failure;
+    }
+    return SqliteStorage.prototype.bulkUpsertResults.call(this, transaction, rows);
+  });
+  const rowByRow = t.mock.method(db, 'upsertResultsRowByRow', (transaction, rows) =>
+    SqliteStorage.prototype.bulkUpsertResults.call(db, transaction, rows));
+  return { db, bulk, rowByRow };
+};
+
+const savedRows = (harness) => harness.db.prepare(
+  "SELECT original_id, status FROM CDW_push_arn_cleanup_results WHERE run_id = 'run-bulk' ORDER BY original_id"
+).all();
+
+test('bulk upserts save a batch once, keeping the last result of a repeated record', async (t) => {
+  const harness = createHarness();
+  try {
+    const { db, rowByRow } = await storageWithBulkFailures(t, harness, []);
+    const stats = await db.batchSaveArnResults([result(1), result(2), result(1, 'ENABLED')]);
+    assert.strictEqual(stats.method, 'bulk');
+    assert.strictEqual(stats.records, 2);
+
+    await db.batchSaveArnResults([result(2, 'NOT_FOUND')]);
+    assert.deepStrictEqual(savedRows(harness), [{ original_id: 1, status: 'ENABLED' }, { original_id: 2, status: 'NOT_FOUND' }]);
+    assert.strictEqual(rowByRow.mock.callCount(), 0);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a permission error turns bulk upserts off for the rest of the process', async (t) => {
+  const harness = createHarness();
+  try {
+    const { db, bulk, rowByRow } = await storageWithBulkFailures(t, harness, [sqlError(229, 'The INSERT permission was denied')]);
+    assert.strictEqual((await db.batchSaveArnResults([result(1)])).method, 'row-by-row');
+    assert.strictEqual(db.bulkInsertEnabled, false);
+
+    assert.strictEqual((await db.batchSaveArnResults([result(2)])).method, 'row-by-row');
+    assert.strictEqual(bulk.mock.callCount(), 1);
+    assert.strictEqual(rowByRow.mock.callCount(), 2);
+    assert.deepStrictEqual(savedRows(harness).map(row => row.original_id), [1, 2]);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a transient error saves only that batch row by row', async (t) => {
+  const harness = createHarness();
+  try {
+    const { db, bulk } = await storageWithBulkFailures(t, harness, [sqlError(1205, 'deadlock victim')]);
+    assert.strictEqual((await db.batchSaveArnResults([result(1)])).method, 'row-by-row');
+    assert.strictEqual(db.bulkInsertEnabled, true);
+
+    assert.strictEqual((await db.batchSaveArnResults([result(2)])).method, 'bulk');
+    assert.strictEqual(bulk.mock.callCount(), 2);
+    assert.deepStrictEqual(savedRows(harness).map(row => row.original_id), [1, 2]);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a batch that fails row by row as well is rethrown and nothing of it is saved', async (t) => {
+  const harness = createHarness();
+  try {
+    const { db, rowByRow } = await storageWithBulkFailures(t, harness, [sqlError(1205, 'deadlock victim')]);
+    rowByRow.mock.mockImplementation(async () => { throw new Error('disk full'); });
+    await assert.rejects(db.batchSaveArnResults([result(1)]), /disk full/);
+    assert.deepStrictEqual(savedRows(harness), []);
+  } finally {
+    await harness.close();
+  }
+});
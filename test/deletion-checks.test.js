@@ -0,0 +1,60 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SKIPPED_REENABLED, buildScanCutoff } = require('../src/deletion-checks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('the scan cut-off is --max-scan-age days before now, and off at zero', () => {
+  const now = Date.parse('2026-06-30T00:00:00.000Z');
+  assert.strictEqual(buildScanCutoff(14, now), '2026-06-16T00:00:00.000Z');
+  assert.strictEqual(buildScanCutoff(0.5, now), '2026-06-29T12:00:00.000Z');
+  assert.strictEqual(buildScanCutoff(0, now), null);
+  assert.strictEqual(buildScanCutoff(null, now), null);
+  assert.throws(() => buildScanCutoff(-1, now), /--max-scan-age must be a positive number of days \(got -1\)/);
+});
+
+test('--reverify skips endpoints enabled again since the scan', async () => {
+  const harness = createHarness({ count: 4 });
+  try {
+    const scanRunId = await harness.scan();
+    harness.sns.addEndpoint(endpointArn(2), { Enabled: 'true' });
+
+    const service = await harness.service();
+    const deletion = await service.deleteEndpoints({ runId: scanRunId, reverify: true });
+    assert.deepStrictEqual(deletion.results, { DELETED: 3, [SKIPPED_REENABLED]: 1 });
+    assert.deepStrictEqual([...harness.sns.endpoints.keys()], [endpointArn(2)]);
+
+    const skipped = harness.db.prepare(`SELECT metadata FROM CDW_arn_cleanup_deletion_results
+      WHERE deletion_status = ?`).get(SKIPPED_REENABLED);
+    assert.deepStrictEqual(JSON.parse(skipped.metadata).reverify.status, 'ENABLED');
+
+    // A skipped endpoint is no longer a candidate of the scan
+    const again = await harness.service();
+    assert.deepStrictEqual((await again.deleteEndpoints({ runId: scanRunId, reverify: true })).results, {});
+  } finally {
+    await harness.close();
+  }
+});
+
+test('--max-scan-age leaves out results scanned too long ago, and refuses when that is all of them', async () => {
+  const harness = createHarness({ count: 4 });
+  try {
+    const scanRunId = await harness.scan();
+    const backdate = harness.db.prepare('UPDATE CDW_push_arn_cleanup_results SET checked_at = ? WHERE original_id = ?');
+    const monthAgo = new Date(Date.now() - 30 * DAY_MS).toISOString();
+    [1, 2].forEach(id => backdate.run(monthAgo, id));
+
+    const service = await harness.service();
+    const deletion = await service.deleteEndpoints({ runId: scanRunId, maxScanAgeDays: 7 });
+    assert.deepStrictEqual(deletion.results, { DELETED: 2 });
+    assert.deepStrictEqual([...harness.sns.endpoints.keys()], [endpointArn(1), endpointArn(2)]);
+
+    const stale = await harness.service();
+    await assert.rejects(stale.deleteEndpoints({ runId: scanRunId, maxScanAgeDays: 7 }),
+      /Refusing to delete: all 2 candidates were scanned more than 7 days ago/);
+    assert.strictEqual(harness.sns.endpoints.size, 2);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,90 @@
+const { createHarness, config, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PLAN_VERSION, hashPlan, writePlanFile, readPlanFile } = require('../src/deletion-plans');
+
+// Approvals are refused from the OS user who made the plan
+const asOperator = (t, username) => t.mock.method(os, 'userInfo', () => ({ username }));
+
+const tamperedCopy = (file, edit) => {
+  const plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+  edit(plan);
+  const copy = path.join(path.dirname(file), `tampered-${path.basename(file)}`);
+  fs.writeFileSync(copy, JSON.stringify(plan));
+  return copy;
+};
+
+test('a plan file is checked against its own hash', () => {
+  const file = path.join(config.deletion.planDir, 'hashed.json');
+  const plan = { version: PLAN_VERSION, planId: 'plan-1', manifest: [{ id: 1, arn: endpointArn(1) }] };
+  writePlanFile(file, { ...plan, hash: hashPlan(plan) });
+  assert.deepStrictEqual(readPlanFile(file).manifest, plan.manifest);
+
+  const edited = tamperedCopy(file, (content) => content.manifest.push({ id: 2, arn: endpointArn(2) }));
+  assert.throws(() => readPlanFile(edited), /was modified after it was made/);
+});
+
+test('deleting needs an approved, unmodified plan, and a plan is executed once', async (t) => {
+  const harness = createHarness({ count: 12 });
+  config.deletion.requirePlan = true;
+  try {
+    harness.sns.addEndpoint(endpointArn(11), { Enabled: 'true' });
+    harness.sns.addEndpoint(endpointArn(12), { Enabled: 'true' });
+    const scanRunId = await harness.scan();
+    const service = await harness.service();
+
+    await assert.rejects(service.deleteEndpoints({ runId: scanRunId }), /^Error: Deleting requires an approved deletion plan/);
+
+    const plan = await service.planDeletion({ runId: scanRunId });
+    assert.strictEqual(plan.summary.total, 10);
+    await assert.rejects(service.deleteEndpoints({ executePlan: plan.file }), /has 0 of the 1 approval\(s\) it needs/);
+    await assert.rejects(service.approveDeletionPlan({ approvePlan: plan.file, approver: 'me' }), /it must be approved by someone else/);
+
+    asOperator(t, 'alice');
+    const approval = await service.approveDeletionPlan({ approvePlan: plan.file, approver: 'alice', comment: 'checked' });
+    assert.deepStrictEqual(approval.approvers, ['alice']);
+    await assert.rejects(service.approveDeletionPlan({ approvePlan: plan.file, approver: 'bob' }),
+      /^Error: alice@.* has already approved plan .* \(as alice\)$/);
+
+    const edited = tamperedCopy(plan.file, (content) => content.manifest.pop());
+    await assert.rejects(service.deleteEndpoints({ executePlan: edited }), /was modified after it was made/);
+    assert.strictEqual(harness.sns.deleted.length, 0);
+
+    const executed = await service.deleteEndpoints({ executePlan: plan.file });
+    assert.deepStrictEqual(executed.results, { DELETED: 10 });
+    assert.deepStrictEqual(executed.planApprovers, ['alice']);
+    assert.deepStrictEqual([...harness.sns.deleted].sort(), readPlanFile(plan.file).manifest.map(entry => entry.arn).sort());
+    assert.ok(harness.sns.endpoints.has(endpointArn(11)) && harness.sns.endpoints.has(endpointArn(12)));
+
+    await assert.rejects(service.deleteEndpoints({ executePlan: plan.file }), /was already executed by deletion run/);
+    assert.strictEqual(harness.sns.deleted.length, 10);
+  } finally {
+    config.deletion.requirePlan = false;
+    await harness.close();
+  }
+});
+
+test('an approved plan is refused once the scan data it was made from changed', async (t) => {
+  const harness = createHarness({ count: 6 });
+  config.deletion.requirePlan = true;
+  try {
+    const scanRunId = await harness.scan();
+    const service = await harness.service();
+    const plan = await service.planDeletion({ runId: scanRunId });
+
+    asOperator(t, 'alice');
+    await service.approveDeletionPlan({ approvePlan: plan.file, approver: 'alice' });
+
+    // A re-check of one endpoint after the plan was made
+    harness.db.prepare('UPDATE CDW_push_arn_cleanup_results SET checked_at = ? WHERE original_id = 3')
+      .run(new Date(Date.now() + 1000).toISOString());
+    await assert.rejects(service.deleteEndpoints({ executePlan: plan.file }), /Scan data changed since plan .* was made/);
+    assert.strictEqual(harness.sns.deleted.length, 0);
+  } finally {
+    config.deletion.requirePlan = false;
+    await harness.close();
+  }
+});
@@ -0,0 +1,93 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreakerTrippedError } = require('../src/circuit-breaker');
+
+const deletedPerArn = (harness) => harness.db.prepare(`SELECT arn, COUNT(*) AS c FROM CDW_arn_cleanup_deletion_results
+  WHERE deletion_status = 'DELETED' GROUP BY arn`).all();
+
+test('a deletion run stopped by --limit resumes after its checkpoint', async () => {
+  const harness = createHarness({ count: 30 });
+  try {
+    const scanRunId = await harness.scan();
+
+    const first = await harness.service();
+    const limited = await first.deleteEndpoints({ runId: scanRunId, limit: 10, batchSize: 5 });
+    assert.strictEqual(limited.stoppedByLimit, true);
+    assert.deepStrictEqual(limited.results, { DELETED: 10 });
+    assert.strictEqual((await first.db.getRun(limited.runId)).state, 'interrupted');
+    assert.deepStrictEqual(harness.sns.deleted, Array.from({ length: 10 }, (_, i) => endpointArn(i + 1)));
+
+    const resumed = await harness.service();
+    const rest = await resumed.deleteEndpoints({ resumeDeletion: limited.runId, batchSize: 5 });
+    assert.strictEqual(rest.runId, limited.runId);
+    assert.deepStrictEqual(rest.results, { DELETED: 20 });
+    assert.strictEqual((await resumed.db.getRun(limited.runId)).state, 'completed');
+
+    assert.strictEqual(harness.sns.deleted.length, 30);
+    assert.strictEqual(new Set(harness.sns.deleted).size, 30);
+    assert.ok(deletedPerArn(harness).every(row => row.c === 1));
+
+    await assert.rejects(resumed.deleteEndpoints({ resumeDeletion: limited.runId }), /already completed/);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a resumed deletion run tries the endpoints whose deletes failed again', async () => {
+  const harness = createHarness({ count: 30 });
+  try {
+    const scanRunId = await harness.scan();
+    for (let n = 11; n <= 30; n++) {
+      harness.sns.failures.set(endpointArn(n), 'InternalErrorException');
+    }
+
+    // Small batches save failed attempts before the batch that trips the breaker
+    const first = await harness.service();
+    const tripped = await first.deleteEndpoints({ runId: scanRunId, batchSize: 2 }).catch(error => error);
+    assert.ok(tripped instanceof CircuitBreakerTrippedError);
+    const deletionRunId = first.runId;
+    assert.strictEqual((await first.db.getRun(deletionRunId)).state, 'tripped');
+
+    const failed = harness.db.prepare(`SELECT MIN(cleanup_result_id) AS id FROM CDW_arn_cleanup_deletion_results
+      WHERE deletion_run_id = ? AND deletion_status = 'ERROR'`).get(deletionRunId);
+    assert.ok(failed.id !== null);
+    assert.ok(await first.db.getDeletionCheckpoint(deletionRunId) < failed.id);
+
+    harness.sns.failures.clear();
+    const resumed = await harness.service();
+    await resumed.deleteEndpoints({ resumeDeletion: deletionRunId, batchSize: 2 });
+    assert.strictEqual((await resumed.db.getRun(deletionRunId)).state, 'completed');
+
+    const deleted = deletedPerArn(harness);
+    assert.strictEqual(deleted.length, 30);
+    assert.ok(deleted.every(row => row.c === 1));
+    assert.strictEqual(harness.sns.endpoints.size, 0);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a resumed deletion run does not retry deletes that failed for good', async () => {
+  const harness = createHarness({ count: 10 });
+  try {
+    const scanRunId = await harness.scan();
+    [2, 3].forEach(n => harness.sns.failures.set(endpointArn(n), 'AuthorizationErrorException'));
+
+    const first = await harness.service();
+    const limited = await first.deleteEndpoints({ runId: scanRunId, limit: 5, batchSize: 5 });
+    assert.deepStrictEqual(limited.results, { DELETED: 3, ERROR: 2 });
+
+    const lastAttempt = harness.db.prepare(`SELECT MAX(cleanup_result_id) AS id FROM CDW_arn_cleanup_deletion_results
+      WHERE deletion_run_id = ?`).get(limited.runId);
+    assert.strictEqual(await first.db.getDeletionCheckpoint(limited.runId), lastAttempt.id);
+
+    harness.sns.failures.clear();
+    const resumed = await harness.service();
+    const rest = await resumed.deleteEndpoints({ resumeDeletion: limited.runId, batchSize: 5 });
+    assert.deepStrictEqual(rest.results, { DELETED: 5 });
+    assert.deepStrictEqual([...harness.sns.endpoints.keys()], [endpointArn(2), endpointArn(3)]);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,53 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildDelta, runDelta, buildDeltaSql, describeDelta } = require('../src/delta-scan');
+
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+
+test('buildDelta sets the cut-off --max-age days back and runDelta reads it from a run', () => {
+  const delta = buildDelta(7, NOW);
+  assert.deepStrictEqual(delta, { checkedSince: '2026-03-03T12:00:00.000Z' });
+  assert.deepStrictEqual(runDelta({ run_options: { deltaCheckedSince: delta.checkedSince } }), delta);
+  assert.strictEqual(runDelta({ run_options: {} }), null);
+  assert.strictEqual(runDelta(null), null);
+  assert.strictEqual(describeDelta(null), 'none (full scan)');
+  [0, -1, NaN].forEach(days => assert.throws(() => buildDelta(days, NOW), /--max-age must be a positive number of days/));
+});
+
+test('buildDeltaSql excludes rows checked with their current ARN since the cut-off', () => {
+  assert.deepStrictEqual(buildDeltaSql(null, 'push', 'src.[id]', 'src.[arn]'), { sql: '', params: {} });
+
+  const { sql, params } = buildDeltaSql(buildDelta(7, NOW), 'dbo.push', 'src.[id]', 'src.[arn]');
+  assert.match(sql, /^ AND NOT EXISTS \(/);
+  assert.match(sql, /checked\.original_id = src\.\[id\] AND checked\.arn = src\.\[arn\]/);
+  assert.match(sql, /checked\.checked_at >= @deltaCheckedSince/);
+  assert.match(sql, /COALESCE\(checked_run\.source_table, @deltaSourceTable\) = @deltaSourceTable/);
+  assert.deepStrictEqual(params, { deltaCheckedSince: new Date('2026-03-03T12:00:00.000Z'), deltaSourceTable: 'dbo.push' });
+});
+
+test('a delta scan checks only new rows, changed ARNs and rows last checked before the cut-off', async () => {
+  const harness = createHarness({ count: 6 });
+  try {
+    await harness.scan();
+    const checked = (runId) => harness.db.prepare('SELECT original_id FROM CDW_push_arn_cleanup_results WHERE run_id = ? ORDER BY original_id')
+      .all(runId).map(row => row.original_id);
+
+    harness.db.prepare('UPDATE push_notifications SET arn = ? WHERE id = 2').run(endpointArn('2b'));
+    harness.sns.addEndpoint(endpointArn('2b'));
+    harness.db.prepare("UPDATE CDW_push_arn_cleanup_results SET checked_at = '2020-01-01T00:00:00.000Z' WHERE original_id = 3").run();
+    harness.db.prepare('INSERT INTO push_notifications (id, arn) VALUES (7, ?)').run(endpointArn(7));
+    harness.sns.addEndpoint(endpointArn(7));
+
+    const deltaRunId = await harness.scan({ delta: true, maxAgeDays: 7 });
+    assert.deepStrictEqual(checked(deltaRunId), [2, 3, 7]);
+    const run = await (await harness.service()).db.getRun(deltaRunId);
+    assert.ok(run.run_options.deltaCheckedSince, 'the cut-off is stored with the run');
+
+    // Checks from runs over another source table do not count
+    harness.db.prepare("UPDATE CDW_push_arn_cleanup_runs SET source_table = 'other_table'").run();
+    assert.deepStrictEqual(checked(await harness.scan({ delta: true, maxAgeDays: 7 })), [1, 2, 3, 4, 5, 6, 7]);
+  } finally {
+    await harness.close();
+  }
+});
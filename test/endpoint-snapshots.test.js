@@ -0,0 +1,62 @@
+const { createHarness, config, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadSnapshotKey, encryptSnapshot, decryptSnapshot } = require('../src/endpoint-snapshots');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+test('a snapshot decrypts only with its key and for its own ARN', () => {
+  const key = loadSnapshotKey(newKey());
+  const snapshot = { arn: endpointArn(1), attributes: { Token: 'device-token', CustomUserData: 'user 1' }, capturedAt: new Date().toISOString() };
+  const row = { id: 1, arn: snapshot.arn, key_id: key.keyId, payload: encryptSnapshot(snapshot, key) };
+
+  assert.ok(!row.payload.includes('device-token'));
+  assert.deepStrictEqual(decryptSnapshot(row, key), snapshot);
+
+  assert.throws(() => decryptSnapshot(row, loadSnapshotKey(newKey())), /was encrypted with key .*, but SNAPSHOT_ENCRYPTION_KEY is key/);
+  assert.throws(() => decryptSnapshot({ ...row, arn: endpointArn(2) }, key));
+  const data = Buffer.from(row.payload.slice(3), 'base64');
+  data[data.length - 1] ^= 1;
+  assert.throws(() => decryptSnapshot({ ...row, payload: `v1:${data.toString('base64')}` }, key));
+});
+
+test('the snapshot key must be 32 bytes', () => {
+  assert.throws(() => loadSnapshotKey(null), /need SNAPSHOT_ENCRYPTION_KEY/);
+  assert.throws(() => loadSnapshotKey(crypto.randomBytes(16).toString('base64')), /must be 32 bytes, .* \(got 16 bytes\)/);
+  assert.strictEqual(loadSnapshotKey(crypto.randomBytes(32).toString('hex')).key.length, 32);
+});
+
+test('deleted endpoints are restored from their snapshots', async () => {
+  const harness = createHarness({ count: 4 });
+  Object.assign(config.snapshots, { enabled: true, encryptionKey: newKey() });
+  try {
+    for (let n = 1; n <= 4; n++) {
+      harness.sns.addEndpoint(endpointArn(n), { Token: `token-${n}`, CustomUserData: `user ${n}` });
+    }
+    const scanRunId = await harness.scan();
+
+    const deleter = await harness.service();
+    const deletion = await deleter.deleteEndpoints({ runId: scanRunId });
+    assert.strictEqual(deletion.snapshot, true);
+    assert.deepStrictEqual(deletion.results, { DELETED: 4 });
+    assert.strictEqual(harness.sns.endpoints.size, 0);
+
+    const snapshots = harness.db.prepare('SELECT arn, payload FROM CDW_arn_cleanup_endpoint_snapshots ORDER BY id').all();
+    assert.deepStrictEqual(snapshots.map(row => row.arn), [1, 2, 3, 4].map(endpointArn));
+    assert.ok(snapshots.every(row => !row.payload.includes('token-')));
+
+    const restorer = await harness.service();
+    const restore = await restorer.restoreEndpoints({ runId: deletion.runId });
+    assert.strictEqual(restore.results.RESTORED, 4);
+    assert.deepStrictEqual(harness.sns.created.map(input => [input.PlatformApplicationArn, input.Token, input.CustomUserData]),
+      [1, 2, 3, 4].map(n => ['arn:aws:sns:us-east-1:111111111111:app/GCM/app', `token-${n}`, `user ${n}`]));
+
+    const again = await (await harness.service()).restoreEndpoints({ runId: deletion.runId });
+    assert.strictEqual(again.totalProcessed, 0);
+    assert.strictEqual(harness.sns.created.length, 4);
+  } finally {
+    Object.assign(config.snapshots, { enabled: false, encryptionKey: null });
+    await harness.close();
+  }
+});
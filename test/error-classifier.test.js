@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ERROR_CLASSES, classifyError, isRetryableClass, computeBackoff } = require('../src/error-classifier');
+
+const awsError = (name, message = `${name} happened`, httpStatusCode = undefined) =>
+  Object.assign(new Error(message), { name, $metadata: { httpStatusCode } });
+
+test('classifyError sorts AWS errors by name, then HTTP status, then message', () => {
+  const cases = [
+    [awsError('ThrottlingException'), ERROR_CLASSES.THROTTLED],
+    [awsError('SomethingElse', 'slow down', 429), ERROR_CLASSES.THROTTLED],
+    [awsError('ExpiredTokenException'), ERROR_CLASSES.CREDENTIALS_EXPIRED],
+    [awsError('Error', 'The security token included in the request is expired'), ERROR_CLASSES.CREDENTIALS_EXPIRED],
+    [awsError('NotFoundException'), ERROR_CLASSES.NOT_FOUND],
+    [awsError('Error', 'Endpoint does not exist'), ERROR_CLASSES.NOT_FOUND],
+    [awsError('InvalidParameterException'), ERROR_CLASSES.INVALID],
+    [awsError('AuthorizationErrorException'), ERROR_CLASSES.FATAL],
+    [awsError('Forbidden', 'no', 403), ERROR_CLASSES.FATAL],
+    [awsError('BadRequest', 'no', 400), ERROR_CLASSES.FATAL],
+    [awsError('InternalErrorException', 'boom', 500), ERROR_CLASSES.RETRYABLE],
+    [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), ERROR_CLASSES.RETRYABLE],
+    [null, ERROR_CLASSES.RETRYABLE]
+  ];
+
+  cases.forEach(([error, expected]) => assert.strictEqual(classifyError(error), expected, error ? error.name : 'null'));
+});
+
+test('only retryable, throttled and expired-credential errors are retried', () => {
+  const retried = Object.values(ERROR_CLASSES).filter(isRetryableClass);
+  assert.deepStrictEqual(retried, [ERROR_CLASSES.RETRYABLE, ERROR_CLASSES.THROTTLED, ERROR_CLASSES.CREDENTIALS_EXPIRED]);
+});
+
+test('computeBackoff doubles its ceiling per attempt up to the cap, with full jitter', (t) => {
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(attempt => computeBackoff(attempt, 100, 1000)), [99, 199, 399, 799, 999, 999]);
+  assert.strictEqual(computeBackoff(0, 100, 1000), 99);
+
+  Math.random.mock.mockImplementation(() => 0);
+  assert.strictEqual(computeBackoff(4, 100, 1000), 0);
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test Helpers
+ * node --test runs each test file in its own process, so requiring this module first
+ * points the config at throwaway SQLite files (STORAGE_BACKEND=sqlite) before anything
+ * under src/ reads it. SNS is an in-memory fake: services get it in place of the real
+ * client for every route, so no test needs AWS credentials or a network.
+ */
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arn-cleanup-test-'));
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  STORAGE_BACKEND: 'sqlite',
+  SQLITE_PATH: path.join(workDir, 'cleanup.sqlite'),
+  AWS_PROFILE: 'test',
+  AWS_REGION: 'us-east-1',
+  LOG_LEVEL: 'error',
+  AUTO_MIGRATE: 'true',
+  RESULTS_TABLE_NAME: 'CDW_push_arn_cleanup_results',
+  RUNS_TABLE_NAME: 'CDW_push_arn_cleanup_runs',
+  DELETION_RESULTS_TABLE_NAME: 'CDW_arn_cleanup_deletion_results',
+  ARCHIVE_TABLE_NAME: 'CDW_push_arn_cleanup_results_archive',
+  SNAPSHOTS_TABLE_NAME: 'CDW_arn_cleanup_endpoint_snapshots',
+  SOURCE_TABLE_NAME: 'push_notifications',
+  SOURCE_ID_COLUMN: 'id',
+  SOURCE_ARN_COLUMN: 'arn',
+  SOURCE_PERSON_COLUMN: '',
+  MAX_RETRIES: '1',
+  RETRY_DELAY_MS: '1',
+  RETRY_MAX_DELAY_MS: '1',
+  SNS_MAX_RPS: '10000',
+  CIRCUIT_BREAKER_CONSECUTIVE_ERRORS: '5',
+  CIRCUIT_BREAKER_MIN_SAMPLES: '1000',
+  CIRCUIT_BREAKER_COOLDOWN_MS: '0',
+  DELETE_REQUIRE_PLAN: 'false',
+  DELETE_MAX_SCAN_AGE_DAYS: '0',
+  DELETE_PLAN_APPROVALS: '1',
+  DELETE_PLAN_DIR: path.join(workDir, 'plans'),
+  ENDPOINT_SNAPSHOTS: 'false',
+  ARCHIVE_DIR: path.join(workDir, 'archive')
+});
+
+const Database = require('better-sqlite3');
+const {
+  GetEndpointAttributesCommand,
+  DeleteEndpointCommand,
+  CreatePlatformEndpointCommand
+} = require('@aws-sdk/client-sns');
+const { config } = require('../src/config');
+const { logger } = require('../src/logger');
+const ArnCleanupService = require('../src/cleanup');
+
+logger.silent = true;
+
+const endpointArn = (n) => `arn:aws:sns:us-east-1:111111111111:endpoint/GCM/app/${n}`;
+
+const awsError = (name) => Object.assign(new Error(`${name} (fake SNS)`), { name });
+
+/**
+ * In-memory SNS client: endpoint attributes by ARN, and an error name to throw for an
+ * ARN in `failures`. A missing endpoint answers NotFoundException like SNS does.
+ */
+class FakeSnsClient {
+  constructor() {
+    this.endpoints = new Map();
+    this.failures = new Map();
+    this.deleted = [];
+    this.created = [];
+  }
+
+  addEndpoint(arn, attributes = {}) {
+    this.endpoints.set(arn, { Enabled: 'false', Token: `token-${arn.split('/').pop()}`, ...attributes });
+  }
+
+  async send(command) {
+    if (command instanceof CreatePlatformEndpointCommand) {
+      this.created.push(command.input);
+      const arn = `${command.input.PlatformApplicationArn.replace(':app/', ':endpoint/')}/restored-${this.created.length}`;
+      this.addEndpoint(arn, { ...command.input.Attributes, Token: command.input.Token, CustomUserData: command.input.CustomUserData });
+      return { EndpointArn: arn };
+    }
+
+    const arn = command.input.EndpointArn;
+    if (this.failures.has(arn)) {
+      throw awsError(this.failures.get(arn));
+    }
+
+    if (command instanceof GetEndpointAttributesCommand) {
+      if (!this.endpoints.has(arn)) {
+        throw awsError('NotFoundException');
+      }
+      return { Attributes: { ...this.endpoints.get(arn) } };
+    }
+    if (command instanceof DeleteEndpointCommand) {
+      this.endpoints.delete(arn);
+      this.deleted.push(arn);
+      return {};
+    }
+    throw new Error(`FakeSnsClient does not handle ${command.constructor.name}`);
+  }
+}
+
+let databases = 0;
+
+/**
+ * A fresh SQLite database whose source table holds endpoints 1..count (all known to
+ * the fake SNS as disabled), with:
+ *   db         - a direct better-sqlite3 connection for setup and assertions
+ *   sns        - the FakeSnsClient
+ *   service()  - an initialized ArnCleanupService on this database and fake SNS
+ *   scan()     - the id of a completed auto-batch scan run
+ *   close()    - shut every service down and close the database
+ */
+const createHarness = ({ count = 0 } = {}) => {
+  config.storage.sqlitePath = path.join(workDir, `test-${++databases}.sqlite`);
+  const db = new Database(config.storage.sqlitePath);
+  db.exec('CREATE TABLE push_notifications (id INTEGER PRIMARY KEY, arn TEXT)');
+
+  const sns = new FakeSnsClient();
+  const insert = db.prepare('INSERT INTO push_notifications (id, arn) VALUES (?, ?)');
+  for (let n = 1; n <= count; n++) {
+    insert.run(n, endpointArn(n));
+    sns.addEndpoint(endpointArn(n));
+  }
+
+  const services = [];
+  const service = async () => {
+    const cleanupService = new ArnCleanupService();
+    cleanupService.sns.refreshRouteCredentials = async (route) => {
+      route.client = sns;
+    };
+    services.push(cleanupService);
+    await cleanupService.initialize();
+    return cleanupService;
+  };
+
+  return {
+    db,
+    sns,
+    service,
+    async scan(options = {}) {
+      const scanner = await service();
+      await scanner.cleanup({ autoBatch: true, ...options });
+      return scanner.runId;
+    },
+    async close() {
+      for (const cleanupService of services) {
+        await cleanupService.shutdown();
+      }
+      db.close();
+    }
+  };
+};
+
+module.exports = {
+  config,
+  endpointArn,
+  FakeSnsClient,
+  createHarness
+};
@@ -0,0 +1,137 @@
+const { config } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../src/storage');
+const Migrator = require('../src/migrator');
+
+/**
+ * A directory of migration files for the `things` table; `files` maps file name to its
+ * sqlite statements
+ */
+const migrationDir = (files) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'arn-cleanup-migrations-'));
+  process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+  Object.entries(files).forEach(([file, statements]) => {
+    fs.writeFileSync(path.join(directory, file), `module.exports = {
+      description: '${file}',
+      table: 'things',
+      up: { sqlite: ({ things }) => ${JSON.stringify(statements)}.map(sql => sql.replace('THINGS', things)) }
+    };`);
+  });
+  return directory;
+};
+
+const CREATE = 'CREATE TABLE THINGS (id INTEGER PRIMARY KEY)';
+const ADD_NAME = 'ALTER TABLE THINGS ADD COLUMN name TEXT';
+
+const openStorage = async () => {
+  const storage = createStorage('sqlite', { filename: ':memory:' });
+  await storage.connect();
+  return storage;
+};
+
+test('pending migrations are applied once, in order, and recorded with a checksum', async () => {
+  const storage = await openStorage();
+  try {
+    const directory = migrationDir({ '002_add_name.js': [ADD_NAME], '001_create.js': [CREATE] });
+    const migrator = new Migrator(storage, { directory, tables: { things: 'things' }, historyTable: 'history' });
+
+    assert.deepStrictEqual((await migrator.status()).map(m => [m.version, m.name, m.state]),
+      [[1, '001_create', 'pending'], [2, '002_add_name', 'pending']]);
+    assert.deepStrictEqual((await migrator.up()).map(m => m.name), ['001_create', '002_add_name']);
+    assert.deepStrictEqual(await migrator.up(), []);
+
+    const history = await migrator.getHistory();
+    assert.deepStrictEqual(history.map(row => [row.version, row.target_table, row.name, row.applied_by]),
+      [[1, 'things', '001_create', os.hostname()], [2, 'things', '002_add_name', os.hostname()]]);
+    assert.ok(history.every(row => /^[0-9a-f]{64}$/.test(row.checksum)));
+    await storage.executeQuery("INSERT INTO things (id, name) VALUES (1, 'a')");
+
+    // Another configured table name has its own history
+    const renamed = new Migrator(storage, { directory, tables: { things: 'things_v2' }, historyTable: 'history' });
+    assert.deepStrictEqual((await renamed.plan()).map(m => m.target), ['things_v2', 'things_v2']);
+  } finally {
+    await storage.disconnect();
+  }
+});
+
+test('status marks a migration changed when its SQL differs from what was applied, not when it is re-indented', async () => {
+  const storage = await openStorage();
+  try {
+    const options = { tables: { things: 'things' }, historyTable: 'history' };
+    await new Migrator(storage, { ...options, directory: migrationDir({ '001_create.js': [CREATE] }) }).up();
+
+    const reindented = new Migrator(storage, { ...options, directory: migrationDir({ '001_create.js': [`\n  CREATE TABLE\n    THINGS (id INTEGER\n    PRIMARY KEY)\n`] }) });
+    assert.strictEqual((await reindented.status())[0].state, 'applied');
+
+    const edited = new Migrator(storage, { ...options, directory: migrationDir({ '001_create.js': ['CREATE TABLE THINGS (id INTEGER PRIMARY KEY, name TEXT)'] }) });
+    const [status] = await edited.status();
+    assert.strictEqual(status.state, 'changed');
+    assert.deepStrictEqual(await edited.plan(), [], 'a changed migration is not applied again');
+  } finally {
+    await storage.disconnect();
+  }
+});
+
+test('a failing migration is rolled back and left pending', async () => {
+  const storage = await openStorage();
+  try {
+    const directory = migrationDir({ '001_create.js': [CREATE, 'ALTER TABLE THINGS ADD COLUMN'] });
+    const migrator = new Migrator(storage, { directory, tables: { things: 'things' }, historyTable: 'history' });
+
+    await assert.rejects(migrator.up());
+    const tables = await storage.executeQuery("SELECT name FROM sqlite_master WHERE name = 'things'");
+    assert.deepStrictEqual(tables.recordset, []);
+    assert.strictEqual((await migrator.status())[0].state, 'pending');
+  } finally {
+    await storage.disconnect();
+  }
+});
+
+test('without AUTO_MIGRATE, ensureSchema refuses a database with pending migrations', async () => {
+  const storage = await openStorage();
+  config.app.autoMigrate = false;
+  try {
+    await assert.rejects(storage.ensureSchema(), /Database schema has \d+ pending migration\(s\) \(001_create_results_table, .*\); run: node src\/cleanup.js migrate up/);
+    config.app.autoMigrate = true;
+    await storage.ensureSchema();
+    config.app.autoMigrate = false;
+    await storage.ensureSchema();
+  } finally {
+    config.app.autoMigrate = true;
+    await storage.disconnect();
+  }
+});
+
+test('migration 012 adds approved_by to a plan approvals table made by 011', async () => {
+  const storage = await openStorage();
+  try {
+    // The schema as it stood at migration 011
+    const shipped = path.join(__dirname, '..', 'src', 'migrations');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'arn-cleanup-migrations-'));
+    process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+    fs.readdirSync(shipped).filter(file => file < '012').forEach(file => {
+      fs.writeFileSync(path.join(directory, file), `module.exports = require(${JSON.stringify(path.join(shipped, file))});`);
+    });
+    await new Migrator(storage, { directory }).up();
+
+    const approvals = config.app.planApprovalsTableName;
+    await storage.executeQuery(`INSERT INTO ${approvals} (plan_id, plan_hash, approver, comment, approved_at)
+      VALUES ('plan-1', 'abc', 'alice', NULL, '2026-01-01T00:00:00.000Z')`);
+
+    assert.deepStrictEqual((await new Migrator(storage).up()).map(m => m.name), ['012_plan_approvals_approved_by']);
+    assert.deepStrictEqual((await storage.executeQuery(`SELECT approver, approved_by FROM ${approvals}`)).recordset,
+      [{ approver: 'alice', approved_by: 'alice' }]);
+
+    const approve = (approver, approvedBy) => storage.executeQuery(`INSERT INTO ${approvals}
+      (plan_id, plan_hash, approver, approved_by, approved_at) VALUES ('plan-1', 'abc', @approver, @approvedBy, @approvedAt)`,
+      { approver, approvedBy, approvedAt: new Date() });
+    await approve('bob', 'bob@host');
+    await assert.rejects(approve('robert', 'bob@host'), /UNIQUE constraint failed/);
+  } finally {
+    await storage.disconnect();
+  }
+});
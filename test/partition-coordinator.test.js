@@ -0,0 +1,87 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PartitionCoordinator = require('../src/partition-coordinator');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('workers lease partitions one at a time and take over expired leases', async () => {
+  const harness = createHarness({ count: 20 });
+  try {
+    const { db } = await harness.service();
+    const partitions = await db.createPartitions('run-a', 'push_notifications', 'arn', 'id', 2);
+    assert.deepStrictEqual(partitions.map(p => [p.partition_id, p.range_start, p.range_end, p.row_count]), [[1, 1, 10, 10], [2, 11, 20, 10]]);
+    assert.strictEqual((await db.createPartitions('run-a', 'push_notifications', 'arn', 'id', 4)).length, 2, 'later workers reuse the set');
+
+    const first = await db.claimPartition('run-a', 'worker-1', 5);
+    const second = await db.claimPartition('run-a', 'worker-2', 60000);
+    assert.deepStrictEqual([first.partition_id, second.partition_id], [1, 2]);
+    assert.strictEqual(await db.claimPartition('run-a', 'worker-3', 60000), null);
+
+    await sleep(20);
+    const takeover = await db.claimPartition('run-a', 'worker-3', 60000);
+    assert.strictEqual(takeover.partition_id, 1);
+    assert.strictEqual(takeover.previous_worker_id, 'worker-1');
+
+    assert.strictEqual(await db.renewPartitionLease('run-a', 1, 'worker-1', 60000, 5, 5), false, 'the old worker lost its lease');
+    assert.strictEqual(await db.renewPartitionLease('run-a', 1, 'worker-3', 60000, 4, 4), true);
+    assert.strictEqual(await db.renewPartitionLease('run-a', 1, 'worker-3', 60000, null, 0), true);
+
+    const [partition] = await db.getPartitionProgress('run-a');
+    assert.strictEqual(partition.worker_id, 'worker-3');
+    assert.strictEqual(partition.last_processed_id, 4, 'a heartbeat without a checkpoint keeps the last one');
+    assert.strictEqual(partition.processed_count, 4);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a coordinator checkpoints through heartbeats and stops when its lease is lost', async () => {
+  const harness = createHarness({ count: 10 });
+  try {
+    const { db } = await harness.service();
+    const coordinator = new PartitionCoordinator(db, { workerId: 'worker-1', partitionCount: 1, leaseMs: 60000 });
+    await coordinator.ensurePartitions('run-b', 'push_notifications', 'arn', 'id');
+    await coordinator.claim('run-b');
+
+    await coordinator.checkpoint(6, 6);
+    let [partition] = await db.getPartitionProgress('run-b');
+    assert.strictEqual(partition.last_processed_id, 6);
+    assert.strictEqual(partition.processed_count, 6);
+
+    await db.releasePartition('run-b', 1, 'worker-1');
+    await db.claimPartition('run-b', 'worker-2', 60000);
+    await assert.rejects(coordinator.checkpoint(8, 2), /Lease on partition 1 was lost to another worker/);
+    await coordinator.release();
+
+    [partition] = await db.getPartitionProgress('run-b');
+    assert.strictEqual(partition.worker_id, 'worker-2');
+    assert.strictEqual(partition.last_processed_id, 6);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('the last partition also covers rows added after the partitions were made', async () => {
+  const harness = createHarness({ count: 20 });
+  try {
+    const service = await harness.service();
+    await service.db.createPartitions('run-c', 'push_notifications', 'arn', 'id', 2);
+
+    const insert = harness.db.prepare('INSERT INTO push_notifications (id, arn) VALUES (?, ?)');
+    for (let n = 21; n <= 25; n++) {
+      insert.run(n, endpointArn(n));
+      harness.sns.addEndpoint(endpointArn(n));
+    }
+
+    const result = await service.cleanup({ partitioned: true, runId: 'run-c' });
+    assert.strictEqual(result.totalProcessed, 25);
+    assert.strictEqual((await service.db.getRun('run-c')).state, 'completed');
+
+    const gaps = await service.db.findRunGaps('run-c', { sourceTable: 'push_notifications', arnColumn: 'arn', idColumn: 'id' });
+    assert.deepStrictEqual(gaps.missing, []);
+    assert.deepStrictEqual(gaps.ranges.map(range => range.lastId), [10, 25]);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,120 @@
+const { config, FakeSnsClient } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SNSService = require('../src/pinpoint');
+
+const ACCOUNT_A = '111111111111';
+const ACCOUNT_B = '222222222222';
+const arnIn = (region, account, n) => `arn:aws:sns:${region}:${account}:endpoint/GCM/app/${n}`;
+
+/**
+ * An SNSService whose routes each get their own FakeSnsClient instead of assuming a role
+ */
+const routedService = async () => {
+  const service = new SNSService();
+  const clients = new Map();
+  service.refreshRouteCredentials = async (route) => {
+    if (!clients.has(route.key)) {
+      clients.set(route.key, new FakeSnsClient());
+    }
+    route.client = clients.get(route.key);
+  };
+  await service.initializeClients();
+  return { service, clients };
+};
+
+test('routes are keyed by partition, region and account and use the account role', () => {
+  const originalRoles = config.aws.accountRoles;
+  const originalRole = config.aws.roleArn;
+  config.aws.accountRoles = { [ACCOUNT_B]: `arn:aws:iam::${ACCOUNT_B}:role/cleanup` };
+  config.aws.roleArn = `arn:aws:iam::${ACCOUNT_A}:role/default`;
+  try {
+    const service = new SNSService();
+    const route = service.getOrCreateRoute({ partition: 'aws', region: 'us-east-1', accountId: ACCOUNT_A });
+    assert.strictEqual(route.key, `aws:us-east-1:${ACCOUNT_A}`);
+    assert.strictEqual(route.roleArn, `arn:aws:iam::${ACCOUNT_A}:role/default`);
+    assert.strictEqual(service.getOrCreateRoute({ partition: 'aws', region: 'us-east-1', accountId: ACCOUNT_A }), route);
+
+    const other = service.getOrCreateRoute({ partition: 'aws', region: 'us-west-2', accountId: ACCOUNT_B });
+    assert.strictEqual(other.roleArn, `arn:aws:iam::${ACCOUNT_B}:role/cleanup`);
+    assert.strictEqual(service.routes.size, 2);
+  } finally {
+    config.aws.accountRoles = originalRoles;
+    config.aws.roleArn = originalRole;
+  }
+});
+
+test('each ARN is checked through the client of its own route', async () => {
+  const { service, clients } = await routedService();
+  const east = arnIn('us-east-1', ACCOUNT_A, 1);
+  const west = arnIn('us-west-2', ACCOUNT_B, 2);
+
+  const results = await service.checkMultipleArns([{ id: 1, arn: east }, { id: 2, arn: west }, { id: 3, arn: arnIn('us-east-1', ACCOUNT_A, 3) }]);
+  assert.deepStrictEqual(results.map(result => [result.status, result.metadata.route]), [
+    ['NOT_FOUND', `aws:us-east-1:${ACCOUNT_A}`],
+    ['NOT_FOUND', `aws:us-west-2:${ACCOUNT_B}`],
+    ['NOT_FOUND', `aws:us-east-1:${ACCOUNT_A}`]
+  ]);
+  assert.ok(clients.has(`aws:us-east-1:${ACCOUNT_A}`) && clients.has(`aws:us-west-2:${ACCOUNT_B}`));
+
+  clients.get(`aws:us-west-2:${ACCOUNT_B}`).addEndpoint(west, { Enabled: 'true' });
+  assert.strictEqual((await service.checkArnStatus(west, 2)).status, 'ENABLED');
+  assert.strictEqual((await service.checkArnStatus(east, 1)).status, 'NOT_FOUND', 'the other route does not see it');
+});
+
+test('a route whose assumed-role credentials expired is refreshed before its next call', async () => {
+  const { service } = await routedService();
+  const arn = arnIn('us-east-1', ACCOUNT_A, 1);
+  await service.checkArnStatus(arn, 1);
+
+  const route = service.routes.get(`aws:us-east-1:${ACCOUNT_A}`);
+  let refreshes = 0;
+  const refresh = service.refreshRouteCredentials;
+  service.refreshRouteCredentials = async (expired) => {
+    refreshes++;
+    await refresh(expired);
+    expired.credentialsExpiry = new Date(Date.now() + 60000);
+  };
+
+  route.roleArn = `arn:aws:iam::${ACCOUNT_A}:role/cleanup`;
+  route.credentialsExpiry = new Date(Date.now() + 60000);
+  await service.checkArnStatus(arn, 1);
+  assert.strictEqual(refreshes, 0);
+
+  route.credentialsExpiry = new Date(Date.now() - 1);
+  await service.checkArnStatus(arn, 1);
+  await service.checkArnStatus(arn, 1);
+  assert.strictEqual(refreshes, 1);
+});
+
+test('retryable errors are retried with backoff; fatal errors are not', async (t) => {
+  const { service, clients } = await routedService();
+  service.retryConfig = { maxRetries: 3, retryDelayMs: 100, maxRetryDelayMs: 250 };
+  const delays = [];
+  service.sleep = async (ms) => { delays.push(ms); };
+  t.mock.method(Math, 'random', () => 0.999999);
+
+  const arn = arnIn('us-east-1', ACCOUNT_A, 1);
+  await service.checkArnStatus(arn, 1);
+  const client = clients.get(`aws:us-east-1:${ACCOUNT_A}`);
+  const send = t.mock.method(client, 'send');
+
+  client.failures.set(arn, 'InternalErrorException');
+  const exhausted = await service.checkArnStatus(arn, 1);
+  assert.strictEqual(exhausted.status, 'ERROR');
+  assert.strictEqual(exhausted.statusReason, 'Max retries exceeded');
+  assert.strictEqual(exhausted.metadata.retryCount, 3);
+  assert.strictEqual(send.mock.callCount(), 4);
+  assert.deepStrictEqual(delays, [99, 199, 249]);
+
+  client.failures.set(arn, 'AuthorizationErrorException');
+  const fatal = await service.checkArnStatus(arn, 1);
+  assert.strictEqual(fatal.statusReason, 'Non-retryable error');
+  assert.strictEqual(fatal.metadata.errorClass, 'fatal');
+  assert.strictEqual(send.mock.callCount(), 5);
+
+  const onThrottle = t.mock.method(service.rateLimiter, 'onThrottle');
+  client.failures.set(arn, 'ThrottlingException');
+  await service.checkArnStatus(arn, 1);
+  assert.strictEqual(onThrottle.mock.callCount(), 3, 'the rate drops for every throttle that is retried');
+});
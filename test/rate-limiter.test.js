@@ -0,0 +1,70 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/rate-limiter');
+
+test('throttling halves the rate at most once per second and recovery adds it back in steps', (t) => {
+  let now = 10000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = new RateLimiter({ maxRequestsPerSecond: 40, minRequestsPerSecond: 5, increaseStep: 10, recoveryIntervalMs: 5000 });
+
+  now += 1000;
+  limiter.onThrottle();
+  limiter.onThrottle();
+  assert.strictEqual(limiter.currentRate, 20);
+  assert.strictEqual(limiter.stats.throttles, 2);
+
+  now += 1000;
+  limiter.onThrottle();
+  now += 1000;
+  limiter.onThrottle();
+  now += 1000;
+  limiter.onThrottle();
+  assert.strictEqual(limiter.currentRate, 5, 'never below the minimum rate');
+
+  now += 4999;
+  limiter.onSuccess();
+  assert.strictEqual(limiter.currentRate, 5, 'no increase inside the recovery interval');
+
+  now += 1;
+  limiter.onSuccess();
+  limiter.onSuccess();
+  assert.strictEqual(limiter.currentRate, 15, 'one step per recovery interval');
+
+  for (let step = 0; step < 5; step++) {
+    now += 5000;
+    limiter.onSuccess();
+  }
+  assert.strictEqual(limiter.currentRate, 40, 'never above the maximum rate');
+});
+
+test('map keeps input order, bounds concurrency and stops starting items when asked', async () => {
+  const limiter = new RateLimiter({ concurrency: 3 });
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const started = [];
+
+  const results = await limiter.map([1, 2, 3, 4, 5, 6, 7, 8], async (item) => {
+    started.push(item);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, (9 - item) * 2));
+    inFlight--;
+    return item * 10;
+  }, () => started.includes(5));
+
+  assert.strictEqual(maxInFlight, 3);
+  assert.deepStrictEqual([...started].sort(), [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(Array.from(results), [10, 20, 30, 40, 50, undefined, undefined, undefined]);
+});
+
+test('acquire paces requests to the current rate', async () => {
+  const limiter = new RateLimiter({ maxRequestsPerSecond: 50 });
+  limiter.tokens = 0;
+  const start = Date.now();
+  for (let i = 0; i < 5; i++) {
+    await limiter.acquire();
+  }
+  assert.ok(Date.now() - start >= 90, `5 requests at 50/s took ${Date.now() - start}ms`);
+  assert.strictEqual(limiter.stats.requests, 5);
+});
@@ -0,0 +1,55 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+test('a re-check saves the new outcomes of the chosen statuses as a child run', async () => {
+  const harness = createHarness({ count: 6 });
+  try {
+    harness.sns.failures.set(endpointArn(1), 'InternalErrorException');
+    harness.sns.failures.set(endpointArn(2), 'InternalErrorException');
+    harness.sns.endpoints.delete(endpointArn(3));
+    const parentRunId = await harness.scan();
+    harness.sns.failures.clear();
+
+    const service = await harness.service();
+    const result = await service.recheck({ runId: parentRunId });
+    assert.strictEqual(result.parentRunId, parentRunId);
+    assert.strictEqual(result.totalProcessed, 3);
+    assert.deepStrictEqual(result.transitions, { 'ERROR -> DISABLED': 2, 'NOT_FOUND -> NOT_FOUND': 1 });
+
+    const child = await service.db.getRun(result.runId);
+    assert.strictEqual(child.mode, 'recheck');
+    assert.strictEqual(child.parent_run_id, parentRunId);
+    assert.strictEqual(child.state, 'completed');
+    assert.deepStrictEqual((await service.db.getChildRuns(parentRunId)).map(run => run.run_id), [result.runId]);
+
+    const parentRows = harness.db.prepare("SELECT COUNT(*) AS c FROM CDW_push_arn_cleanup_results WHERE run_id = ? AND status = 'ERROR'").get(parentRunId);
+    assert.strictEqual(parentRows.c, 2, 'the parent run keeps its own results');
+
+    const reconciled = await service.db.getReconciledStats(parentRunId);
+    assert.strictEqual(reconciled.total_records, 6);
+    assert.strictEqual(reconciled.disabled_count, 5);
+    assert.strictEqual(reconciled.not_found_count, 1);
+    assert.strictEqual(reconciled.error_count, 0);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a re-check needs a run id and statuses that can be re-checked', async () => {
+  const harness = createHarness({ count: 2 });
+  try {
+    const parentRunId = await harness.scan();
+    const service = await harness.service();
+
+    await assert.rejects(service.recheck({}), /--recheck requires --run-id/);
+    await assert.rejects(service.recheck({ runId: parentRunId, statuses: ['ORPHANED'] }), /Cannot re-check status ORPHANED/);
+
+    const nothing = await service.recheck({ runId: parentRunId, statuses: ['ERROR'] });
+    assert.strictEqual(nothing.runId, null);
+    assert.strictEqual(nothing.totalProcessed, 0);
+    assert.strictEqual(await service.db.getRun(service.runId), null, 'no child run is registered');
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,76 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ResultWriter = require('../src/result-writer');
+
+// A save function whose writes finish only when the test resolves them
+const controlledSaves = () => {
+  const writes = [];
+  const saveFn = (results) => new Promise((resolve, reject) => writes.push({ results, resolve, reject }));
+  return { writes, saveFn };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('enqueue waits for a free slot once maxPending writes are in flight', async () => {
+  const { writes, saveFn } = controlledSaves();
+  const writer = new ResultWriter(saveFn, { maxPending: 2 });
+
+  await writer.enqueue([1]);
+  await writer.enqueue([2]);
+  let thirdQueued = false;
+  const third = writer.enqueue([3]).then(() => { thirdQueued = true; });
+  await tick();
+  assert.strictEqual(thirdQueued, false);
+  assert.strictEqual(writes.length, 2);
+
+  writes[1].resolve({ durationMs: 100, records: 1 });
+  await third;
+  assert.strictEqual(writes.length, 3);
+
+  writes[0].resolve({ durationMs: 100, records: 1 });
+  writes[2].resolve({ durationMs: 100, records: 1 });
+  await writer.flush();
+  assert.strictEqual(writer.stats.batches, 3);
+  assert.strictEqual(writer.throughput().averageRowsPerSecond, 10);
+});
+
+test('a failed write is rethrown from the next enqueue and from flush', async () => {
+  const { writes, saveFn } = controlledSaves();
+  const writer = new ResultWriter(saveFn, { maxPending: 2 });
+
+  await writer.enqueue([1]);
+  writes[0].reject(new Error('deadlock'));
+  await tick();
+  await assert.rejects(writer.enqueue([2]), /deadlock/);
+  await assert.rejects(writer.flush(), /deadlock/);
+  assert.strictEqual(writes.length, 1);
+});
+
+test('settledThrough advances only over batches saved with every earlier one', async () => {
+  const { writes, saveFn } = controlledSaves();
+  const writer = new ResultWriter(saveFn, { maxPending: 3, settledThrough: 100 });
+
+  await writer.enqueue([101, 110], 110);
+  await writer.enqueue([111, 120], 120);
+  await writer.enqueue([121], null);
+
+  writes[1].resolve();
+  await tick();
+  assert.strictEqual(writer.settledThrough, 100, 'a later batch is saved but an earlier one is not');
+
+  writes[0].resolve();
+  await tick();
+  assert.strictEqual(writer.settledThrough, 120);
+
+  writes[2].resolve();
+  await writer.flush();
+  assert.strictEqual(writer.settledThrough, 120, 'a batch without an id keeps the previous one');
+
+  await writer.enqueue([130], 130);
+  await writer.enqueue([140], 140);
+  writes[3].reject(new Error('timeout'));
+  writes[4].resolve();
+  await assert.rejects(writer.flush(), /timeout/);
+  assert.strictEqual(writer.settledThrough, 120, 'never past a failed write');
+});
@@ -0,0 +1,82 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildRetentionPolicy, parseStatusDays } = require('../src/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('the retention policy has a cut-off per status, counted back from now', () => {
+  const now = Date.parse('2026-06-30T00:00:00.000Z');
+  const policy = buildRetentionPolicy({ keepRuns: 3, keepDays: 30, keepStatus: 'disabled=180, ORPHANED=365' }, now);
+
+  assert.deepStrictEqual(policy, {
+    keepRuns: 3,
+    keepDays: 30,
+    statusDays: { DISABLED: 180, ORPHANED: 365 },
+    cutoffs: {
+      default: '2026-05-31T00:00:00.000Z',
+      DISABLED: '2026-01-01T00:00:00.000Z',
+      ORPHANED: '2025-06-30T00:00:00.000Z'
+    }
+  });
+  assert.deepStrictEqual(buildRetentionPolicy({ keepRuns: 0, keepDays: 0.5, keepStatus: '' }, now).cutoffs,
+    { default: '2026-06-29T12:00:00.000Z' });
+});
+
+test('the retention policy refuses settings it cannot apply', () => {
+  assert.throws(() => parseStatusDays('DISABLED'), /Invalid status retention 'DISABLED': use STATUS=days/);
+  assert.throws(() => parseStatusDays('DISABLED=0'), /Invalid status retention/);
+  assert.throws(() => buildRetentionPolicy({ keepRuns: 1.5 }), /--keep-runs must be a whole number/);
+  assert.throws(() => buildRetentionPolicy({ keepRuns: -1 }), /--keep-runs must be a whole number/);
+  assert.throws(() => buildRetentionPolicy({ keepDays: 0 }), /--keep-days must be a positive number/);
+});
+
+test('archiving keeps the newest runs, rows within their status cut-off and runs a deletion needs', async () => {
+  const harness = createHarness();
+  try {
+    const service = await harness.service();
+    const result = (runId, n, status = 'ENABLED') => ({ arn: endpointArn(n), originalId: n, status, runId, batchId: 1, metadata: {} });
+
+    // Five completed scans, oldest first
+    for (const [runId, ageDays] of [['r1', 300], ['r2', 200], ['r3', 100], ['r4', 10], ['r5', 1]]) {
+      await service.db.createRun(runId, { mode: 'scan' });
+      await service.db.updateRunState(runId, 'completed');
+      const rows = [1, 2, 3, 4, 5, 6].map(n => result(runId, n));
+      if (runId === 'r1') rows.push(result(runId, 9, 'DISABLED'));
+      if (runId === 'r2') rows[0].status = 'DISABLED';
+      if (runId === 'r3') rows.push(result(runId, 8, 'DISABLED'));
+      await service.db.batchSaveArnResults(rows);
+
+      const at = new Date(Date.now() - ageDays * DAY_MS).toISOString();
+      harness.db.prepare('UPDATE CDW_push_arn_cleanup_runs SET created_at = ? WHERE run_id = ?').run(at, runId);
+      harness.db.prepare('UPDATE CDW_push_arn_cleanup_results SET checked_at = ? WHERE run_id = ?').run(at, runId);
+    }
+    // Endpoint 8 is deleted; endpoint 9 of r1 is still pending deletion
+    const deleted = harness.db.prepare("SELECT id FROM CDW_push_arn_cleanup_results WHERE run_id = 'r3' AND original_id = 8").get();
+    await service.db.saveDeletionResults([{ cleanupResultId: deleted.id, originalId: 8, arn: endpointArn(8), status: 'DELETED' }]);
+
+    const rowsPerRun = () => Object.fromEntries(harness.db.prepare(`SELECT run_id, COUNT(*) AS c
+      FROM CDW_push_arn_cleanup_results GROUP BY run_id`).all().map(row => [row.run_id, row.c]));
+    const policy = { mode: 'archive', keepRuns: 2, keepDays: 90, keepStatus: 'DISABLED=250' };
+
+    const dryRun = await service.applyRetention({ ...policy, dryRun: true });
+    assert.deepStrictEqual(dryRun.keptRunIds, ['r5', 'r4']);
+    assert.deepStrictEqual(dryRun.protectedRunIds, ['r1']);
+    assert.deepStrictEqual(dryRun.runs.map(run => [run.run_id, run.row_count]), [['r2', 5], ['r3', 6]]);
+    assert.deepStrictEqual(rowsPerRun(), { r1: 7, r2: 6, r3: 7, r4: 6, r5: 6 });
+
+    const archived = await service.applyRetention({ ...policy, chunkSize: 2 });
+    assert.strictEqual(archived.removedRows, 11);
+    assert.deepStrictEqual(rowsPerRun(), { r1: 7, r2: 1, r3: 1, r4: 6, r5: 6 });
+    assert.deepStrictEqual(harness.db.prepare(`SELECT run_id, status, COUNT(*) AS c FROM CDW_push_arn_cleanup_results
+      WHERE run_id IN ('r2', 'r3') GROUP BY run_id, status`).all(), [
+      { run_id: 'r2', status: 'DISABLED', c: 1 },
+      { run_id: 'r3', status: 'DISABLED', c: 1 }
+    ]);
+    assert.strictEqual(harness.db.prepare('SELECT COUNT(*) AS c FROM CDW_push_arn_cleanup_results_archive WHERE archive_run_id = ?')
+      .get(archived.runId).c, 11);
+    assert.strictEqual((await service.db.getRun(archived.runId)).state, 'completed');
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,95 @@
+const { createHarness } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { apiCallsForResult, progressWindow, estimateProgress, formatDuration } = require('../src/run-progress');
+
+test('SNS calls per result count retries and lookups, and nothing for rejected ARNs', () => {
+  assert.strictEqual(apiCallsForResult(null), 1);
+  assert.strictEqual(apiCallsForResult('{not json'), 1);
+  assert.strictEqual(apiCallsForResult(JSON.stringify({ retryCount: 2 })), 3);
+  assert.strictEqual(apiCallsForResult({ rejectionReason: 'malformed' }), 0);
+  assert.strictEqual(apiCallsForResult({ reverify: { retryCount: 1 }, retryCount: 0 }), 3);
+  assert.strictEqual(apiCallsForResult({ snapshot: {}, deleteSkipped: true }), 1);
+});
+
+test('the throughput window ends now while running and at the last result otherwise', () => {
+  const now = Date.parse('2026-06-30T12:00:00.000Z');
+  const minute = 60 * 1000;
+
+  // Running since 2 minutes ago: the 5-minute window only counts from the restart
+  assert.deepStrictEqual(progressWindow({
+    running: true,
+    stateUpdatedAt: new Date(now - 2 * minute).toISOString(),
+    firstActivity: '2026-06-30T10:00:00.000Z',
+    lastActivity: '2026-06-30T11:59:00.000Z',
+    now
+  }, 5 * minute), { start: now - 5 * minute, from: now - 2 * minute, end: now });
+
+  // Stopped: the window ends at its last result
+  const last = Date.parse('2026-06-30T11:00:00.000Z');
+  assert.deepStrictEqual(progressWindow({
+    running: false,
+    firstActivity: '2026-06-30T10:58:00.000Z',
+    lastActivity: '2026-06-30T11:00:00.000Z',
+    now
+  }, 5 * minute), { start: last - 5 * minute, from: last - 2 * minute, end: last });
+
+  assert.strictEqual(progressWindow({ running: true, lastActivity: null, now }), null);
+});
+
+test('the ETA and remaining SNS calls follow the window rate and the sampled retries', () => {
+  const now = Date.parse('2026-06-30T12:00:00.000Z');
+  const window = { from: now - 100 * 1000, end: now };
+  const sample = [{ metadata: '{}' }, { metadata: '{"retryCount":1}' }];
+
+  assert.deepStrictEqual(estimateProgress({ remaining: 500, completed: false, running: true, window, windowRecords: 200, sample, now }), {
+    throughput_per_second: 2,
+    throughput_window_seconds: 100,
+    eta_seconds: 250,
+    estimated_completion_at: '2026-06-30T12:04:10.000Z',
+    api_calls_per_record: 1.5,
+    estimated_api_calls: 750
+  });
+
+  // Under a second of results gives no rate, and so no ETA
+  const early = estimateProgress({ remaining: 10, completed: false, running: true, window: { from: now - 500, end: now }, windowRecords: 5, sample: [], now });
+  assert.deepStrictEqual([early.throughput_per_second, early.eta_seconds, early.estimated_api_calls], [0, null, 10]);
+
+  const done = estimateProgress({ remaining: 0, completed: true, running: false, window, windowRecords: 200, sample, now });
+  assert.deepStrictEqual([done.eta_seconds, done.estimated_completion_at, done.estimated_api_calls], [0, null, 0]);
+});
+
+test('durations read as hours and minutes, or minutes and seconds', () => {
+  assert.strictEqual(formatDuration(7500), '2h 05m');
+  assert.strictEqual(formatDuration(250), '4m 10s');
+  assert.strictEqual(formatDuration(0), '0m 00s');
+  assert.strictEqual(formatDuration(null), 'unknown');
+});
+
+test('scan progress counts the rows a run has left and its share done', async () => {
+  const harness = createHarness({ count: 10 });
+  try {
+    const first = await harness.service();
+    await first.cleanup({ limit: 4 });
+
+    const service = await harness.service();
+    let progress = await service.db.getProcessingProgress('push_notifications', 'id', first.runId);
+    assert.strictEqual(Number(progress.processed_records), 4);
+    assert.strictEqual(Number(progress.last_processed_id), 4);
+    assert.strictEqual(progress.remaining_records, 6);
+    assert.strictEqual(progress.run_total_records, 10);
+    assert.strictEqual(progress.progress_percent, '40.00');
+    assert.strictEqual(progress.state, 'interrupted');
+    assert.strictEqual(progress.estimated_api_calls, 6);
+    assert.strictEqual(progress.estimated_completion_at, null);
+
+    await service.cleanup({ autoBatch: true, resumeRunId: first.runId });
+    progress = await service.db.getProcessingProgress('push_notifications', 'id');
+    assert.strictEqual(progress.current_run_id, first.runId);
+    assert.strictEqual(progress.remaining_records, 0);
+    assert.strictEqual(progress.progress_percent, '100.00');
+    assert.deepStrictEqual([progress.eta_seconds, progress.estimated_api_calls], [0, 0]);
+  } finally {
+    await harness.close();
+  }
+});
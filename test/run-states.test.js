@@ -0,0 +1,90 @@
+const { createHarness } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RUN_STATES, isResumableState } = require('../src/run-states');
+const PartitionCoordinator = require('../src/partition-coordinator');
+
+test('every state except completed can be resumed', () => {
+  assert.deepStrictEqual(Object.values(RUN_STATES).filter(isResumableState),
+    ['created', 'running', 'interrupted', 'tripped', 'failed']);
+});
+
+test('a run moves from created to running to an ended state, and only completed ends it for good', async () => {
+  const harness = createHarness({ count: 1 });
+  try {
+    const service = await harness.service();
+    const { db } = service;
+    await db.createRun('run-1', { sourceTable: 'push_notifications', startAfterId: 5, options: { batchSize: 2 } });
+    await db.createRun('run-1', { sourceTable: 'other_table' });
+
+    let run = await db.getRun('run-1');
+    assert.strictEqual(run.state, 'created');
+    assert.strictEqual(run.source_table, 'push_notifications', 'creating an existing run changes nothing');
+    assert.deepStrictEqual(run.run_options, { batchSize: 2 });
+    assert.strictEqual(run.started_at, null);
+
+    service.runId = 'run-1';
+    await service.markRunning();
+    run = await db.getRun('run-1');
+    assert.strictEqual(run.state, 'running');
+    assert.ok(run.started_at);
+    const startedAt = run.started_at;
+
+    await service.endRun(RUN_STATES.INTERRUPTED, 'SIGINT');
+    run = await db.getRun('run-1');
+    assert.deepStrictEqual([run.state, run.state_reason], ['interrupted', 'SIGINT']);
+    assert.ok(run.ended_at);
+    assert.deepStrictEqual(await db.canResumeRun('run-1'),
+      { canResume: true, state: 'interrupted', mode: 'scan', lastProcessedId: 5, processedRecords: 0 });
+
+    await service.endRun(RUN_STATES.FAILED, 'not active any more');
+    assert.strictEqual((await db.getRun('run-1')).state, 'interrupted', 'endRun only ends the active run');
+
+    await service.markRunning();
+    run = await db.getRun('run-1');
+    assert.strictEqual(run.ended_at, null);
+    assert.strictEqual(run.started_at, startedAt, 'a resume keeps the first start time');
+
+    await service.endRun(RUN_STATES.COMPLETED);
+    assert.deepStrictEqual(await db.canResumeRun('run-1'),
+      { canResume: false, state: 'completed', reason: 'Run run-1 is already completed' });
+    assert.deepStrictEqual(await db.canResumeRun('run-2'), { canResume: false, reason: 'Run run-2 does not exist' });
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a scan that stops on an error is failed with the error as its reason', async () => {
+  const harness = createHarness({ count: 3 });
+  try {
+    const service = await harness.service();
+    service.db.batchSaveArnResults = async () => { throw new Error('database went away'); };
+    await assert.rejects(service.cleanup({ limit: 3 }), /database went away/);
+
+    const run = await service.db.getRun(service.runId);
+    assert.deepStrictEqual([run.state, run.state_reason], ['failed', 'database went away']);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a partitioned worker leaves the run running while another worker holds a lease', async () => {
+  const harness = createHarness({ count: 4 });
+  try {
+    const service = await harness.service();
+    const { db } = service;
+    await db.createRun('run-p', { mode: 'partitioned', sourceTable: 'push_notifications' });
+    const coordinator = new PartitionCoordinator(db, { workerId: 'worker-1', partitionCount: 2 });
+    await coordinator.ensurePartitions('run-p', 'push_notifications', 'arn', 'id');
+    await coordinator.claim('run-p');
+    await db.claimPartition('run-p', 'worker-2', 60000);
+
+    service.runId = 'run-p';
+    await service.markRunning(coordinator);
+    await service.endRun(RUN_STATES.INTERRUPTED, 'SIGTERM');
+    assert.strictEqual((await db.getRun('run-p')).state, 'running');
+    assert.strictEqual((await db.getPartitionProgress('run-p'))[0].status, 'pending', 'the worker handed its partition back');
+  } finally {
+    await harness.close();
+  }
+});
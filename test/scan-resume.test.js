@@ -0,0 +1,101 @@
+const { createHarness } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildSourceFilter } = require('../src/source-filter');
+
+test('a resumed scan refuses a different filter and keeps the one it was started with', async () => {
+  const harness = createHarness({ count: 20 });
+  try {
+    const first = await harness.service();
+    await first.cleanup({ limit: 5, filter: buildSourceFilter({ filters: ['id=lte:10'] }) });
+    const runId = first.runId;
+    assert.strictEqual((await first.db.getRun(runId)).state, 'interrupted');
+
+    const mismatch = await harness.service();
+    await assert.rejects(
+      mismatch.cleanup({ autoBatch: true, resumeRunId: runId, filter: buildSourceFilter({ filters: ['id=lte:20'] }) }),
+      /was started with filter \[id <= 10\]; omit --filter\/--where-clause to resume it/
+    );
+    assert.strictEqual((await mismatch.db.getRun(runId)).state, 'interrupted');
+
+    const resumed = await harness.service();
+    await resumed.cleanup({ autoBatch: true, resumeRunId: runId });
+    assert.strictEqual((await resumed.db.getRun(runId)).state, 'completed');
+
+    const ids = harness.db.prepare('SELECT original_id FROM CDW_push_arn_cleanup_results WHERE run_id = ? ORDER BY original_id')
+      .all(runId).map(row => row.original_id);
+    assert.deepStrictEqual(ids, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a resumed scan accepts the filter it was started with', async () => {
+  const harness = createHarness({ count: 10 });
+  try {
+    const filter = () => buildSourceFilter({ whereClause: 'id > 4' });
+    const first = await harness.service();
+    await first.cleanup({ limit: 2, filter: filter() });
+
+    const resumed = await harness.service();
+    const result = await resumed.cleanup({ autoBatch: true, resumeRunId: first.runId, filter: filter() });
+    assert.strictEqual(result.totalProcessed, 4);
+    assert.strictEqual(harness.db.prepare('SELECT COUNT(*) AS c FROM CDW_push_arn_cleanup_results').get().c, 6);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('filters compare strings on text columns and numbers on numeric columns', async () => {
+  const harness = createHarness({ count: 6 });
+  try {
+    harness.db.exec('ALTER TABLE push_notifications ADD COLUMN code TEXT');
+    const setCode = harness.db.prepare('UPDATE push_notifications SET code = ? WHERE id = ?');
+    [['007', 1], ['7', 2], ['1e3', 3], ['1000', 4], ["O'Brien", 5]].forEach(([code, id]) => setCode.run(code, id));
+
+    const scanned = async (filter) => {
+      const runId = await harness.scan({ filter: buildSourceFilter(filter) });
+      return harness.db.prepare('SELECT original_id FROM CDW_push_arn_cleanup_results WHERE run_id = ? ORDER BY original_id')
+        .all(runId).map(row => row.original_id);
+    };
+
+    assert.deepStrictEqual(await scanned({ filters: ['code=eq:007'] }), [1]);
+    assert.deepStrictEqual(await scanned({ whereClause: 'code = 1e3' }), [3]);
+    assert.deepStrictEqual(await scanned({ whereClause: "code = 'O''Brien'" }), [5]);
+    assert.deepStrictEqual(await scanned({ whereClause: 'id > 04 AND id <= 6.0' }), [5, 6]);
+
+    const service = await harness.service();
+    await assert.rejects(service.cleanup({ autoBatch: true, filter: buildSourceFilter({ filters: ['id=eq:abc'] }) }),
+      /Value 'abc' for numeric column id is not a number/);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('a resume goes back to a batch whose write failed after a later batch was saved', async () => {
+  const harness = createHarness({ count: 10 });
+  try {
+    const scanner = await harness.service();
+    const save = scanner.db.batchSaveArnResults.bind(scanner.db);
+    let writes = 0;
+    scanner.db.batchSaveArnResults = async (results) => {
+      if (++writes === 1) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('deadlock victim');
+      }
+      return save(results);
+    };
+
+    await assert.rejects(scanner.cleanup({ autoBatch: true, chunkSize: 10, batchSize: 2 }), /deadlock victim/);
+    const ids = () => harness.db.prepare('SELECT original_id FROM CDW_push_arn_cleanup_results WHERE run_id = ? ORDER BY original_id')
+      .all(scanner.runId).map(row => row.original_id);
+    assert.ok(!ids().includes(1) && ids().length > 0, `saved ${ids()}`);
+    assert.strictEqual((await scanner.db.canResumeRun(scanner.runId)).lastProcessedId, null);
+
+    const resumed = await harness.service();
+    await resumed.cleanup({ autoBatch: true, resumeRunId: scanner.runId, chunkSize: 10, batchSize: 2 });
+    assert.deepStrictEqual(ids(), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  SourceFilterError, parseFilterFlag, parseWhereClause, buildSourceFilter, typeFilterValues, buildFilterSql
+} = require('../src/source-filter');
+
+test('filter values stay strings until the column type is known', () => {
+  assert.deepStrictEqual(parseFilterFlag('code=eq:007'), { column: 'code', op: 'eq', value: '007' });
+  assert.deepStrictEqual(parseFilterFlag('code=in:1e3,042'), { column: 'code', op: 'in', value: ['1e3', '042'] });
+  assert.deepStrictEqual(parseWhereClause('code = 007 AND id >= 10'), [
+    { column: 'code', op: 'eq', value: '007' },
+    { column: 'id', op: 'gte', value: '10' }
+  ]);
+});
+
+test('quoted values unescape doubled quotes', () => {
+  assert.deepStrictEqual(parseWhereClause("name = 'O''Brien' AND nick IN ('a''b', \"say \"\"hi\"\"\")"), [
+    { column: 'name', op: 'eq', value: "O'Brien" },
+    { column: 'nick', op: 'in', value: ["a'b", 'say "hi"'] }
+  ]);
+  assert.deepStrictEqual(parseFilterFlag("name=eq:'O''Brien'"), { column: 'name', op: 'eq', value: "O'Brien" });
+  assert.throws(() => parseWhereClause("name = 'O'Brien'"), SourceFilterError);
+});
+
+test('typeFilterValues converts values only on numeric columns', () => {
+  const filter = buildSourceFilter({ filters: ['id=gte:10', 'code=eq:007', 'ID=in:1,2'], whereClause: "id LIKE '1%' AND id IS NULL" });
+  assert.deepStrictEqual(typeFilterValues(filter, ['id']), [
+    { column: 'id', op: 'gte', value: 10 },
+    { column: 'code', op: 'eq', value: '007' },
+    { column: 'ID', op: 'in', value: [1, 2] },
+    { column: 'id', op: 'like', value: '1%' },
+    { column: 'id', op: 'null' }
+  ]);
+  assert.strictEqual(typeFilterValues(null, ['id']), null);
+  assert.throws(() => typeFilterValues(parseWhereClause("id = 'abc'"), ['id']),
+    /Value 'abc' for numeric column id is not a number/);
+});
+
+test('buildFilterSql parameterizes every value', () => {
+  const { sql, params } = buildFilterSql(typeFilterValues(buildSourceFilter({ whereClause: "id NOT IN (1, 2) AND name = 'x' AND arn IS NOT NULL" }), ['id']));
+  assert.strictEqual(sql, ' AND [id] NOT IN (@filter0_0, @filter0_1) AND [name] = @filter1 AND [arn] IS NOT NULL');
+  assert.deepStrictEqual(params, { filter0_0: 1, filter0_1: 2, filter1: 'x' });
+});
@@ -0,0 +1,52 @@
+const { config, createHarness } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateTableNames } = require('../src/config');
+const { IdentifierError, validateIdentifier, parseTableName, quoteIdentifier, quoteTableName } = require('../src/sql-identifiers');
+
+test('identifiers must be plain names and are bracket-quoted', () => {
+  assert.strictEqual(validateIdentifier(' push_arn_2 '), 'push_arn_2');
+  assert.strictEqual(validateIdentifier('[arn]'), 'arn');
+  assert.strictEqual(quoteIdentifier('arn'), '[arn]');
+  assert.deepStrictEqual(parseTableName('dbo.push_notifications'), { schema: 'dbo', table: 'push_notifications' });
+  assert.deepStrictEqual(parseTableName('push_notifications'), { schema: null, table: 'push_notifications' });
+  assert.strictEqual(quoteTableName(parseTableName('dbo.push')), '[dbo].[push]');
+
+  ['arn]; DROP TABLE x;--', '1arn', 'my-col', 'a b', '', 'x'.repeat(129), null].forEach(name =>
+    assert.throws(() => validateIdentifier(name), IdentifierError, String(name)));
+  assert.throws(() => parseTableName('db.dbo.push'), /expected table or schema.table/);
+  assert.throws(() => parseTableName('dbo.push;--'), /Invalid table name 'push;--'/);
+  assert.throws(() => validateIdentifier('bad name', 'SOURCE_ARN_COLUMN'), /^IdentifierError: Invalid SOURCE_ARN_COLUMN name 'bad name'/);
+});
+
+test('configured table and column names are validated before connecting', () => {
+  const original = config.app.resultsTableName;
+  config.app.resultsTableName = 'results; DROP TABLE runs';
+  try {
+    assert.throws(() => validateTableNames(), /Invalid resultsTableName name/);
+  } finally {
+    config.app.resultsTableName = original;
+  }
+  assert.doesNotThrow(() => validateTableNames());
+});
+
+test('source tables and columns must exist and resolve to their actual names', async () => {
+  const harness = createHarness({ count: 1 });
+  try {
+    harness.db.exec('CREATE TABLE "Devices" ("DeviceId" INTEGER PRIMARY KEY, "EndpointArn" TEXT)');
+    const { db } = await harness.service();
+
+    assert.deepStrictEqual(await db.resolveSourceIdentifiers('devices', ['endpointarn', '[deviceid]']),
+      { table: '[main].[Devices]', columns: ['[EndpointArn]', '[DeviceId]'], numeric: [false, true] });
+    await assert.rejects(db.resolveSourceIdentifiers('missing_table', ['arn']), /Source table 'missing_table' does not exist/);
+    await assert.rejects(db.resolveSourceIdentifiers('push_notifications', ['token']),
+      /Column 'token' does not exist in source table main.push_notifications/);
+    await assert.rejects(db.resolveSourceIdentifiers('push_notifications', ['arn; --']), IdentifierError);
+
+    const scanner = await harness.service();
+    await assert.rejects(scanner.cleanup({ autoBatch: true, arnColumn: 'token' }), /Column 'token' does not exist/);
+    assert.strictEqual(await scanner.db.getRun(scanner.runId), null, 'no run is registered for a mistyped column');
+  } finally {
+    await harness.close();
+  }
+});
@@ -0,0 +1,78 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { STORAGE_INTERFACE, createStorage } = require('../src/storage');
+const SqliteStorage = require('../src/sqlite-storage');
+
+const openMemoryStorage = async () => {
+  const storage = createStorage('sqlite', { filename: ':memory:' });
+  await storage.connect();
+  return storage;
+};
+
+test('createStorage builds the configured adapter and refuses unknown backends', () => {
+  const storage = createStorage('sqlite', { filename: ':memory:' });
+  assert.ok(storage instanceof SqliteStorage);
+  assert.strictEqual(storage.dialect, 'sqlite');
+  Object.values(STORAGE_INTERFACE).flat().forEach(method => assert.strictEqual(typeof storage[method], 'function', method));
+
+  assert.throws(() => createStorage('postgres'), /Unknown STORAGE_BACKEND 'postgres'. Valid options: mssql, sqlite/);
+});
+
+test('SQLite queries return the mssql result shape and bind dates and booleans', async () => {
+  const storage = await openMemoryStorage();
+  try {
+    await storage.executeQuery('CREATE TABLE t (id INTEGER PRIMARY KEY, at TEXT, flag INTEGER, note TEXT)');
+    const insert = await storage.executeQuery('INSERT INTO t (at, flag, note) VALUES (@at, @flag, @note)',
+      { at: new Date('2026-01-02T03:04:05.678Z'), flag: true, note: undefined });
+    assert.deepStrictEqual(insert, { recordset: [], rowsAffected: [1] });
+
+    const select = await storage.executeQuery('SELECT at, flag, note FROM t WHERE id = @id', { id: 1 });
+    assert.deepStrictEqual(select, { recordset: [{ at: '2026-01-02T03:04:05.678Z', flag: 1, note: null }], rowsAffected: [1] });
+  } finally {
+    await storage.disconnect();
+  }
+});
+
+test('SQLite transactions roll back on error and run one at a time', async () => {
+  const storage = await openMemoryStorage();
+  try {
+    await storage.executeQuery('CREATE TABLE t (id INTEGER PRIMARY KEY)');
+    const order = [];
+
+    const failing = storage.inTransaction(async (transaction) => {
+      await storage.queryInTransaction(transaction, 'INSERT INTO t (id) VALUES (1)');
+      order.push('first');
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('stop');
+    });
+    const second = storage.inTransaction(async (transaction) => {
+      order.push('second');
+      await storage.queryInTransaction(transaction, 'INSERT INTO t (id) VALUES (2)');
+    });
+
+    await assert.rejects(failing, /stop/);
+    await second;
+    assert.deepStrictEqual(order, ['first', 'second']);
+    assert.deepStrictEqual((await storage.executeQuery('SELECT id FROM t')).recordset, [{ id: 2 }]);
+  } finally {
+    await storage.disconnect();
+  }
+});
+
+test('the schema migrations apply on SQLite and a second run has nothing to do', async () => {
+  const storage = await openMemoryStorage();
+  try {
+    await storage.ensureSchema();
+    const tables = (await storage.executeQuery("SELECT name FROM sqlite_master WHERE type = 'table'")).recordset.map(row => row.name);
+    ['CDW_push_arn_cleanup_results', 'CDW_push_arn_cleanup_runs', 'CDW_push_arn_cleanup_partitions',
+      'CDW_arn_cleanup_deletion_results', 'CDW_arn_cleanup_plan_approvals']
+      .forEach(table => assert.ok(tables.includes(table), table));
+
+    const applied = (await storage.executeQuery('SELECT COUNT(*) AS c FROM CDW_push_arn_cleanup_migrations')).recordset[0].c;
+    await storage.ensureSchema();
+    assert.strictEqual((await storage.executeQuery('SELECT COUNT(*) AS c FROM CDW_push_arn_cleanup_migrations')).recordset[0].c, applied);
+  } finally {
+    await storage.disconnect();
+  }
+});
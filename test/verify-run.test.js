@@ -0,0 +1,73 @@
+const { createHarness, endpointArn } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const result = (runId, originalId, status) => ({
+  runId, batchId: 1, originalId, arn: originalId === 0 ? endpointArn(`orphan-${status}`) : endpointArn(originalId),
+  status, statusReason: 'test', errorMessage: null, metadata: {}
+});
+
+test('saving a result again updates the run\'s row for that record instead of adding one', async () => {
+  const harness = createHarness();
+  try {
+    const { db } = await harness.service();
+    await db.batchSaveArnResults([result('run-u', 1, 'ERROR'), result('run-u', 2, 'DISABLED')]);
+    await db.batchSaveArnResults([result('run-u', 1, 'DISABLED'), result('run-u', 0, 'ORPHANED')]);
+    await db.batchSaveArnResults([result('run-u', 0, 'ORPHANED'), result('run-other', 1, 'ENABLED')]);
+
+    const rows = harness.db.prepare('SELECT run_id, original_id, status FROM CDW_push_arn_cleanup_results ORDER BY run_id, original_id, id').all();
+    assert.deepStrictEqual(rows.map(row => [row.run_id, row.original_id, row.status]), [
+      ['run-other', 1, 'ENABLED'],
+      ['run-u', 0, 'ORPHANED'],
+      ['run-u', 0, 'ORPHANED'],
+      ['run-u', 1, 'DISABLED'],
+      ['run-u', 2, 'DISABLED']
+    ]);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('--verify-run checks the source rows a run has no result for and saves them into the run', async () => {
+  const harness = createHarness({ count: 10 });
+  try {
+    const runId = await harness.scan({ batchSize: 3 });
+    harness.db.prepare('DELETE FROM CDW_push_arn_cleanup_results WHERE run_id = ? AND original_id IN (3, 7)').run(runId);
+    const lastBatch = harness.db.prepare('SELECT MAX(batch_id) AS b FROM CDW_push_arn_cleanup_results').get().b;
+
+    const service = await harness.service();
+    const report = await service.verifyRun({ runId });
+    assert.deepStrictEqual(report.missing, [3, 7]);
+    assert.deepStrictEqual(report.duplicates, []);
+    assert.deepStrictEqual(report.ranges, [{ afterId: null, lastId: 10 }]);
+    assert.strictEqual(report.rechecked, 2);
+
+    const rows = harness.db.prepare('SELECT original_id, batch_id FROM CDW_push_arn_cleanup_results WHERE run_id = ? AND original_id IN (3, 7)').all(runId);
+    assert.ok(rows.length === 2 && rows.every(row => row.batch_id > lastBatch), 'saved after the run\'s existing batches');
+
+    const again = await (await harness.service()).verifyRun({ runId });
+    assert.deepStrictEqual([again.missing, again.rechecked], [[], 0]);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('--verify-run only reports on a running run and refuses runs that cover no id range', async () => {
+  const harness = createHarness({ count: 4 });
+  try {
+    const runId = await harness.scan();
+    harness.db.prepare('DELETE FROM CDW_push_arn_cleanup_results WHERE original_id = 2').run();
+    harness.db.prepare("UPDATE CDW_push_arn_cleanup_runs SET state = 'running' WHERE run_id = ?").run(runId);
+
+    const service = await harness.service();
+    const report = await service.verifyRun({ runId });
+    assert.deepStrictEqual([report.missing, report.rechecked], [[2], 0]);
+
+    await assert.rejects(service.verifyRun({}), /--verify-run requires --run-id/);
+    await assert.rejects(service.verifyRun({ runId: 'nope' }), /Run nope does not exist/);
+    await service.db.createRun('run-r', { mode: 'recheck' });
+    await assert.rejects(service.verifyRun({ runId: 'run-r' }), /Run run-r is a recheck run; only scan and partitioned runs/);
+  } finally {
+    await harness.close();
+  }
+});